@@ -2,24 +2,260 @@
 // Configuration and Constants
 // ==========================================================================
 
-// Theme configuration
+// Catalog data and selection settings shared with the headless core (core.js)
+const {
+    BUILTIN_ACTIVITIES,
+    FILTER_OPTIONS,
+    SELECTION_MODES,
+    SELECTION_SOURCES,
+    FAVORITE_BOOST_OPTIONS,
+    CHOICE_COUNTS,
+    HISTORY_LIMIT_OPTIONS,
+    FAVORITE_NOTE_MAX_LENGTH,
+    STORAGE_KEYS,
+    EXPORT_FORMAT_VERSION,
+    CSV_COLUMNS,
+    SOURCE_TYPES,
+    DEFAULT_SOURCES,
+    formatCategoryName,
+    matchesFilters,
+    normalizeSelectionSettings,
+    normalizeFavoriteDetails,
+    isValidHistoryEntry,
+    createRng,
+    createSeed,
+    seededShuffle,
+    createExportBundle,
+    toCSV,
+    toICS,
+    PLAN_REPEATS,
+    normalizeSource,
+    createInitialState
+} = BoredomCore;
+
+// Message catalogs registered by the files in locales/ (see i18n.js)
+const { DEFAULT_LOCALE, getLocales, matchLocale, createTranslator } = BoredomI18n;
+
+// CSS custom properties in style.css that a theme sets, with the message keys of
+// their labels in the theme builder
+const THEME_PROPERTIES = {
+    '--primary': 'themes.color.primary',
+    '--primary-dark': 'themes.color.primaryDark',
+    '--secondary': 'themes.color.secondary',
+    '--secondary-dark': 'themes.color.secondaryDark',
+    '--accent': 'themes.color.accent',
+    '--background': 'themes.color.background',
+    '--surface': 'themes.color.surface',
+    '--color-surface-variant': 'themes.color.surfaceVariant',
+    '--color-border': 'themes.color.border',
+    '--text': 'themes.color.text',
+    '--text-light': 'themes.color.textLight',
+    '--color-text-on-primary': 'themes.color.textOnPrimary',
+    '--color-text-on-secondary': 'themes.color.textOnSecondary'
+};
+
+// Built-in themes, named by the message themes.name.<key>. Light holds the defaults
+// from style.css; "system" follows the operating system's light or dark setting.
 const THEMES = {
-    light: { icon: 'fa-moon', name: 'Light' },
-    dark: { icon: 'fa-sun', name: 'Dark' },
-    ocean: { icon: 'fa-water', name: 'Ocean' },
-    forest: { icon: 'fa-tree', name: 'Forest' },
-    sunset: { icon: 'fa-sun', name: 'Sunset' },
-    midnight: { icon: 'fa-moon', name: 'Midnight' }
+    light: {
+        icon: 'fa-sun',
+        colors: {
+            '--primary': '#2196f3', '--primary-dark': '#1976d2', '--secondary': '#4caf50', '--secondary-dark': '#388e3c',
+            '--accent': '#00bcd4', '--background': '#f5f9ff', '--surface': '#ffffff', '--color-surface-variant': '#f1f5f9',
+            '--color-border': '#e2e8f0', '--text': '#333333', '--text-light': '#666666', '--color-text-on-primary': '#ffffff',
+            '--color-text-on-secondary': '#ffffff'
+        }
+    },
+    dark: {
+        icon: 'fa-moon',
+        colors: {
+            '--primary': '#64b5f6', '--primary-dark': '#42a5f5', '--secondary': '#81c784', '--secondary-dark': '#66bb6a',
+            '--accent': '#4dd0e1', '--background': '#121212', '--surface': '#1e1e1e', '--color-surface-variant': '#2a2a2a',
+            '--color-border': '#3a3a3a', '--text': '#eeeeee', '--text-light': '#b0b0b0', '--color-text-on-primary': '#0d1b2a',
+            '--color-text-on-secondary': '#0d1f0e'
+        }
+    },
+    ocean: {
+        icon: 'fa-water',
+        colors: {
+            '--primary': '#0277bd', '--primary-dark': '#01579b', '--secondary': '#00796b', '--secondary-dark': '#005b4f',
+            '--accent': '#26c6da', '--background': '#e8f6fa', '--surface': '#ffffff', '--color-surface-variant': '#d9eef4',
+            '--color-border': '#b3dce8', '--text': '#0b2a3a', '--text-light': '#3d5a68', '--color-text-on-primary': '#ffffff',
+            '--color-text-on-secondary': '#ffffff'
+        }
+    },
+    forest: {
+        icon: 'fa-tree',
+        colors: {
+            '--primary': '#2e7d32', '--primary-dark': '#1b5e20', '--secondary': '#6d4c41', '--secondary-dark': '#4e342e',
+            '--accent': '#9e9d24', '--background': '#f1f6ee', '--surface': '#ffffff', '--color-surface-variant': '#e3eddd',
+            '--color-border': '#c5d8bc', '--text': '#1f2d1c', '--text-light': '#4a5a45', '--color-text-on-primary': '#ffffff',
+            '--color-text-on-secondary': '#ffffff'
+        }
+    },
+    sunset: {
+        icon: 'fa-coffee',
+        colors: {
+            '--primary': '#c2410c', '--primary-dark': '#9a3412', '--secondary': '#8e24aa', '--secondary-dark': '#6a1b9a',
+            '--accent': '#ffb300', '--background': '#fff4ec', '--surface': '#ffffff', '--color-surface-variant': '#fce5d6',
+            '--color-border': '#f5cbb0', '--text': '#3b1f14', '--text-light': '#6d4c41', '--color-text-on-primary': '#ffffff',
+            '--color-text-on-secondary': '#ffffff'
+        }
+    },
+    midnight: {
+        icon: 'fa-star',
+        colors: {
+            '--primary': '#7c8cf8', '--primary-dark': '#6373f0', '--secondary': '#4db6ac', '--secondary-dark': '#26a69a',
+            '--accent': '#b39ddb', '--background': '#0b1026', '--surface': '#151b3b', '--color-surface-variant': '#1e2650',
+            '--color-border': '#2c3566', '--text': '#e6e9ff', '--text-light': '#a9b0d6', '--color-text-on-primary': '#0b1026',
+            '--color-text-on-secondary': '#0b1026'
+        }
+    }
 };
 
-// Category icons mapping
+// Text and background pairs the theme builder checks (label is a message key), and
+// the WCAG 2 contrast each needs: 4.5:1 for normal text (AA), 7:1 for the stricter AAA level
+const CONTRAST_CHECKS = [
+    { text: '--text', background: '--background', label: 'themes.contrast.textOnBackground' },
+    { text: '--text', background: '--surface', label: 'themes.contrast.textOnSurface' },
+    { text: '--text-light', background: '--surface', label: 'themes.contrast.textLightOnSurface' },
+    { text: '--color-text-on-primary', background: '--primary', label: 'themes.contrast.textOnPrimary' },
+    { text: '--color-text-on-secondary', background: '--secondary', label: 'themes.contrast.textOnSecondary' }
+];
+const CONTRAST_AA = 4.5;
+const CONTRAST_AAA = 7;
+
+// Most custom themes kept, and the format of exported theme files
+const CUSTOM_THEME_LIMIT = 50;
+const THEME_FILE_FORMAT = 'boredom-buster-themes';
+
+// Category icons mapping (custom categories are added at startup by buildCatalog)
 const CATEGORY_ICONS = {
     education: 'fa-graduation-cap',
     recreation: 'fa-running',
     social: 'fa-users',
-    DIY: 'fas fa-tools'
+    DIY: 'fa-tools'
+};
+
+// Built-in icons, kept so a reset can restore them
+const DEFAULT_CATEGORY_ICONS = { ...CATEGORY_ICONS };
+
+// Sort orders offered by the favorites panel (named by favorites.sort.<key>), each
+// with its compare function
+const FAVORITE_SORTS = {
+    added: (a, b) => b.addedAt.localeCompare(a.addedAt),
+    title: (a, b) => a.title.localeCompare(b.title, i18n.locale),
+    category: (a, b) => a.categoryLabel.localeCompare(b.categoryLabel, i18n.locale) || a.title.localeCompare(b.title, i18n.locale),
+    duration: (a, b) => a.duration - b.duration || a.title.localeCompare(b.title, i18n.locale)
+};
+
+// Timer durations offered as presets, the longest timer allowed (minutes),
+// and how much the "add time" button adds
+const TIMER_PRESETS = [5, 10, 15, 25, 30, 45, 60, 90];
+const TIMER_MAX_MINUTES = 240;
+const TIMER_ADD_MINUTES = 5;
+
+// Timer modes, named by timer.mode.<key>
+const TIMER_MODES = ['single', 'cycles'];
+
+// Default work/break cycle in minutes: the Pomodoro technique
+const POMODORO_DEFAULTS = { work: 25, shortBreak: 5, longBreak: 15, cycles: 4 };
+
+// Phases of a timer session, named by timer.phase.<key>
+const TIMER_PHASES = ['work', 'shortBreak', 'longBreak'];
+
+// Number of finished timer sessions kept in the log
+const TIMER_LOG_LIMIT = 200;
+
+// Most toasts shown at once, and the shortest lifetime (ms) of a toast with an
+// action button, so there's time to use it
+const TOAST_MAX_VISIBLE = 3;
+const TOAST_ACTION_MIN_DURATION = 8000;
+
+// How a generated activity turned out, recorded on its history entry; each is named
+// by outcome.<key>
+const OUTCOMES = {
+    done: { icon: 'fa-check' },
+    skipped: { icon: 'fa-forward' },
+    abandoned: { icon: 'fa-times' }
+};
+
+// Number of weeks shown in the stats dashboard's weekly chart
+const STATS_WEEKS = 12;
+
+// Days of the week as numbered by Date.getDay() (named by getWeekdayName), and the
+// order the week is shown in
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Nudges: how often the schedule is checked (ms), and how late a nudge may still
+// fire (minutes) when the check runs late in a throttled background tab
+const NUDGE_CHECK_INTERVAL = 30000;
+const NUDGE_GRACE_MINUTES = 10;
+
+// Planner: the longest a plan can last (minutes), and how often plans whose time
+// has passed are moved into the history (ms)
+const PLAN_MAX_MINUTES = 480;
+const PLAN_CHECK_INTERVAL = 60000;
+
+// Share buttons on the activity card, in order (see SHARE_TARGETS), and the Mastodon
+// server posts go to
+const DEFAULT_SHARE_SETTINGS = {
+    targets: ['native', 'copyLink', 'twitter', 'facebook', 'whatsapp', 'mastodon'],
+    mastodonServer: 'mastodon.social'
+};
+
+// Size of the share card image in pixels, the usual size of a link preview
+const SHARE_CARD_WIDTH = 1200;
+const SHARE_CARD_HEIGHT = 630;
+
+// Snooze lengths offered for nudges, in minutes
+const SNOOZE_OPTIONS = [60, 180];
+
+// Notes of the timer chime: frequency in Hz and start offset in seconds
+const CHIME_NOTES = [
+    { frequency: 880, start: 0 },
+    { frequency: 1318.5, start: 0.18 }
+];
+
+// Keyboard shortcuts: each action's default key as a KeyboardEvent.key value, with
+// letters in lower case. Actions are named by shortcuts.action.<action>; category<n>
+// toggles the n-th category button.
+const DEFAULT_SHORTCUTS = {
+    generate: 'g',
+    favorite: 'f',
+    timer: 't',
+    history: 'h',
+    help: '?',
+    ...Object.fromEntries(Array.from({ length: 9 }, (_, index) => [`category${index + 1}`, String(index + 1)]))
 };
 
+// Ways a generated activity is revealed, named by reveal.mode.<key>: at once, on a
+// slot-machine reel running through the candidates, or on a wheel with one segment each
+const REVEAL_MODES = ['instant', 'reel', 'wheel'];
+
+// Reveal animation lengths offered (ms), and the reveal used until the user picks one
+const REVEAL_DURATIONS = [1000, 1500, 3000, 5000];
+const DEFAULT_REVEAL = { mode: 'reel', duration: 1500 };
+
+// Most candidates the reel and wheel show (the picked one is always among them), how many
+// times the reel runs through them and how many full turns the wheel makes before stopping
+const REVEAL_MAX_ITEMS = 12;
+const REVEAL_REEL_LOOPS = 3;
+const REVEAL_WHEEL_TURNS = 4;
+
+// Icons offered by the category icon picker
+const ICON_CHOICES = [
+    'fa-star', 'fa-graduation-cap', 'fa-running', 'fa-users', 'fa-tools',
+    'fa-book', 'fa-music', 'fa-paint-brush', 'fa-camera', 'fa-utensils',
+    'fa-gamepad', 'fa-tree', 'fa-bicycle', 'fa-heart', 'fa-laptop-code',
+    'fa-film', 'fa-futbol', 'fa-leaf', 'fa-plane', 'fa-puzzle-piece'
+];
+
+// Parts of the generator's state whose storage failures get a toast (storage.<action>.<part>);
+// failures of other parts are only logged
+const STORAGE_ERROR_PARTS = ['favorites', 'history'];
+
 // Error message types and their configurations
 const ERROR_TYPES = {
     error: {
@@ -48,26 +284,124 @@ const ERROR_TYPES = {
 const DOM = {
     generateBtn: document.querySelector('.generate-btn'),
     categoriesSection: document.querySelector('.categories'),
+    filtersSection: document.querySelector('.filters'),
+    selectionSection: document.querySelector('.selection-settings'),
+    dayBtn: document.querySelector('.day-btn'),
+    installBtn: document.querySelector('.install-btn'),
+    offlineIndicator: document.querySelector('.offline-indicator'),
     resultArea: document.querySelector('.result-area'),
     loadingElement: document.querySelector('.loading'),
     activityResult: document.querySelector('.activity-result'),
     activityCard: document.querySelector('.activity-card'),
+    choiceList: document.createElement('div'),
+    revealStage: document.createElement('div'),
     themeSwitch: document.querySelector('.theme-switch'),
     themeIcon: document.querySelector('.theme-switch i'),
+    languageSelect: document.querySelector('.language-select'),
     errorContainer: document.createElement('div'),
     historyContainer: document.createElement('div'),
-    timerContainer: document.createElement('div')
+    timerContainer: document.createElement('div'),
+    catalogEditor: document.createElement('section'),
+    backupPanel: document.createElement('section'),
+    historyPanel: document.createElement('section'),
+    favoritesPanel: document.createElement('section'),
+    timerPanel: document.createElement('section'),
+    statsPanel: document.createElement('section'),
+    notificationsPanel: document.createElement('section'),
+    sourcesPanel: document.createElement('section'),
+    themesPanel: document.createElement('section'),
+    shortcutsPanel: document.createElement('section'),
+    vetoesPanel: document.createElement('section'),
+    plannerPanel: document.createElement('section'),
+    sharePanel: document.createElement('section'),
+    themeColorMeta: document.querySelector('meta[name="theme-color"]'),
+    descriptionMeta: document.querySelector('meta[name="description"]')
 };
 
-// Application state management
+// Application state management. The generator reads and writes it too, so its own
+// fields (selection, filters, history, favorites, vetoes) start from the core's defaults.
 const state = {
-    selectedCategories: new Set(),
-    activityHistory: [],
-    favoriteActivities: new Set(),
+    ...createInitialState(),
+    historyView: { query: '', category: '' },
+    // Seed typed by the user; empty means a fresh random seed per generation
+    seedInput: '',
+    // The card on screen and the seed and URL hash it was shown with
+    currentActivityId: null,
+    currentSeed: '',
+    currentHash: '',
+    // Label shown above the card's title, e.g. "Shared activity": { key, params } of a message
+    currentLabel: null,
+    // History entry recorded for the card on screen, if any
+    currentHistoryEntry: null,
+    // Ids of the activities on the choice cards, in order; empty when none are shown
+    choices: [],
+    favoritesView: { sort: 'added' },
     isGenerating: false,
-    currentThemeIndex: 0,
+    // Reveal style and animation length in ms (see REVEAL_MODES)
+    revealSettings: { ...DEFAULT_REVEAL },
+    // True while the reveal animation plays, so the history doesn't give the pick away
+    isRevealing: false,
+    // Language preference: 'auto' (the browser's languages) or a registered locale
+    locale: 'auto',
+    // Theme preference: 'system', a key of THEMES or the id of a custom theme
+    theme: 'system',
+    // Themes made in the theme builder: { id, name, colors }
+    customThemes: [],
+    // Key of each keyboard shortcut action, '' for one without a key (see DEFAULT_SHORTCUTS)
+    shortcuts: { ...DEFAULT_SHORTCUTS },
+    // Action whose new key the shortcuts panel is waiting for
+    shortcutCapture: null,
+    // Theme being edited in the builder; id is null until it is saved
+    themeBuilder: { id: null, name: '', colors: { ...THEMES.light.colors } },
+    // Interval that refreshes the timer display while a timer runs
     timer: null,
-    timerDuration: 0
+    // Running or paused timer (see startTimer), saved so it survives reloads
+    timerSession: null,
+    // Mode and cycle lengths last used in the timer panel
+    timerSettings: { mode: 'single', ...POMODORO_DEFAULTS },
+    // Activity and minutes the timer panel will start the next timer with
+    timerSetup: { activityId: null, minutes: 30 },
+    // Finished timer sessions, newest first
+    timerLog: [],
+    // Activity whose timer just ran out, waiting for the user to say how it went
+    outcomePrompt: null,
+    // How timer alerts and nudges reach the user
+    notificationSettings: {
+        browser: false,
+        sound: true,
+        quietHours: { enabled: false, start: '22:00', end: '08:00' },
+        snoozedUntil: null
+    },
+    // Scheduled nudges: { id, time: 'HH:MM', days: [0-6], categories, enabled, lastFired }
+    nudges: [],
+    // Values of the "add nudge" form
+    nudgeForm: { time: '15:00', days: [1, 2, 3, 4, 5], categories: [] },
+    // Planned activities: { id, activityId, start: local 'YYYY-MM-DDTHH:MM', minutes,
+    // repeat (a key of PLAN_REPEATS), loggedUntil: start of the last occurrence put
+    // in the history, or null }
+    plans: [],
+    // Monday the planner shows, as YYYY-MM-DD; null for the current week
+    plannerWeek: null,
+    // Values of the planner's form while an activity is being scheduled; planId is set
+    // when an existing plan is being edited
+    plannerForm: null,
+    // Plan being dragged in the planner, and the date key of the day it came from
+    plannerDrag: null,
+    // Share buttons the card shows, in order, and the Mastodon server to post to
+    shareSettings: { ...DEFAULT_SHARE_SETTINGS, targets: DEFAULT_SHARE_SETTINGS.targets.slice() },
+    // User edits layered over the built-in catalog (see buildCatalog)
+    customCatalog: { categories: [], activities: [], overrides: {}, removed: [] },
+    catalogEditor: { category: null, activityId: null, iconPickerFor: null, newIcon: 'fa-star' },
+    // File chosen in the backup panel, waiting for the user to confirm: { fileName, parsed, mode }
+    pendingImport: null,
+    // Where activities come from, in order (see SOURCE_TYPES)
+    sources: DEFAULT_SOURCES.map(source => ({ ...source })),
+    // Activities each remote source returned on its last load, by source id
+    remoteActivities: {},
+    // Outcome of each remote source's last load: { ok, count, message, checkedAt } or { loading }
+    sourceStatus: {},
+    // Values of the "add source" form; timeout in seconds
+    sourceForm: { type: 'bored', label: '', url: '', timeout: 5, cacheMinutes: 0 }
 };
 
 // ==========================================================================
@@ -76,13 +410,14 @@ const state = {
 
 const validators = {
     hasSelectedCategories: () => state.selectedCategories.size > 0,
-    isValidCategory: (category) => Object.keys(activities).includes(category),
+    // Rolling from all favorites doesn't depend on the category buttons
+    needsCategories: () => state.selectionSettings.source !== 'favorites' || state.selectionSettings.favoritesInCategories,
+    canGenerate: () => !validators.needsCategories() || validators.hasSelectedCategories(),
+    isValidCategory: (category) => generator.isSelectable(category),
     isGenerating: () => state.isGenerating,
-    hasActivities: (category) => activities[category] && activities[category].length > 0,
-    isDuplicateActivity: (activity) => {
-        if (state.activityHistory.length === 0) return false;
-        return state.activityHistory[0].activity === activity;
-    }
+    // A remote source may fill an empty category when it loads
+    hasActivities: (category) => activities[category] && (activities[category].length > 0 || getEnabledRemoteSources().length > 0),
+    hasActiveFilters: () => Object.values(state.filters).some(value => value !== '')
 };
 
 // ==========================================================================
@@ -107,20 +442,114 @@ function debounce(func, wait) {
     };
 }
 
+/**
+ * Create a DOM element
+ * @param {string} tag - Tag name
+ * @param {Object} props - className, text, attrs and on (event handlers)
+ * @param {Array<Node|string>} children - Child nodes or text
+ * @returns {HTMLElement} The new element
+ */
+function createEl(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+    if (props.className) element.className = props.className;
+    if (props.text !== undefined) element.textContent = props.text;
+    Object.entries(props.attrs || {}).forEach(([name, value]) => {
+        if (value === false || value === null || value === undefined) return;
+        element.setAttribute(name, value === true ? '' : value);
+    });
+    Object.entries(props.on || {}).forEach(([event, handler]) => {
+        element.addEventListener(event, handler);
+    });
+    children.forEach(child => {
+        if (child !== null && child !== undefined && child !== false) element.append(child);
+    });
+    return element;
+}
+
+/**
+ * Replace an element's content with freshly built nodes. Focus stays on the element
+ * with the same data-focus-key, so re-rendering from state doesn't lose the user's place.
+ * @param {HTMLElement} container - Element to fill
+ * @param {Array<Node|string|null>} children - New content; null and false are skipped
+ */
+function render(container, children) {
+    const focusKey = container.contains(document.activeElement) ? document.activeElement.dataset.focusKey : null;
+    
+    container.replaceChildren(...children.filter(child => child !== null && child !== undefined && child !== false));
+    
+    if (focusKey) {
+        const focusTarget = container.querySelector(`[data-focus-key="${focusKey}"]`);
+        if (focusTarget) focusTarget.focus();
+    }
+}
+
+/**
+ * Handle events on [data-action] elements inside a container with a single listener,
+ * so the content can be re-rendered without attaching handlers again
+ * @param {HTMLElement} container - Element that owns the listener
+ * @param {Object} handlers - Functions keyed by data-action value, called with (element, event)
+ * @param {string} eventType - Event to listen for
+ */
+function delegateActions(container, handlers, eventType = 'click') {
+    container.addEventListener(eventType, event => {
+        const target = event.target.closest('[data-action]');
+        if (!target || !container.contains(target)) return;
+        const handler = handlers[target.dataset.action];
+        if (handler) handler(target, event);
+    });
+}
+
+/**
+ * Translate a message into the current language
+ * @param {string} key - Message key (see locales/en.js)
+ * @param {Object} params - Values for the message's {placeholders}; `count` picks the plural form
+ * @returns {string} Translated text
+ */
+function t(key, params) {
+    return i18n.t(key, params);
+}
+
+/**
+ * Translate a message whose placeholders are filled with elements, e.g. a title
+ * styled apart from the sentence around it
+ * @param {string} key - Message key
+ * @param {Object} nodes - Elements by placeholder name
+ * @returns {Array} Strings and elements, for createEl's children
+ */
+function translateToNodes(key, nodes) {
+    return t(key).split(/\{(\w+)\}/).map((part, index) => (index % 2 ? nodes[part] || `{${part}}` : part)).filter(part => part !== '');
+}
+
 /**
  * Format timestamp to relative time
  * @param {string} timestamp - ISO timestamp
- * @returns {string} Formatted time string
+ * @returns {string} Formatted time string, e.g. "5 minutes ago"
  */
 function formatTime(timestamp) {
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diff = now - date;
-    
-    if (diff < 60000) return 'Just now';
-    if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
-    if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
-    return date.toLocaleDateString();
+    return i18n.formatRelativeTime(timestamp);
+}
+
+/**
+ * Format a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "45 min" or "1 h 30 min"
+ */
+function formatDuration(minutes) {
+    if (minutes < 60) return t('duration.minutes', { count: minutes });
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest ? t('duration.hoursMinutes', { hours, minutes: rest }) : t('duration.hours', { count: hours });
+}
+
+/**
+ * Name of a day of the week
+ * @param {number} day - Day as numbered by Date.getDay()
+ * @param {string} width - 'short' (e.g. "Mon") or 'long'
+ * @returns {string} Day name in the current language
+ */
+function getWeekdayName(day, width = 'short') {
+    // 7 January 2024 was a Sunday
+    return i18n.formatDate(new Date(2024, 0, 7 + day), { weekday: width });
 }
 
 /**
@@ -136,11 +565,21 @@ function getErrorIcon(type) {
 // UI Update Functions
 // ==========================================================================
 
+// Sync the category buttons with the selected categories
+function updateCategoryButtons() {
+    document.querySelectorAll('.category-btn').forEach(button => {
+        const isSelected = state.selectedCategories.has(button.dataset.category);
+        button.classList.toggle('active', isSelected);
+        button.setAttribute('aria-pressed', String(isSelected));
+    });
+    updateGenerateButtonState();
+}
+
 /**
  * Update the generate button state based on current conditions
  */
 function updateGenerateButtonState() {
-    const hasCategories = validators.hasSelectedCategories();
+    const hasCategories = validators.canGenerate();
     const isGenerating = state.isGenerating;
     
     DOM.generateBtn.disabled = !hasCategories || isGenerating;
@@ -148,41 +587,37 @@ function updateGenerateButtonState() {
     
     if (!hasCategories) {
         DOM.generateBtn.classList.add('disabled');
-        DOM.generateBtn.setAttribute('aria-label', 'Please select at least one category');
+        DOM.generateBtn.setAttribute('aria-label', t('generate.needCategory'));
     } else if (isGenerating) {
         DOM.generateBtn.classList.add('generating');
-        DOM.generateBtn.setAttribute('aria-label', 'Generating activity...');
+        DOM.generateBtn.setAttribute('aria-label', t('generate.generating'));
     } else {
         DOM.generateBtn.classList.remove('disabled', 'generating');
-        DOM.generateBtn.setAttribute('aria-label', 'Generate random activity');
+        DOM.generateBtn.setAttribute('aria-label', t('generate.label'));
     }
 }
 
 /**
- * Update the theme icon based on current theme
+ * Show the applied theme on the theme switch
  */
 function updateThemeIcon() {
-    const theme = Object.keys(THEMES)[state.currentThemeIndex];
-    DOM.themeIcon.className = `fas ${THEMES[theme].icon}`;
+    const theme = getTheme(state.theme);
+    const icon = state.theme === 'system' ? 'fa-adjust' : (theme.icon || 'fa-palette');
+    DOM.themeIcon.className = `fas ${icon}`;
+    DOM.themeSwitch.setAttribute('aria-label', t('themes.switchLabel', { name: getThemeName(state.theme) }));
 }
 
 /**
  * Update the activity history display
  */
 function updateHistory() {
-    const historyHTML = `
-        <h4>Recent Activities</h4>
-        <ul class="history-list">
-            ${state.activityHistory.slice(0, 3).map(item => `
-                <li class="history-item">
-                    <span class="activity-text">${item.activity}</span>
-                    <span class="activity-time">${formatTime(item.timestamp)}</span>
-                </li>
-            `).join('')}
-        </ul>
-    `;
-    
-    DOM.historyContainer.innerHTML = historyHTML;
+    render(DOM.historyContainer, [
+        createEl('h4', { text: t('history.recent') }),
+        createEl('ul', { className: 'history-list' }, state.activityHistory.slice(0, 3).map(item => createEl('li', { className: 'history-item' }, [
+            createEl('span', { className: 'activity-text', text: getActivityTitle(item.activityId) }),
+            createEl('span', { className: 'activity-time', text: formatTime(item.timestamp) })
+        ])))
+    ]);
     
     // Add animation to new history items
     const newItems = DOM.historyContainer.querySelectorAll('.history-item');
@@ -206,96 +641,258 @@ function toggleCategory(category, button) {
     console.log('Toggling category:', category); // Debug log
     
     if (!validators.isValidCategory(category)) {
-        showError('Invalid category selected', 'error');
+        showError(t('categories.invalid'), 'error');
         return;
     }
     
     if (!validators.hasActivities(category)) {
-        showError('No activities available in this category', 'warning');
+        showError(t('categories.empty'), 'warning');
         return;
     }
     
     const isSelected = state.selectedCategories.has(category);
     console.log('Is selected:', isSelected); // Debug log
     
+    const categories = new Set(state.selectedCategories);
     if (isSelected) {
-        state.selectedCategories.delete(category);
+        categories.delete(category);
         button.classList.remove('active');
         button.setAttribute('aria-pressed', 'false');
         
-        if (state.selectedCategories.size === 0) {
-            showError('Please select at least one category', 'warning');
+        if (categories.size === 0) {
+            showError(t('generate.needCategory'), 'warning');
         }
     } else {
-        state.selectedCategories.add(category);
+        categories.add(category);
         button.classList.add('active');
         button.setAttribute('aria-pressed', 'true');
     }
     
+    generator.select({ categories });
     console.log('Selected categories:', Array.from(state.selectedCategories)); // Debug log
-    updateGenerateButtonState();
 }
 
 // ==========================================================================
 // Activities Data
 // ==========================================================================
 
-const activities = {
-    education: [
-        "Learn a new programming language",
-        "Read a technical book",
-        "Take an online course",
-        "Practice coding challenges",
-        "Watch educational videos",
-        "Join a study group",
-        "Write a technical blog post",
-        "Build a small project"
-    ],
-    recreation: [
-        "Go for a walk in the park",
-        "Play a sport",
-        "Do some yoga",
-        "Go swimming",
-        "Ride a bike",
-        "Play board games",
-        "Go hiking",
-        "Try a new workout"
-    ],
-    social: [
-        "Call a friend",
-        "Plan a meetup",
-        "Join a club",
-        "Attend a local event",
-        "Host a dinner party",
-        "Volunteer in your community",
-        "Join a social group",
-        "Organize a game night"
-    ],
-    DIY: [
-        "Build something with wood",
-        "Create a craft project",
-        "Fix something around the house",
-        "Start a garden",
-        "Make homemade gifts",
-        "Repurpose old items",
-        "Learn basic carpentry",
-        "Try a new DIY project"
-    ]
-};
+// Live catalog: built-in activities merged with the user's custom catalog and
+// whatever the remote sources last returned
+const activities = {};
+
+// Display settings per category in the live catalog: { label, icon, hidden, builtin }
+const categoryInfo = {};
+
+// Translator for the language in use, replaced when the language changes (see applyLocale)
+let i18n = createTranslator(DEFAULT_LOCALE);
+
+// Everything the app saves, in one versioned document (see storage.js); opened by openStore
+const store = BoredomStorage.createStore({ backend: getLocalStorage(), target: window });
+
+// Fetches and caches remote activity sources (see refreshRemoteSources)
+const sourceLoader = BoredomCore.createSourceLoader({ storage: store.asStorage() });
+
+// Selection engine, favorites and history. The generator works on `state` itself,
+// and the UI re-renders from its events (see setupGeneratorEvents). Remote activities
+// that have left the catalog are still found through the source loader.
+const generator = BoredomCore.createGenerator({
+    catalog: { activities, categories: categoryInfo, lookup: id => sourceLoader.getActivity(id) },
+    storage: store.asStorage(),
+    state
+});
+
+// ==========================================================================
+// Catalog Helpers
+// ==========================================================================
+
+/**
+ * Rebuild the live catalog from the built-in data, the user's edits and the remote
+ * sources' activities, leaving out sources that are turned off.
+ * Category order follows state.customCatalog.categories, with any built-in
+ * category it doesn't mention appended in default order.
+ */
+function buildCatalog() {
+    const custom = state.customCatalog;
+    const enabled = new Set(state.sources.filter(source => source.enabled).map(source => source.id));
+    Object.keys(activities).forEach(key => delete activities[key]);
+    Object.keys(categoryInfo).forEach(key => delete categoryInfo[key]);
+    Object.keys(CATEGORY_ICONS).forEach(key => delete CATEGORY_ICONS[key]);
+    
+    const entries = [...custom.categories];
+    Object.keys(BUILTIN_ACTIVITIES).forEach(key => {
+        if (!entries.some(entry => entry.key === key)) {
+            entries.push({ key });
+        }
+    });
+    
+    entries.forEach(entry => {
+        if (entry.deleted) return;
+        const builtin = Object.prototype.hasOwnProperty.call(BUILTIN_ACTIVITIES, entry.key);
+        categoryInfo[entry.key] = {
+            label: entry.label || (builtin ? t(`category.${entry.key}`) : formatCategoryName(entry.key)),
+            icon: entry.icon || DEFAULT_CATEGORY_ICONS[entry.key] || 'fa-star',
+            hidden: Boolean(entry.hidden),
+            builtin
+        };
+        CATEGORY_ICONS[entry.key] = categoryInfo[entry.key].icon;
+        
+        const builtinActivities = builtin && enabled.has('bundled')
+            ? BUILTIN_ACTIVITIES[entry.key]
+                .filter(activity => !custom.removed.includes(activity.id))
+                .map(activity => translateBuiltinActivity({ ...activity, ...custom.overrides[activity.id] }, activity))
+            : [];
+        const customActivities = enabled.has('custom')
+            ? custom.activities.filter(activity => activity.category === entry.key)
+            : [];
+        const remoteActivities = Object.keys(state.remoteActivities)
+            .filter(id => enabled.has(id))
+            .flatMap(id => state.remoteActivities[id].filter(activity => activity.category === entry.key));
+        activities[entry.key] = builtinActivities.concat(customActivities, remoteActivities);
+    });
+    
+    // Drop selections that no longer point at a visible category
+    state.selectedCategories.forEach(category => {
+        if (!validators.isValidCategory(category)) {
+            state.selectedCategories.delete(category);
+        }
+    });
+}
+
+/**
+ * Give a built-in activity its title in the current language, unless the user
+ * renamed it
+ * @param {Object} activity - Activity with the user's edits applied
+ * @param {Object} base - The built-in record
+ * @returns {Object} The activity
+ */
+function translateBuiltinActivity(activity, base) {
+    const title = i18n.activityTitle(base.id);
+    return title && activity.title === base.title ? { ...activity, title } : activity;
+}
+
+/**
+ * Get the display label for a category
+ * @param {string} category - Category key
+ * @returns {string} Label
+ */
+function getCategoryLabel(category) {
+    return generator.getCategoryLabel(category);
+}
+
+/**
+ * Allowed values for an enumerated activity field, taken from FILTER_OPTIONS
+ * @param {string} field - 'cost', 'setting' or 'energy'
+ * @returns {string[]} Allowed values
+ */
+function getFieldValues(field) {
+    return FILTER_OPTIONS[field].options.map(option => option.value).filter(Boolean);
+}
+
+/**
+ * Check the editable fields of an activity record
+ * @param {Object} fields - title, duration, cost, setting, participants, energy
+ * @returns {string} A description of the first problem, or '' if the fields are valid
+ */
+function getActivityFieldError(fields) {
+    if (!fields || typeof fields.title !== 'string' || !fields.title.trim()) return t('activityField.titleRequired');
+    if (fields.title.length > 120) return t('activityField.titleLength', { max: 120 });
+    if (!Number.isInteger(fields.duration) || fields.duration < 1 || fields.duration > 1440) {
+        return t('activityField.duration', { min: 1, max: 1440 });
+    }
+    if (!Number.isInteger(fields.participants) || fields.participants < 1 || fields.participants > 100) {
+        return t('activityField.participants', { min: 1, max: 100 });
+    }
+    if (!getFieldValues('cost').includes(fields.cost)) return t('activityField.cost');
+    if (!getFieldValues('setting').includes(fields.setting)) return t('activityField.setting');
+    if (!getFieldValues('energy').includes(fields.energy)) return t('activityField.energy');
+    return '';
+}
+
+/**
+ * Find an activity record by its id
+ * @param {string} id - Activity id
+ * @returns {Object|undefined} Activity record, if any
+ */
+function findActivityById(id) {
+    return generator.getActivity(id);
+}
+
+/**
+ * Find an activity record by its display title
+ * @param {string} title - Activity title
+ * @returns {Object|undefined} Activity record, if any
+ */
+function findActivityByTitle(title) {
+    return generator.findActivity(activity => activity.title === title);
+}
+
+/**
+ * Get the display title for an activity id
+ * @param {string} id - Activity id
+ * @returns {string} Activity title, or the id itself if it is unknown
+ */
+function getActivityTitle(id) {
+    return generator.getActivityTitle(id);
+}
+
+/**
+ * Build the metadata chips shown on an activity card
+ * @param {Object} activity - Activity record
+ * @returns {HTMLElement[]} List items
+ */
+function renderActivityMeta(activity) {
+    const chip = (icon, text) => createEl('li', {}, [createIcon(icon), ` ${text}`]);
+    return [
+        chip('fa-hourglass-half', formatDuration(activity.duration)),
+        chip('fa-coins', t(`meta.cost.${activity.cost}`)),
+        chip(activity.setting === 'outdoor' ? 'fa-tree' : 'fa-home', t(`meta.setting.${activity.setting}`)),
+        chip(activity.participants > 1 ? 'fa-users' : 'fa-user', activity.participants > 1 ? t('meta.people', { count: activity.participants }) : t('meta.solo')),
+        chip('fa-bolt', t(`meta.energy.${activity.energy}`))
+    ];
+}
+
+/**
+ * Tell the user why there is nothing to pick from
+ */
+function showNoCandidatesError() {
+    if (generator.getCandidates({ includeVetoed: true }).length > 0) {
+        showAllVetoedError();
+    } else if (state.selectionSettings.source !== 'favorites') {
+        showError(t('generate.noMatches'), 'warning');
+    } else if (state.favoriteActivities.size === 0) {
+        showError(t('generate.noFavorites'), 'warning');
+    } else {
+        showError(t('generate.noMatchingFavorites'), 'warning');
+    }
+}
+
+// Tell the user vetoes left nothing to pick, with a way to the vetoed list
+function showAllVetoedError() {
+    showError(t('generate.allVetoed'), 'warning', ERROR_TYPES.warning.duration, [
+        { label: t('generate.showVetoes'), onClick: () => openPanel(DOM.vetoesPanel) }
+    ]);
+}
 
 /**
- * Handle activity generation
+ * Handle activity generation. Remote sources load while the spinner shows, then the
+ * pick is revealed in the style the user chose.
  */
-function generateActivity() {
+async function generateActivity() {
     console.log('Generating activity...'); // Debug log
     console.log('Selected categories:', Array.from(state.selectedCategories)); // Debug log
     
-    if (!validators.hasSelectedCategories()) {
-        showError('Please select at least one category', 'warning');
+    if (!validators.canGenerate()) {
+        showError(t('generate.needCategory'), 'warning');
         highlightEmptyCategories();
         return;
     }
     
+    // Remote sources may still add candidates, so only check up front without them
+    if (getEnabledRemoteSources().length === 0 && generator.getCandidates().length === 0) {
+        showNoCandidatesError();
+        return;
+    }
+    
     if (state.isGenerating) {
         console.log('Already generating...'); // Debug log
         return;
@@ -303,129 +900,166 @@ function generateActivity() {
     
     showLoading(true);
     
-    setTimeout(() => {
-        try {
-            const activity = getRandomActivity();
-            console.log('Generated activity:', activity); // Debug log
-            
-            if (!activity) {
-                throw new Error('No activity could be generated');
-            }
-            
-            // Display the result
-            DOM.activityResult.innerHTML = `
-                <div class="activity-card">
-                    <h3>${activity}</h3>
-                    <div class="activity-actions">
-                        <button class="favorite-btn" aria-label="Add to favorites">
-                            <i class="far fa-heart"></i>
-                        </button>
-                        <button class="timer-btn" aria-label="Start timer">
-                            <i class="fas fa-clock"></i>
-                        </button>
-                        <div class="share-buttons">
-                            <button class="share-btn twitter" aria-label="Share on Twitter">
-                                <i class="fab fa-twitter"></i>
-                            </button>
-                            <button class="share-btn facebook" aria-label="Share on Facebook">
-                                <i class="fab fa-facebook"></i>
-                            </button>
-                            <button class="share-btn whatsapp" aria-label="Share on WhatsApp">
-                                <i class="fab fa-whatsapp"></i>
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
-            
-            // Show the result
-            DOM.resultArea.classList.add('visible');
-            DOM.activityResult.classList.add('visible');
-            
-            // Add to history
-            addToHistory(activity);
-            
-            // Show success message
-            showError('Activity generated successfully!', 'success', 3000);
-            
-            // Add event listeners to the new buttons
-            const favoriteBtn = DOM.activityResult.querySelector('.favorite-btn');
-            const timerBtn = DOM.activityResult.querySelector('.timer-btn');
-            const shareButtons = DOM.activityResult.querySelectorAll('.share-btn');
-            
-            if (favoriteBtn) {
-                favoriteBtn.addEventListener('click', () => toggleFavorite(activity, favoriteBtn));
-            }
-            if (timerBtn) {
-                timerBtn.addEventListener('click', () => toggleTimer(activity, timerBtn));
-            }
-            shareButtons.forEach(btn => {
-                btn.addEventListener('click', () => shareActivity(activity, btn.classList[1]));
-            });
-            
-        } catch (error) {
-            console.error('Activity generation error:', error);
-            showError('Error generating activity. Please try again.', 'error');
-        } finally {
-            showLoading(false);
+    try {
+        await refreshRemoteSources();
+        
+        // The reel and wheel show what the pick was made from, so read it before
+        // recording the pick moves the smart-mode round on
+        const candidates = generator.getCandidates();
+        if (candidates.length === 0) {
+            showNoCandidatesError();
+            return;
+        }
+        
+        // Offer cards to choose from; nothing is recorded until the user picks one
+        if (state.selectionSettings.choices > 1) {
+            showChoices(generator.pickChoices(state.selectionSettings.choices, { seed: state.seedInput.trim() }));
+            updateFilterSummary();
+            return;
+        }
+        
+        // Picks the activity and records it in the history
+        state.isRevealing = true;
+        const { activity, seed, entry } = generator.generate({ seed: state.seedInput.trim() });
+        console.log('Generated activity:', activity); // Debug log
+        
+        // Display the result once the reveal is over
+        await playReveal(activity, candidates);
+        state.isRevealing = false;
+        displayActivity(activity, { seed, entry });
+        updateHistory();
+        updateFilterSummary();
+        
+        // Show success message
+        showError(t('generate.success'), 'success', 3000);
+        
+    } catch (error) {
+        console.error('Activity generation error:', error);
+        showError(t('generate.error'), 'error');
+    } finally {
+        if (state.isRevealing) {
+            state.isRevealing = false;
+            updateHistory();
         }
-    }, 1500);
+        showLoading(false);
+    }
 }
 
 /**
- * Get a random activity from selected categories
- * @returns {string} Random activity
+ * Show an activity card in the result area and point the URL at it
+ * @param {Object} activity - Activity record
+ * @param {Object} options - seed it was generated with, label shown above the title
+ *                           ({ key, params } of a message), hash to use instead of the
+ *                           activity's permalink, history entry already recorded for it
  */
-function getRandomActivity() {
-    console.log('Getting random activity...'); // Debug log
-    
-    let possibleActivities = [];
-    state.selectedCategories.forEach(category => {
-        console.log('Checking category:', category); // Debug log
-        if (activities[category] && activities[category].length > 0) {
-            possibleActivities = possibleActivities.concat(activities[category]);
-            console.log('Activities in category:', activities[category]); // Debug log
-        }
-    });
+function displayActivity(activity, options = {}) {
+    const { seed = '', label = null, entry = null, hash = buildPermalinkHash(activity, seed, Array.from(state.selectedCategories)) } = options;
     
-    console.log('Total possible activities:', possibleActivities.length); // Debug log
+    state.currentActivityId = activity.id;
+    state.currentSeed = seed;
+    state.currentLabel = label;
+    state.currentHash = hash;
+    state.currentHistoryEntry = entry;
+    window.history.replaceState(null, '', hash);
     
-    if (possibleActivities.length === 0) {
-        throw new Error('No activities available for selected categories');
-    }
+    clearChoices();
+    renderActivityCard();
     
-    let activity;
-    let attempts = 0;
-    const maxAttempts = 3;
+    // Show the result
+    DOM.activityResult.hidden = false;
+    DOM.resultArea.classList.add('visible');
+    DOM.activityResult.classList.add('visible');
+}
+
+/**
+ * Render the card for the activity on screen from state. Its buttons are handled by
+ * delegation (see setupEventListeners), so it can be re-rendered at any time.
+ */
+function renderActivityCard() {
+    const activity = findActivityById(state.currentActivityId);
+    if (!activity) return;
     
-    do {
-        const randomIndex = Math.floor(Math.random() * possibleActivities.length);
-        activity = possibleActivities[randomIndex];
-        attempts++;
-        console.log('Attempt', attempts, 'Activity:', activity); // Debug log
-    } while (validators.isDuplicateActivity(activity) && attempts < maxAttempts);
+    const isFavorite = state.favoriteActivities.has(activity.id);
+    const entry = state.currentHistoryEntry;
+    const outcome = entry && state.activityHistory.includes(entry) ? entry.outcome : null;
+    const shareTargets = state.shareSettings.targets.filter(isShareTargetAvailable);
+    const label = state.currentLabel;
     
-    return activity;
+    render(DOM.activityResult, [
+        createEl('div', { className: 'activity-card' }, [
+            label ? createEl('p', { className: 'activity-label', text: t(label.key, label.params) }) : null,
+            createEl('h3', { text: activity.title }),
+            createEl('ul', { className: 'activity-meta', attrs: { 'aria-label': t('card.details') } }, renderActivityMeta(activity)),
+            createEl('div', { className: 'activity-actions' }, [
+                createEl('button', {
+                    className: 'favorite-btn',
+                    attrs: {
+                        type: 'button',
+                        'aria-label': isFavorite ? t('card.unfavorite') : t('card.favorite'),
+                        'data-action': 'favorite',
+                        'data-focus-key': 'favorite'
+                    }
+                }, [createIcon('fa-heart', isFavorite ? 'fas' : 'far')]),
+                createEl('button', {
+                    className: 'timer-btn',
+                    attrs: { type: 'button', 'aria-label': t('card.timer'), 'data-action': 'timer', 'data-focus-key': 'timer' }
+                }, [createIcon('fa-clock')]),
+                createEl('button', {
+                    className: 'schedule-btn',
+                    attrs: { type: 'button', 'aria-label': t('card.schedule'), 'data-action': 'schedule', 'data-focus-key': 'schedule' }
+                }, [createIcon('fa-calendar-plus')]),
+                createEl('div', { className: 'share-buttons' }, [
+                    ...shareTargets.map(key => createEl('button', {
+                        className: `share-btn ${key}`,
+                        attrs: {
+                            type: 'button',
+                            'aria-label': SHARE_TARGETS[key].site ? t('card.shareOn', { name: SHARE_TARGETS[key].site }) : getShareTargetName(key),
+                            'data-action': 'share',
+                            'data-target': key,
+                            'data-focus-key': `share-${key}`
+                        }
+                    }, [createIcon(SHARE_TARGETS[key].icon, SHARE_TARGETS[key].style)])),
+                    createEl('button', {
+                        className: 'share-btn share-settings',
+                        attrs: { type: 'button', 'aria-label': t('share.customize'), 'data-action': 'share-settings', 'data-focus-key': 'share-settings' }
+                    }, [createIcon('fa-sliders-h')])
+                ])
+            ]),
+            createEl('div', { className: 'outcome-buttons', attrs: { role: 'group', 'aria-label': t('outcome.question') } },
+                Object.entries(OUTCOMES).map(([key, { icon }]) => createEl('button', {
+                    className: 'outcome-btn',
+                    attrs: {
+                        type: 'button',
+                        'aria-pressed': String(outcome === key),
+                        'data-action': 'outcome',
+                        'data-outcome': key,
+                        'data-focus-key': `outcome-${key}`
+                    }
+                }, [createIcon(icon), ` ${t(`outcome.${key}`)}`]))),
+            state.currentSeed
+                ? createEl('p', { className: 'activity-seed' }, [`${t('card.seed')} `, createEl('code', { text: state.currentSeed })])
+                : null
+        ])
+    ]);
 }
 
 /**
  * Add activity to history
- * @param {string} activity - Activity to add
+ * @param {Object} activity - Activity record to add
+ * @param {string} seed - Seed the activity was generated with
+ * @returns {Object} The new history entry
  */
-function addToHistory(activity) {
-    console.log('Adding to history:', activity); // Debug log
+function addToHistory(activity, seed) {
+    console.log('Adding to history:', activity.id); // Debug log
     
-    state.activityHistory.unshift({
-        activity,
-        timestamp: new Date().toISOString(),
-        categories: Array.from(state.selectedCategories)
-    });
+    const entry = generator.record(activity, seed);
     
-    if (state.activityHistory.length > 10) {
-        state.activityHistory.pop();
+    if (activity.id === state.currentActivityId) {
+        state.currentHistoryEntry = entry;
+        renderActivityCard();
     }
     
-    updateHistory();
+    return entry;
 }
 
 // ==========================================================================
@@ -441,17 +1075,41 @@ function initialize() {
     // Set up containers
     setupContainers();
     
+    // Read saved data, migrating it from older versions
+    openStore();
+    
+    // Pick the language and translate the page before anything else is rendered
+    loadLocale();
+    watchSystemLanguage();
+    
+    // Merge the user's custom catalog into the built-in one
+    loadCustomCatalog();
+    loadSources();
+    buildCatalog();
+    
     // Initialize categories
     initializeCategories();
     
+    // Initialize filter panel
+    initializeFilters();
+    initializeSelectionSettings();
+    
     // Set up event listeners
     setupEventListeners();
+    setupGeneratorEvents();
     
     // Load saved state
     loadSavedState();
     
+    // Show the card a shared link points at
+    openPermalink();
+    
+    // Work offline and offer to install the app
+    setupOfflineSupport();
+    
     // Update initial UI state
     updateGenerateButtonState();
+    updateFilterSummary();
     
     console.log('Application initialized'); // Debug log
 }
@@ -461,17 +1119,42 @@ function initialize() {
  */
 function setupContainers() {
     DOM.errorContainer.className = 'error-container';
-    DOM.errorContainer.setAttribute('role', 'alert');
-    DOM.errorContainer.setAttribute('aria-live', 'polite');
+    DOM.errorContainer.setAttribute('role', 'region');
+    DOM.errorContainer.setAttribute('data-i18n-label', 'app.notifications');
     document.body.appendChild(DOM.errorContainer);
+    setupToastEvents();
     
     DOM.historyContainer.className = 'history-container';
-    DOM.historyContainer.setAttribute('aria-label', 'Recent activities');
+    DOM.historyContainer.setAttribute('data-i18n-label', 'history.recentLabel');
     document.querySelector('.container').appendChild(DOM.historyContainer);
     
+    DOM.choiceList.className = 'choice-list';
+    DOM.choiceList.hidden = true;
+    DOM.resultArea.appendChild(DOM.choiceList);
+    
+    // The reveal animation plays in place of the card; screen readers only get the card
+    DOM.revealStage.className = 'reveal-stage';
+    DOM.revealStage.setAttribute('aria-hidden', 'true');
+    DOM.revealStage.hidden = true;
+    DOM.resultArea.insertBefore(DOM.revealStage, DOM.activityResult);
+    
     DOM.timerContainer.className = 'timer-container';
-    DOM.timerContainer.setAttribute('aria-label', 'Activity timer');
+    DOM.timerContainer.setAttribute('data-i18n-label', 'timer.containerLabel');
     document.querySelector('.container').appendChild(DOM.timerContainer);
+    
+    setupPanel(DOM.catalogEditor, 'catalog-editor', 'panel.catalog');
+    setupPanel(DOM.backupPanel, 'backup-panel', 'panel.backup');
+    setupPanel(DOM.historyPanel, 'history-panel', 'panel.history');
+    setupPanel(DOM.favoritesPanel, 'favorites-panel', 'panel.favorites');
+    setupPanel(DOM.timerPanel, 'timer-panel', 'panel.timer');
+    setupPanel(DOM.statsPanel, 'stats-panel', 'panel.stats');
+    setupPanel(DOM.notificationsPanel, 'notifications-panel', 'panel.notifications');
+    setupPanel(DOM.sourcesPanel, 'sources-panel', 'panel.sources');
+    setupPanel(DOM.themesPanel, 'themes-panel', 'panel.themes');
+    setupPanel(DOM.shortcutsPanel, 'shortcuts-panel', 'panel.shortcuts');
+    setupPanel(DOM.vetoesPanel, 'vetoes-panel', 'panel.vetoes');
+    setupPanel(DOM.plannerPanel, 'planner-panel', 'panel.planner');
+    setupPanel(DOM.sharePanel, 'share-panel', 'panel.share');
 }
 
 /**
@@ -479,78 +1162,404 @@ function setupContainers() {
  */
 function setupEventListeners() {
     DOM.generateBtn.addEventListener('click', generateActivity);
-    DOM.themeSwitch.addEventListener('click', handleThemeSwitch);
+    DOM.themeSwitch.addEventListener('click', () => openPanel(DOM.themesPanel));
+    DOM.languageSelect.addEventListener('change', event => setLocale(event.target.value));
     document.addEventListener('keydown', handleKeyboardNavigation);
+    
+    document.querySelectorAll('.toolbar-btn[data-panel]').forEach(button => {
+        button.addEventListener('click', () => openPanel(document.getElementById(button.dataset.panel)));
+    });
+    
+    // The card's buttons act on whichever activity is on screen
+    const withCard = handler => button => {
+        const activity = findActivityById(state.currentActivityId);
+        if (activity) handler(activity, button);
+    };
+    delegateActions(DOM.activityResult, {
+        favorite: withCard((activity, button) => toggleFavorite(activity, button)),
+        timer: withCard(activity => openTimerPanel(activity)),
+        schedule: withCard(activity => openPlanner(activity)),
+        share: withCard((activity, button) => shareActivity(activity, button.dataset.target)),
+        'share-settings': () => openPanel(DOM.sharePanel),
+        outcome: withCard((activity, button) => markActivityOutcome(activity.id, button.dataset.outcome, true))
+    });
+    
+    delegateActions(DOM.timerContainer, {
+        'timer-toggle': () => (state.timerSession && state.timerSession.endsAt === null ? resumeTimer() : pauseTimer()),
+        'timer-add': () => addTimerTime(),
+        'timer-stop': () => stopTimer(),
+        outcome: button => markActivityOutcome(state.outcomePrompt, button.dataset.outcome),
+        'outcome-dismiss': () => {
+            state.outcomePrompt = null;
+            updateTimerDisplay();
+        }
+    });
+    
+    // Choice card buttons carry the index of their card
+    const withChoice = handler => button => handler(Number(button.dataset.index));
+    delegateActions(DOM.choiceList, {
+        choose: withChoice(chooseActivity),
+        reroll: withChoice(rerollChoice),
+        veto: withChoice(vetoChoice)
+    });
+    
+    DOM.dayBtn.addEventListener('click', () => showActivityOfTheDay());
+    window.addEventListener('hashchange', openPermalink);
+    
+    // Background tabs throttle the timer's and planner's intervals; catch up when the
+    // tab is shown
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) return;
+        tickTimer();
+        logPastPlans();
+    });
 }
 
-// Make sure to call initialize when the DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM Content Loaded'); // Debug log
-    initialize();
-});
-
-// ==========================================================================
-// Helper Functions
-// ==========================================================================
-
-/**
- * Save favorites to local storage with error handling
- */
-function saveFavorites() {
+// localStorage, or null where reading it throws (e.g. storage blocked for the site)
+function getLocalStorage() {
     try {
-        const favoritesArray = Array.from(state.favoriteActivities);
-        localStorage.setItem('favoriteActivities', JSON.stringify(favoritesArray));
-        console.log('Favorites saved successfully');
+        return window.localStorage;
     } catch (error) {
-        console.error('Error saving favorites:', error);
-        showError('Failed to save favorites. Please try again.', 'error');
+        return null;
     }
 }
 
 /**
- * Load favorites from local storage with error handling
+ * Open the store, reporting data it can't read or write, and keep this tab in step
+ * with what other tabs save
  */
-function loadFavorites() {
-    try {
-        const savedFavorites = localStorage.getItem('favoriteActivities');
-        if (savedFavorites) {
-            const favoritesArray = JSON.parse(savedFavorites);
-            state.favoriteActivities = new Set(favoritesArray);
-            console.log('Favorites loaded successfully');
-            return true;
-        }
-    } catch (error) {
-        console.error('Error loading favorites:', error);
-        showError('Failed to load saved favorites', 'error');
-    }
-    return false;
+function openStore() {
+    let errorToast = null;
+    store.on('error', ({ action, reason, error }) => {
+        console.error(`Error ${action === 'save' ? 'saving' : 'loading'} data (${reason}):`, error);
+        // A failing save fails again on every change; one toast at a time is enough
+        const showing = errorToast && toastQueue.visible.concat(toastQueue.waiting).includes(errorToast);
+        if (!showing) errorToast = showError(t(`store.${reason}`), 'error');
+    });
+    store.on('change', ({ keys }) => applyStoredChanges(keys));
+    store.open();
 }
 
 /**
- * Show Loading State
+ * Reload the parts of the state another tab changed, and refresh what shows them
+ * @param {string[]} keys - Changed store keys
  */
-function showLoading(show) {
-    console.log('Loading state:', show); // Debug log
+function applyStoredChanges(keys) {
+    const changed = (...names) => names.some(name => keys.includes(name));
     
-    if (show) {
-        state.isGenerating = true;
-        DOM.loadingElement.style.display = 'flex';
-        DOM.loadingElement.hidden = false;
-        DOM.loadingElement.classList.add('visible');
-        
-        // Add loading text
-        const loadingText = document.createElement('div');
-        loadingText.className = 'loading-text';
-        loadingText.textContent = 'Generating your activity...';
-        DOM.loadingElement.appendChild(loadingText);
-        
-        if (DOM.activityResult) {
-            DOM.activityResult.classList.remove('visible');
+    if (changed('locale')) {
+        loadLocale();
+        refreshTranslations();
+    }
+    if (changed('customCatalog', 'activitySources')) {
+        loadCustomCatalog();
+        loadSources();
+        buildCatalog();
+        initializeCategories();
+    }
+    if (changed(...Object.values(STORAGE_KEYS).flat(), 'customCatalog', 'activitySources')) {
+        generator.load();
+        updateCategoryButtons();
+        updateFilterControls();
+        updateSelectionControls();
+        updateHistory();
+        renderActivityCard();
+        renderChoices();
+    }
+    if (changed('timerSession', 'timerLog', 'timerSettings')) {
+        loadTimer();
+    }
+    if (changed('notificationSettings', 'nudges')) {
+        loadNotificationSettings();
+    }
+    if (changed('theme', 'customThemes')) {
+        loadThemes();
+    }
+    if (changed('shortcuts')) {
+        loadShortcuts();
+    }
+    if (changed('revealSettings')) {
+        loadRevealSettings();
+    }
+    if (changed('plans')) {
+        loadPlans();
+    }
+    if (changed('shareSettings')) {
+        loadShareSettings();
+        renderActivityCard();
+    }
+    
+    updateGenerateButtonState();
+    updateFilterSummary();
+    refreshOpenPanel();
+}
+
+/**
+ * Keep the UI in sync with the generator. Its events fire for every selection,
+ * favorite and history change made through it, whichever part of the app made it.
+ */
+function setupGeneratorEvents() {
+    generator.on('select', () => {
+        updateGenerateButtonState();
+        updateFilterSummary();
+    });
+    generator.on('favorite', () => updateFilterSummary());
+    generator.on('veto', () => updateFilterSummary());
+    generator.on('history', () => {
+        if (!state.isRevealing) updateHistory();
+    });
+    generator.on('error', ({ action, part, error }) => {
+        console.error(`Error ${action === 'save' ? 'saving' : 'loading'} ${part}:`, error);
+        if (STORAGE_ERROR_PARTS.includes(part)) showError(t(`storage.${action}.${part}`), 'error');
+    });
+}
+
+// Make sure to call initialize when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('DOM Content Loaded'); // Debug log
+    initialize();
+});
+
+// ==========================================================================
+// Helper Functions
+// ==========================================================================
+
+/**
+ * Save the user's custom catalog
+ */
+function saveCustomCatalog() {
+    store.set('customCatalog', state.customCatalog);
+}
+
+/**
+ * Load the user's custom catalog, dropping malformed entries
+ */
+function loadCustomCatalog() {
+    try {
+        const catalog = store.get('customCatalog', null);
+        if (!catalog) return;
+        state.customCatalog = {
+            categories: Array.isArray(catalog.categories)
+                ? catalog.categories.filter(entry => entry && typeof entry.key === 'string')
+                : [],
+            activities: Array.isArray(catalog.activities)
+                ? catalog.activities.filter(activity => typeof activity.id === 'string' &&
+                    typeof activity.category === 'string' && !getActivityFieldError(activity))
+                : [],
+            overrides: catalog.overrides && typeof catalog.overrides === 'object' ? catalog.overrides : {},
+            removed: Array.isArray(catalog.removed) ? catalog.removed : []
+        };
+    } catch (error) {
+        console.error('Error loading custom catalog:', error);
+        showError(t('catalog.loadError'), 'error');
+    }
+}
+
+/**
+ * Save the activity sources and their settings
+ */
+function saveSources() {
+    store.set('activitySources', state.sources);
+}
+
+/**
+ * Load the activity sources, dropping unusable ones. The local sources are always
+ * listed, so they can be turned back on.
+ */
+function loadSources() {
+    try {
+        const saved = store.get('activitySources', null);
+        if (!Array.isArray(saved)) return;
+        const sources = saved.map(normalizeSource).filter((source, index, list) => source &&
+            (SOURCE_TYPES[source.type].remote || source.id === source.type) &&
+            list.findIndex(item => item && item.id === source.id) === index);
+        state.sources = DEFAULT_SOURCES
+            .filter(source => !sources.some(item => item.id === source.id))
+            .map(source => ({ ...source }))
+            .concat(sources);
+    } catch (error) {
+        console.error('Error loading activity sources:', error);
+    }
+}
+
+/**
+ * Save the running timer, or clear it once it has stopped
+ */
+function saveTimerSession() {
+    if (state.timerSession) {
+        store.set('timerSession', state.timerSession);
+    } else {
+        store.remove('timerSession');
+    }
+}
+
+/**
+ * Save the timer session log
+ */
+function saveTimerLog() {
+    store.set('timerLog', state.timerLog);
+}
+
+/**
+ * Save the timer mode and cycle lengths last used
+ */
+function saveTimerSettings() {
+    store.set('timerSettings', state.timerSettings);
+}
+
+/**
+ * Load the timer settings, the session log and any timer left running, then
+ * finish the phases that ended while the page was closed
+ */
+function loadTimer() {
+    try {
+        const savedSettings = store.get('timerSettings', null);
+        if (savedSettings) {
+            state.timerSettings = {
+                mode: TIMER_MODES.includes(savedSettings.mode) ? savedSettings.mode : 'single',
+                ...normalizeTimerPlan(savedSettings)
+            };
+        }
+        
+        const savedLog = store.get('timerLog', []);
+        state.timerLog = (Array.isArray(savedLog) ? savedLog : [])
+            .filter(entry => entry && typeof entry.activityId === 'string' &&
+                !Number.isNaN(Date.parse(entry.endedAt)) && Number.isFinite(entry.minutes))
+            .slice(0, TIMER_LOG_LIMIT);
+        
+        const session = store.get('timerSession', null);
+        const isValid = session && typeof session.activityId === 'string' && TIMER_PHASES.includes(session.phase) &&
+            Number.isFinite(session.phaseLength) && Number.isFinite(session.remaining) &&
+            (session.endsAt === null || Number.isFinite(session.endsAt));
+        if (isValid) {
+            state.timerSession = { ...session, plan: normalizeTimerPlan(session.plan || {}) };
+            advanceTimer();
+            scheduleTimerTicks();
+            updateTimerDisplay();
+        } else if (state.timerSession || session) {
+            // Drop a malformed session, or stop a timer another tab stopped
+            if (session) store.remove('timerSession');
+            state.timerSession = null;
+            scheduleTimerTicks();
+            updateTimerDisplay();
+        }
+    } catch (error) {
+        console.error('Error loading timer:', error);
+        showError(t('timer.loadError'), 'error');
+    }
+}
+
+/**
+ * Clamp a timer plan's lengths to whole minutes within the allowed range
+ * @param {Object} plan - { work, shortBreak, longBreak, cycles }
+ * @returns {Object} Valid plan, with defaults for missing values
+ */
+function normalizeTimerPlan(plan) {
+    const clamp = (value, min, max, fallback) => {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    };
+    return {
+        work: clamp(plan.work, 1, TIMER_MAX_MINUTES, POMODORO_DEFAULTS.work),
+        shortBreak: clamp(plan.shortBreak, 0, TIMER_MAX_MINUTES, POMODORO_DEFAULTS.shortBreak),
+        longBreak: clamp(plan.longBreak, 0, TIMER_MAX_MINUTES, POMODORO_DEFAULTS.longBreak),
+        cycles: clamp(plan.cycles, 1, 12, POMODORO_DEFAULTS.cycles)
+    };
+}
+
+/**
+ * Save the alert settings and nudge schedule
+ */
+function saveNotificationSettings() {
+    store.set('notificationSettings', state.notificationSettings);
+    store.set('nudges', state.nudges);
+}
+
+/**
+ * Load the alert settings and nudge schedule, dropping malformed nudges
+ */
+function loadNotificationSettings() {
+    try {
+        const saved = store.get('notificationSettings', null);
+        if (saved) {
+            const defaults = state.notificationSettings;
+            const quietHours = saved.quietHours || {};
+            state.notificationSettings = {
+                browser: saved.browser === true,
+                sound: saved.sound !== false,
+                quietHours: {
+                    enabled: quietHours.enabled === true,
+                    start: isValidTimeOfDay(quietHours.start) ? quietHours.start : defaults.quietHours.start,
+                    end: isValidTimeOfDay(quietHours.end) ? quietHours.end : defaults.quietHours.end
+                },
+                snoozedUntil: Number.isFinite(saved.snoozedUntil) && saved.snoozedUntil > Date.now() ? saved.snoozedUntil : null
+            };
+        }
+        
+        const nudges = store.get('nudges', []);
+        state.nudges = (Array.isArray(nudges) ? nudges : []).filter(nudge => nudge &&
+            typeof nudge.id === 'string' && isValidTimeOfDay(nudge.time) &&
+            Array.isArray(nudge.days) && nudge.days.every(day => WEEKDAYS.includes(day)) &&
+            Array.isArray(nudge.categories));
+    } catch (error) {
+        console.error('Error loading notification settings:', error);
+    }
+}
+
+/**
+ * Save the custom themes
+ */
+function saveCustomThemes() {
+    store.set('customThemes', state.customThemes);
+}
+
+/**
+ * Load the custom themes and the theme preference, and apply the theme
+ */
+function loadThemes() {
+    try {
+        const saved = store.get('customThemes', []);
+        state.customThemes = (Array.isArray(saved) ? saved : [])
+            .map(normalizeCustomTheme)
+            .filter(theme => theme && /^theme-/.test(theme.id))
+            .slice(0, CUSTOM_THEME_LIMIT);
+        
+        const theme = store.get('theme', 'system');
+        state.theme = isKnownTheme(theme) ? theme : 'system';
+    } catch (error) {
+        console.error('Error loading themes:', error);
+    }
+    applyTheme();
+}
+
+/**
+ * Show Loading State
+ */
+function showLoading(show) {
+    console.log('Loading state:', show); // Debug log
+    
+    if (show) {
+        state.isGenerating = true;
+        DOM.loadingElement.style.display = 'flex';
+        DOM.loadingElement.hidden = false;
+        DOM.loadingElement.classList.add('visible');
+        
+        // Add loading text
+        const loadingText = document.createElement('div');
+        loadingText.className = 'loading-text';
+        loadingText.textContent = t('generate.loading');
+        DOM.loadingElement.appendChild(loadingText);
+        
+        if (DOM.activityResult) {
+            DOM.activityResult.classList.remove('visible');
         }
+        // Hold screen reader announcements until the result is on screen
+        DOM.resultArea.setAttribute('aria-busy', 'true');
         DOM.generateBtn.setAttribute('aria-busy', 'true');
         DOM.generateBtn.disabled = true;
     } else {
         state.isGenerating = false;
+        DOM.resultArea.setAttribute('aria-busy', 'false');
         DOM.loadingElement.classList.remove('visible');
         // Remove loading text
         const loadingText = DOM.loadingElement.querySelector('.loading-text');
@@ -567,31 +1576,28 @@ function showLoading(show) {
     }
 }
 
-// Show Error Message with enhanced feedback
-function showError(message, type = 'error', duration = 5000) {
-    const errorHTML = `
-        <div class="error-message ${type}" role="alert">
-            <i class="fas ${getErrorIcon(type)}" aria-hidden="true"></i>
-            <p>${message}</p>
-            ${type === 'warning' ? '<button class="error-close" aria-label="Dismiss message">×</button>' : ''}
-        </div>
-    `;
-    
-    DOM.errorContainer.innerHTML = errorHTML;
-    DOM.errorContainer.classList.add('visible');
-    
-    // Add click handler for close button
-    const closeBtn = DOM.errorContainer.querySelector('.error-close');
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => {
-            DOM.errorContainer.classList.remove('visible');
-        });
-    }
-    
-    // Auto-hide error with animation
-    setTimeout(() => {
-        DOM.errorContainer.classList.remove('visible');
-    }, duration);
+/**
+ * Show a toast message. Toasts stack; beyond TOAST_MAX_VISIBLE they wait in a queue.
+ * @param {string} message - Message text
+ * @param {string} type - Key of ERROR_TYPES
+ * @param {number} duration - Lifetime in ms; defaults to the type's duration
+ *                            Infinity keeps the toast up until it is dismissed.
+ * @param {Object[]} actions - Buttons to show: { label, onClick }. Clicking one dismisses the toast.
+ * @returns {Object} Toast, which can be passed to dismissToast()
+ */
+function showError(message, type = 'error', duration = (ERROR_TYPES[type] || ERROR_TYPES.error).duration, actions = []) {
+    const toast = {
+        message,
+        type: ERROR_TYPES[type] ? type : 'error',
+        remaining: actions.length ? Math.max(duration, TOAST_ACTION_MIN_DURATION) : duration,
+        actions,
+        element: null,
+        timer: null,
+        startedAt: 0
+    };
+    toastQueue.waiting.push(toast);
+    showQueuedToasts();
+    return toast;
 }
 
 /**
@@ -599,23 +1605,26 @@ function showError(message, type = 'error', duration = 5000) {
  */
 function initializeCategories() {
     // Clear existing buttons
-    DOM.categoriesSection.innerHTML = '';
+    DOM.categoriesSection.replaceChildren();
     
-    // Create buttons for each category
+    // Create buttons for each visible category
     Object.keys(activities).forEach(category => {
+        if (categoryInfo[category].hidden) return;
+        
+        const isSelected = state.selectedCategories.has(category);
         const button = document.createElement('button');
-        button.className = 'category-btn';
+        button.className = isSelected ? 'category-btn active' : 'category-btn';
         button.setAttribute('data-category', category);
-        button.setAttribute('aria-pressed', 'false');
+        button.setAttribute('aria-pressed', String(isSelected));
         
         // Add icon based on category
         const icon = document.createElement('i');
-        icon.className = `fas ${CATEGORY_ICONS[category] || 'fa-star'}`;
+        icon.className = `fas ${getCategoryIcon(category)}`;
         button.appendChild(icon);
         
         // Add category name
         const text = document.createElement('span');
-        text.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+        text.textContent = getCategoryLabel(category);
         button.appendChild(text);
         
         // Add click handler
@@ -626,11 +1635,232 @@ function initializeCategories() {
         
         DOM.categoriesSection.appendChild(button);
     });
+    updateShortcutHints();
+}
+
+/**
+ * Initialize Filter Panel
+ */
+function initializeFilters() {
+    DOM.filtersSection.replaceChildren();
+    
+    Object.entries(FILTER_OPTIONS).forEach(([key, config]) => {
+        const field = document.createElement('label');
+        field.className = 'filter-field';
+        
+        const text = document.createElement('span');
+        text.textContent = t(`filters.${key}.label`);
+        field.appendChild(text);
+        
+        const select = document.createElement('select');
+        select.className = 'filter-select';
+        select.dataset.filter = key;
+        config.options.forEach(({ value }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = t(`filters.${key}.${value || 'any'}`);
+            select.appendChild(option);
+        });
+        select.value = state.filters[key];
+        select.addEventListener('change', () => setFilter(key, select.value));
+        field.appendChild(select);
+        
+        DOM.filtersSection.appendChild(field);
+    });
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'filter-clear';
+    clearBtn.textContent = t('filters.clear');
+    clearBtn.addEventListener('click', clearFilters);
+    DOM.filtersSection.appendChild(clearBtn);
+    
+    const summary = document.createElement('p');
+    summary.className = 'filter-summary';
+    summary.setAttribute('aria-live', 'polite');
+    DOM.filtersSection.appendChild(summary);
+}
+
+/**
+ * Update a single filter value
+ * @param {string} key - Filter key from FILTER_OPTIONS
+ * @param {string} value - Selected option value ('' for any)
+ */
+function setFilter(key, value) {
+    generator.select({ filters: { [key]: value } });
+}
+
+// Reset every filter to "any"
+function clearFilters() {
+    generator.select({ filters: Object.fromEntries(Object.keys(state.filters).map(key => [key, ''])) });
+    updateFilterControls();
+}
+
+// Sync the filter selects with state
+function updateFilterControls() {
+    DOM.filtersSection.querySelectorAll('.filter-select').forEach(select => {
+        select.value = state.filters[select.dataset.filter];
+    });
+}
+
+// Show how many activities the current categories and filters leave
+function updateFilterSummary() {
+    const summary = DOM.filtersSection.querySelector('.filter-summary');
+    if (!summary) return;
+    
+    const clearBtn = DOM.filtersSection.querySelector('.filter-clear');
+    if (clearBtn) {
+        clearBtn.disabled = !validators.hasActiveFilters();
+    }
+    
+    if (!validators.canGenerate()) {
+        summary.textContent = t('filters.summary.needCategory');
+        summary.classList.remove('empty');
+        return;
+    }
+    
+    const count = generator.getCandidates().length;
+    const noun = state.selectionSettings.source === 'favorites' ? 'favorites' : 'activities';
+    summary.textContent = t(`filters.summary.${noun}`, { count });
+    if (count > 1 && state.selectionSettings.mode === 'smart') {
+        summary.textContent += ` · ${t('filters.summary.remaining', { count: generator.getRemainingInRound() })}`;
+    }
+    summary.classList.toggle('empty', count === 0);
+}
+
+/**
+ * Initialize the selection mode controls
+ */
+function initializeSelectionSettings() {
+    const settings = state.selectionSettings;
+    
+    const modeSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'data-setting': 'mode', 'aria-label': t('selection.mode') },
+        on: { change: event => setSelectionSetting('mode', event.target.value) }
+    }, Object.keys(SELECTION_MODES).map(value => createEl('option', { text: t(`selection.mode.${value}`), attrs: { value } })));
+    
+    const boostSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'data-setting': 'favoriteBoost', 'aria-label': t('selection.favoriteBoost') },
+        on: { change: event => setSelectionSetting('favoriteBoost', Number(event.target.value)) }
+    }, FAVORITE_BOOST_OPTIONS.map(({ value }) => createEl('option', { text: t('selection.favoriteBoost.option', { count: value }), attrs: { value } })));
+    
+    const sourceSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'data-setting': 'source', 'aria-label': t('selection.source') },
+        on: { change: event => setSelectionSetting('source', event.target.value) }
+    }, Object.keys(SELECTION_SOURCES).map(value => createEl('option', { text: t(`selection.source.${value}`), attrs: { value } })));
+    
+    const categoriesToggle = createEl('input', {
+        attrs: { type: 'checkbox', 'data-setting': 'favoritesInCategories' },
+        on: { change: event => setSelectionSetting('favoritesInCategories', event.target.checked) }
+    });
+    
+    const choicesSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'data-setting': 'choices', 'aria-label': t('selection.choices') },
+        on: { change: event => setSelectionSetting('choices', Number(event.target.value)) }
+    }, CHOICE_COUNTS.map(value => createEl('option', { text: t('selection.choices.option', { count: value }), attrs: { value } })));
+    
+    const balanceToggle = createEl('input', {
+        attrs: { type: 'checkbox', 'data-setting': 'balanceCategories' },
+        on: { change: event => setSelectionSetting('balanceCategories', event.target.checked) }
+    });
+    
+    DOM.selectionSection.replaceChildren(
+        sourceSelect,
+        createEl('label', { className: 'selection-toggle' }, [categoriesToggle, createEl('span', { text: t('selection.favoritesInCategories') })]),
+        modeSelect,
+        boostSelect,
+        createEl('label', { className: 'selection-toggle' }, [balanceToggle, createEl('span', { text: t('selection.balanceCategories') })]),
+        choicesSelect,
+        createEl('input', {
+            className: 'filter-select selection-seed',
+            attrs: {
+                type: 'text',
+                maxlength: 32,
+                placeholder: t('selection.seed.placeholder'),
+                'aria-label': t('selection.seed.label'),
+                title: t('selection.seed.hint')
+            },
+            on: { input: event => { state.seedInput = event.target.value; } }
+        }),
+        createEl('button', {
+            className: 'filter-clear selection-reset',
+            text: t('selection.newRound'),
+            attrs: { type: 'button' },
+            on: { click: resetShuffleBag }
+        }),
+        createEl('select', {
+            className: 'filter-select',
+            attrs: { 'data-reveal': 'mode', 'aria-label': t('reveal.mode') },
+            on: { change: event => setRevealSetting('mode', event.target.value) }
+        }, REVEAL_MODES.map(value => createEl('option', { text: t(`reveal.mode.${value}`), attrs: { value } }))),
+        createEl('select', {
+            className: 'filter-select',
+            attrs: { 'data-reveal': 'duration', 'aria-label': t('reveal.duration') },
+            on: { change: event => setRevealSetting('duration', Number(event.target.value)) }
+        }, REVEAL_DURATIONS.map(value => createEl('option', {
+            text: t('reveal.duration.option', { count: value / 1000 }),
+            attrs: { value }
+        })))
+    );
+    
+    modeSelect.value = settings.mode;
+    updateSelectionControls();
+}
+
+/**
+ * Update one selection setting
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ */
+function setSelectionSetting(key, value) {
+    generator.select({ settings: { [key]: value } });
+    updateSelectionControls();
+}
+
+// Sync the selection controls with state
+function updateSelectionControls() {
+    const settings = state.selectionSettings;
+    const isSmart = settings.mode === 'smart';
+    const enabled = {
+        source: true,
+        favoritesInCategories: settings.source === 'favorites',
+        mode: true,
+        favoriteBoost: isSmart,
+        balanceCategories: isSmart,
+        choices: true
+    };
+    
+    DOM.selectionSection.querySelectorAll('[data-setting]').forEach(control => {
+        const key = control.dataset.setting;
+        if (control.type === 'checkbox') {
+            control.checked = settings[key];
+        } else {
+            control.value = String(settings[key]);
+        }
+        control.disabled = !enabled[key];
+    });
+    
+    const resetBtn = DOM.selectionSection.querySelector('.selection-reset');
+    if (resetBtn) resetBtn.hidden = !isSmart;
+    
+    // Choice cards are shown without a reveal
+    updateRevealControls();
+}
+
+// Forget which activities were drawn so the next pick can be anything
+function resetShuffleBag() {
+    generator.resetRound();
+    updateFilterSummary();
+    showError(t('selection.roundStarted'), 'info');
 }
 
 // Get appropriate icon for category
 function getCategoryIcon(category) {
-    return CATEGORY_ICONS[category] || 'fas fa-star';
+    return CATEGORY_ICONS[category] || 'fa-star';
 }
 
 // Highlight empty categories
@@ -657,6 +1887,24 @@ function highlightEmptyCategories() {
 function handleKeyboardNavigation(event) {
     const target = event.target;
     
+    // The shortcuts panel is waiting for a new key
+    if (state.shortcutCapture) {
+        captureShortcutKey(event);
+        return;
+    }
+    
+    // Close the open panel
+    if (event.key === 'Escape') {
+        const openPanelElement = document.querySelector('.panel:not([hidden])');
+        if (openPanelElement) {
+            event.preventDefault();
+            closePanel(openPanelElement);
+            return;
+        }
+    }
+    
+    if (handleShortcut(event)) return;
+    
     // Handle category buttons
     if (target.classList.contains('category-btn')) {
         switch (event.key) {
@@ -667,12 +1915,14 @@ function handleKeyboardNavigation(event) {
                 toggleCategory(category, target);
                 break;
             case 'ArrowRight':
-                event.preventDefault();
-                focusNextButton(target);
-                break;
             case 'ArrowLeft':
                 event.preventDefault();
-                focusPreviousButton(target);
+                // Right-to-left layouts put the next button on the left
+                if ((event.key === 'ArrowRight') === (document.documentElement.dir !== 'rtl')) {
+                    focusNextButton(target);
+                } else {
+                    focusPreviousButton(target);
+                }
                 break;
         }
     }
@@ -701,142 +1951,313 @@ function focusPreviousButton(currentButton) {
     prevButton.focus();
 }
 
-// Theme switch click handler
-DOM.themeSwitch.addEventListener('click', () => {
-    state.currentThemeIndex = (state.currentThemeIndex + 1) % Object.keys(THEMES).length;
-    const newTheme = Object.keys(THEMES)[state.currentThemeIndex];
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-    updateThemeIcon();
-});
-
 // Toggle Favorite
 function toggleFavorite(activity, button) {
     const icon = button.querySelector('i');
     
-    if (state.favoriteActivities.has(activity)) {
-        state.favoriteActivities.delete(activity);
+    if (state.favoriteActivities.has(activity.id)) {
+        removeFavoriteWithUndo(activity.id);
         icon.className = 'far fa-heart';
-        showError('Removed from favorites', 'info');
     } else {
-        state.favoriteActivities.add(activity);
+        addFavorite(activity.id);
         icon.className = 'fas fa-heart';
         // Add success animation
         button.classList.add('success-animation');
         setTimeout(() => {
             button.classList.remove('success-animation');
         }, 500);
-        showError('Added to favorites', 'success');
+        showError(t('favorites.added'), 'success');
     }
-    
-    // Save to localStorage
-    saveFavorites();
+    button.setAttribute('aria-label', state.favoriteActivities.has(activity.id) ? t('card.unfavorite') : t('card.favorite'));
 }
 
 // Timer Functions
-function toggleTimer(activity, button) {
-    if (state.timer) {
-        stopTimer();
-        button.innerHTML = '<i class="fas fa-clock"></i>';
-        button.setAttribute('aria-label', 'Start timer');
-        showError('Timer stopped');
-    } else {
-        startTimer(activity, button);
-        button.innerHTML = '<i class="fas fa-stop"></i>';
-        button.setAttribute('aria-label', 'Stop timer');
-        showError('Timer started');
+
+/**
+ * Start a timer for an activity, replacing any running one. A single countdown is a
+ * plan with one work phase and no breaks.
+ * @param {string} activityId - Activity the timer belongs to
+ * @param {Object} plan - { work, shortBreak, longBreak, cycles }, lengths in minutes
+ */
+function startTimer(activityId, plan) {
+    if (state.timerSession) {
+        stopTimer(false);
     }
+    
+    state.outcomePrompt = null;
+    state.timerSession = { activityId, plan, phase: 'work', cycle: 1, endsAt: null, remaining: 0 };
+    beginTimerPhase(Date.now());
+    saveTimerSession();
+    scheduleTimerTicks();
+    updateTimerDisplay();
 }
 
-function startTimer(activity, button) {
-    // Default duration: 30 minutes
-    state.timerDuration = 30 * 60;
-    updateTimerDisplay();
-    
-    state.timer = setInterval(() => {
-        state.timerDuration--;
-        updateTimerDisplay();
-        
-        if (state.timerDuration <= 0) {
-            stopTimer();
-            button.innerHTML = '<i class="fas fa-clock"></i>';
-            button.setAttribute('aria-label', 'Start timer');
-            showError('Time\'s up! How was your activity?');
-        }
-    }, 1000);
+/**
+ * Start the current phase of the timer session
+ * @param {number} startTime - When the phase started, in ms since the epoch
+ */
+function beginTimerPhase(startTime) {
+    const session = state.timerSession;
+    const length = session.plan[session.phase] * 60 * 1000;
+    session.phaseStartedAt = new Date(startTime).toISOString();
+    session.phaseLength = length;
+    session.endsAt = startTime + length;
+    session.remaining = length;
 }
 
-function stopTimer() {
-    if (state.timer) {
-        clearInterval(state.timer);
-        state.timer = null;
-        state.timerDuration = 0;
-        updateTimerDisplay();
+/**
+ * Work out which phase follows the current one
+ * @param {Object} session - Timer session
+ * @returns {Object|null} { phase, cycle }, or null if the session is over
+ */
+function getNextTimerPhase(session) {
+    const { plan, phase, cycle } = session;
+    if (phase === 'longBreak') return null;
+    if (phase === 'shortBreak') return { phase: 'work', cycle: cycle + 1 };
+    if (cycle < plan.cycles) {
+        return plan.shortBreak > 0 ? { phase: 'shortBreak', cycle } : { phase: 'work', cycle: cycle + 1 };
     }
+    return plan.longBreak > 0 ? { phase: 'longBreak', cycle } : null;
 }
 
-function updateTimerDisplay() {
-    const minutes = Math.floor(state.timerDuration / 60);
-    const seconds = state.timerDuration % 60;
-    const display = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-    
-    DOM.timerContainer.innerHTML = state.timer ? `
-        <div class="timer">
-            <i class="fas fa-clock"></i>
-            <span>${display}</span>
-        </div>
-    ` : '';
-}
-
-// Enhanced Share Activity
-function shareActivity(activity, platform) {
-    const text = `I'm going to: ${activity}`;
-    const url = window.location.href;
-    
-    let shareUrl;
-    switch (platform) {
-        case 'twitter':
-            shareUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(url)}`;
-            break;
-        case 'facebook':
-            shareUrl = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}&quote=${encodeURIComponent(text)}`;
-            break;
-        case 'whatsapp':
-            shareUrl = `https://wa.me/?text=${encodeURIComponent(text + ' ' + url)}`;
+/**
+ * Time left in the current phase
+ * @param {number} now - Current time in ms since the epoch
+ * @returns {number} Milliseconds left, 0 if there is no timer
+ */
+function getTimerRemaining(now = Date.now()) {
+    const session = state.timerSession;
+    if (!session) return 0;
+    return session.endsAt === null ? session.remaining : Math.max(0, session.endsAt - now);
+}
+
+/**
+ * Finish every phase whose end time has passed. Phases that ended while the page
+ * was closed are finished at the time they actually ended.
+ * @param {number} now - Current time in ms since the epoch
+ */
+function advanceTimer(now = Date.now()) {
+    const session = state.timerSession;
+    if (!session || session.endsAt === null || session.endsAt > now) return;
+    
+    let message = '';
+    while (state.timerSession && state.timerSession.endsAt !== null && state.timerSession.endsAt <= now) {
+        const endedAt = session.endsAt;
+        if (session.phase === 'work') {
+            logTimerSession(session, endedAt, true);
+        }
+        
+        const next = getNextTimerPhase(session);
+        if (!next) {
+            state.timerSession = null;
+            state.outcomePrompt = session.activityId;
+            message = t('timer.done');
             break;
-        default:
-            if (navigator.share) {
-                navigator.share({
-                    title: 'Random Activity',
-                    text: text,
-                    url: url
-                }).catch(error => {
-                    console.error('Error sharing:', error);
-                });
-                return;
-            }
-            // Fallback to clipboard
-            const textArea = document.createElement('textarea');
-            textArea.value = text;
-            document.body.appendChild(textArea);
-            textArea.select();
-            document.execCommand('copy');
-            document.body.removeChild(textArea);
-            showError('Activity copied to clipboard!');
-            return;
+        }
+        
+        session.phase = next.phase;
+        session.cycle = next.cycle;
+        beginTimerPhase(endedAt);
+        message = next.phase === 'work'
+            ? t('timer.breakOver', { cycle: next.cycle, cycles: session.plan.cycles, title: getActivityTitle(session.activityId) })
+            : t(`timer.roundDone.${next.phase}`, { duration: formatDuration(session.plan[next.phase]) });
     }
     
-    window.open(shareUrl, '_blank', 'width=600,height=400');
+    saveTimerSession();
+    scheduleTimerTicks();
+    updateTimerDisplay();
+    if (message) notify(message, { tag: 'timer' });
 }
 
-// Reset Generator
-function resetGenerator() {
-    state.selectedCategories.clear();
-    document.querySelectorAll('.category-btn').forEach(button => {
-        button.classList.remove('active');
-        button.setAttribute('aria-pressed', 'false');
+// Refresh the timer once a second, catching up on any phase that has ended
+function tickTimer() {
+    advanceTimer();
+    updateTimerClock();
+}
+
+// Run the timer's interval only while a timer is counting down
+function scheduleTimerTicks() {
+    const running = Boolean(state.timerSession && state.timerSession.endsAt !== null);
+    if (running && !state.timer) {
+        state.timer = setInterval(tickTimer, 1000);
+    } else if (!running && state.timer) {
+        clearInterval(state.timer);
+        state.timer = null;
+    }
+}
+
+// Pause the running timer, keeping the time left
+function pauseTimer() {
+    const session = state.timerSession;
+    if (!session || session.endsAt === null) return;
+    session.remaining = getTimerRemaining();
+    session.endsAt = null;
+    saveTimerSession();
+    scheduleTimerTicks();
+    updateTimerDisplay();
+}
+
+// Resume a paused timer
+function resumeTimer() {
+    const session = state.timerSession;
+    if (!session || session.endsAt !== null) return;
+    session.endsAt = Date.now() + session.remaining;
+    saveTimerSession();
+    scheduleTimerTicks();
+    updateTimerDisplay();
+}
+
+/**
+ * Add time to the current phase
+ * @param {number} minutes - Minutes to add
+ */
+function addTimerTime(minutes = TIMER_ADD_MINUTES) {
+    const session = state.timerSession;
+    if (!session) return;
+    const extra = minutes * 60 * 1000;
+    session.phaseLength += extra;
+    if (session.endsAt === null) {
+        session.remaining += extra;
+    } else {
+        session.endsAt += extra;
+    }
+    saveTimerSession();
+    updateTimerClock();
+}
+
+/**
+ * Stop the timer. Work already done in the current phase is logged as stopped early.
+ * @param {boolean} notify - Show a confirmation message
+ */
+function stopTimer(notify = true) {
+    const session = state.timerSession;
+    if (!session) return;
+    
+    if (session.phase === 'work') {
+        logTimerSession(session, Date.now(), false);
+    }
+    state.timerSession = null;
+    saveTimerSession();
+    scheduleTimerTicks();
+    updateTimerDisplay();
+    if (notify) showError(t('timer.stopped'));
+}
+
+/**
+ * Add a finished work phase to the session log. Phases stopped before a full
+ * minute of work are not logged.
+ * @param {Object} session - Timer session
+ * @param {number} endedAt - When the phase ended, in ms since the epoch
+ * @param {boolean} completed - False if the user stopped it early
+ */
+function logTimerSession(session, endedAt, completed) {
+    const worked = completed ? session.phaseLength : session.phaseLength - getTimerRemaining(endedAt);
+    const minutes = Math.round(worked / 60000);
+    if (minutes < 1) return;
+    
+    state.timerLog.unshift({
+        activityId: session.activityId,
+        startedAt: session.phaseStartedAt,
+        endedAt: new Date(endedAt).toISOString(),
+        minutes,
+        completed
     });
-    updateGenerateButtonState();
+    if (state.timerLog.length > TIMER_LOG_LIMIT) {
+        state.timerLog.length = TIMER_LOG_LIMIT;
+    }
+    saveTimerLog();
+}
+
+/**
+ * Format milliseconds as a countdown, e.g. "04:59" or "1:04:59"
+ * @param {number} ms - Milliseconds
+ * @returns {string} Countdown text
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds % 3600 / 60).toString().padStart(2, '0');
+    const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+    return hours ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Describe the current phase, e.g. "Work · round 2 of 4"
+ * @param {Object} session - Timer session
+ * @returns {string} Phase label
+ */
+function getTimerPhaseLabel(session) {
+    if (session.plan.cycles === 1 && session.phase === 'work') {
+        return session.endsAt === null ? t('timer.paused') : '';
+    }
+    const label = session.phase === 'work'
+        ? t('timer.round', { cycle: session.cycle, cycles: session.plan.cycles })
+        : t(`timer.phase.${session.phase}`);
+    return session.endsAt === null ? t('timer.phasePaused', { phase: label }) : label;
+}
+
+/**
+ * Render the floating timer from state: the running timer's controls, or a prompt
+ * asking how the activity went once it has finished. Buttons are handled by
+ * delegation (see setupEventListeners).
+ */
+function updateTimerDisplay() {
+    const session = state.timerSession;
+    const control = (action, icon, label) => createEl('button', {
+        className: 'icon-btn',
+        attrs: { type: 'button', 'aria-label': label, title: label, 'data-action': action, 'data-focus-key': action }
+    }, [createIcon(icon)]);
+    
+    if (session) {
+        const paused = session.endsAt === null;
+        render(DOM.timerContainer, [
+            createEl('div', { className: `timer${paused ? ' paused' : ''}${session.phase !== 'work' ? ' on-break' : ''}` }, [
+                createIcon(session.phase === 'work' ? 'fa-clock' : 'fa-coffee'),
+                createEl('span', { className: 'timer-activity', text: getActivityTitle(session.activityId) }),
+                createEl('span', { className: 'timer-phase', text: getTimerPhaseLabel(session) }),
+                createEl('span', { className: 'timer-time', text: formatCountdown(getTimerRemaining()) }),
+                control('timer-toggle', paused ? 'fa-play' : 'fa-pause', paused ? t('timer.resume') : t('timer.pause')),
+                control('timer-add', 'fa-plus', t('timer.add', { count: TIMER_ADD_MINUTES })),
+                control('timer-stop', 'fa-stop', t('timer.stop'))
+            ])
+        ]);
+    } else if (state.outcomePrompt) {
+        // Ask how the timed activity went
+        render(DOM.timerContainer, [
+            createEl('div', { className: 'timer outcome-prompt' }, [
+                createEl('span', {}, translateToNodes('timer.outcomePrompt', {
+                    title: createEl('span', { className: 'timer-activity', text: getActivityTitle(state.outcomePrompt) })
+                })),
+                ...Object.entries(OUTCOMES).map(([outcome, { icon }]) => {
+                    const button = control('outcome', icon, t(`outcome.${outcome}`));
+                    button.dataset.outcome = outcome;
+                    button.dataset.focusKey = `outcome-${outcome}`;
+                    return button;
+                }),
+                control('outcome-dismiss', 'fa-minus', t('app.dismiss'))
+            ])
+        ]);
+    } else {
+        render(DOM.timerContainer, []);
+    }
+    
+    if (!DOM.timerPanel.hidden) {
+        renderTimerPanel();
+    }
+}
+
+// Update the countdown text without rebuilding the timer controls
+function updateTimerClock() {
+    const text = formatCountdown(getTimerRemaining());
+    document.querySelectorAll('.timer-time').forEach(element => {
+        element.textContent = text;
+    });
+}
+
+// Reset Generator
+function resetGenerator() {
+    generator.select({ categories: [] });
+    updateCategoryButtons();
     DOM.resultArea.classList.remove('visible');
 }
 
@@ -909,49 +2330,5606 @@ Common Debugging Techniques:
    - Show user-friendly error messages
 */
 
-// Add saveSelectedCategories function
-function saveSelectedCategories() {
-    try {
-        const categories = Array.from(state.selectedCategories);
-        localStorage.setItem('selectedCategories', JSON.stringify(categories));
-    } catch (error) {
-        console.error('Error saving selected categories:', error);
-    }
-}
-
 // Update the loadSavedState function
 function loadSavedState() {
     try {
-        // Load favorites
-        loadFavorites();
-        
-        // Load theme
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme) {
-            document.documentElement.setAttribute('data-theme', savedTheme);
-            state.currentThemeIndex = Object.keys(THEMES).indexOf(savedTheme);
-            updateThemeIcon();
-        }
-        
-        // Load last selected categories
-        const savedCategories = localStorage.getItem('selectedCategories');
-        if (savedCategories) {
-            const categories = JSON.parse(savedCategories);
-            categories.forEach(category => {
-                if (validators.isValidCategory(category)) {
-                    state.selectedCategories.add(category);
-                    const button = document.querySelector(`[data-category="${category}"]`);
-                    if (button) {
-                        button.classList.add('active');
-                        button.setAttribute('aria-pressed', 'true');
-                    }
-                }
-            });
-        }
+        // Load the selected categories, favorites, filters, history, selection mode and
+        // the current smart-mode round
+        generator.load();
+        updateCategoryButtons();
+        updateFilterControls();
+        updateSelectionControls();
+        updateHistory();
+        
+        // Resume a timer left running, and the session log
+        loadTimer();
+        
+        // Load alert settings and start checking the nudge schedule
+        loadNotificationSettings();
+        startNudgeChecks();
+        
+        // Load the custom themes and apply the saved theme, following the system by default
+        loadThemes();
+        watchSystemTheme();
+        
+        // Load the keyboard shortcuts the user remapped
+        loadShortcuts();
+        
+        // Load the reveal style, falling back to an instant reveal for reduced motion
+        loadRevealSettings();
+        watchReducedMotion();
+        
+        // Load the planner and put plans whose time passed while the app was closed
+        // into the history
+        loadPlans();
+        startPlanChecks();
+        
+        // Load the share buttons the user picked
+        loadShareSettings();
         
         console.log('State loaded successfully');
     } catch (error) {
         console.error('Error loading saved state:', error);
-        showError('Error loading saved preferences', 'error');
+        showError(t('app.loadError'), 'error');
+    }
+}
+
+// ==========================================================================
+// Panels
+// ==========================================================================
+
+// Render functions that refresh a panel's body each time it opens, keyed by panel id
+const PANEL_RENDERERS = {
+    'catalog-editor': renderCatalogEditor,
+    'backup-panel': renderBackupPanel,
+    'history-panel': renderHistoryPanel,
+    'favorites-panel': renderFavoritesPanel,
+    'timer-panel': renderTimerPanel,
+    'stats-panel': renderStatsPanel,
+    'notifications-panel': renderNotificationsPanel,
+    'sources-panel': renderSourcesPanel,
+    'themes-panel': renderThemesPanel,
+    'shortcuts-panel': renderShortcutsPanel,
+    'vetoes-panel': renderVetoesPanel,
+    'planner-panel': renderPlannerPanel,
+    'share-panel': renderSharePanel
+};
+
+// Element to return focus to when the open panel closes
+let panelReturnFocus = null;
+
+/**
+ * Turn an element into a hidden dialog panel with a header and an empty body
+ * @param {HTMLElement} panel - Panel element
+ * @param {string} id - Panel id, referenced by toolbar buttons' data-panel
+ * @param {string} titleKey - Message key of the panel heading
+ */
+function setupPanel(panel, id, titleKey) {
+    panel.className = 'panel';
+    panel.id = id;
+    panel.hidden = true;
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', `${id}-title`);
+    
+    panel.appendChild(createEl('div', { className: 'panel-content' }, [
+        createEl('header', { className: 'panel-header' }, [
+            createEl('h2', { text: t(titleKey), attrs: { id: `${id}-title`, 'data-i18n': titleKey } }),
+            createEl('button', {
+                className: 'panel-close',
+                text: '×',
+                attrs: { type: 'button', 'aria-label': t('panel.close'), 'data-i18n-label': 'panel.close' },
+                on: { click: () => closePanel(panel) }
+            })
+        ]),
+        createEl('div', { className: 'panel-body' })
+    ]));
+    
+    // Clicking the backdrop closes the panel
+    panel.addEventListener('click', event => {
+        if (event.target === panel) closePanel(panel);
+    });
+    
+    document.body.appendChild(panel);
+}
+
+/**
+ * Open a panel, closing any other open panel first
+ * @param {HTMLElement} panel - Panel element
+ */
+function openPanel(panel) {
+    if (!panel) return;
+    document.querySelectorAll('.panel:not([hidden])').forEach(openOne => {
+        if (openOne !== panel) closePanel(openOne);
+    });
+    
+    if (panel.hidden) {
+        panelReturnFocus = document.activeElement;
+    }
+    
+    const render = PANEL_RENDERERS[panel.id];
+    if (render) render();
+    
+    panel.hidden = false;
+    document.body.classList.add('panel-open');
+    panel.querySelector('.panel-close').focus();
+}
+
+/**
+ * Close a panel and return focus to where it was opened from
+ * @param {HTMLElement} panel - Panel element
+ */
+function closePanel(panel) {
+    if (panel === DOM.shortcutsPanel) state.shortcutCapture = null;
+    panel.hidden = true;
+    document.body.classList.remove('panel-open');
+    if (panelReturnFocus && document.contains(panelReturnFocus)) {
+        panelReturnFocus.focus();
+    }
+    panelReturnFocus = null;
+}
+
+// Re-render the open panel, if any, after the state it shows changed
+function refreshOpenPanel() {
+    const panel = document.querySelector('.panel:not([hidden])');
+    if (panel && PANEL_RENDERERS[panel.id]) PANEL_RENDERERS[panel.id]();
+}
+
+/**
+ * Get a panel's body element
+ * @param {HTMLElement} panel - Panel element
+ * @returns {HTMLElement} Body element
+ */
+function getPanelBody(panel) {
+    return panel.querySelector('.panel-body');
+}
+
+/**
+ * Replace a panel's body, keeping focus on the element with the same data-focus-key
+ * @param {HTMLElement} panel - Panel element
+ * @param {Node[]} children - New body content
+ */
+function renderPanelBody(panel, children) {
+    render(getPanelBody(panel), children);
+}
+
+/**
+ * Create a Font Awesome icon element
+ * @param {string} iconClass - Icon class, e.g. 'fa-star'
+ * @param {string} style - Icon style prefix
+ * @returns {HTMLElement} Icon element
+ */
+function createIcon(iconClass, style = 'fas') {
+    return createEl('i', { className: `${style} ${iconClass}`, attrs: { 'aria-hidden': 'true' } });
+}
+
+/**
+ * Create a small icon-only button
+ * @param {string} iconClass - Icon class
+ * @param {string} label - Accessible label
+ * @param {Function} onClick - Click handler
+ * @param {Object} attrs - Extra attributes
+ * @returns {HTMLElement} Button element
+ */
+function createIconButton(iconClass, label, onClick, attrs = {}) {
+    return createEl('button', {
+        className: 'icon-btn',
+        attrs: { type: 'button', 'aria-label': label, title: label, ...attrs },
+        on: { click: onClick }
+    }, [createIcon(iconClass)]);
+}
+
+// ==========================================================================
+// Catalog Editor
+// ==========================================================================
+
+/**
+ * Render the catalog editor panel from the live catalog
+ */
+function renderCatalogEditor() {
+    const editor = state.catalogEditor;
+    if (editor.category && !activities[editor.category]) {
+        editor.category = null;
+        editor.activityId = null;
+    }
+    
+    const keys = Object.keys(activities);
+    const disabled = state.sources.filter(source => !source.enabled && !SOURCE_TYPES[source.type].remote);
+    const children = [
+        createEl('h3', { text: t('catalog.categories') }),
+        createEl('ul', { className: 'editor-list' }, keys.map((category, index) => renderCategoryRow(category, index, keys.length))),
+        renderAddCategoryForm()
+    ];
+    
+    if (disabled.length) {
+        children.unshift(createEl('p', {
+            className: 'backup-hint',
+            text: t('catalog.sourcesOff', { count: disabled.length, sources: i18n.formatList(disabled.map(getSourceLabel)) })
+        }));
+    }
+    
+    if (editor.category) {
+        children.push(renderActivityEditor(editor.category));
+    }
+    
+    children.push(createEl('button', {
+        className: 'editor-reset',
+        text: t('catalog.reset'),
+        attrs: { type: 'button' },
+        on: { click: resetCatalog }
+    }));
+    
+    renderPanelBody(DOM.catalogEditor, children);
+}
+
+/**
+ * Render one category row of the editor
+ * @param {string} category - Category key
+ * @param {number} index - Position in the catalog
+ * @param {number} total - Number of categories
+ * @returns {HTMLElement} List item
+ */
+function renderCategoryRow(category, index, total) {
+    const info = categoryInfo[category];
+    const editor = state.catalogEditor;
+    const count = activities[category].filter(activity => !activity.source).length;
+    const classes = ['editor-row'];
+    if (info.hidden) classes.push('is-hidden');
+    if (editor.category === category) classes.push('is-selected');
+    
+    const row = createEl('li', { className: classes.join(' ') }, [
+        createEl('button', {
+            className: 'icon-btn editor-icon-btn',
+            attrs: {
+                type: 'button',
+                'aria-label': t('catalog.changeIcon', { name: info.label }),
+                'aria-expanded': String(editor.iconPickerFor === category),
+                'data-focus-key': `icon-${category}`
+            },
+            on: { click: () => toggleIconPicker(category) }
+        }, [createIcon(info.icon)]),
+        createEl('input', {
+            className: 'editor-input',
+            attrs: { type: 'text', value: info.label, maxlength: 40, 'aria-label': t('catalog.categoryName', { name: info.label }) },
+            on: { change: event => renameCategory(category, event.target.value) }
+        }),
+        createEl('button', {
+            className: 'editor-count-btn',
+            text: t('catalog.activityCount', { count }),
+            attrs: {
+                type: 'button',
+                'aria-pressed': String(editor.category === category),
+                'aria-label': t('catalog.editActivities', { name: info.label }),
+                'data-focus-key': `activities-${category}`
+            },
+            on: { click: () => selectEditorCategory(category) }
+        }),
+        createIconButton('fa-arrow-up', t('catalog.moveUp', { name: info.label }), () => moveCategory(category, -1),
+            { disabled: index === 0, 'data-focus-key': `up-${category}` }),
+        createIconButton('fa-arrow-down', t('catalog.moveDown', { name: info.label }), () => moveCategory(category, 1),
+            { disabled: index === total - 1, 'data-focus-key': `down-${category}` }),
+        createIconButton(info.hidden ? 'fa-eye-slash' : 'fa-eye', t(info.hidden ? 'catalog.show' : 'catalog.hide', { name: info.label }),
+            () => toggleCategoryHidden(category), { 'data-focus-key': `hide-${category}` }),
+        createIconButton('fa-trash', t('catalog.delete', { name: info.label }), () => deleteCategory(category))
+    ]);
+    
+    if (editor.iconPickerFor === category) {
+        row.appendChild(renderIconPicker(info.icon, icon => setCategoryIcon(category, icon)));
+    }
+    
+    return row;
+}
+
+/**
+ * Render an icon picker grid
+ * @param {string} selected - Currently selected icon
+ * @param {Function} onPick - Called with the chosen icon class
+ * @returns {HTMLElement} Picker element
+ */
+function renderIconPicker(selected, onPick) {
+    return createEl('div', { className: 'icon-picker', attrs: { role: 'group', 'aria-label': t('catalog.chooseIcon') } },
+        ICON_CHOICES.map(icon => createEl('button', {
+            className: 'icon-picker-option',
+            attrs: { type: 'button', 'aria-label': icon.replace('fa-', '').replace(/-/g, ' '), 'aria-pressed': String(icon === selected) },
+            on: { click: () => onPick(icon) }
+        }, [createIcon(icon)]))
+    );
+}
+
+/**
+ * Render the "add category" form
+ * @returns {HTMLElement} Form element
+ */
+function renderAddCategoryForm() {
+    const editor = state.catalogEditor;
+    const newIcon = editor.newIcon || 'fa-star';
+    const input = createEl('input', {
+        className: 'editor-input',
+        attrs: { type: 'text', name: 'label', maxlength: 40, placeholder: t('catalog.newCategory'), 'aria-label': t('catalog.newCategory') }
+    });
+    
+    const form = createEl('form', {
+        className: 'editor-form editor-add-category',
+        on: {
+            submit: event => {
+                event.preventDefault();
+                addCategory(input.value, newIcon);
+            }
+        }
+    }, [
+        createEl('button', {
+            className: 'icon-btn editor-icon-btn',
+            attrs: {
+                type: 'button',
+                'aria-label': t('catalog.newCategoryIcon'),
+                'aria-expanded': String(editor.iconPickerFor === '__new__'),
+                'data-focus-key': 'icon-new'
+            },
+            on: { click: () => toggleIconPicker('__new__') }
+        }, [createIcon(newIcon)]),
+        input,
+        createEl('button', { className: 'editor-submit', text: t('catalog.addCategory'), attrs: { type: 'submit' } })
+    ]);
+    
+    if (editor.iconPickerFor === '__new__') {
+        form.appendChild(renderIconPicker(newIcon, icon => {
+            editor.newIcon = icon;
+            editor.iconPickerFor = null;
+            renderCatalogEditor();
+        }));
+    }
+    
+    return form;
+}
+
+/**
+ * Render the activity list and form for one category
+ * @param {string} category - Category key
+ * @returns {HTMLElement} Editor section
+ */
+function renderActivityEditor(category) {
+    const editor = state.catalogEditor;
+    const editing = editor.activityId ? findActivityById(editor.activityId) : null;
+    
+    // Activities from remote sources aren't the user's to edit
+    const items = activities[category].filter(activity => !activity.source).map(activity => createEl('li', { className: 'editor-row' }, [
+        createEl('span', { className: 'editor-activity-title', text: activity.title }),
+        createEl('span', { className: 'editor-activity-meta', text: [formatDuration(activity.duration), t(`filters.cost.${activity.cost}`), t(`filters.setting.${activity.setting}`)].join(' · ') }),
+        createIconButton('fa-pen', t('catalog.editActivity', { title: activity.title }), () => editActivity(activity.id),
+            { 'data-focus-key': `edit-${activity.id}` }),
+        createIconButton('fa-trash', t('catalog.removeActivity', { title: activity.title }), () => removeActivity(activity.id))
+    ]));
+    
+    const heading = t('catalog.activitiesIn', { name: getCategoryLabel(category) });
+    return createEl('section', { className: 'editor-activities', attrs: { 'aria-label': heading } }, [
+        createEl('h3', { text: heading }),
+        items.length
+            ? createEl('ul', { className: 'editor-list' }, items)
+            : createEl('p', { className: 'editor-empty', text: t('catalog.noActivities') }),
+        renderActivityForm(category, editing)
+    ]);
+}
+
+/**
+ * Render the add/edit activity form
+ * @param {string} category - Category the activity belongs to
+ * @param {Object|null} editing - Activity being edited, or null to add a new one
+ * @returns {HTMLElement} Form element
+ */
+function renderActivityForm(category, editing) {
+    const values = editing || { title: '', duration: 30, cost: 'free', setting: 'indoor', participants: 1, energy: 'medium' };
+    const field = (label, control) => createEl('label', { className: 'filter-field' }, [createEl('span', { text: label }), control]);
+    const select = (name) => {
+        const control = createEl('select', { className: 'filter-select', attrs: { name } },
+            FILTER_OPTIONS[name].options.filter(option => option.value).map(option =>
+                createEl('option', { text: t(`filters.${name}.${option.value}`), attrs: { value: option.value } })));
+        control.value = values[name];
+        return control;
+    };
+    
+    const form = createEl('form', {
+        className: 'editor-form editor-activity-form',
+        on: {
+            submit: event => {
+                event.preventDefault();
+                saveActivityForm(category, event.target);
+            }
+        }
+    }, [
+        field(t('activityForm.title'), createEl('input', { attrs: { type: 'text', name: 'title', value: values.title, maxlength: 120, required: true } })),
+        field(t('activityForm.minutes'), createEl('input', { attrs: { type: 'number', name: 'duration', value: values.duration, min: 1, max: 1440, required: true } })),
+        field(t('filters.cost.label'), select('cost')),
+        field(t('filters.setting.label'), select('setting')),
+        field(t('activityForm.participants'), createEl('input', { attrs: { type: 'number', name: 'participants', value: values.participants, min: 1, max: 100, required: true } })),
+        field(t('filters.energy.label'), select('energy')),
+        createEl('button', { className: 'editor-submit', text: editing ? t('activityForm.save') : t('activityForm.add'), attrs: { type: 'submit' } })
+    ]);
+    
+    if (editing) {
+        form.appendChild(createEl('button', {
+            className: 'editor-cancel',
+            text: t('app.cancel'),
+            attrs: { type: 'button' },
+            on: { click: () => editActivity(null) }
+        }));
+    }
+    
+    return form;
+}
+
+/**
+ * Persist a catalog edit and refresh everything that shows the catalog
+ * @param {string} message - Optional success message
+ */
+function commitCatalogChange(message) {
+    saveCustomCatalog();
+    buildCatalog();
+    initializeCategories();
+    updateGenerateButtonState();
+    updateFilterSummary();
+    renderCatalogEditor();
+    if (message) {
+        showError(message, 'success');
+    }
+}
+
+/**
+ * Make sure every built-in category has an entry in the custom category list,
+ * so the list alone describes order and settings
+ */
+function ensureCategoryEntries() {
+    const entries = state.customCatalog.categories;
+    Object.keys(BUILTIN_ACTIVITIES).forEach(key => {
+        if (!entries.some(entry => entry.key === key)) {
+            entries.push({ key });
+        }
+    });
+}
+
+/**
+ * Get the saved settings entry for a category
+ * @param {string} category - Category key
+ * @returns {Object|undefined} Entry from state.customCatalog.categories
+ */
+function getCategoryEntry(category) {
+    ensureCategoryEntries();
+    return state.customCatalog.categories.find(entry => entry.key === category);
+}
+
+/**
+ * Check whether another category already uses a label
+ * @param {string} label - Proposed label
+ * @param {string} except - Category key to ignore
+ * @returns {boolean} True if the label is taken
+ */
+function isCategoryLabelTaken(label, except) {
+    return Object.keys(categoryInfo).some(key =>
+        key !== except && categoryInfo[key].label.toLowerCase() === label.toLowerCase());
+}
+
+/**
+ * Create a unique key for a new category
+ * @param {string} label - Category label
+ * @returns {string} Category key
+ */
+function createCategoryKey(label) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+    const taken = key => Object.prototype.hasOwnProperty.call(BUILTIN_ACTIVITIES, key) ||
+        state.customCatalog.categories.some(entry => entry.key === key);
+    let key = `custom-${slug}`;
+    for (let suffix = 2; taken(key); suffix++) {
+        key = `custom-${slug}-${suffix}`;
+    }
+    return key;
+}
+
+/**
+ * Create a unique id for a new activity
+ * @returns {string} Activity id
+ */
+function createActivityId() {
+    return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Add a new category
+ * @param {string} label - Category label
+ * @param {string} icon - Icon class from ICON_CHOICES
+ */
+function addCategory(label, icon) {
+    const name = label.trim();
+    if (!name) {
+        showError(t('catalog.nameRequired'), 'warning');
+        return;
+    }
+    if (isCategoryLabelTaken(name)) {
+        showError(t('catalog.nameTaken'), 'warning');
+        return;
+    }
+    
+    ensureCategoryEntries();
+    const key = createCategoryKey(name);
+    state.customCatalog.categories.push({ key, label: name, icon, hidden: false });
+    state.catalogEditor.category = key;
+    state.catalogEditor.activityId = null;
+    state.catalogEditor.newIcon = 'fa-star';
+    commitCatalogChange(t('catalog.categoryAdded', { name }));
+}
+
+/**
+ * Rename a category. Its key, and so history and saved selections, stay the same.
+ * @param {string} category - Category key
+ * @param {string} label - New label
+ */
+function renameCategory(category, label) {
+    const name = label.trim();
+    if (!name) {
+        showError(t('catalog.nameEmpty'), 'warning');
+        renderCatalogEditor();
+        return;
+    }
+    if (isCategoryLabelTaken(name, category)) {
+        showError(t('catalog.nameTaken'), 'warning');
+        renderCatalogEditor();
+        return;
+    }
+    
+    getCategoryEntry(category).label = name;
+    commitCatalogChange();
+}
+
+/**
+ * Open or close the icon picker for a category
+ * @param {string} category - Category key, or '__new__' for the add form
+ */
+function toggleIconPicker(category) {
+    const editor = state.catalogEditor;
+    editor.iconPickerFor = editor.iconPickerFor === category ? null : category;
+    renderCatalogEditor();
+}
+
+/**
+ * Change a category's icon
+ * @param {string} category - Category key
+ * @param {string} icon - Icon class from ICON_CHOICES
+ */
+function setCategoryIcon(category, icon) {
+    if (!ICON_CHOICES.includes(icon)) return;
+    getCategoryEntry(category).icon = icon;
+    state.catalogEditor.iconPickerFor = null;
+    commitCatalogChange();
+}
+
+/**
+ * Hide or show a category's button
+ * @param {string} category - Category key
+ */
+function toggleCategoryHidden(category) {
+    const entry = getCategoryEntry(category);
+    entry.hidden = !entry.hidden;
+    commitCatalogChange(entry.hidden ? `Hid "${getCategoryLabel(category)}"` : `Showing "${getCategoryLabel(category)}"`);
+}
+
+/**
+ * Move a category up or down in the order
+ * @param {string} category - Category key
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveCategory(category, offset) {
+    ensureCategoryEntries();
+    const entries = state.customCatalog.categories;
+    const visible = entries.filter(entry => !entry.deleted);
+    const index = visible.findIndex(entry => entry.key === category);
+    const target = visible[index + offset];
+    if (index === -1 || !target) return;
+    
+    const from = entries.indexOf(visible[index]);
+    const to = entries.indexOf(target);
+    [entries[from], entries[to]] = [entries[to], entries[from]];
+    commitCatalogChange();
+}
+
+/**
+ * Delete a category and its activities
+ * @param {string} category - Category key
+ */
+function deleteCategory(category) {
+    const label = getCategoryLabel(category);
+    const count = activities[category].filter(activity => !activity.source).length;
+    if (!window.confirm(t('catalog.confirmDelete', { name: label, count }))) return;
+    
+    const custom = state.customCatalog;
+    custom.activities = custom.activities.filter(activity => activity.category !== category);
+    
+    if (categoryInfo[category].builtin) {
+        getCategoryEntry(category).deleted = true;
+    } else {
+        custom.categories = custom.categories.filter(entry => entry.key !== category);
+    }
+    
+    if (state.catalogEditor.category === category) {
+        state.catalogEditor.category = null;
+        state.catalogEditor.activityId = null;
     }
-} 
\ No newline at end of file
+    commitCatalogChange(t('catalog.deleted', { name: label }));
+}
+
+/**
+ * Show a category's activities in the editor
+ * @param {string} category - Category key
+ */
+function selectEditorCategory(category) {
+    const editor = state.catalogEditor;
+    editor.category = editor.category === category ? null : category;
+    editor.activityId = null;
+    renderCatalogEditor();
+}
+
+/**
+ * Load an activity into the editor form
+ * @param {string|null} id - Activity id, or null to go back to adding
+ */
+function editActivity(id) {
+    state.catalogEditor.activityId = id;
+    renderCatalogEditor();
+    const titleInput = DOM.catalogEditor.querySelector('.editor-activity-form [name="title"]');
+    if (titleInput) titleInput.focus();
+}
+
+/**
+ * Add or update an activity from the editor form
+ * @param {string} category - Category key
+ * @param {HTMLFormElement} form - Activity form
+ */
+function saveActivityForm(category, form) {
+    const fields = {
+        title: form.elements.title.value.trim(),
+        duration: Number(form.elements.duration.value),
+        cost: form.elements.cost.value,
+        setting: form.elements.setting.value,
+        participants: Number(form.elements.participants.value),
+        energy: form.elements.energy.value
+    };
+    
+    const error = getActivityFieldError(fields);
+    if (error) {
+        showError(error, 'warning');
+        return;
+    }
+    
+    const title = fields.title;
+    const custom = state.customCatalog;
+    const id = state.catalogEditor.activityId;
+    const base = id ? findBuiltinActivity(id) : undefined;
+    // An untouched translated title stays the built-in one, so it follows the language
+    if (base && fields.title === i18n.activityTitle(id)) {
+        fields.title = base.title;
+    }
+    
+    if (!id) {
+        custom.activities.push({ id: createActivityId(), category, ...fields });
+        commitCatalogChange(t('catalog.activityAdded', { title }));
+        return;
+    }
+    
+    const customActivity = custom.activities.find(activity => activity.id === id);
+    if (customActivity) {
+        Object.assign(customActivity, fields);
+    } else {
+        custom.overrides[id] = fields;
+    }
+    state.catalogEditor.activityId = null;
+    commitCatalogChange(t('catalog.activitySaved', { title }));
+}
+
+/**
+ * Remove an activity from the catalog
+ * @param {string} id - Activity id
+ */
+function removeActivity(id) {
+    const custom = state.customCatalog;
+    const title = getActivityTitle(id);
+    
+    if (custom.activities.some(activity => activity.id === id)) {
+        custom.activities = custom.activities.filter(activity => activity.id !== id);
+    } else {
+        custom.removed.push(id);
+        delete custom.overrides[id];
+    }
+    
+    if (state.catalogEditor.activityId === id) {
+        state.catalogEditor.activityId = null;
+    }
+    commitCatalogChange(t('catalog.activityRemoved', { title }));
+}
+
+/**
+ * Discard every catalog edit and go back to the built-in catalog
+ */
+function resetCatalog() {
+    if (!window.confirm(t('catalog.confirmReset'))) return;
+    state.customCatalog = { categories: [], activities: [], overrides: {}, removed: [] };
+    state.catalogEditor.category = null;
+    state.catalogEditor.activityId = null;
+    state.catalogEditor.iconPickerFor = null;
+    commitCatalogChange(t('catalog.resetDone'));
+}
+
+// ==========================================================================
+// Import & Export
+// ==========================================================================
+
+/**
+ * Collect everything worth backing up into one JSON-serializable bundle
+ * @returns {Object} Export bundle
+ */
+function buildExportBundle() {
+    const data = generator.getExportData();
+    return createExportBundle({
+        customCatalog: state.customCatalog,
+        ...data,
+        preferences: { ...data.preferences, theme: state.theme, locale: state.locale }
+    });
+}
+
+/**
+ * Parse CSV text into rows keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {{ columns: string[], rows: Object[] }} Header and data rows
+ */
+function parseCSV(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    
+    const nonEmpty = records.filter(cells => cells.some(cell => cell.trim() !== ''));
+    const columns = (nonEmpty.shift() || []).map(column => column.trim());
+    const rows = nonEmpty.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+    return { columns, rows };
+}
+
+/**
+ * Offer content as a file download
+ * @param {string} fileName - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = createEl('a', { attrs: { href: url, download: fileName } });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Today's date as YYYY-MM-DD, for export file names
+ * @returns {string} Date stamp
+ */
+function getDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Download the full JSON backup
+function exportJSON() {
+    downloadFile(`boredom-buster-${getDateStamp()}.json`, JSON.stringify(buildExportBundle(), null, 2), 'application/json');
+    showError(t('backup.downloaded'), 'success');
+}
+
+/**
+ * Download one dataset as CSV
+ * @param {string} dataset - Key of CSV_COLUMNS
+ */
+function exportCSV(dataset) {
+    const rows = generator.getCSVRows(dataset);
+    downloadFile(`boredom-buster-${dataset}-${getDateStamp()}.csv`, toCSV(CSV_COLUMNS[dataset], rows), 'text/csv');
+    showError(t(`backup.exported.${dataset}`, { count: rows.length }), 'success');
+}
+
+/**
+ * Create an empty parsed import
+ * @returns {Object} Parsed import with no sections
+ */
+function createEmptyImport() {
+    return {
+        sections: new Set(),
+        categories: [],
+        activities: [],
+        overrides: {},
+        removed: [],
+        favorites: [],
+        favoriteDetails: {},
+        history: [],
+        preferences: {},
+        invalid: []
+    };
+}
+
+/**
+ * Convert raw activity values (from JSON or CSV) into an activity record
+ * @param {Object} raw - Raw values
+ * @returns {Object} Activity fields with numbers parsed
+ */
+function normalizeActivityFields(raw) {
+    return {
+        title: typeof raw.title === 'string' ? raw.title.trim() : '',
+        duration: Number(raw.duration),
+        cost: String(raw.cost || '').toLowerCase(),
+        setting: String(raw.setting || '').toLowerCase(),
+        participants: Number(raw.participants),
+        energy: String(raw.energy || '').toLowerCase()
+    };
+}
+
+/**
+ * Read the outcome of an imported history entry
+ * @param {Object} item - Raw entry with outcome, outcomeAt and timestamp
+ * @returns {Object} { outcome, outcomeAt }, or an empty object if it has no valid outcome
+ */
+function getOutcomeFields(item) {
+    if (!OUTCOMES[item.outcome]) return {};
+    const outcomeAt = Number.isNaN(Date.parse(item.outcomeAt)) ? item.timestamp : item.outcomeAt;
+    return { outcome: item.outcome, outcomeAt: new Date(outcomeAt).toISOString() };
+}
+
+/**
+ * Validate a JSON export bundle and normalize its contents
+ * @param {Object} bundle - Parsed JSON
+ * @returns {Object} Parsed import
+ */
+function parseJSONBundle(bundle) {
+    if (!bundle || bundle.app !== 'boredom-buster' || typeof bundle.data !== 'object' || bundle.data === null) {
+        throw new Error(t('backup.error.notBackup'));
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > EXPORT_FORMAT_VERSION) {
+        throw new Error(t('backup.error.newer'));
+    }
+    
+    const parsed = createEmptyImport();
+    const { customCatalog, favorites, favoriteDetails, history, preferences } = bundle.data;
+    
+    if (customCatalog) {
+        parsed.sections.add('catalog');
+        const categoryKeys = new Set(Object.keys(BUILTIN_ACTIVITIES));
+        
+        (Array.isArray(customCatalog.categories) ? customCatalog.categories : []).forEach((entry, index) => {
+            if (!entry || typeof entry.key !== 'string' || !entry.key ||
+                (entry.label !== undefined && (typeof entry.label !== 'string' || !entry.label.trim() || entry.label.length > 40)) ||
+                (entry.icon !== undefined && !ICON_CHOICES.includes(entry.icon))) {
+                parsed.invalid.push(t('backup.invalid.category', { index: index + 1 }));
+                return;
+            }
+            categoryKeys.add(entry.key);
+            parsed.categories.push({
+                key: entry.key,
+                ...(entry.label !== undefined && { label: entry.label.trim() }),
+                ...(entry.icon !== undefined && { icon: entry.icon }),
+                ...(entry.hidden && { hidden: true }),
+                ...(entry.deleted && { deleted: true })
+            });
+        });
+        
+        (Array.isArray(customCatalog.activities) ? customCatalog.activities : []).forEach((raw, index) => {
+            const fields = normalizeActivityFields(raw || {});
+            const error = !raw || typeof raw.id !== 'string' || !raw.id ? t('backup.invalid.missingId') :
+                !categoryKeys.has(raw.category) ? t('backup.invalid.unknownCategory', { category: raw.category }) :
+                getActivityFieldError(fields);
+            if (error) {
+                parsed.invalid.push(t('backup.invalid.activity', { index: index + 1, title: fields.title || t('backup.untitled'), error }));
+                return;
+            }
+            parsed.activities.push({ id: raw.id, category: raw.category, ...fields });
+        });
+        
+        Object.entries(customCatalog.overrides && typeof customCatalog.overrides === 'object' ? customCatalog.overrides : {})
+            .forEach(([id, raw]) => {
+                const base = findBuiltinActivity(id);
+                const fields = base && normalizeActivityFields({ ...base, ...raw });
+                const error = !base ? t('backup.invalid.notBuiltin') : getActivityFieldError(fields);
+                if (error) {
+                    parsed.invalid.push(t('backup.invalid.edit', { id, error }));
+                    return;
+                }
+                parsed.overrides[id] = fields;
+            });
+        
+        parsed.removed = (Array.isArray(customCatalog.removed) ? customCatalog.removed : [])
+            .filter(id => typeof id === 'string' && findBuiltinActivity(id));
+    }
+    
+    if (favorites) {
+        parsed.sections.add('favorites');
+        (Array.isArray(favorites) ? favorites : []).forEach((id, index) => {
+            if (typeof id !== 'string' || !id) {
+                parsed.invalid.push(t('backup.invalid.favorite', { index: index + 1 }));
+                return;
+            }
+            parsed.favorites.push(id);
+        });
+        parsed.favoriteDetails = normalizeFavoriteDetails(favoriteDetails, parsed.favorites);
+    }
+    
+    if (history) {
+        parsed.sections.add('history');
+        (Array.isArray(history) ? history : []).forEach((item, index) => {
+            if (!isValidHistoryEntry(item)) {
+                parsed.invalid.push(t('backup.invalid.history', { index: index + 1 }));
+                return;
+            }
+            parsed.history.push({
+                activityId: item.activityId,
+                timestamp: new Date(item.timestamp).toISOString(),
+                categories: item.categories,
+                ...(typeof item.seed === 'string' && item.seed && { seed: item.seed }),
+                ...getOutcomeFields(item)
+            });
+        });
+    }
+    
+    if (preferences && typeof preferences === 'object') {
+        parsed.sections.add('preferences');
+        if (Array.isArray(preferences.selectedCategories)) {
+            parsed.preferences.selectedCategories = preferences.selectedCategories.filter(category => typeof category === 'string');
+        }
+        if (preferences.filters && typeof preferences.filters === 'object') {
+            parsed.preferences.filters = Object.fromEntries(Object.keys(FILTER_OPTIONS).map(key => {
+                const isKnownValue = FILTER_OPTIONS[key].options.some(option => option.value === preferences.filters[key]);
+                return [key, isKnownValue ? preferences.filters[key] : ''];
+            }));
+        }
+        if (preferences.selection && typeof preferences.selection === 'object') {
+            parsed.preferences.selection = normalizeSelectionSettings(preferences.selection);
+        }
+        if (HISTORY_LIMIT_OPTIONS.includes(preferences.historyLimit)) {
+            parsed.preferences.historyLimit = preferences.historyLimit;
+        }
+        if (typeof preferences.theme === 'string' && isKnownTheme(preferences.theme)) {
+            parsed.preferences.theme = preferences.theme;
+        }
+        if (preferences.locale === 'auto' || getLocales().some(({ locale }) => locale === preferences.locale)) {
+            parsed.preferences.locale = preferences.locale;
+        }
+    }
+    
+    return parsed;
+}
+
+/**
+ * Find a record in the built-in catalog
+ * @param {string} id - Activity id
+ * @returns {Object|undefined} Built-in activity record
+ */
+function findBuiltinActivity(id) {
+    for (const category of Object.keys(BUILTIN_ACTIVITIES)) {
+        const match = BUILTIN_ACTIVITIES[category].find(activity => activity.id === id);
+        if (match) return match;
+    }
+    return undefined;
+}
+
+/**
+ * Validate CSV rows and normalize them. The dataset is detected from the header.
+ * @param {string} text - CSV text
+ * @returns {Object} Parsed import
+ */
+function parseCSVImport(text) {
+    const { columns, rows } = parseCSV(text);
+    const has = names => names.every(name => columns.includes(name));
+    const parsed = createEmptyImport();
+    
+    if (has(['title', 'category', 'duration'])) {
+        parsed.sections.add('catalog');
+        const newCategories = {};
+        
+        rows.forEach((row, index) => {
+            const fields = normalizeActivityFields(row);
+            const error = !row.category ? t('backup.invalid.missingCategory') : getActivityFieldError(fields);
+            if (error) {
+                parsed.invalid.push(t('backup.invalid.row', { row: index + 2, title: fields.title || t('backup.untitled'), error }));
+                return;
+            }
+            
+            if (row.id && findBuiltinActivity(row.id)) {
+                parsed.overrides[row.id] = fields;
+                return;
+            }
+            
+            const category = resolveImportCategory(row.category, row.categoryLabel, newCategories, parsed);
+            parsed.activities.push({ id: row.id || createActivityId(), category, ...fields });
+        });
+    } else if (has(['activityId', 'timestamp'])) {
+        parsed.sections.add('history');
+        rows.forEach((row, index) => {
+            const item = {
+                activityId: row.activityId,
+                timestamp: row.timestamp,
+                categories: row.categories ? row.categories.split(';').map(category => category.trim()).filter(Boolean) : []
+            };
+            if (!isValidHistoryEntry(item)) {
+                parsed.invalid.push(t('backup.invalid.historyRow', { row: index + 2 }));
+                return;
+            }
+            item.timestamp = new Date(item.timestamp).toISOString();
+            parsed.history.push({ ...item, ...getOutcomeFields({ ...row, timestamp: item.timestamp }) });
+        });
+    } else if (has(['id'])) {
+        parsed.sections.add('favorites');
+        rows.forEach((row, index) => {
+            const activity = findActivityById(row.id) || (row.title && findActivityByTitle(row.title));
+            if (!row.id && !activity) {
+                parsed.invalid.push(t('backup.invalid.favoriteRow', { row: index + 2 }));
+                return;
+            }
+            const id = activity ? activity.id : row.id;
+            parsed.favorites.push(id);
+            parsed.favoriteDetails[id] = normalizeFavoriteDetails({ [id]: row }, [id])[id];
+        });
+    } else {
+        throw new Error(t('backup.error.columns'));
+    }
+    
+    return parsed;
+}
+
+/**
+ * Map a CSV category value to a category key, creating a new category entry if needed
+ * @param {string} value - Category key or label from the CSV
+ * @param {string} label - Optional categoryLabel column
+ * @param {Object} newCategories - Categories created so far, keyed by lowercased label
+ * @param {Object} parsed - Parsed import receiving new category entries
+ * @returns {string} Category key
+ */
+function resolveImportCategory(value, label, newCategories, parsed) {
+    if (Object.prototype.hasOwnProperty.call(BUILTIN_ACTIVITIES, value) || activities[value]) {
+        return value;
+    }
+    
+    const name = (label || value).trim();
+    const existing = Object.keys(categoryInfo).find(key => categoryInfo[key].label.toLowerCase() === name.toLowerCase());
+    if (existing) return existing;
+    
+    const lookup = name.toLowerCase();
+    if (!newCategories[lookup]) {
+        const usedKeys = new Set([...Object.keys(activities), ...parsed.categories.map(entry => entry.key)]);
+        let key = /^custom-[a-z0-9-]+$/.test(value) ? value : createCategoryKey(name);
+        for (let suffix = 2; usedKeys.has(key); suffix++) {
+            key = `${createCategoryKey(name)}-${suffix}`;
+        }
+        newCategories[lookup] = key;
+        parsed.categories.push({ key, label: name.slice(0, 40), icon: 'fa-star' });
+    }
+    return newCategories[lookup];
+}
+
+/**
+ * Parse an import file of either format
+ * @param {string} fileName - File name, used to pick the format
+ * @param {string} text - File content
+ * @returns {Object} Parsed import
+ */
+function parseImportFile(fileName, text) {
+    const looksLikeJSON = /\.json$/i.test(fileName) || /^\s*[{[]/.test(text);
+    if (looksLikeJSON) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(t('backup.error.json'));
+        }
+        return parseJSONBundle(bundle);
+    }
+    return parseCSVImport(text);
+}
+
+/**
+ * Work out what an import would change, without changing anything yet
+ * @param {Object} parsed - Parsed import
+ * @param {string} mode - 'merge' keeps existing data, 'replace' swaps out each imported section
+ * @returns {Object} Plan with the resulting state, counts, duplicates and skipped items
+ */
+function planImport(parsed, mode) {
+    const replace = mode === 'replace';
+    const clone = value => JSON.parse(JSON.stringify(value));
+    const plan = {
+        customCatalog: clone(state.customCatalog),
+        favorites: Array.from(state.favoriteActivities),
+        favoriteDetails: clone(state.favoriteDetails),
+        history: state.activityHistory.slice(),
+        preferences: parsed.preferences,
+        added: { categories: 0, activities: 0, edits: 0, favorites: 0, history: 0 },
+        duplicates: [],
+        skipped: []
+    };
+    
+    if (parsed.sections.has('catalog')) {
+        if (replace) {
+            plan.customCatalog = { categories: [], activities: [], overrides: {}, removed: [] };
+        }
+        const catalog = plan.customCatalog;
+        const categoryMap = {};
+        const labelOf = entry => entry.label || getCategoryLabel(entry.key);
+        
+        parsed.categories.forEach(entry => {
+            const existing = catalog.categories.find(current => current.key === entry.key);
+            if (existing) {
+                if (JSON.stringify(existing) !== JSON.stringify(entry)) {
+                    plan.duplicates.push(t('backup.duplicate.category', { name: labelOf(entry) }));
+                }
+                return;
+            }
+            const sameLabel = catalog.categories.find(current => !current.deleted &&
+                labelOf(current).toLowerCase() === labelOf(entry).toLowerCase());
+            if (sameLabel) {
+                categoryMap[entry.key] = sameLabel.key;
+                plan.duplicates.push(t('backup.duplicate.categoryMerged', { name: labelOf(entry) }));
+                return;
+            }
+            catalog.categories.push({ ...entry });
+            plan.added.categories++;
+        });
+        
+        const liveCategories = new Set(Object.keys(BUILTIN_ACTIVITIES).filter(key =>
+            !catalog.categories.some(entry => entry.key === key && entry.deleted)));
+        catalog.categories.forEach(entry => {
+            if (entry.deleted) liveCategories.delete(entry.key);
+            else liveCategories.add(entry.key);
+        });
+        
+        const known = new Map();
+        const remember = activity => {
+            known.set(activity.id, activity);
+            known.set(`${activity.category}|${activity.title.toLowerCase()}`, activity);
+        };
+        Object.keys(BUILTIN_ACTIVITIES).forEach(category => BUILTIN_ACTIVITIES[category].forEach(activity => {
+            remember({ ...activity, ...catalog.overrides[activity.id] });
+        }));
+        catalog.activities.forEach(remember);
+        
+        parsed.activities.forEach(raw => {
+            const activity = { ...raw, category: categoryMap[raw.category] || raw.category };
+            if (!liveCategories.has(activity.category)) {
+                plan.skipped.push(t('backup.skipped.category', { title: activity.title }));
+                return;
+            }
+            if (known.has(activity.id) || known.has(`${activity.category}|${activity.title.toLowerCase()}`)) {
+                plan.duplicates.push(t('backup.duplicate.activity', { title: activity.title }));
+                return;
+            }
+            catalog.activities.push(activity);
+            remember(activity);
+            plan.added.activities++;
+        });
+        
+        Object.entries(parsed.overrides).forEach(([id, fields]) => {
+            const base = findBuiltinActivity(id);
+            const current = { ...base, ...catalog.overrides[id] };
+            const unchanged = Object.keys(fields).every(key => fields[key] === current[key]);
+            if (unchanged) {
+                if (!replace) plan.duplicates.push(t('backup.duplicate.activity', { title: fields.title }));
+                return;
+            }
+            const differsFromBuiltin = Object.keys(fields).some(key => fields[key] !== base[key]);
+            if (differsFromBuiltin) {
+                catalog.overrides[id] = fields;
+                plan.added.edits++;
+            } else {
+                delete catalog.overrides[id];
+            }
+        });
+        
+        parsed.removed.forEach(id => {
+            if (!catalog.removed.includes(id)) catalog.removed.push(id);
+        });
+    }
+    
+    if (parsed.sections.has('favorites')) {
+        if (replace) {
+            plan.favorites = [];
+            plan.favoriteDetails = {};
+        }
+        const knownIds = new Set([
+            ...Object.values(BUILTIN_ACTIVITIES).flat().map(activity => activity.id),
+            ...plan.customCatalog.activities.map(activity => activity.id)
+        ]);
+        parsed.favorites.forEach(id => {
+            if (plan.favorites.includes(id)) {
+                plan.duplicates.push(t('backup.duplicate.favorite', { title: getActivityTitle(id) }));
+            } else if (!knownIds.has(id)) {
+                plan.skipped.push(t('backup.skipped.favorite', { id }));
+            } else {
+                plan.favorites.push(id);
+                plan.favoriteDetails[id] = parsed.favoriteDetails[id];
+                plan.added.favorites++;
+            }
+        });
+    }
+    
+    if (parsed.sections.has('history')) {
+        if (replace) plan.history = [];
+        const seen = new Set(plan.history.map(item => `${item.activityId}|${item.timestamp}`));
+        parsed.history.forEach(item => {
+            const key = `${item.activityId}|${item.timestamp}`;
+            if (seen.has(key)) {
+                plan.duplicates.push(t('backup.duplicate.history', { date: i18n.formatDate(item.timestamp, { dateStyle: 'medium', timeStyle: 'short' }) }));
+                return;
+            }
+            seen.add(key);
+            plan.history.push(item);
+            plan.added.history++;
+        });
+        plan.history.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        plan.history = plan.history.slice(0, state.historyLimit);
+    }
+    
+    return plan;
+}
+
+/**
+ * Apply a planned import to state, storage and the UI
+ * @param {Object} plan - Result of planImport()
+ */
+function applyImport(plan) {
+    state.customCatalog = plan.customCatalog;
+    saveCustomCatalog();
+    buildCatalog();
+    
+    state.favoriteActivities = new Set(plan.favorites);
+    state.favoriteDetails = normalizeFavoriteDetails(plan.favoriteDetails, plan.favorites);
+    generator.save('favorites');
+    renderActivityCard();
+    
+    state.activityHistory = plan.history;
+    generator.save('history');
+    updateHistory();
+    
+    const { selectedCategories, filters, selection, historyLimit, theme, locale } = plan.preferences;
+    if (historyLimit) {
+        state.historyLimit = historyLimit;
+        state.activityHistory = state.activityHistory.slice(0, historyLimit);
+        generator.save('history');
+    }
+    if (selectedCategories) {
+        generator.select({ categories: selectedCategories });
+    }
+    if (filters) {
+        state.filters = { ...state.filters, ...filters };
+        updateFilterControls();
+        generator.save('filters');
+    }
+    if (selection) {
+        state.selectionSettings = selection;
+        updateSelectionControls();
+        generator.save('selection');
+    }
+    if (theme) {
+        setTheme(theme);
+    }
+    if (locale) {
+        setLocale(locale);
+    }
+    
+    initializeCategories();
+    updateGenerateButtonState();
+    updateFilterSummary();
+}
+
+/**
+ * Summarize what an import plan adds, for the preview and the result message
+ * @param {Object} plan - Result of planImport()
+ * @returns {string} Summary, e.g. "3 activities, 2 favorites"
+ */
+function describeImportPlan(plan) {
+    const { added } = plan;
+    const parts = Object.keys(added)
+        .filter(part => added[part] > 0)
+        .map(part => t(`backup.added.${part}`, { count: added[part] }));
+    return parts.length ? i18n.formatList(parts) : t('backup.added.nothing');
+}
+
+/**
+ * Read a chosen file and show its import preview
+ * @param {File} file - File from the import input
+ */
+function handleImportFile(file) {
+    if (!file) return;
+    
+    file.text().then(text => {
+        const parsed = parseImportFile(file.name, text);
+        state.pendingImport = { fileName: file.name, parsed, mode: 'merge' };
+        renderBackupPanel();
+        
+        const plan = planImport(parsed, 'merge');
+        const problems = parsed.invalid.length + plan.skipped.length;
+        if (problems || plan.duplicates.length) {
+            showError(t('backup.problems', {
+                invalid: t('backup.invalidCount', { count: problems }),
+                duplicates: t('backup.duplicateCount', { count: plan.duplicates.length })
+            }), 'warning');
+        }
+    }).catch(error => {
+        console.error('Error reading import file:', error);
+        state.pendingImport = null;
+        renderBackupPanel();
+        showError(t('backup.importFailed', { error: error.message }), 'error');
+    });
+}
+
+// Apply the pending import after the user confirmed the preview
+function confirmImport() {
+    const pending = state.pendingImport;
+    if (!pending) return;
+    
+    const plan = planImport(pending.parsed, pending.mode);
+    const skipped = pending.parsed.invalid.length + plan.skipped.length + plan.duplicates.length;
+    
+    try {
+        applyImport(plan);
+    } catch (error) {
+        console.error('Error applying import:', error);
+        showError(t('backup.importUnchanged'), 'error');
+        return;
+    }
+    
+    state.pendingImport = null;
+    renderBackupPanel();
+    showError(
+        skipped
+            ? t('backup.importedSkipped', { added: describeImportPlan(plan), count: skipped })
+            : t('backup.imported', { added: describeImportPlan(plan) }),
+        skipped ? 'warning' : 'success'
+    );
+}
+
+/**
+ * Render the backup panel: export buttons, file picker and import preview
+ */
+function renderBackupPanel() {
+    const datasetSelect = createEl('select', { className: 'filter-select', attrs: { 'aria-label': t('backup.csvData') } },
+        Object.keys(CSV_COLUMNS).map(value => createEl('option', { text: t(`backup.csv.${value}`), attrs: { value } })));
+    
+    const children = [
+        createEl('h3', { text: t('backup.export') }),
+        createEl('p', { className: 'backup-hint', text: t('backup.exportHint') }),
+        createEl('div', { className: 'editor-form' }, [
+            createEl('button', {
+                className: 'editor-submit',
+                text: t('backup.downloadJSON'),
+                attrs: { type: 'button' },
+                on: { click: exportJSON }
+            }),
+            datasetSelect,
+            createEl('button', {
+                className: 'editor-count-btn',
+                text: t('backup.downloadCSV'),
+                attrs: { type: 'button' },
+                on: { click: () => exportCSV(datasetSelect.value) }
+            })
+        ]),
+        createEl('h3', { text: t('backup.import') }),
+        createEl('label', { className: 'filter-field' }, [
+            createEl('span', { text: t('backup.chooseFile') }),
+            createEl('input', {
+                className: 'backup-file',
+                attrs: { type: 'file', accept: '.json,.csv,application/json,text/csv', 'data-focus-key': 'import-file' },
+                on: { change: event => handleImportFile(event.target.files[0]) }
+            })
+        ])
+    ];
+    
+    if (state.pendingImport) {
+        children.push(renderImportPreview(state.pendingImport));
+    }
+    
+    renderPanelBody(DOM.backupPanel, children);
+}
+
+/**
+ * Render the preview of a pending import
+ * @param {Object} pending - state.pendingImport
+ * @returns {HTMLElement} Preview section
+ */
+function renderImportPreview(pending) {
+    const { parsed } = pending;
+    const plan = planImport(parsed, pending.mode);
+    const problems = [...parsed.invalid, ...plan.skipped];
+    
+    const modeOption = (value, label) => createEl('label', { className: 'backup-mode' }, [
+        createEl('input', {
+            attrs: { type: 'radio', name: 'import-mode', value, checked: pending.mode === value, 'data-focus-key': `mode-${value}` },
+            on: {
+                change: () => {
+                    pending.mode = value;
+                    renderBackupPanel();
+                }
+            }
+        }),
+        createEl('span', { text: label })
+    ]);
+    
+    const issueList = (title, items) => createEl('details', { className: 'backup-issues' }, [
+        createEl('summary', { text: t('backup.issues', { title, count: items.length }) }),
+        createEl('ul', {}, items.slice(0, 50).map(item => createEl('li', { text: item })))
+    ]);
+    
+    const children = [
+        createEl('h3', { text: t('backup.preview', { file: pending.fileName }) }),
+        createEl('p', {
+            text: parsed.sections.size
+                ? t('backup.contains', { sections: i18n.formatList(Array.from(parsed.sections, section => t(`backup.section.${section}`))) })
+                : t('backup.containsNothing')
+        }),
+        createEl('p', { className: 'backup-summary', text: t('backup.willAdd', { added: describeImportPlan(plan) }) }),
+        createEl('fieldset', { className: 'backup-modes' }, [
+            createEl('legend', { text: t('backup.mode') }),
+            modeOption('merge', t('backup.mode.merge')),
+            modeOption('replace', t('backup.mode.replace'))
+        ])
+    ];
+    
+    if (problems.length) children.push(issueList(t('backup.issues.invalid'), problems));
+    if (plan.duplicates.length) children.push(issueList(t('backup.issues.duplicates'), plan.duplicates));
+    
+    children.push(createEl('div', { className: 'editor-form' }, [
+        createEl('button', {
+            className: 'editor-submit',
+            text: t('backup.importButton'),
+            attrs: { type: 'button', disabled: parsed.sections.size === 0 },
+            on: { click: confirmImport }
+        }),
+        createEl('button', {
+            className: 'editor-cancel',
+            text: t('app.cancel'),
+            attrs: { type: 'button' },
+            on: {
+                click: () => {
+                    state.pendingImport = null;
+                    renderBackupPanel();
+                }
+            }
+        })
+    ]));
+    
+    return createEl('section', { className: 'backup-preview', attrs: { 'aria-label': t('backup.previewLabel') } }, children);
+}
+
+// ==========================================================================
+// Seeded Randomness & Permalinks
+// ==========================================================================
+
+/**
+ * Pick the activity that generating with a seed gives for the current selection and
+ * filters, without recording it
+ * @param {string} seed - Seed
+ * @returns {Object|undefined} Activity record, or undefined if nothing matches
+ */
+function pickSeededActivity(seed) {
+    if (generator.getCandidates().length === 0) return undefined;
+    return generator.pick(createRng(seed), true);
+}
+
+/**
+ * Build the URL hash for an activity card: #s=<seed>&c=<categories>&a=<activity id>
+ * @param {Object} activity - Activity record
+ * @param {string} seed - Seed it was generated with
+ * @param {string[]} categories - Selected category keys
+ * @returns {string} URL hash
+ */
+function buildPermalinkHash(activity, seed, categories) {
+    const params = new URLSearchParams();
+    if (seed) params.set('s', seed);
+    if (categories.length) params.set('c', categories.join(','));
+    params.set('a', activity.id);
+    return `#${params.toString()}`;
+}
+
+/**
+ * Get a shareable link to an activity card
+ * @param {Object} activity - Activity record
+ * @returns {string} Absolute URL
+ */
+function getPermalink(activity) {
+    const hash = state.currentActivityId === activity.id && state.currentHash
+        ? state.currentHash
+        : buildPermalinkHash(activity, '', Array.from(state.selectedCategories));
+    return `${window.location.href.split('#')[0]}${hash}`;
+}
+
+/**
+ * Read a permalink from a URL hash
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {Object|null} { seed, categories, activityId, day }, or null if the hash isn't a permalink
+ */
+function parsePermalinkHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const day = params.get('d');
+    if (day) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(day) && !Number.isNaN(Date.parse(day)) ? { day } : null;
+    }
+    
+    const activityId = params.get('a') || '';
+    const seed = params.get('s') || '';
+    const categories = (params.get('c') || '').split(',').filter(Boolean);
+    if (!activityId && !(seed && categories.length)) return null;
+    return { seed, categories, activityId };
+}
+
+/**
+ * Show the card described by the current URL hash, if it is a permalink
+ */
+function openPermalink() {
+    if (window.location.hash === state.currentHash) return;
+    const link = parsePermalinkHash(window.location.hash);
+    if (!link) return;
+    
+    if (link.day) {
+        showActivityOfTheDay(link.day);
+        return;
+    }
+    
+    const categories = link.categories.filter(category => validators.isValidCategory(category));
+    if (categories.length) {
+        generator.select({ categories });
+        updateCategoryButtons();
+    }
+    
+    const activity = (link.activityId && findActivityById(link.activityId)) ||
+        (link.seed && categories.length > 0 && pickSeededActivity(link.seed));
+    if (!activity) {
+        showError(t('permalink.missing'), 'warning');
+        return;
+    }
+    
+    displayActivity(activity, { seed: link.seed, label: { key: 'card.label.shared' }, hash: window.location.hash });
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD key
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+function getDateKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the activity of the day. It depends only on the date and the built-in catalog,
+ * so everyone gets the same pick on the same date. Days walk through a seeded
+ * shuffle of the catalog, so nothing repeats until every activity has had its day.
+ * A user who vetoed the day's activity gets the next one in the shuffle instead.
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Object|undefined} Activity record, or undefined if every activity is vetoed
+ */
+function getActivityOfTheDay(dateKey = getDateKey()) {
+    const pool = Object.keys(BUILTIN_ACTIVITIES).flatMap(category => BUILTIN_ACTIVITIES[category]);
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const dayNumber = Math.floor(Date.UTC(year, month - 1, day) / 86400000);
+    const round = Math.floor(dayNumber / pool.length);
+    const order = seededShuffle(pool, createRng(`day-round-${round}`));
+    const index = dayNumber - round * pool.length;
+    const pick = order.slice(index).concat(order.slice(0, index)).find(activity => !generator.isVetoed(activity.id));
+    if (!pick) return undefined;
+    
+    // Show the user's edited version if they changed it
+    return findActivityById(pick.id) || pick;
+}
+
+/**
+ * Show the activity of the day
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ */
+function showActivityOfTheDay(dateKey = getDateKey()) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const dateLabel = i18n.formatDate(new Date(year, month - 1, day), { month: 'long', day: 'numeric' });
+    const activity = getActivityOfTheDay(dateKey);
+    if (!activity) {
+        showAllVetoedError();
+        return;
+    }
+    displayActivity(activity, { label: { key: 'card.label.day', params: { date: dateLabel } }, hash: `#d=${dateKey}` });
+}
+
+// ==========================================================================
+// History View
+// ==========================================================================
+
+/**
+ * Render the history panel. The controls are built once per opening; typing in
+ * the search box only re-renders the list, so the input keeps focus and caret.
+ */
+function renderHistoryPanel() {
+    const view = state.historyView;
+    
+    const search = createEl('input', {
+        className: 'editor-input history-search',
+        attrs: { type: 'search', value: view.query, placeholder: t('history.search'), 'aria-label': t('history.search') },
+        on: {
+            input: event => {
+                view.query = event.target.value;
+                renderHistoryList();
+            }
+        }
+    });
+    
+    // Offer every category that appears in history, including ones since deleted
+    const recordedCategories = new Set(state.activityHistory.flatMap(item => item.categories));
+    const categorySelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'aria-label': t('history.categoryFilter') },
+        on: {
+            change: event => {
+                view.category = event.target.value;
+                renderHistoryList();
+            }
+        }
+    }, [
+        createEl('option', { text: t('history.allCategories'), attrs: { value: '' } }),
+        ...Array.from(recordedCategories).map(category => createEl('option', { text: getCategoryLabel(category), attrs: { value: category } }))
+    ]);
+    categorySelect.value = recordedCategories.has(view.category) ? view.category : '';
+    view.category = categorySelect.value;
+    
+    const limitSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'aria-label': t('history.limit') },
+        on: { change: event => setHistoryLimit(Number(event.target.value)) }
+    }, HISTORY_LIMIT_OPTIONS.map(limit => createEl('option', { text: t('history.keep', { count: limit }), attrs: { value: limit } })));
+    limitSelect.value = String(state.historyLimit);
+    
+    renderPanelBody(DOM.historyPanel, [
+        createEl('div', { className: 'editor-form history-controls' }, [search, categorySelect, limitSelect]),
+        createEl('p', { className: 'history-count', attrs: { 'aria-live': 'polite' } }),
+        createEl('div', { className: 'history-groups' }),
+        createEl('button', {
+            className: 'editor-reset',
+            text: t('history.clear'),
+            attrs: { type: 'button', disabled: state.activityHistory.length === 0 },
+            on: { click: clearHistory }
+        })
+    ]);
+    
+    renderHistoryList();
+}
+
+/**
+ * Get the history entries that match the search text and category filter
+ * @returns {Object[]} Matching history entries, newest first
+ */
+function getFilteredHistory() {
+    const query = state.historyView.query.trim().toLowerCase();
+    const category = state.historyView.category;
+    return state.activityHistory.filter(item =>
+        (!query || getActivityTitle(item.activityId).toLowerCase().includes(query)) &&
+        (!category || item.categories.includes(category)));
+}
+
+/**
+ * Label for a day heading in the history view
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {string} "Today", "Yesterday" or a formatted date
+ */
+function formatDayHeading(dateKey) {
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    if (dateKey === getDateKey(today)) return t('history.today');
+    if (dateKey === getDateKey(yesterday)) return t('history.yesterday');
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return i18n.formatDate(new Date(year, month - 1, day), { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Render the history list, grouped by day
+ */
+function renderHistoryList() {
+    const container = DOM.historyPanel.querySelector('.history-groups');
+    const count = DOM.historyPanel.querySelector('.history-count');
+    if (!container) return;
+    
+    const entries = getFilteredHistory();
+    const total = state.activityHistory.length;
+    count.textContent = entries.length === total
+        ? t('history.entries', { count: total })
+        : t('history.entriesShown', { shown: entries.length, count: total });
+    
+    if (entries.length === 0) {
+        container.replaceChildren(createEl('p', { className: 'editor-empty', text: total ? t('history.noMatches') : t('history.empty') }));
+        return;
+    }
+    
+    const groups = new Map();
+    entries.forEach(item => {
+        const dateKey = getDateKey(new Date(item.timestamp));
+        if (!groups.has(dateKey)) groups.set(dateKey, []);
+        groups.get(dateKey).push(item);
+    });
+    
+    container.replaceChildren(...Array.from(groups, ([dateKey, items]) => createEl('section', { className: 'history-day' }, [
+        createEl('h3', { text: formatDayHeading(dateKey) }),
+        createEl('ul', { className: 'editor-list' }, items.map(renderHistoryEntry))
+    ])));
+}
+
+/**
+ * Render one history entry
+ * @param {Object} item - History entry
+ * @returns {HTMLElement} List item
+ */
+function renderHistoryEntry(item) {
+    const title = getActivityTitle(item.activityId);
+    const time = i18n.formatDate(item.timestamp, { hour: '2-digit', minute: '2-digit' });
+    
+    return createEl('li', { className: 'editor-row history-entry' }, [
+        createEl('span', { className: 'history-entry-time', text: time }),
+        createEl('span', { className: 'editor-activity-title', text: title }),
+        item.planned
+            ? createEl('span', { className: 'history-entry-planned', attrs: { title: t('history.planned') } }, [
+                createIcon('fa-calendar-week'),
+                createEl('span', { className: 'sr-only', text: t('history.planned') })
+            ])
+            : null,
+        createEl('span', { className: 'history-entry-categories', text: i18n.formatList(item.categories.map(getCategoryLabel)) }),
+        createEl('select', {
+            className: 'filter-select history-outcome',
+            attrs: { 'aria-label': t('history.outcome', { title }) },
+            on: { change: event => setHistoryOutcome(item, event.target.value || null) }
+        }, [
+            createEl('option', { text: t('outcome.none'), attrs: { value: '' } }),
+            ...Object.keys(OUTCOMES).map(value => createEl('option', { text: t(`outcome.${value}`), attrs: { value, selected: item.outcome === value } }))
+        ]),
+        createIconButton('fa-redo', t('history.again', { title }), () => generateFromHistory(item),
+            { disabled: !findActivityById(item.activityId) }),
+        createIconButton('fa-trash', t('history.delete', { title }), () => deleteHistoryEntry(item))
+    ]);
+}
+
+/**
+ * Show a history entry's activity again, with its categories and seed, as a new pick
+ * @param {Object} item - History entry
+ */
+function generateFromHistory(item) {
+    const activity = findActivityById(item.activityId);
+    if (!activity) {
+        showError(t('activity.missing'), 'warning');
+        return;
+    }
+    
+    const categories = item.categories.filter(category => validators.isValidCategory(category));
+    if (categories.length) {
+        state.selectedCategories = new Set(categories);
+        initializeCategories();
+        updateGenerateButtonState();
+    }
+    
+    closePanel(DOM.historyPanel);
+    displayActivity(activity, { seed: item.seed || '' });
+    addToHistory(activity, item.seed);
+    updateFilterSummary();
+}
+
+/**
+ * Delete a single history entry
+ * @param {Object} item - History entry
+ */
+function deleteHistoryEntry(item) {
+    const index = state.activityHistory.indexOf(item);
+    if (index === -1) return;
+    state.activityHistory.splice(index, 1);
+    generator.save('history');
+    updateHistory();
+    renderHistoryList();
+    showUndo(t('history.deleted'), () => restoreHistory([item]));
+}
+
+// Remove every history entry
+function clearHistory() {
+    const cleared = state.activityHistory;
+    generator.clearHistory();
+    renderHistoryPanel();
+    showUndo(t('history.cleared'), () => restoreHistory(cleared));
+}
+
+/**
+ * Put deleted history entries back, in timestamp order among the current ones
+ * @param {Object[]} entries - Deleted entries
+ */
+function restoreHistory(entries) {
+    const restored = entries.filter(item => !state.activityHistory.includes(item));
+    state.activityHistory = state.activityHistory.concat(restored)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, state.historyLimit);
+    generator.save('history');
+    updateHistory();
+    renderActivityCard();
+    if (!DOM.historyPanel.hidden) renderHistoryPanel();
+}
+
+/**
+ * Change how many history entries are kept
+ * @param {number} limit - One of HISTORY_LIMIT_OPTIONS
+ */
+function setHistoryLimit(limit) {
+    if (!HISTORY_LIMIT_OPTIONS.includes(limit)) return;
+    const dropped = Math.max(0, state.activityHistory.length - limit);
+    if (dropped && !window.confirm(t('history.confirmLimit', { count: dropped }))) {
+        renderHistoryPanel();
+        return;
+    }
+    state.historyLimit = limit;
+    state.activityHistory = state.activityHistory.slice(0, limit);
+    generator.save('history');
+    updateHistory();
+    renderHistoryPanel();
+}
+
+// ==========================================================================
+// Favorites Library
+// ==========================================================================
+
+/**
+ * Save an activity as a favorite
+ * @param {string} id - Activity id
+ */
+function addFavorite(id) {
+    generator.favorite(id, true);
+}
+
+/**
+ * Remove an activity from the favorites, along with its note
+ * @param {string} id - Activity id
+ */
+function removeFavorite(id) {
+    generator.favorite(id, false);
+}
+
+/**
+ * Remove a favorite and offer to undo it, restoring its note and date
+ * @param {string} id - Activity id
+ */
+function removeFavoriteWithUndo(id) {
+    const details = state.favoriteDetails[id];
+    removeFavorite(id);
+    showUndo(t('favorites.removed'), () => {
+        generator.favorite(id, true, details);
+        renderActivityCard();
+        if (!DOM.favoritesPanel.hidden) renderFavoritesPanel();
+    });
+}
+
+/**
+ * Save the user's note on a favorite
+ * @param {string} id - Activity id
+ * @param {string} note - Note text
+ */
+function setFavoriteNote(id, note) {
+    generator.setNote(id, note);
+}
+
+/**
+ * Get the favorites as display entries, in the order chosen in the panel.
+ * Favorites whose activity has left the catalog are kept and sorted last.
+ * @returns {Object[]} { id, activity, title, categoryLabel, duration, addedAt, note }
+ */
+function getSortedFavorites() {
+    const entries = Array.from(state.favoriteActivities).map(id => {
+        const activity = findActivityById(id);
+        const details = state.favoriteDetails[id] || { addedAt: '', note: '' };
+        return {
+            id,
+            activity,
+            title: getActivityTitle(id),
+            categoryLabel: activity ? getCategoryLabel(activity.category) : '',
+            duration: activity ? activity.duration : Infinity,
+            addedAt: details.addedAt,
+            note: details.note
+        };
+    });
+    
+    const sort = FAVORITE_SORTS[state.favoritesView.sort] || FAVORITE_SORTS.added;
+    return entries.sort((a, b) => Number(!a.activity) - Number(!b.activity) || sort(a, b));
+}
+
+/**
+ * Render the favorites panel
+ */
+function renderFavoritesPanel() {
+    const favorites = getSortedFavorites();
+    
+    const sortSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'aria-label': t('favorites.sort'), 'data-focus-key': 'favorites-sort' },
+        on: {
+            change: event => {
+                state.favoritesView.sort = event.target.value;
+                renderFavoritesPanel();
+            }
+        }
+    }, Object.keys(FAVORITE_SORTS).map(value => createEl('option', { text: t('favorites.sortBy', { sort: t(`favorites.sort.${value}`) }), attrs: { value } })));
+    sortSelect.value = state.favoritesView.sort;
+    
+    const count = t('favorites.count', { count: favorites.length });
+    
+    renderPanelBody(DOM.favoritesPanel, [
+        createEl('div', { className: 'editor-form favorites-controls' }, [
+            createEl('p', { className: 'history-count', text: count }),
+            sortSelect
+        ]),
+        favorites.length
+            ? createEl('ul', { className: 'editor-list favorites-list' }, favorites.map(renderFavoriteEntry))
+            : createEl('p', { className: 'editor-empty', text: t('favorites.empty') })
+    ]);
+}
+
+/**
+ * Render one favorite with its details, note and actions
+ * @param {Object} entry - Entry from getSortedFavorites
+ * @returns {HTMLElement} List item
+ */
+function renderFavoriteEntry(entry) {
+    const { id, activity, title } = entry;
+    const details = activity
+        ? [entry.categoryLabel, formatDuration(activity.duration)]
+        : [t('favorites.missing')];
+    if (entry.addedAt) {
+        details.push(t('favorites.addedOn', { date: i18n.formatDate(entry.addedAt) }));
+    }
+    
+    return createEl('li', { className: `favorite-entry${activity ? '' : ' missing'}` }, [
+        createEl('div', { className: 'editor-row' }, [
+            createEl('span', { className: 'editor-activity-title', text: title }),
+            createIconButton('fa-eye', t('favorites.show', { title }), () => showFavorite(id), { disabled: !activity }),
+            createIconButton('fa-trash', t('favorites.remove', { title }), () => {
+                removeFavoriteWithUndo(id);
+                renderActivityCard();
+                renderFavoritesPanel();
+            })
+        ]),
+        createEl('p', { className: 'favorite-details', text: details.join(' · ') }),
+        createEl('textarea', {
+            className: 'editor-input favorite-note',
+            text: entry.note,
+            attrs: {
+                rows: 2,
+                maxlength: FAVORITE_NOTE_MAX_LENGTH,
+                placeholder: t('favorites.notePlaceholder'),
+                'aria-label': t('favorites.note', { title })
+            },
+            on: { change: event => setFavoriteNote(id, event.target.value) }
+        })
+    ]);
+}
+
+/**
+ * Show a favorite's card and close the panel
+ * @param {string} id - Activity id
+ */
+function showFavorite(id) {
+    const activity = findActivityById(id);
+    if (!activity) {
+        showError(t('activity.missing'), 'warning');
+        return;
+    }
+    closePanel(DOM.favoritesPanel);
+    displayActivity(activity, { label: { key: 'card.label.favorite' } });
+}
+
+// ==========================================================================
+// Choices & Vetoes
+// ==========================================================================
+
+/**
+ * Show cards to choose an activity from in place of the activity card
+ * @param {Object[]} choices - Activity records
+ */
+function showChoices(choices) {
+    state.choices = choices.map(activity => activity.id);
+    renderChoices();
+}
+
+// Take the choice cards off the screen
+function clearChoices() {
+    if (state.choices.length === 0) return;
+    state.choices = [];
+    renderChoices();
+}
+
+/**
+ * Render the choice cards from state, hiding them when there are none. Each card can
+ * be chosen, swapped for another candidate or vetoed. Buttons are handled by
+ * delegation (see setupEventListeners).
+ */
+function renderChoices() {
+    const choices = state.choices.map(findActivityById);
+    const control = (action, icon, label, index, disabled = false) => createEl('button', {
+        className: 'icon-btn',
+        attrs: { type: 'button', 'aria-label': label, title: label, 'data-action': action, 'data-index': index, 'data-focus-key': `${action}-${index}`, disabled }
+    }, [createIcon(icon)]);
+    DOM.choiceList.hidden = state.choices.length === 0;
+    if (state.choices.length === 0) {
+        DOM.choiceList.replaceChildren();
+        return;
+    }
+
+    DOM.activityResult.hidden = true;
+    DOM.resultArea.classList.add('visible');
+    render(DOM.choiceList, [
+        createEl('p', { className: 'choice-heading', text: t('choices.heading', { count: choices.length }) }),
+        createEl('ul', { className: 'choice-cards' }, choices.map((activity, index) => {
+            const title = activity ? activity.title : getActivityTitle(state.choices[index]);
+            return createEl('li', { className: 'activity-card choice-card' }, [
+                createEl('h3', { text: title }),
+                activity
+                    ? createEl('ul', { className: 'activity-meta', attrs: { 'aria-label': t('card.details') } }, renderActivityMeta(activity))
+                    : createEl('p', { className: 'editor-empty', text: t('activity.missing') }),
+                createEl('div', { className: 'choice-actions' }, [
+                    createEl('button', {
+                        className: 'choice-pick',
+                        attrs: {
+                            type: 'button',
+                            'aria-label': t('choices.chooseLabel', { title }),
+                            'data-action': 'choose',
+                            'data-index': index,
+                            'data-focus-key': `choose-${index}`,
+                            disabled: !activity
+                        }
+                    }, [createIcon('fa-check'), ` ${t('choices.choose')}`]),
+                    control('reroll', 'fa-redo', t('choices.reroll', { title }), index),
+                    // An activity that left the catalog can only be swapped
+                    control('veto', 'fa-eye-slash', t('choices.veto', { title }), index, !activity)
+                ])
+            ]);
+        }))
+    ]);
+}
+
+/**
+ * Choose one of the cards: record it in the history and show its activity card
+ * @param {number} index - Position of the card
+ */
+function chooseActivity(index) {
+    const activity = findActivityById(state.choices[index]);
+    if (!activity) return;
+
+    const entry = generator.record(activity);
+    displayActivity(activity, { entry });
+    updateFilterSummary();
+    DOM.activityResult.querySelector('[data-focus-key="favorite"]').focus();
+    showError(t('generate.success'), 'success', 3000);
+}
+
+/**
+ * Swap one card for another candidate that isn't on screen
+ * @param {number} index - Position of the card
+ */
+function rerollChoice(index) {
+    const [replacement] = generator.pickChoices(1, { exclude: state.choices });
+    if (!replacement) {
+        showError(t('choices.noMore'), 'info');
+        return;
+    }
+    state.choices[index] = replacement.id;
+    renderChoices();
+    updateFilterSummary();
+}
+
+/**
+ * Veto a card's activity and put another candidate in its place, or drop the card
+ * if there are no more
+ * @param {number} index - Position of the card
+ */
+function vetoChoice(index) {
+    const id = state.choices[index];
+    vetoActivity(id);
+
+    const [replacement] = generator.pickChoices(1, { exclude: state.choices });
+    if (replacement) {
+        state.choices[index] = replacement.id;
+    } else {
+        state.choices.splice(index, 1);
+        showError(t('choices.noMore'), 'info');
+    }
+    renderChoices();
+}
+
+/**
+ * Veto an activity so it is never suggested again, and offer to undo it
+ * @param {string} id - Activity id
+ */
+function vetoActivity(id) {
+    generator.veto(id, true);
+    showUndo(t('vetoes.added', { title: getActivityTitle(id) }), () => {
+        generator.veto(id, false);
+        if (!DOM.vetoesPanel.hidden) renderVetoesPanel();
+    });
+}
+
+/**
+ * Let a vetoed activity be suggested again
+ * @param {string} id - Activity id
+ */
+function restoreVetoed(id) {
+    generator.veto(id, false);
+    showError(t('vetoes.restored', { title: getActivityTitle(id) }), 'success');
+    renderVetoesPanel();
+}
+
+// Let every vetoed activity be suggested again, offering to undo it
+function restoreAllVetoed() {
+    const vetoes = { ...state.vetoes };
+    Object.keys(vetoes).forEach(id => generator.veto(id, false));
+    showUndo(t('vetoes.restoredAll', { count: Object.keys(vetoes).length }), () => {
+        Object.entries(vetoes).forEach(([id, vetoedAt]) => generator.veto(id, true, vetoedAt));
+        if (!DOM.vetoesPanel.hidden) renderVetoesPanel();
+    });
+    renderVetoesPanel();
+}
+
+/**
+ * Render the vetoes panel: every vetoed activity, oldest veto first
+ */
+function renderVetoesPanel() {
+    const ids = generator.vetoes();
+
+    renderPanelBody(DOM.vetoesPanel, [
+        createEl('div', { className: 'editor-form vetoes-controls' }, [
+            createEl('p', { className: 'history-count', text: t('vetoes.count', { count: ids.length }) }),
+            ids.length
+                ? createEl('button', {
+                    className: 'filter-clear',
+                    text: t('vetoes.restoreAll'),
+                    attrs: { type: 'button', 'data-focus-key': 'vetoes-restore-all' },
+                    on: { click: restoreAllVetoed }
+                })
+                : null
+        ]),
+        createEl('p', { className: 'backup-hint', text: t('vetoes.hint') }),
+        ids.length
+            ? createEl('ul', { className: 'editor-list vetoes-list' }, ids.map(renderVetoEntry))
+            : createEl('p', { className: 'editor-empty', text: t('vetoes.empty') })
+    ]);
+}
+
+/**
+ * Render one vetoed activity with a button to restore it
+ * @param {string} id - Activity id
+ * @returns {HTMLElement} List item
+ */
+function renderVetoEntry(id) {
+    const activity = findActivityById(id);
+    const title = getActivityTitle(id);
+    const details = [
+        activity ? getCategoryLabel(activity.category) : t('favorites.missing'),
+        t('vetoes.vetoedOn', { date: i18n.formatDate(state.vetoes[id]) })
+    ];
+
+    return createEl('li', { className: `veto-entry${activity ? '' : ' missing'}` }, [
+        createEl('div', { className: 'editor-row' }, [
+            createEl('span', { className: 'editor-activity-title', text: title }),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('vetoes.restore'),
+                attrs: { type: 'button', 'aria-label': t('vetoes.restoreLabel', { title }), 'data-focus-key': `restore-${id}` },
+                on: { click: () => restoreVetoed(id) }
+            })
+        ]),
+        createEl('p', { className: 'favorite-details', text: details.join(' · ') })
+    ]);
+}
+
+// ==========================================================================
+// Sharing
+// ==========================================================================
+
+// Ways to share an activity, in the order the share settings list them. Sites have a
+// name and build the URL of their share page from the text and link; the others are
+// named by the message share.target.<key> and share by themselves. available() is
+// false where the browser can't do it.
+const SHARE_TARGETS = {
+    native: { icon: 'fa-share-alt', available: () => typeof navigator.share === 'function', share: shareNatively },
+    image: { icon: 'fa-image', available: canDrawShareCard, share: downloadShareCard },
+    copyText: {
+        icon: 'fa-copy',
+        available: canCopy,
+        share: activity => copyText(`${getShareText(activity)} ${getPermalink(activity)}`, t('share.copied'))
+    },
+    copyLink: { icon: 'fa-link', available: canCopy, share: activity => copyText(getPermalink(activity), t('share.copiedLink')) },
+    email: { icon: 'fa-envelope', share: shareByEmail },
+    mastodon: {
+        icon: 'fa-mastodon',
+        style: 'fab',
+        site: 'Mastodon',
+        url: (text, link) => `https://${state.shareSettings.mastodonServer}/share?text=${encodeURIComponent(`${text} ${link}`)}`
+    },
+    twitter: {
+        icon: 'fa-twitter',
+        style: 'fab',
+        site: 'Twitter',
+        url: (text, link) => `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(link)}`
+    },
+    facebook: {
+        icon: 'fa-facebook',
+        style: 'fab',
+        site: 'Facebook',
+        url: (text, link) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(link)}&quote=${encodeURIComponent(text)}`
+    },
+    whatsapp: {
+        icon: 'fa-whatsapp',
+        style: 'fab',
+        site: 'WhatsApp',
+        url: (text, link) => `https://wa.me/?text=${encodeURIComponent(`${text} ${link}`)}`
+    }
+};
+
+// Whether the browser can draw the share card, checked once
+let shareCardSupport = null;
+
+// True if the browser lets the page write to the clipboard
+function canCopy() {
+    return Boolean(navigator.clipboard && navigator.clipboard.writeText);
+}
+
+// True if the browser can draw the share card
+function canDrawShareCard() {
+    if (shareCardSupport === null) {
+        shareCardSupport = Boolean(document.createElement('canvas').getContext('2d'));
+    }
+    return shareCardSupport;
+}
+
+// True if a share target can be used in this browser
+function isShareTargetAvailable(key) {
+    const target = SHARE_TARGETS[key];
+    return !target.available || target.available();
+}
+
+// Name of a share target, e.g. "Twitter" or "Copy link"
+function getShareTargetName(key) {
+    return SHARE_TARGETS[key].site || t(`share.target.${key}`);
+}
+
+// Text shared along with an activity's link
+function getShareText(activity) {
+    return t('share.text', { title: activity.title });
+}
+
+/**
+ * Share an activity
+ * @param {Object} activity - Activity record
+ * @param {string} key - Share target, a key of SHARE_TARGETS
+ */
+function shareActivity(activity, key) {
+    const target = SHARE_TARGETS[key];
+    if (!target) return;
+
+    if (target.url) {
+        window.open(target.url(getShareText(activity), getPermalink(activity)), '_blank', 'width=600,height=400');
+    } else {
+        target.share(activity);
+    }
+}
+
+/**
+ * Open the system share sheet, attaching the share card where the browser can share
+ * files. Closing the sheet without sharing isn't an error.
+ * @param {Object} activity - Activity record
+ */
+function shareNatively(activity) {
+    const data = { title: t('share.title'), text: getShareText(activity), url: getPermalink(activity) };
+    const file = getShareCardFile(activity);
+    if (file && navigator.canShare && navigator.canShare({ files: [file] })) {
+        data.files = [file];
+    }
+
+    navigator.share(data).catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Error sharing:', error);
+        showError(t('share.failed'), 'error');
+    });
+}
+
+// Open the user's mail app with the activity and its link
+function shareByEmail(activity) {
+    const subject = encodeURIComponent(t('share.title'));
+    const body = encodeURIComponent(`${getShareText(activity)}\n\n${getPermalink(activity)}`);
+    window.location.href = `mailto:?subject=${subject}&body=${body}`;
+}
+
+/**
+ * Copy text to the clipboard and say so
+ * @param {string} text - Text to copy
+ * @param {string} message - Toast shown once it is copied
+ */
+function copyText(text, message) {
+    navigator.clipboard.writeText(text)
+        .then(() => showError(message, 'success'))
+        .catch(error => {
+            console.error('Error copying:', error);
+            showError(t('share.copyFailed'), 'error');
+        });
+}
+
+/**
+ * Split text into lines that fit a width, ending the last line with an ellipsis if
+ * the text runs over
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} width - Widest a line may be
+ * @param {number} maxLines - Most lines to return
+ * @returns {string[]} Lines
+ */
+function wrapCanvasText(context, text, width, maxLines) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+        const next = line ? `${line} ${word}` : word;
+        if (line && context.measureText(next).width > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    });
+    if (line) lines.push(line);
+
+    if (lines.length <= maxLines) return lines;
+    let last = lines[maxLines - 1];
+    while (last && context.measureText(`${last}…`).width > width) last = last.slice(0, -1);
+    return [...lines.slice(0, maxLines - 1), `${last.trimEnd()}…`];
+}
+
+/**
+ * Draw the share card for an activity: its title, category and duration in the
+ * current theme's colors and the page's font, laid out for the current language
+ * @param {Object} activity - Activity record
+ * @returns {HTMLCanvasElement|null} SHARE_CARD_WIDTH by SHARE_CARD_HEIGHT canvas, or
+ *                                   null if the browser can't draw one
+ */
+function drawShareCard(activity) {
+    const canvas = createEl('canvas', { attrs: { width: SHARE_CARD_WIDTH, height: SHARE_CARD_HEIGHT } });
+    const context = canvas.getContext('2d');
+    if (!context) return null;
+
+    const { colors } = getTheme(state.theme) || THEMES.light;
+    const font = getComputedStyle(document.body).fontFamily;
+    const inset = 40;
+    const padding = 80;
+    const rtl = i18n.dir === 'rtl';
+    // Text starts at the card's inline start, left or right with the language
+    const x = rtl ? SHARE_CARD_WIDTH - inset - padding : inset + padding;
+    const width = SHARE_CARD_WIDTH - 2 * (inset + padding);
+
+    context.fillStyle = colors['--background'];
+    context.fillRect(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+    context.fillStyle = colors['--surface'];
+    context.beginPath();
+    if (context.roundRect) {
+        context.roundRect(inset, inset, SHARE_CARD_WIDTH - 2 * inset, SHARE_CARD_HEIGHT - 2 * inset, 24);
+    } else {
+        context.rect(inset, inset, SHARE_CARD_WIDTH - 2 * inset, SHARE_CARD_HEIGHT - 2 * inset);
+    }
+    context.fill();
+    context.fillStyle = colors['--primary'];
+    context.fillRect(rtl ? SHARE_CARD_WIDTH - inset - 16 : inset, inset + 24, 16, SHARE_CARD_HEIGHT - 2 * inset - 48);
+
+    context.direction = rtl ? 'rtl' : 'ltr';
+    context.textAlign = 'start';
+    context.textBaseline = 'alphabetic';
+
+    context.font = `600 32px ${font}`;
+    context.fillText(t('app.name'), x, inset + 100);
+
+    context.fillStyle = colors['--text'];
+    context.font = `700 64px ${font}`;
+    const lines = wrapCanvasText(context, activity.title, width, 3);
+    lines.forEach((line, index) => context.fillText(line, x, inset + 200 + index * 80));
+
+    context.fillStyle = colors['--text-light'];
+    context.font = `32px ${font}`;
+    context.fillText(`${getCategoryLabel(activity.category)} · ${formatDuration(activity.duration)}`, x, inset + 200 + lines.length * 80 + 20);
+    context.font = `28px ${font}`;
+    context.fillText(t('share.cardFooter', { site: window.location.host }), x, SHARE_CARD_HEIGHT - inset - 60);
+
+    return canvas;
+}
+
+/**
+ * The share card as a PNG file. It is encoded synchronously so the share sheet still
+ * opens within the click that asked for it; browsers refuse navigator.share later.
+ * @param {Object} activity - Activity record
+ * @returns {File|null} PNG file, or null if the browser can't draw the card
+ */
+function getShareCardFile(activity) {
+    const canvas = drawShareCard(activity);
+    if (!canvas) return null;
+    const data = atob(canvas.toDataURL('image/png').split(',')[1]);
+    const bytes = Uint8Array.from(data, char => char.charCodeAt(0));
+    return new File([bytes], `boredom-buster-${activity.id}.png`, { type: 'image/png' });
+}
+
+// Download an activity's share card
+function downloadShareCard(activity) {
+    const file = getShareCardFile(activity);
+    if (file) downloadFile(file.name, file, 'image/png');
+}
+
+/**
+ * Clean up a Mastodon server name the user typed, e.g. "https://Mastodon.social/"
+ * @param {string} value - Server name or URL
+ * @returns {string} Host name such as mastodon.social, or '' if it isn't one
+ */
+function normalizeMastodonServer(value) {
+    if (typeof value !== 'string') return '';
+    const host = value.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?$/.test(host) ? host : '';
+}
+
+/**
+ * Check saved share settings
+ * @param {Object} saved - { targets, mastodonServer }
+ * @returns {Object} Settings with known targets only, and the default for anything missing
+ */
+function normalizeShareSettings(saved) {
+    const source = saved && typeof saved === 'object' ? saved : {};
+    const targets = Array.isArray(source.targets)
+        ? source.targets.filter((key, index, list) => Object.prototype.hasOwnProperty.call(SHARE_TARGETS, key) && list.indexOf(key) === index)
+        : DEFAULT_SHARE_SETTINGS.targets.slice();
+    return {
+        targets,
+        mastodonServer: normalizeMastodonServer(source.mastodonServer) || DEFAULT_SHARE_SETTINGS.mastodonServer
+    };
+}
+
+/**
+ * Save the share settings
+ */
+function saveShareSettings() {
+    store.set('shareSettings', state.shareSettings);
+}
+
+/**
+ * Load the share settings
+ */
+function loadShareSettings() {
+    state.shareSettings = normalizeShareSettings(store.get('shareSettings', null));
+}
+
+/**
+ * Change the share settings, and show the change on the card and in the panel
+ * @param {Object} changes - Fields to change
+ */
+function updateShareSettings(changes) {
+    state.shareSettings = normalizeShareSettings({ ...state.shareSettings, ...changes });
+    saveShareSettings();
+    renderActivityCard();
+    if (!DOM.sharePanel.hidden) renderSharePanel();
+}
+
+/**
+ * Show or hide a share button; a button shown again goes at the end
+ * @param {string} key - Share target
+ * @param {boolean} shown - True to show it on the card
+ */
+function toggleShareTarget(key, shown) {
+    const targets = state.shareSettings.targets.filter(item => item !== key);
+    updateShareSettings({ targets: shown ? [...targets, key] : targets });
+}
+
+/**
+ * Move a share button one place along the card
+ * @param {string} key - Share target
+ * @param {number} offset - -1 for earlier, 1 for later
+ */
+function moveShareTarget(key, offset) {
+    const targets = state.shareSettings.targets.slice();
+    const index = targets.indexOf(key);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= targets.length) return;
+    [targets[index], targets[target]] = [targets[target], targets[index]];
+    updateShareSettings({ targets });
+}
+
+// Save the Mastodon server typed in the share panel, if it is one
+function setMastodonServer(value) {
+    const server = normalizeMastodonServer(value);
+    if (!server) {
+        showError(t('share.mastodonInvalid'), 'warning');
+        return;
+    }
+    updateShareSettings({ mastodonServer: server });
+}
+
+/**
+ * Render the share panel: which share buttons the card shows and in what order, the
+ * Mastodon server, and a preview of the share card for the activity on screen
+ */
+function renderSharePanel() {
+    const settings = state.shareSettings;
+    const shown = settings.targets;
+    const hidden = Object.keys(SHARE_TARGETS).filter(key => !shown.includes(key));
+    const isDefault = shown.join() === DEFAULT_SHARE_SETTINGS.targets.join();
+    const activity = findActivityById(state.currentActivityId);
+    const card = activity && drawShareCard(activity);
+
+    renderPanelBody(DOM.sharePanel, [
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('share.buttons') }),
+            createEl('p', { className: 'backup-hint', text: t('share.buttonsHint') }),
+            createEl('ul', { className: 'editor-list' }, [...shown, ...hidden].map(key => renderShareTargetRow(key, shown.indexOf(key), shown.length))),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('share.reset'),
+                attrs: { type: 'button', disabled: isDefault, 'data-focus-key': 'share-reset' },
+                on: { click: () => updateShareSettings({ targets: DEFAULT_SHARE_SETTINGS.targets.slice() }) }
+            })
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: 'Mastodon' }),
+            createEl('label', { className: 'timer-field' }, [
+                createEl('span', { text: t('share.mastodonServer') }),
+                createEl('input', {
+                    className: 'editor-input',
+                    attrs: { type: 'text', value: settings.mastodonServer, placeholder: DEFAULT_SHARE_SETTINGS.mastodonServer, spellcheck: 'false', 'data-focus-key': 'mastodon-server' },
+                    on: { change: event => setMastodonServer(event.target.value) }
+                })
+            ]),
+            createEl('p', { className: 'backup-hint', text: t('share.mastodonHint') })
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('share.preview') }),
+            card
+                ? createEl('img', {
+                    className: 'share-card-preview',
+                    attrs: { src: card.toDataURL('image/png'), alt: t('share.previewAlt', { title: activity.title }) }
+                })
+                : createEl('p', { className: 'editor-empty', text: t(activity ? 'share.previewUnsupported' : 'share.previewEmpty') }),
+            card
+                ? createEl('button', {
+                    className: 'filter-clear',
+                    attrs: { type: 'button' },
+                    on: { click: () => downloadShareCard(activity) }
+                }, [createIcon('fa-download'), ` ${t('share.target.image')}`])
+                : null
+        ])
+    ]);
+}
+
+/**
+ * Render one share target in the share panel: whether the card shows it and, if it
+ * does, buttons to move it
+ * @param {string} key - Share target
+ * @param {number} index - Its place on the card, -1 if hidden
+ * @param {number} total - Number of buttons on the card
+ * @returns {HTMLElement} List item
+ */
+function renderShareTargetRow(key, index, total) {
+    const target = SHARE_TARGETS[key];
+    const name = getShareTargetName(key);
+
+    return createEl('li', { className: 'editor-row share-target' }, [
+        createEl('label', { className: 'selection-toggle' }, [
+            createEl('input', {
+                attrs: { type: 'checkbox', checked: index !== -1, 'data-focus-key': `share-shown-${key}` },
+                on: { change: event => toggleShareTarget(key, event.target.checked) }
+            }),
+            createIcon(target.icon, target.style),
+            createEl('span', { text: name })
+        ]),
+        isShareTargetAvailable(key) ? null : createEl('span', { className: 'history-entry-categories', text: t('share.unavailable') }),
+        index !== -1
+            ? createIconButton('fa-arrow-up', t('share.moveUp', { name }), () => moveShareTarget(key, -1),
+                { disabled: index === 0, 'data-focus-key': `share-up-${key}` })
+            : null,
+        index !== -1
+            ? createIconButton('fa-arrow-down', t('share.moveDown', { name }), () => moveShareTarget(key, 1),
+                { disabled: index === total - 1, 'data-focus-key': `share-down-${key}` })
+            : null
+    ]);
+}
+
+// ==========================================================================
+// Timer Panel
+// ==========================================================================
+
+/**
+ * Open the timer panel, set up for an activity unless a timer is already running
+ * @param {Object} activity - Activity record
+ */
+function openTimerPanel(activity) {
+    if (!state.timerSession) {
+        setTimerActivity(activity);
+    }
+    openPanel(DOM.timerPanel);
+}
+
+// Make an activity the one the next timer starts for, with its estimated duration
+function setTimerActivity(activity) {
+    state.timerSetup = {
+        activityId: activity.id,
+        minutes: Math.min(TIMER_MAX_MINUTES, Math.max(1, activity.duration))
+    };
+}
+
+/**
+ * Render the timer panel: the running timer's controls or the form for a new one,
+ * followed by the session log
+ */
+function renderTimerPanel() {
+    renderPanelBody(DOM.timerPanel, [
+        state.timerSession ? renderTimerStatus(state.timerSession) : renderTimerSetup(),
+        renderTimerLog()
+    ]);
+}
+
+/**
+ * Render the running timer with pause/resume, add time and stop buttons
+ * @param {Object} session - Timer session
+ * @returns {HTMLElement} Status section
+ */
+function renderTimerStatus(session) {
+    const paused = session.endsAt === null;
+    const phaseLabel = getTimerPhaseLabel(session);
+    
+    return createEl('section', { className: 'timer-status' }, [
+        createEl('h3', { text: getActivityTitle(session.activityId) }),
+        phaseLabel ? createEl('p', { className: 'timer-phase', text: phaseLabel }) : null,
+        createEl('p', { className: 'timer-time timer-panel-time', text: formatCountdown(getTimerRemaining()) }),
+        createEl('div', { className: 'editor-form timer-controls' }, [
+            createEl('button', {
+                className: 'filter-clear',
+                text: paused ? t('timer.resumeShort') : t('timer.pauseShort'),
+                attrs: { type: 'button', 'data-focus-key': 'timer-toggle' },
+                on: { click: () => (paused ? resumeTimer() : pauseTimer()) }
+            }),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('timer.addShort', { count: TIMER_ADD_MINUTES }),
+                attrs: { type: 'button', 'data-focus-key': 'timer-add' },
+                on: { click: () => addTimerTime() }
+            }),
+            createEl('button', {
+                className: 'editor-reset',
+                text: t('timer.stopShort'),
+                attrs: { type: 'button', 'data-focus-key': 'timer-stop' },
+                on: { click: () => stopTimer() }
+            })
+        ])
+    ].filter(Boolean));
+}
+
+/**
+ * Render the form that starts a new timer
+ * @returns {HTMLElement} Setup form
+ */
+function renderTimerSetup() {
+    const setup = state.timerSetup;
+    const settings = state.timerSettings;
+    const activity = findActivityById(setup.activityId);
+    
+    if (!activity) {
+        return createEl('p', { className: 'editor-empty', text: t('timer.noActivity') });
+    }
+    
+    const modeSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'aria-label': t('timer.mode'), 'data-focus-key': 'timer-mode' },
+        on: {
+            change: event => {
+                state.timerSettings.mode = event.target.value;
+                saveTimerSettings();
+                renderTimerPanel();
+            }
+        }
+    }, TIMER_MODES.map(value => createEl('option', { text: t(`timer.mode.${value}`), attrs: { value } })));
+    modeSelect.value = settings.mode;
+    
+    const numberField = (label, key, min, target) => createEl('label', { className: 'timer-field' }, [
+        createEl('span', { text: label }),
+        createEl('input', {
+            attrs: { type: 'number', min, max: key === 'cycles' ? 12 : TIMER_MAX_MINUTES, step: 1, value: target[key], 'data-focus-key': `timer-${key}` },
+            on: { input: event => { target[key] = Number(event.target.value); } }
+        })
+    ]);
+    
+    const fields = settings.mode === 'single'
+        ? [
+            createEl('div', { className: 'timer-presets', attrs: { role: 'group', 'aria-label': t('timer.presets') } },
+                [activity.duration, ...TIMER_PRESETS.filter(minutes => minutes !== activity.duration)]
+                    .filter(minutes => minutes <= TIMER_MAX_MINUTES)
+                    .map((minutes, index) => createEl('button', {
+                        className: 'editor-count-btn timer-preset',
+                        text: index === 0 ? t('timer.estimate', { duration: formatDuration(minutes) }) : formatDuration(minutes),
+                        attrs: { type: 'button', 'aria-pressed': String(setup.minutes === minutes), 'data-focus-key': `preset-${minutes}` },
+                        on: {
+                            click: () => {
+                                setup.minutes = minutes;
+                                renderTimerPanel();
+                            }
+                        }
+                    }))),
+            numberField(t('activityForm.minutes'), 'minutes', 1, setup)
+        ]
+        : [
+            numberField(t('timer.field.work'), 'work', 1, settings),
+            numberField(t('timer.field.shortBreak'), 'shortBreak', 0, settings),
+            numberField(t('timer.field.longBreak'), 'longBreak', 0, settings),
+            numberField(t('timer.field.cycles'), 'cycles', 1, settings)
+        ];
+    
+    return createEl('form', {
+        className: 'timer-setup',
+        on: {
+            submit: event => {
+                event.preventDefault();
+                startTimerFromSetup();
+            }
+        }
+    }, [
+        createEl('h3', { text: activity.title }),
+        modeSelect,
+        createEl('div', { className: 'editor-form' }, fields),
+        createEl('button', { className: 'editor-submit', text: t('timer.start'), attrs: { type: 'submit' } })
+    ]);
+}
+
+// Start the timer described by the timer panel's form
+function startTimerFromSetup() {
+    const setup = state.timerSetup;
+    const settings = state.timerSettings;
+    
+    let plan;
+    if (settings.mode === 'single') {
+        if (!Number.isInteger(setup.minutes) || setup.minutes < 1 || setup.minutes > TIMER_MAX_MINUTES) {
+            showError(t('timer.invalidDuration', { max: TIMER_MAX_MINUTES }), 'warning');
+            return;
+        }
+        plan = { work: setup.minutes, shortBreak: 0, longBreak: 0, cycles: 1 };
+    } else {
+        plan = normalizeTimerPlan(settings);
+        state.timerSettings = { mode: settings.mode, ...plan };
+        saveTimerSettings();
+    }
+    
+    // Starting the timer is a user gesture, so the chime is allowed to play later
+    if (state.notificationSettings.sound) getAudioContext();
+    startTimer(setup.activityId, plan);
+    showError(t('timer.started'));
+}
+
+/**
+ * Render the log of finished timer sessions
+ * @returns {HTMLElement} Log section
+ */
+function renderTimerLog() {
+    const totalMinutes = state.timerLog.reduce((sum, entry) => sum + entry.minutes, 0);
+    
+    return createEl('section', { className: 'timer-log' }, [
+        createEl('h3', { text: t('timer.log') }),
+        state.timerLog.length
+            ? createEl('p', { className: 'history-count', text: t('timer.logSummary', { count: state.timerLog.length, duration: formatDuration(totalMinutes) }) })
+            : createEl('p', { className: 'editor-empty', text: t('timer.logEmpty') }),
+        createEl('ul', { className: 'editor-list' }, state.timerLog.slice(0, 20).map(entry => createEl('li', { className: 'editor-row timer-log-entry' }, [
+            createEl('span', { className: 'editor-activity-title', text: getActivityTitle(entry.activityId) }),
+            createEl('span', { className: 'timer-log-minutes', text: entry.completed ? formatDuration(entry.minutes) : t('timer.stoppedEarly', { duration: formatDuration(entry.minutes) }) }),
+            createEl('span', { className: 'history-entry-time', text: formatTime(entry.endedAt) })
+        ]))),
+        state.timerLog.length
+            ? createEl('button', {
+                className: 'editor-reset',
+                text: t('timer.clearLog'),
+                attrs: { type: 'button' },
+                on: { click: clearTimerLog }
+            })
+            : null
+    ].filter(Boolean));
+}
+
+// Delete every logged timer session
+function clearTimerLog() {
+    if (!window.confirm(t('timer.confirmClearLog'))) return;
+    state.timerLog = [];
+    saveTimerLog();
+    renderTimerPanel();
+}
+
+// ==========================================================================
+// Weekly Planner
+// ==========================================================================
+
+// Interval that moves plans whose time has passed into the history
+let planInterval = null;
+
+// True for a plan time: local YYYY-MM-DDTHH:MM
+function isValidPlanTime(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Format a Date as a local plan time, YYYY-MM-DDTHH:MM
+function formatPlanTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${getDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// The date a number of days after another, at the same local time
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+}
+
+/**
+ * Save the planned activities
+ */
+function savePlans() {
+    store.set('plans', state.plans);
+}
+
+/**
+ * Load the planned activities, dropping malformed ones
+ */
+function loadPlans() {
+    const saved = store.get('plans', []);
+    state.plans = (Array.isArray(saved) ? saved : []).filter(plan => plan &&
+        typeof plan.id === 'string' && typeof plan.activityId === 'string' && isValidPlanTime(plan.start) &&
+        Number.isInteger(plan.minutes) && plan.minutes >= 1 && plan.minutes <= PLAN_MAX_MINUTES &&
+        Object.prototype.hasOwnProperty.call(PLAN_REPEATS, plan.repeat) &&
+        (plan.loggedUntil === null || isValidPlanTime(plan.loggedUntil)));
+}
+
+/**
+ * Start times of a plan's occurrences within a time range. Repeats keep the local
+ * time of day of the first occurrence, across daylight saving changes too.
+ * @param {Object} plan - Plan
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range, not included
+ * @returns {Date[]} Start times, earliest first
+ */
+function getPlanOccurrences(plan, from, to) {
+    const first = new Date(plan.start);
+    if (plan.repeat === 'none') return first >= from && first < to ? [first] : [];
+
+    const repeatsOn = {
+        daily: () => true,
+        weekdays: date => date.getDay() >= 1 && date.getDay() <= 5,
+        weekly: date => date.getDay() === first.getDay()
+    }[plan.repeat];
+
+    const occurrences = [];
+    const begin = first > from ? first : from;
+    const day = new Date(begin.getFullYear(), begin.getMonth(), begin.getDate(), first.getHours(), first.getMinutes());
+    for (let start = day; start < to; start = addDays(start, 1)) {
+        if (start >= from && start >= first && repeatsOn(start)) occurrences.push(start);
+    }
+    return occurrences;
+}
+
+// Monday of the week the planner shows
+function getPlannerWeekStart() {
+    return new Date(`${state.plannerWeek || getWeekKey(new Date())}T00:00`);
+}
+
+/**
+ * Open the planner with the form set up to schedule an activity, at the next full
+ * hour for its estimated duration
+ * @param {Object} activity - Activity record
+ */
+function openPlanner(activity) {
+    const start = new Date();
+    start.setHours(start.getHours() + 1, 0, 0, 0);
+    state.plannerForm = {
+        planId: null,
+        activityId: activity.id,
+        date: getDateKey(start),
+        time: formatPlanTime(start).slice(11),
+        minutes: Math.min(PLAN_MAX_MINUTES, Math.max(1, activity.duration)),
+        repeat: 'none'
+    };
+    state.plannerWeek = getWeekKey(start);
+    openPanel(DOM.plannerPanel);
+}
+
+/**
+ * Fill the planner's form with a plan to edit
+ * @param {string} id - Plan id
+ */
+function editPlan(id) {
+    const plan = state.plans.find(item => item.id === id);
+    if (!plan) return;
+    state.plannerForm = {
+        planId: plan.id,
+        activityId: plan.activityId,
+        date: plan.start.slice(0, 10),
+        time: plan.start.slice(11),
+        minutes: plan.minutes,
+        repeat: plan.repeat
+    };
+    renderPlannerPanel();
+}
+
+// Add or update a plan from the planner's form
+function savePlannerForm() {
+    const form = state.plannerForm;
+    const start = `${form.date}T${form.time}`;
+    if (!isValidPlanTime(start)) {
+        showError(t('planner.timeRequired'), 'warning');
+        return;
+    }
+    if (!Number.isInteger(form.minutes) || form.minutes < 1 || form.minutes > PLAN_MAX_MINUTES) {
+        showError(t('planner.minutesInvalid', { max: PLAN_MAX_MINUTES }), 'warning');
+        return;
+    }
+
+    const title = getActivityTitle(form.activityId);
+    const changes = { start, minutes: form.minutes, repeat: form.repeat };
+    const plan = state.plans.find(item => item.id === form.planId);
+    if (plan) {
+        Object.assign(plan, changes);
+        showError(t('planner.updated', { title }), 'success');
+    } else {
+        state.plans.push({
+            id: `plan-${Date.now().toString(36)}`,
+            activityId: form.activityId,
+            ...changes,
+            loggedUntil: null
+        });
+        showError(t('planner.added', { title, time: i18n.formatDate(new Date(start), { weekday: 'long', hour: '2-digit', minute: '2-digit' }) }), 'success');
+    }
+
+    state.plannerForm = null;
+    state.plannerWeek = getWeekKey(new Date(start));
+    savePlans();
+    logPastPlans();
+    renderPlannerPanel();
+}
+
+/**
+ * Move a plan to another day, keeping its time. A weekly plan moves with all of
+ * its repeats.
+ * @param {string} id - Plan id
+ * @param {string} from - Date key of the day it was dragged from
+ * @param {string} to - Date key of the day it was dropped on
+ */
+function movePlan(id, from, to) {
+    const plan = state.plans.find(item => item.id === id);
+    if (!plan || from === to) return;
+
+    const days = Math.round((new Date(`${to}T00:00`) - new Date(`${from}T00:00`)) / 86400000);
+    plan.start = formatPlanTime(addDays(new Date(plan.start), days));
+    savePlans();
+    logPastPlans();
+    renderPlannerPanel();
+    showError(t('planner.moved', {
+        title: getActivityTitle(plan.activityId),
+        day: i18n.formatDate(new Date(`${to}T00:00`), { weekday: 'long', day: 'numeric', month: 'short' })
+    }), 'success');
+}
+
+/**
+ * Find where focus should go when a plan is deleted from its focused delete button:
+ * the delete button of the next other plan in the week, or of the one before it
+ * @param {string} id - Plan id
+ * @returns {string|null|undefined} Focus key; null if no other plan is left to focus, and
+ *                                   undefined if the focus isn't on a delete button
+ */
+function getFocusAfterPlanDelete(id) {
+    const keys = Array.from(DOM.plannerPanel.querySelectorAll('[data-focus-key^="plan-delete-"]'), button => button.dataset.focusKey);
+    const position = keys.indexOf(document.activeElement ? document.activeElement.dataset.focusKey : undefined);
+    if (position === -1) return undefined;
+
+    // A repeating plan has a row, and a delete button, on each of its days
+    const gone = new Set(getPlannerWeek(getPlannerWeekStart())
+        .filter(item => item.plan.id === id)
+        .map(item => `plan-delete-${id}-${getDateKey(item.start)}`));
+    const neighbours = keys.slice(position + 1).concat(keys.slice(0, position).reverse());
+    return neighbours.find(key => !gone.has(key)) || null;
+}
+
+/**
+ * Take a plan off the planner, offering to undo it. Occurrences already in the
+ * history stay there.
+ * @param {string} id - Plan id
+ */
+function deletePlan(id) {
+    const index = state.plans.findIndex(item => item.id === id);
+    if (index === -1) return;
+
+    const focusKey = getFocusAfterPlanDelete(id);
+    const [plan] = state.plans.splice(index, 1);
+    if (state.plannerForm && state.plannerForm.planId === id) state.plannerForm = null;
+    savePlans();
+    renderPlannerPanel();
+    if (focusKey !== undefined) {
+        const neighbour = focusKey && DOM.plannerPanel.querySelector(`[data-focus-key="${focusKey}"]`);
+        (neighbour || DOM.plannerPanel.querySelector('.panel-close')).focus();
+    }
+    showUndo(t('planner.deleted', { title: getActivityTitle(plan.activityId) }), () => {
+        state.plans.splice(Math.min(index, state.plans.length), 0, plan);
+        savePlans();
+        if (!DOM.plannerPanel.hidden) renderPlannerPanel();
+    });
+}
+
+/**
+ * Describe one occurrence of a plan as a calendar event for toICS
+ * @param {Object} plan - Plan
+ * @param {Date} start - Start of the occurrence
+ * @param {string} uid - Event id, unique to the plan or occurrence
+ * @param {boolean} repeating - True to carry the plan's repeat rule
+ * @returns {Object} Event
+ */
+function getPlanEvent(plan, start, uid, repeating) {
+    const activity = findActivityById(plan.activityId);
+    return {
+        uid,
+        start,
+        minutes: plan.minutes,
+        summary: getActivityTitle(plan.activityId),
+        description: activity ? getCategoryLabel(activity.category) : '',
+        url: activity ? `${window.location.href.split('#')[0]}${buildPermalinkHash(activity, '', [activity.category])}` : '',
+        repeat: repeating ? plan.repeat : 'none'
+    };
+}
+
+/**
+ * Download a plan as an .ics file, with its repeats. The event starts on the first
+ * day the plan actually falls on, as calendars expect of a repeat rule.
+ * @param {string} id - Plan id
+ */
+function exportPlan(id) {
+    const plan = state.plans.find(item => item.id === id);
+    if (!plan) return;
+
+    const first = new Date(plan.start);
+    const [start = first] = getPlanOccurrences(plan, first, addDays(first, 7));
+    downloadFile(
+        `boredom-buster-plan-${getDateKey(start)}.ics`,
+        toICS([getPlanEvent(plan, start, `${plan.id}@boredom-buster`, true)]),
+        'text/calendar'
+    );
+}
+
+// Download the week the planner shows as an .ics file, one event per occurrence
+function exportPlannerWeek() {
+    const weekStart = getPlannerWeekStart();
+    const events = getPlannerWeek(weekStart).map(({ plan, start }) =>
+        getPlanEvent(plan, start, `${plan.id}-${getDateKey(start)}@boredom-buster`, false));
+    if (events.length === 0) return;
+    downloadFile(`boredom-buster-week-${getDateKey(weekStart)}.ics`, toICS(events), 'text/calendar');
+}
+
+/**
+ * Every occurrence of every plan in a week
+ * @param {Date} weekStart - Monday, at midnight
+ * @returns {Object[]} { plan, start }, earliest first
+ */
+function getPlannerWeek(weekStart) {
+    const weekEnd = addDays(weekStart, 7);
+    return state.plans
+        .flatMap(plan => getPlanOccurrences(plan, weekStart, weekEnd).map(start => ({ plan, start })))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Move planned activities whose time has passed into the history, dated when they
+ * were planned for. Each occurrence goes in once; activities that have left the
+ * catalog are skipped.
+ * @param {Date} now - Current time
+ */
+function logPastPlans(now = new Date()) {
+    let changed = false;
+    state.plans.forEach(plan => {
+        const since = plan.loggedUntil ? new Date(new Date(plan.loggedUntil).getTime() + 60000) : new Date(plan.start);
+        // Occurrences that had ended by now
+        const ended = getPlanOccurrences(plan, since, new Date(now.getTime() - plan.minutes * 60000 + 1));
+        if (ended.length === 0) return;
+
+        plan.loggedUntil = formatPlanTime(ended[ended.length - 1]);
+        changed = true;
+        const activity = findActivityById(plan.activityId);
+        if (!activity) return;
+        ended.forEach(start => generator.record(activity, '', {
+            timestamp: start.toISOString(),
+            categories: [activity.category],
+            planned: true
+        }));
+    });
+    if (changed) savePlans();
+}
+
+// Log past plans now and then every PLAN_CHECK_INTERVAL
+function startPlanChecks() {
+    if (planInterval) clearInterval(planInterval);
+    logPastPlans();
+    planInterval = setInterval(() => logPastPlans(), PLAN_CHECK_INTERVAL);
+}
+
+/**
+ * Render the planner: the form for the activity being scheduled, then the week
+ * with a column per day that plans can be dragged between
+ */
+function renderPlannerPanel() {
+    const weekStart = getPlannerWeekStart();
+    const week = getPlannerWeek(weekStart);
+    const isThisWeek = getDateKey(weekStart) === getWeekKey(new Date());
+    const showWeek = offset => {
+        state.plannerWeek = getDateKey(addDays(weekStart, offset * 7));
+        renderPlannerPanel();
+    };
+
+    renderPanelBody(DOM.plannerPanel, [
+        state.plannerForm ? renderPlannerForm(state.plannerForm) : null,
+        createEl('div', { className: 'planner-nav' }, [
+            createIconButton('fa-chevron-left', t('planner.previous'), () => showWeek(-1), { 'data-focus-key': 'planner-previous' }),
+            createEl('h3', {
+                className: 'planner-week-label',
+                text: t('planner.week', {
+                    start: i18n.formatDate(weekStart, { day: 'numeric', month: 'short' }),
+                    end: i18n.formatDate(addDays(weekStart, 6), { day: 'numeric', month: 'short', year: 'numeric' })
+                })
+            }),
+            createIconButton('fa-chevron-right', t('planner.next'), () => showWeek(1), { 'data-focus-key': 'planner-next' }),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('planner.thisWeek'),
+                attrs: { type: 'button', disabled: isThisWeek, 'data-focus-key': 'planner-this-week' },
+                on: {
+                    click: () => {
+                        state.plannerWeek = null;
+                        renderPlannerPanel();
+                    }
+                }
+            }),
+            createEl('button', {
+                className: 'filter-clear',
+                attrs: { type: 'button', disabled: week.length === 0, 'data-focus-key': 'planner-export' },
+                on: { click: exportPlannerWeek }
+            }, [createIcon('fa-download'), ` ${t('planner.exportWeek')}`])
+        ]),
+        createEl('p', { className: 'backup-hint', text: t('planner.hint') }),
+        createEl('ol', { className: 'planner-week' }, WEEK_ORDER.map((day, index) => {
+            const date = addDays(weekStart, index);
+            return renderPlannerDay(date, week.filter(item => getDateKey(item.start) === getDateKey(date)));
+        }))
+    ]);
+}
+
+/**
+ * Render the form that schedules an activity or changes a plan
+ * @param {Object} form - state.plannerForm
+ * @returns {HTMLElement} Form
+ */
+function renderPlannerForm(form) {
+    const title = getActivityTitle(form.activityId);
+    const field = (label, input) => createEl('label', { className: 'timer-field' }, [createEl('span', { text: label }), input]);
+
+    const repeatSelect = createEl('select', {
+        className: 'filter-select',
+        attrs: { 'data-focus-key': 'plan-repeat' },
+        on: { change: event => { form.repeat = event.target.value; } }
+    }, Object.keys(PLAN_REPEATS).map(value => createEl('option', { text: t(`planner.repeat.${value}`), attrs: { value } })));
+    repeatSelect.value = form.repeat;
+
+    return createEl('form', {
+        className: 'stats-section planner-form',
+        on: {
+            submit: event => {
+                event.preventDefault();
+                savePlannerForm();
+            }
+        }
+    }, [
+        createEl('h3', { text: t(form.planId ? 'planner.editTitle' : 'planner.scheduleTitle', { title }) }),
+        createEl('div', { className: 'editor-form' }, [
+            field(t('planner.date'), createEl('input', {
+                attrs: { type: 'date', value: form.date, required: true, 'data-focus-key': 'plan-date' },
+                on: { change: event => { form.date = event.target.value; } }
+            })),
+            field(t('planner.time'), createEl('input', {
+                attrs: { type: 'time', value: form.time, required: true, 'data-focus-key': 'plan-time' },
+                on: { change: event => { form.time = event.target.value; } }
+            })),
+            field(t('activityForm.minutes'), createEl('input', {
+                attrs: { type: 'number', min: 1, max: PLAN_MAX_MINUTES, step: 1, value: form.minutes, required: true, 'data-focus-key': 'plan-minutes' },
+                on: { input: event => { form.minutes = Number(event.target.value); } }
+            })),
+            field(t('planner.repeat'), repeatSelect)
+        ]),
+        createEl('div', { className: 'editor-form' }, [
+            createEl('button', { className: 'editor-submit', text: t(form.planId ? 'planner.save' : 'planner.add'), attrs: { type: 'submit' } }),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('app.cancel'),
+                attrs: { type: 'button' },
+                on: {
+                    click: () => {
+                        state.plannerForm = null;
+                        renderPlannerPanel();
+                    }
+                }
+            })
+        ])
+    ]);
+}
+
+/**
+ * Render one day of the planner, which plans can be dropped on
+ * @param {Date} date - The day, at midnight
+ * @param {Object[]} items - { plan, start } of the plans that fall on it
+ * @returns {HTMLElement} List item
+ */
+function renderPlannerDay(date, items) {
+    const key = getDateKey(date);
+    const isToday = key === getDateKey(new Date());
+    const now = new Date();
+
+    return createEl('li', {
+        className: `planner-day${isToday ? ' today' : ''}`,
+        attrs: { 'aria-current': isToday && 'date' },
+        on: {
+            dragover: event => {
+                if (!state.plannerDrag) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+                event.currentTarget.classList.add('drop-target');
+            },
+            dragleave: event => event.currentTarget.classList.remove('drop-target'),
+            drop: event => {
+                event.preventDefault();
+                event.currentTarget.classList.remove('drop-target');
+                const drag = state.plannerDrag;
+                state.plannerDrag = null;
+                if (drag) movePlan(drag.planId, drag.from, key);
+            }
+        }
+    }, [
+        createEl('h4', { className: 'planner-day-name', text: i18n.formatDate(date, { weekday: 'short', day: 'numeric' }) }),
+        items.length
+            ? createEl('ul', { className: 'planner-items' }, items.map(item => renderPlannerItem(item, key, now)))
+            : createEl('p', { className: 'planner-free', text: t('planner.free') })
+    ]);
+}
+
+/**
+ * Render one occurrence of a plan. Plans that happen once or weekly can be dragged
+ * to another day; daily ones fall on every day anyway.
+ * @param {Object} item - { plan, start }
+ * @param {string} day - Date key of the day it is shown on
+ * @param {Date} now - Current time, to mute occurrences that are over
+ * @returns {HTMLElement} List item
+ */
+function renderPlannerItem({ plan, start }, day, now) {
+    const title = getActivityTitle(plan.activityId);
+    const isOver = start.getTime() + plan.minutes * 60000 <= now.getTime();
+    const movable = plan.repeat === 'none' || plan.repeat === 'weekly';
+    const details = [formatDuration(plan.minutes), plan.repeat !== 'none' ? t(`planner.repeat.${plan.repeat}`) : null].filter(Boolean);
+
+    return createEl('li', {
+        className: `planner-item${isOver ? ' past' : ''}`,
+        attrs: { draggable: movable && 'true' },
+        on: {
+            dragstart: event => {
+                state.plannerDrag = { planId: plan.id, from: day };
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', title);
+                event.currentTarget.classList.add('dragging');
+            },
+            dragend: event => {
+                state.plannerDrag = null;
+                event.currentTarget.classList.remove('dragging');
+            }
+        }
+    }, [
+        createEl('span', { className: 'planner-item-time', text: i18n.formatDate(start, { hour: '2-digit', minute: '2-digit' }) }),
+        createEl('span', { className: 'editor-activity-title', text: title }),
+        createEl('span', { className: 'favorite-details', text: details.join(' · ') }),
+        createEl('div', { className: 'planner-item-actions' }, [
+            createIconButton('fa-pen', t('planner.edit', { title }), () => editPlan(plan.id), { 'data-focus-key': `plan-edit-${plan.id}-${day}` }),
+            createIconButton('fa-download', t('planner.export', { title }), () => exportPlan(plan.id), { 'data-focus-key': `plan-export-${plan.id}-${day}` }),
+            createIconButton('fa-trash', t('planner.delete', { title }), () => deletePlan(plan.id), { 'data-focus-key': `plan-delete-${plan.id}-${day}` })
+        ])
+    ]);
+}
+
+// ==========================================================================
+// Completion Tracking
+// ==========================================================================
+
+/**
+ * Record how an activity turned out. Marks the card's history entry, or the newest
+ * unmarked entry for the activity, adding one if the activity isn't in history.
+ * @param {string} activityId - Activity id
+ * @param {string} outcome - Key of OUTCOMES
+ * @param {boolean} toggle - Clear the outcome if the entry already has it
+ */
+function markActivityOutcome(activityId, outcome, toggle = false) {
+    const current = state.currentHistoryEntry;
+    let entry = current && current.activityId === activityId && state.activityHistory.includes(current)
+        ? current
+        : state.activityHistory.find(item => item.activityId === activityId && !item.outcome);
+    
+    if (!entry) {
+        const activity = findActivityById(activityId);
+        if (!activity) {
+            showError(t('activity.missing'), 'warning');
+            return;
+        }
+        entry = addToHistory(activity, activityId === state.currentActivityId ? state.currentSeed : '');
+    }
+    
+    const cleared = toggle && entry.outcome === outcome;
+    setHistoryOutcome(entry, cleared ? null : outcome);
+    if (state.outcomePrompt === activityId) {
+        state.outcomePrompt = null;
+        updateTimerDisplay();
+    }
+    showError(cleared ? t('outcome.cleared') : t(`outcome.marked.${outcome}`), cleared ? 'info' : 'success');
+}
+
+/**
+ * Set or clear the outcome of a history entry
+ * @param {Object} entry - History entry
+ * @param {string|null} outcome - Key of OUTCOMES, or null to clear it
+ */
+function setHistoryOutcome(entry, outcome) {
+    if (outcome && OUTCOMES[outcome]) {
+        entry.outcome = outcome;
+        entry.outcomeAt = new Date().toISOString();
+    } else {
+        delete entry.outcome;
+        delete entry.outcomeAt;
+    }
+    generator.save('history');
+    updateHistory();
+    renderActivityCard();
+}
+
+// ==========================================================================
+// Stats Dashboard
+// ==========================================================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Create an SVG element
+ * @param {string} tag - Tag name
+ * @param {Object} attrs - Attributes
+ * @param {Node[]} children - Child nodes
+ * @returns {SVGElement} Element
+ */
+function createSvgEl(tag, attrs = {}, children = []) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Get the start of the week (Monday) containing a date, as a local date key
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD of that Monday
+ */
+function getWeekKey(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return getDateKey(monday);
+}
+
+/**
+ * Work out the statistics shown in the dashboard from the history and timer log
+ * @param {Date} now - Current time
+ * @returns {Object} Totals, streaks, per-category and per-week counts, most skipped
+ */
+function computeStats(now = new Date()) {
+    const marked = state.activityHistory.filter(item => item.outcome);
+    const done = marked.filter(item => item.outcome === 'done');
+    const counts = { done: 0, skipped: 0, abandoned: 0 };
+    marked.forEach(item => { counts[item.outcome]++; });
+    
+    // Streaks count days with at least one activity done
+    const doneDays = new Set(done.map(item => getDateKey(new Date(item.outcomeAt || item.timestamp))));
+    const dayBefore = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+    let currentStreak = 0;
+    let day = new Date(now);
+    if (!doneDays.has(getDateKey(day))) day = dayBefore(day); // today isn't over yet
+    while (doneDays.has(getDateKey(day))) {
+        currentStreak++;
+        day = dayBefore(day);
+    }
+    
+    let longestStreak = 0;
+    doneDays.forEach(dateKey => {
+        const [year, month, date] = dateKey.split('-').map(Number);
+        let cursor = new Date(year, month - 1, date);
+        if (doneDays.has(getDateKey(dayBefore(cursor)))) return; // not the start of a run
+        let length = 0;
+        while (doneDays.has(getDateKey(cursor))) {
+            length++;
+            cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+        }
+        longestStreak = Math.max(longestStreak, length);
+    });
+    
+    const byCategory = {};
+    done.forEach(item => {
+        const activity = findActivityById(item.activityId);
+        const category = activity ? activity.category : item.categories[0] || '';
+        byCategory[category] = (byCategory[category] || 0) + 1;
+    });
+    
+    const byWeek = [];
+    const thisWeek = getWeekKey(now);
+    const [year, month, date] = thisWeek.split('-').map(Number);
+    for (let i = STATS_WEEKS - 1; i >= 0; i--) {
+        byWeek.push({ week: getDateKey(new Date(year, month - 1, date - i * 7)), count: 0 });
+    }
+    done.forEach(item => {
+        const week = byWeek.find(entry => entry.week === getWeekKey(new Date(item.outcomeAt || item.timestamp)));
+        if (week) week.count++;
+    });
+    
+    const skipCounts = {};
+    marked.filter(item => item.outcome === 'skipped').forEach(item => {
+        skipCounts[item.activityId] = (skipCounts[item.activityId] || 0) + 1;
+    });
+    const mostSkipped = Object.entries(skipCounts)
+        .sort((a, b) => b[1] - a[1] || getActivityTitle(a[0]).localeCompare(getActivityTitle(b[0])))
+        .slice(0, 5)
+        .map(([activityId, count]) => ({ activityId, count }));
+    
+    return {
+        counts,
+        completionRate: marked.length ? counts.done / marked.length : null,
+        currentStreak,
+        longestStreak,
+        timedMinutes: state.timerLog.reduce((sum, entry) => sum + entry.minutes, 0),
+        byCategory,
+        byWeek,
+        mostSkipped
+    };
+}
+
+/**
+ * Render the stats dashboard
+ */
+function renderStatsPanel() {
+    const stats = computeStats();
+    const days = count => t('stats.days', { count });
+    const tiles = [
+        [t('stats.currentStreak'), days(stats.currentStreak)],
+        [t('stats.longestStreak'), days(stats.longestStreak)],
+        [t('outcome.done'), i18n.formatNumber(stats.counts.done)],
+        [t('stats.completionRate'), stats.completionRate === null ? '–' : i18n.formatNumber(stats.completionRate, { style: 'percent' })],
+        [t('stats.timed'), formatDuration(stats.timedMinutes)]
+    ];
+    
+    const categoryData = Object.entries(stats.byCategory)
+        .map(([category, count]) => ({ label: category ? getCategoryLabel(category) : t('stats.unknownCategory'), count }))
+        .sort((a, b) => b.count - a.count);
+    
+    renderPanelBody(DOM.statsPanel, [
+        createEl('dl', { className: 'stats-tiles' }, tiles.map(([label, value]) => createEl('div', { className: 'stats-tile' }, [
+            createEl('dt', { text: label }),
+            createEl('dd', { text: value })
+        ]))),
+        createEl('p', {
+            className: 'history-count',
+            text: t('stats.basedOn', {
+                count: state.activityHistory.length,
+                done: stats.counts.done,
+                skipped: stats.counts.skipped,
+                abandoned: stats.counts.abandoned
+            })
+        }),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('stats.byCategory') }),
+            categoryData.length
+                ? renderBarChart(categoryData, t('stats.byCategoryChart'))
+                : createEl('p', { className: 'editor-empty', text: t('stats.byCategoryEmpty') })
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('stats.byWeek', { count: STATS_WEEKS }) }),
+            renderWeekChart(stats.byWeek)
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('stats.mostSkipped') }),
+            stats.mostSkipped.length
+                ? createEl('ol', { className: 'stats-skipped' }, stats.mostSkipped.map(({ activityId, count }) => createEl('li', {}, [
+                    createEl('span', { className: 'editor-activity-title', text: getActivityTitle(activityId) }),
+                    createEl('span', { className: 'history-entry-categories', text: t('stats.skippedTimes', { count }) })
+                ])))
+                : createEl('p', { className: 'editor-empty', text: t('stats.nothingSkipped') })
+        ])
+    ]);
+}
+
+/**
+ * Draw a horizontal bar chart
+ * @param {Object[]} data - { label, count } per bar
+ * @param {string} title - Accessible chart title
+ * @returns {SVGElement} Chart
+ */
+function renderBarChart(data, title) {
+    const rowHeight = 28;
+    const labelWidth = 120;
+    const width = 400;
+    const max = Math.max(...data.map(item => item.count));
+    const barSpace = width - labelWidth - 40;
+    
+    return createSvgEl('svg', {
+        class: 'stats-chart',
+        viewBox: `0 0 ${width} ${data.length * rowHeight}`,
+        role: 'img',
+        'aria-label': `${title}: ${i18n.formatList(data.map(item => `${item.label} ${i18n.formatNumber(item.count)}`))}`
+    }, data.flatMap((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = Math.max(2, item.count / max * barSpace);
+        const label = createSvgEl('text', { class: 'stats-chart-label', x: labelWidth - 8, y: y + rowHeight / 2, 'text-anchor': 'end', 'dominant-baseline': 'middle' });
+        label.textContent = item.label;
+        const value = createSvgEl('text', { class: 'stats-chart-value', x: labelWidth + barWidth + 6, y: y + rowHeight / 2, 'dominant-baseline': 'middle' });
+        value.textContent = i18n.formatNumber(item.count);
+        return [
+            label,
+            createSvgEl('rect', { class: 'stats-chart-bar', x: labelWidth, y: y + 4, width: barWidth, height: rowHeight - 8, rx: 3 }),
+            value
+        ];
+    }));
+}
+
+/**
+ * Draw the weekly completions as a column chart
+ * @param {Object[]} weeks - { week, count } per week, oldest first
+ * @returns {SVGElement} Chart
+ */
+function renderWeekChart(weeks) {
+    const width = 400;
+    const height = 160;
+    const axisHeight = 20;
+    const columnWidth = width / weeks.length;
+    const max = Math.max(1, ...weeks.map(item => item.count));
+    const formatWeek = week => {
+        const [year, month, day] = week.split('-').map(Number);
+        return i18n.formatDate(new Date(year, month - 1, day), { month: 'short', day: 'numeric' });
+    };
+    
+    return createSvgEl('svg', {
+        class: 'stats-chart',
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        'aria-label': t('stats.byWeekChart', {
+            weeks: i18n.formatList(weeks.map(item => t('stats.weekOf', { week: formatWeek(item.week), count: item.count })))
+        })
+    }, weeks.flatMap((item, index) => {
+        const barHeight = item.count / max * (height - axisHeight - 16);
+        const x = index * columnWidth;
+        const nodes = [
+            createSvgEl('rect', {
+                class: 'stats-chart-bar',
+                x: x + columnWidth * 0.15,
+                y: height - axisHeight - barHeight,
+                width: columnWidth * 0.7,
+                height: barHeight,
+                rx: 2
+            })
+        ];
+        if (item.count) {
+            const value = createSvgEl('text', { class: 'stats-chart-value', x: x + columnWidth / 2, y: height - axisHeight - barHeight - 4, 'text-anchor': 'middle' });
+            value.textContent = i18n.formatNumber(item.count);
+            nodes.push(value);
+        }
+        // Label every other week so the dates fit
+        if ((weeks.length - 1 - index) % 2 === 0) {
+            const label = createSvgEl('text', { class: 'stats-chart-label', x: x + columnWidth / 2, y: height - 4, 'text-anchor': 'middle' });
+            label.textContent = formatWeek(item.week);
+            nodes.push(label);
+        }
+        return nodes;
+    }));
+}
+
+// ==========================================================================
+// Notifications & Nudges
+// ==========================================================================
+
+// Audio context for the chime, created on first use
+let audioContext = null;
+
+// Interval that checks the nudge schedule
+let nudgeInterval = null;
+
+/**
+ * Alert the user: a browser notification if they allowed one, a chime if enabled,
+ * and a toast whenever the page is visible or no notification could be shown
+ * @param {string} message - Message text
+ * @param {Object} options - tag to replace an earlier notification of the same kind,
+ *                           onClick to run when the notification is clicked
+ */
+function notify(message, options = {}) {
+    const { tag = 'boredom-buster', onClick } = options;
+    const settings = state.notificationSettings;
+    
+    if (settings.sound) playChime();
+    
+    let shown = false;
+    if (settings.browser && 'Notification' in window && Notification.permission === 'granted') {
+        try {
+            const notification = new Notification(t('app.name'), { body: message, tag });
+            notification.onclick = () => {
+                window.focus();
+                if (onClick) onClick();
+                notification.close();
+            };
+            shown = true;
+        } catch (error) {
+            // Some browsers only allow notifications from a service worker
+            console.error('Notification failed:', error);
+        }
+    }
+    
+    if (!shown || !document.hidden) {
+        showError(message, 'info');
+    }
+}
+
+/**
+ * Make sure the audio context can play. Browsers only start audio after a user
+ * gesture, so this is also called from click handlers to unlock it early.
+ * @returns {AudioContext|null} Context, or null without Web Audio support
+ */
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    if (!audioContext) audioContext = new AudioContextClass();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+    }
+    return audioContext;
+}
+
+// Play a short two-note chime, synthesized so no sound file is needed
+function playChime() {
+    const context = getAudioContext();
+    if (!context) return;
+    
+    CHIME_NOTES.forEach(({ frequency, start }) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const startTime = context.currentTime + start;
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.0001, startTime);
+        gain.gain.exponentialRampToValueAtTime(0.3, startTime + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, startTime + 1.2);
+        
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + 1.25);
+    });
+}
+
+/**
+ * Turn browser notifications on or off, asking for permission when turning them on
+ * @param {boolean} enabled - Whether to show browser notifications
+ */
+async function setBrowserNotifications(enabled) {
+    const settings = state.notificationSettings;
+    
+    if (enabled) {
+        if (!('Notification' in window)) {
+            showError(t('alerts.unsupported'), 'warning');
+            enabled = false;
+        } else {
+            const permission = Notification.permission === 'default'
+                ? await Notification.requestPermission()
+                : Notification.permission;
+            if (permission !== 'granted') {
+                showError(t('alerts.blocked'), 'warning');
+                enabled = false;
+            }
+        }
+    }
+    
+    settings.browser = enabled;
+    saveNotificationSettings();
+    renderNotificationsPanel();
+}
+
+/**
+ * Check a time of day string
+ * @param {string} value - Time as HH:MM
+ * @returns {boolean} True if valid
+ */
+function isValidTimeOfDay(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Convert a time of day to minutes after midnight
+ * @param {string} value - Time as HH:MM
+ * @returns {number} Minutes
+ */
+function getMinutesOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a moment falls in the quiet hours, which may span midnight
+ * @param {Date} now - Moment to check
+ * @returns {boolean} True if nudges should stay quiet
+ */
+function isQuietTime(now = new Date()) {
+    const quiet = state.notificationSettings.quietHours;
+    if (!quiet.enabled) return false;
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = getMinutesOfDay(quiet.start);
+    const end = getMinutesOfDay(quiet.end);
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Check the nudge schedule now and then every NUDGE_CHECK_INTERVAL
+function startNudgeChecks() {
+    if (nudgeInterval) clearInterval(nudgeInterval);
+    checkNudges();
+    nudgeInterval = setInterval(() => checkNudges(), NUDGE_CHECK_INTERVAL);
+}
+
+/**
+ * Fire the nudges that are due. A nudge fires at most once a day, and only within
+ * NUDGE_GRACE_MINUTES of its time, so opening the app later doesn't replay it.
+ * Nudges that come due while snoozed or in quiet hours are skipped for the day.
+ * @param {Date} now - Current time
+ */
+function checkNudges(now = new Date()) {
+    const today = getDateKey(now);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const due = state.nudges.filter(nudge => {
+        const late = minutes - getMinutesOfDay(nudge.time);
+        return nudge.enabled && nudge.days.includes(now.getDay()) && nudge.lastFired !== today &&
+            late >= 0 && late <= NUDGE_GRACE_MINUTES;
+    });
+    if (due.length === 0) return;
+    
+    due.forEach(nudge => { nudge.lastFired = today; });
+    saveNotificationSettings();
+    
+    const settings = state.notificationSettings;
+    if (settings.snoozedUntil && settings.snoozedUntil > now.getTime()) return;
+    if (isQuietTime(now)) return;
+    
+    fireNudge(due[0]);
+}
+
+/**
+ * Suggest an activity from a nudge's categories and alert the user
+ * @param {Object} nudge - Nudge
+ */
+function fireNudge(nudge) {
+    const categories = nudge.categories.filter(category => validators.isValidCategory(category));
+    const pool = (categories.length ? categories : Object.keys(activities).filter(category => validators.isValidCategory(category)))
+        .flatMap(category => activities[category]);
+    const matching = pool.filter(activity => matchesFilters(activity, state.filters));
+    const candidates = matching.length ? matching : pool;
+    if (candidates.length === 0) return;
+    
+    const activity = candidates[Math.floor(Math.random() * candidates.length)];
+    displayActivity(activity, { label: { key: 'card.label.nudge', params: { time: nudge.time } } });
+    addToHistory(activity);
+    notify(t('nudges.message', { title: activity.title }), { tag: 'nudge' });
+}
+
+/**
+ * Snooze nudges
+ * @param {number|null} until - Time in ms since the epoch, or null to stop snoozing
+ */
+function snoozeNudges(until) {
+    state.notificationSettings.snoozedUntil = until;
+    saveNotificationSettings();
+    renderNotificationsPanel();
+}
+
+// Add a nudge from the panel's form
+function addNudge() {
+    const form = state.nudgeForm;
+    if (!isValidTimeOfDay(form.time)) {
+        showError(t('nudges.timeRequired'), 'warning');
+        return;
+    }
+    if (form.days.length === 0) {
+        showError(t('nudges.daysRequired'), 'warning');
+        return;
+    }
+    
+    state.nudges.push({
+        id: `nudge-${Date.now().toString(36)}`,
+        time: form.time,
+        days: WEEK_ORDER.filter(day => form.days.includes(day)),
+        categories: form.categories.slice(),
+        enabled: true,
+        lastFired: null
+    });
+    saveNotificationSettings();
+    renderNotificationsPanel();
+    showError(t('nudges.added'), 'success');
+}
+
+/**
+ * Update a nudge
+ * @param {string} id - Nudge id
+ * @param {Object} changes - Fields to change, or null to delete the nudge
+ */
+function updateNudge(id, changes) {
+    const index = state.nudges.findIndex(nudge => nudge.id === id);
+    if (index === -1) return;
+    if (changes) {
+        state.nudges[index] = { ...state.nudges[index], ...changes };
+    } else {
+        state.nudges.splice(index, 1);
+    }
+    saveNotificationSettings();
+    renderNotificationsPanel();
+}
+
+/**
+ * Describe the days a nudge runs on, e.g. "Weekdays" or "Mon, Wed"
+ * @param {number[]} days - Day indexes like Date.getDay()
+ * @returns {string} Description
+ */
+function describeNudgeDays(days) {
+    if (days.length === 7) return t('nudges.everyDay');
+    if (days.length === 5 && [1, 2, 3, 4, 5].every(day => days.includes(day))) return t('nudges.weekdays');
+    if (days.length === 2 && days.includes(0) && days.includes(6)) return t('nudges.weekends');
+    return i18n.formatList(WEEK_ORDER.filter(day => days.includes(day)).map(day => getWeekdayName(day)));
+}
+
+/**
+ * Render the alerts and nudges panel
+ */
+function renderNotificationsPanel() {
+    const settings = state.notificationSettings;
+    const form = state.nudgeForm;
+    const visibleCategories = Object.keys(activities).filter(category => validators.isValidCategory(category));
+    
+    const toggle = (label, checked, onChange, focusKey) => createEl('label', { className: 'selection-toggle' }, [
+        createEl('input', {
+            attrs: { type: 'checkbox', checked, 'data-focus-key': focusKey },
+            on: { change: event => onChange(event.target.checked) }
+        }),
+        createEl('span', { text: label })
+    ]);
+    
+    const timeInput = (label, value, onChange, focusKey) => createEl('label', { className: 'timer-field' }, [
+        createEl('span', { text: label }),
+        createEl('input', {
+            attrs: { type: 'time', value, required: true, 'data-focus-key': focusKey },
+            on: { change: event => onChange(event.target.value) }
+        })
+    ]);
+    
+    const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+    const permissionNote = t(`alerts.permission.${permission}`);
+    
+    const snoozed = settings.snoozedUntil && settings.snoozedUntil > Date.now();
+    const tomorrow = new Date();
+    tomorrow.setHours(24, 0, 0, 0);
+    
+    renderPanelBody(DOM.notificationsPanel, [
+        createEl('section', { className: 'stats-section notification-settings' }, [
+            createEl('h3', { text: t('alerts.title') }),
+            toggle(t('alerts.browser'), settings.browser, setBrowserNotifications, 'notify-browser'),
+            createEl('p', { className: 'backup-hint', text: permissionNote }),
+            toggle(t('alerts.sound'), settings.sound, checked => {
+                settings.sound = checked;
+                if (checked) getAudioContext();
+                saveNotificationSettings();
+            }, 'notify-sound'),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('alerts.test'),
+                attrs: { type: 'button' },
+                on: { click: () => notify(t('alerts.testMessage'), { tag: 'test' }) }
+            })
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('nudges.title') }),
+            createEl('p', { className: 'backup-hint', text: t('nudges.hint') }),
+            state.nudges.length
+                ? createEl('ul', { className: 'editor-list' }, state.nudges.map(nudge => createEl('li', { className: 'editor-row nudge-entry' }, [
+                    createEl('input', {
+                        attrs: { type: 'checkbox', checked: nudge.enabled, 'aria-label': t('nudges.enabled', { time: nudge.time }), 'data-focus-key': `nudge-on-${nudge.id}` },
+                        on: { change: event => updateNudge(nudge.id, { enabled: event.target.checked }) }
+                    }),
+                    createEl('span', { className: 'editor-activity-title', text: `${nudge.time} · ${describeNudgeDays(nudge.days)}` }),
+                    createEl('span', {
+                        className: 'history-entry-categories',
+                        text: nudge.categories.length ? i18n.formatList(nudge.categories.map(getCategoryLabel)) : t('history.allCategories')
+                    }),
+                    createIconButton('fa-trash', t('nudges.delete', { time: nudge.time }), () => updateNudge(nudge.id, null))
+                ])))
+                : createEl('p', { className: 'editor-empty', text: t('nudges.empty') }),
+            createEl('form', {
+                className: 'nudge-form',
+                on: {
+                    submit: event => {
+                        event.preventDefault();
+                        addNudge();
+                    }
+                }
+            }, [
+                timeInput(t('nudges.time'), form.time, value => { form.time = value; }, 'nudge-time'),
+                createEl('fieldset', { className: 'nudge-days' }, [
+                    createEl('legend', { text: t('nudges.days') }),
+                    ...WEEK_ORDER.map(day => createEl('label', { className: 'nudge-day' }, [
+                        createEl('input', {
+                            attrs: { type: 'checkbox', checked: form.days.includes(day) },
+                            on: {
+                                change: event => {
+                                    form.days = event.target.checked ? [...form.days, day] : form.days.filter(item => item !== day);
+                                }
+                            }
+                        }),
+                        createEl('span', { text: getWeekdayName(day) })
+                    ]))
+                ]),
+                createEl('fieldset', { className: 'nudge-days' }, [
+                    createEl('legend', { text: t('nudges.categories') }),
+                    ...visibleCategories.map(category => createEl('label', { className: 'nudge-day' }, [
+                        createEl('input', {
+                            attrs: { type: 'checkbox', checked: form.categories.includes(category) },
+                            on: {
+                                change: event => {
+                                    form.categories = event.target.checked
+                                        ? [...form.categories, category]
+                                        : form.categories.filter(item => item !== category);
+                                }
+                            }
+                        }),
+                        createEl('span', { text: getCategoryLabel(category) })
+                    ]))
+                ]),
+                createEl('button', { className: 'editor-submit', text: t('nudges.add'), attrs: { type: 'submit' } })
+            ])
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('quiet.title') }),
+            toggle(t('quiet.enabled'), settings.quietHours.enabled, checked => {
+                settings.quietHours.enabled = checked;
+                saveNotificationSettings();
+            }, 'quiet-enabled'),
+            createEl('div', { className: 'editor-form' }, [
+                timeInput(t('quiet.from'), settings.quietHours.start, value => {
+                    if (!isValidTimeOfDay(value)) return;
+                    settings.quietHours.start = value;
+                    saveNotificationSettings();
+                }, 'quiet-start'),
+                timeInput(t('quiet.until'), settings.quietHours.end, value => {
+                    if (!isValidTimeOfDay(value)) return;
+                    settings.quietHours.end = value;
+                    saveNotificationSettings();
+                }, 'quiet-end')
+            ]),
+            createEl('p', {
+                className: 'history-count',
+                text: snoozed
+                    ? t('snooze.until', { time: i18n.formatDate(settings.snoozedUntil, { weekday: 'short', hour: '2-digit', minute: '2-digit' }) })
+                    : t('snooze.off')
+            }),
+            createEl('div', { className: 'editor-form' }, snoozed
+                ? [createEl('button', {
+                    className: 'filter-clear',
+                    text: t('snooze.stop'),
+                    attrs: { type: 'button', 'data-focus-key': 'snooze-off' },
+                    on: { click: () => snoozeNudges(null) }
+                })]
+                : [
+                    ...SNOOZE_OPTIONS.map(minutes => createEl('button', {
+                        className: 'filter-clear',
+                        text: t('snooze.for', { duration: formatDuration(minutes) }),
+                        attrs: { type: 'button' },
+                        on: { click: () => snoozeNudges(Date.now() + minutes * 60000) }
+                    })),
+                    createEl('button', {
+                        className: 'filter-clear',
+                        text: t('snooze.tomorrow'),
+                        attrs: { type: 'button' },
+                        on: { click: () => snoozeNudges(tomorrow.getTime()) }
+                    })
+                ])
+        ])
+    ]);
+}
+
+// ==========================================================================
+// Activity Sources
+// ==========================================================================
+
+/**
+ * Name of a source to show. The local sources always go by their type's name, in
+ * the current language; remote ones by the name the user gave them.
+ * @param {Object} source - Source
+ * @returns {string} Name
+ */
+function getSourceLabel(source) {
+    return SOURCE_TYPES[source.type].remote ? source.label : t(`sources.type.${source.type}`);
+}
+
+// Remote sources that are turned on
+function getEnabledRemoteSources() {
+    return state.sources.filter(source => source.enabled && SOURCE_TYPES[source.type].remote);
+}
+
+/**
+ * Load the enabled remote sources (or the given ones) into the live catalog. A source
+ * that fails keeps nothing from it, so picks fall back to the local catalog, and the
+ * failure is shown as a toast.
+ * @param {Object} options
+ * @param {Object[]} options.sources - Sources to load; defaults to the enabled remote sources
+ * @param {string[]} options.categories - Categories to load; defaults to the selected ones
+ * @param {boolean} options.refresh - Ignore cached responses
+ * @returns {Promise<Object>} Result of sourceLoader.load
+ */
+async function refreshRemoteSources(options = {}) {
+    const {
+        sources = getEnabledRemoteSources(),
+        categories = Array.from(state.selectedCategories),
+        refresh = false
+    } = options;
+    if (sources.length === 0) return { records: {}, failures: [] };
+    
+    const result = await sourceLoader.load(sources, categories, { refresh });
+    sources.forEach(source => {
+        const failure = result.failures.find(item => item.source === source);
+        state.remoteActivities[source.id] = result.records[source.id];
+        state.sourceStatus[source.id] = failure
+            ? { ok: false, message: failure.error.message, checkedAt: Date.now() }
+            : { ok: true, count: result.records[source.id].length, checkedAt: Date.now() };
+    });
+    result.failures.forEach(({ source, error }) => {
+        console.error(`Error loading source ${source.label}:`, error);
+        // Offline, every remote source fails; the offline indicator already says so
+        if (navigator.onLine) {
+            showError(t('sources.loadFailed', { name: source.label, error: error.message }), 'warning');
+        }
+    });
+    
+    buildCatalog();
+    updateFilterSummary();
+    if (!DOM.sourcesPanel.hidden) renderSourcesPanel();
+    return result;
+}
+
+// Add a remote source from the panel's form
+function addSource() {
+    const form = state.sourceForm;
+    let url = '';
+    try {
+        url = new URL(form.url.trim(), window.location.href).href;
+    } catch (error) {
+        // Reported below along with other unusable URLs
+    }
+    
+    const source = normalizeSource({
+        id: `source-${Date.now().toString(36)}`,
+        type: form.type,
+        label: form.label.trim() || t(`sources.type.${form.type}`),
+        url,
+        timeout: form.timeout * 1000,
+        cacheMinutes: form.cacheMinutes
+    });
+    if (!form.url.trim() || !source) {
+        showError(t('sources.urlRequired'), 'warning');
+        return;
+    }
+    
+    state.sources.push(source);
+    state.sourceForm = { ...form, label: '', url: '' };
+    saveSources();
+    renderSourcesPanel();
+    showError(t('sources.added', { name: source.label }), 'success');
+    testSource(source.id);
+}
+
+/**
+ * Update a source's settings
+ * @param {string} id - Source id
+ * @param {Object} changes - Fields to change, or null to remove the source
+ */
+function updateSource(id, changes) {
+    const index = state.sources.findIndex(source => source.id === id);
+    if (index === -1) return;
+    
+    if (changes) {
+        state.sources[index] = normalizeSource({ ...state.sources[index], ...changes }) || state.sources[index];
+    } else {
+        state.sources.splice(index, 1);
+        delete state.remoteActivities[id];
+        delete state.sourceStatus[id];
+        sourceLoader.forget(id);
+    }
+    saveSources();
+    buildCatalog();
+    updateFilterSummary();
+    renderSourcesPanel();
+}
+
+/**
+ * Load a remote source now, skipping its cache, to check that it works
+ * @param {string} id - Source id
+ */
+async function testSource(id) {
+    const source = state.sources.find(item => item.id === id);
+    if (!source) return;
+    
+    state.sourceStatus[id] = { loading: true };
+    renderSourcesPanel();
+    const categories = state.selectedCategories.size
+        ? Array.from(state.selectedCategories)
+        : Object.keys(activities).filter(validators.isValidCategory);
+    const { failures, records } = await refreshRemoteSources({ sources: [source], categories, refresh: true });
+    if (failures.length === 0) {
+        const count = records[id].length;
+        showError(t('sources.tested', { name: source.label, count }), 'success');
+    }
+}
+
+/**
+ * Describe a source's last load for the panel
+ * @param {Object} source - Source
+ * @returns {string} Status text
+ */
+function describeSourceStatus(source) {
+    if (!SOURCE_TYPES[source.type].remote) {
+        const customIds = new Set(state.customCatalog.activities.map(activity => activity.id));
+        const count = Object.values(activities).flat().filter(activity => !activity.source &&
+            (source.type === 'custom') === customIds.has(activity.id)).length;
+        return source.enabled ? t('catalog.activityCount', { count }) : t('sources.off');
+    }
+    
+    const status = state.sourceStatus[source.id];
+    if (!status) return source.enabled ? t('sources.loadsLater') : t('sources.off');
+    if (status.loading) return t('sources.loading');
+    const time = formatTime(status.checkedAt);
+    return status.ok
+        ? t('sources.status.ok', { count: status.count, time })
+        : t('sources.status.failed', { error: status.message, time });
+}
+
+/**
+ * Render the sources panel
+ */
+function renderSourcesPanel() {
+    const form = state.sourceForm;
+    const field = (label, control) => createEl('label', { className: 'filter-field' }, [createEl('span', { text: label }), control]);
+    const numberInput = (value, min, max, onChange, attrs = {}) => createEl('input', {
+        attrs: { type: 'number', min, max, step: 1, value, ...attrs },
+        on: {
+            change: event => {
+                const number = Number(event.target.value);
+                if (Number.isFinite(number)) onChange(Math.min(max, Math.max(min, number)));
+            }
+        }
+    });
+    
+    const rows = state.sources.map(source => {
+        const type = SOURCE_TYPES[source.type];
+        const status = state.sourceStatus[source.id];
+        const children = [
+            createEl('input', {
+                attrs: { type: 'checkbox', checked: source.enabled, 'aria-label': t('sources.use', { name: getSourceLabel(source) }), 'data-focus-key': `source-on-${source.id}` },
+                on: { change: event => updateSource(source.id, { enabled: event.target.checked }) }
+            }),
+            createEl('span', { className: 'editor-activity-title', text: getSourceLabel(source) }),
+            createEl('span', {
+                className: 'editor-activity-meta',
+                text: type.remote ? `${t(`sources.type.${source.type}`)} · ${source.url}` : t(`sources.about.${source.type}`)
+            }),
+            createEl('span', {
+                className: `source-status${status && status.ok === false ? ' is-failed' : ''}`,
+                text: describeSourceStatus(source)
+            })
+        ];
+        
+        if (type.remote) {
+            children.push(createEl('div', { className: 'source-settings' }, [
+                field(t('sources.timeout'), numberInput(source.timeout / 1000, 1, 30,
+                    seconds => updateSource(source.id, { timeout: seconds * 1000 }), { 'data-focus-key': `source-timeout-${source.id}` })),
+                field(t('sources.cache'), numberInput(source.cacheMinutes, 0, 1440,
+                    minutes => updateSource(source.id, { cacheMinutes: minutes }), { 'data-focus-key': `source-cache-${source.id}` })),
+                createEl('button', {
+                    className: 'filter-clear',
+                    text: t('sources.test'),
+                    attrs: { type: 'button', disabled: Boolean(status && status.loading), 'data-focus-key': `source-test-${source.id}` },
+                    on: { click: () => testSource(source.id) }
+                }),
+                createIconButton('fa-trash', t('sources.remove', { name: source.label }), () => updateSource(source.id, null))
+            ]));
+        }
+        return createEl('li', { className: 'editor-row source-entry' }, children);
+    });
+    
+    const remoteTypes = Object.keys(SOURCE_TYPES).filter(key => SOURCE_TYPES[key].remote);
+    
+    renderPanelBody(DOM.sourcesPanel, [
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('sources.title') }),
+            createEl('p', {
+                className: 'backup-hint',
+                text: t('sources.hint')
+            }),
+            createEl('ul', { className: 'editor-list' }, rows)
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('sources.addTitle') }),
+            createEl('form', {
+                className: 'editor-form',
+                on: {
+                    submit: event => {
+                        event.preventDefault();
+                        addSource();
+                    }
+                }
+            }, [
+                field(t('sources.typeField'), createEl('select', {
+                    attrs: { 'data-focus-key': 'source-type' },
+                    on: {
+                        change: event => {
+                            form.type = event.target.value;
+                            form.cacheMinutes = SOURCE_TYPES[form.type].cacheMinutes;
+                            renderSourcesPanel();
+                        }
+                    }
+                }, remoteTypes.map(key => createEl('option', {
+                    text: t(`sources.type.${key}`),
+                    attrs: { value: key, selected: key === form.type }
+                })))),
+                field(t('sources.name'), createEl('input', {
+                    attrs: { type: 'text', value: form.label, maxlength: 40, placeholder: t(`sources.type.${form.type}`) },
+                    on: { input: event => { form.label = event.target.value; } }
+                })),
+                field(t('sources.url'), createEl('input', {
+                    attrs: { type: 'url', value: form.url, required: true, placeholder: 'https://' },
+                    on: { input: event => { form.url = event.target.value; } }
+                })),
+                field(t('sources.timeout'), numberInput(form.timeout, 1, 30, seconds => { form.timeout = seconds; })),
+                field(t('sources.cache'), numberInput(form.cacheMinutes, 0, 1440, minutes => { form.cacheMinutes = minutes; })),
+                createEl('button', { className: 'editor-submit', text: t('sources.add'), attrs: { type: 'submit' } })
+            ]),
+            createEl('p', {
+                className: 'backup-hint',
+                text: t(`sources.help.${form.type}`)
+            })
+        ])
+    ]);
+}
+
+// ==========================================================================
+// Offline & Install
+// ==========================================================================
+
+// Install prompt the browser offered, kept until the user uses the install button
+let installPromptEvent = null;
+
+// Set when the user accepts an update, so the page reloads once the new worker takes over
+let updateAccepted = false;
+
+/**
+ * Register the service worker, track the connection and offer installation
+ */
+function setupOfflineSupport() {
+    updateOfflineIndicator();
+    window.addEventListener('online', updateOfflineIndicator);
+    window.addEventListener('offline', updateOfflineIndicator);
+    
+    window.addEventListener('beforeinstallprompt', event => {
+        event.preventDefault();
+        installPromptEvent = event;
+        DOM.installBtn.hidden = false;
+    });
+    window.addEventListener('appinstalled', () => {
+        installPromptEvent = null;
+        DOM.installBtn.hidden = true;
+    });
+    DOM.installBtn.addEventListener('click', installApp);
+    
+    registerServiceWorker();
+}
+
+// Show the offline indicator while the browser is offline
+function updateOfflineIndicator() {
+    DOM.offlineIndicator.hidden = navigator.onLine;
+}
+
+/**
+ * Register sw.js, which precaches the app, and watch for new versions of it.
+ * Service workers need http(s), so opening index.html from disk skips this.
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !['http:', 'https:'].includes(window.location.protocol)) return;
+    
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateAccepted) window.location.reload();
+    });
+    
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        // Without a controlling worker this is the first install, not an update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptForUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptForUpdate(worker);
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error registering service worker:', error);
+    }
+}
+
+/**
+ * Offer to switch to a new version that has finished installing
+ * @param {ServiceWorker} worker - Waiting service worker
+ */
+function promptForUpdate(worker) {
+    showError(t('app.updateAvailable'), 'info', Infinity, [{
+        label: t('app.reload'),
+        onClick: () => {
+            updateAccepted = true;
+            worker.postMessage('skipWaiting');
+        }
+    }]);
+}
+
+// Show the browser's install dialog
+async function installApp() {
+    if (!installPromptEvent) return;
+    const promptEvent = installPromptEvent;
+    installPromptEvent = null;
+    DOM.installBtn.hidden = true;
+    promptEvent.prompt();
+    const { outcome } = await promptEvent.userChoice;
+    if (outcome === 'accepted') showError(t('app.installed'), 'success');
+}
+
+// ==========================================================================
+// Reveal Animations
+// ==========================================================================
+
+// The operating system's reduced motion preference
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// Animations for the reveal modes that have one, keyed by mode
+const REVEAL_RENDERERS = {
+    reel: renderRevealReel,
+    wheel: renderRevealWheel
+};
+
+// True if the operating system asks for less motion
+function prefersReducedMotion() {
+    return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+// Reveal mode to play now: always instant while reduced motion is on
+function getRevealMode() {
+    return prefersReducedMotion() ? 'instant' : state.revealSettings.mode;
+}
+
+/**
+ * Check saved reveal settings
+ * @param {Object} saved - { mode, duration }
+ * @returns {Object} Settings with the default for anything unknown
+ */
+function normalizeRevealSettings(saved) {
+    const source = saved && typeof saved === 'object' ? saved : {};
+    return {
+        mode: REVEAL_MODES.includes(source.mode) ? source.mode : DEFAULT_REVEAL.mode,
+        duration: REVEAL_DURATIONS.includes(source.duration) ? source.duration : DEFAULT_REVEAL.duration
+    };
+}
+
+/**
+ * Save the reveal settings
+ */
+function saveRevealSettings() {
+    store.set('revealSettings', state.revealSettings);
+}
+
+/**
+ * Load the reveal settings
+ */
+function loadRevealSettings() {
+    state.revealSettings = normalizeRevealSettings(store.get('revealSettings', null));
+    updateRevealControls();
+}
+
+/**
+ * Update one reveal setting
+ * @param {string} key - 'mode' or 'duration'
+ * @param {*} value - New value
+ */
+function setRevealSetting(key, value) {
+    state.revealSettings = normalizeRevealSettings({ ...state.revealSettings, [key]: value });
+    saveRevealSettings();
+    updateRevealControls();
+}
+
+// Sync the reveal controls with state. Reduced motion makes every reveal instant, so
+// the controls show that, turned off, and say why. Choice cards have no reveal.
+function updateRevealControls() {
+    const reduced = prefersReducedMotion();
+    DOM.selectionSection.querySelectorAll('[data-reveal]').forEach(control => {
+        const key = control.dataset.reveal;
+        control.value = String(key === 'mode' ? getRevealMode() : state.revealSettings[key]);
+        control.disabled = reduced || state.selectionSettings.choices > 1 ||
+            (key === 'duration' && state.revealSettings.mode === 'instant');
+        if (reduced) {
+            control.title = t('reveal.reducedMotion');
+        } else {
+            control.removeAttribute('title');
+        }
+    });
+}
+
+// Follow the operating system when reduced motion is turned on or off
+function watchReducedMotion() {
+    if (!reducedMotionQuery) return;
+    reducedMotionQuery.addEventListener('change', updateRevealControls);
+}
+
+/**
+ * Candidates the reel and wheel show
+ * @param {Object} activity - Picked activity record
+ * @param {Object[]} candidates - Activity records it was picked from
+ * @returns {Object[]} Up to REVEAL_MAX_ITEMS records in random order, the picked one among them
+ */
+function getRevealItems(activity, candidates) {
+    const others = seededShuffle(candidates.filter(item => item.id !== activity.id), Math.random)
+        .slice(0, REVEAL_MAX_ITEMS - 1);
+    return seededShuffle([activity, ...others], Math.random);
+}
+
+/**
+ * Build a slot-machine reel that runs through the items REVEAL_REEL_LOOPS times and
+ * stops on the picked activity
+ * @param {Object[]} items - Activity records to show
+ * @param {Object} activity - Picked activity record
+ * @returns {Object} { element, spin }: spin sets the reel moving to its stop
+ */
+function renderRevealReel(items, activity) {
+    const rows = [];
+    for (let loop = 0; loop < REVEAL_REEL_LOOPS; loop++) rows.push(...items);
+    rows.push(activity);
+
+    const strip = createEl('ul', { className: 'reveal-reel-strip' }, rows.map(item => createEl('li', {
+        className: 'reveal-reel-row',
+        text: getActivityTitle(item.id)
+    })));
+
+    return {
+        element: createEl('div', { className: 'reveal-reel' }, [strip]),
+        spin: () => {
+            strip.style.transform = `translateY(-${((rows.length - 1) / rows.length) * 100}%)`;
+        }
+    };
+}
+
+/**
+ * Build a wheel with one segment per item that comes to rest with the picked
+ * activity under the pointer
+ * @param {Object[]} items - Activity records to show
+ * @param {Object} activity - Picked activity record
+ * @returns {Object} { element, spin }: spin sets the wheel turning to its stop
+ */
+function renderRevealWheel(items, activity) {
+    const radius = 96;
+    // Longest label that fits in a segment
+    const labelLength = 16;
+    const slice = 360 / items.length;
+    // Point on the rim, with angles running clockwise from the top
+    const rimPoint = angle => {
+        const radians = (angle - 90) * Math.PI / 180;
+        return `${(Math.cos(radians) * radius).toFixed(2)} ${(Math.sin(radians) * radius).toFixed(2)}`;
+    };
+
+    const segments = items.map((item, index) => {
+        const start = index * slice;
+        const title = getActivityTitle(item.id);
+        const label = title.length > labelLength ? `${title.slice(0, labelLength - 1)}…` : title;
+        return createSvgEl('g', { class: 'reveal-wheel-segment' }, [
+            createSvgEl('path', { d: `M 0 0 L ${rimPoint(start)} A ${radius} ${radius} 0 0 1 ${rimPoint(start + slice)} Z` }),
+            createSvgEl('text', {
+                x: radius - 8,
+                y: 0,
+                transform: `rotate(${start + slice / 2 - 90})`,
+                'text-anchor': 'end',
+                'dominant-baseline': 'middle'
+            }, [document.createTextNode(label)])
+        ]);
+    });
+
+    const disc = createEl('div', { className: 'reveal-wheel-disc' }, [
+        createSvgEl('svg', { viewBox: '-100 -100 200 200' }, [
+            ...segments,
+            createSvgEl('circle', { class: 'reveal-wheel-hub', r: 10 })
+        ])
+    ]);
+
+    // Turn the middle of the picked segment, give or take a little, to the top
+    const offset = (Math.random() - 0.5) * slice * 0.6;
+    const angle = REVEAL_WHEEL_TURNS * 360 - (items.indexOf(activity) + 0.5) * slice + offset;
+
+    return {
+        element: createEl('div', { className: 'reveal-wheel' }, [createEl('span', { className: 'reveal-wheel-pointer' }), disc]),
+        spin: () => {
+            disc.style.transform = `rotate(${angle}deg)`;
+        }
+    };
+}
+
+/**
+ * Play the reveal animation for a picked activity in place of its card
+ * @param {Object} activity - Picked activity record
+ * @param {Object[]} candidates - Activity records it was picked from
+ * @returns {Promise} Resolves once the animation is over, at once for an instant reveal
+ */
+function playReveal(activity, candidates) {
+    const mode = getRevealMode();
+    if (mode === 'instant' || candidates.length < 2) return Promise.resolve();
+
+    const { duration } = state.revealSettings;
+    const { element, spin } = REVEAL_RENDERERS[mode](getRevealItems(activity, candidates), activity);
+    DOM.revealStage.style.setProperty('--reveal-duration', `${duration}ms`);
+    DOM.revealStage.replaceChildren(element);
+    DOM.revealStage.hidden = false;
+
+    // The animation takes the place of the spinner and the last card
+    DOM.loadingElement.classList.remove('visible');
+    DOM.loadingElement.style.display = 'none';
+    DOM.activityResult.hidden = true;
+    DOM.resultArea.classList.add('visible');
+
+    // Lay out the start position first so the move to the stop is animated
+    element.getBoundingClientRect();
+    spin();
+
+    return new Promise(resolve => setTimeout(() => {
+        DOM.revealStage.hidden = true;
+        DOM.revealStage.replaceChildren();
+        resolve();
+    }, duration));
+}
+
+// ==========================================================================
+// Keyboard Shortcuts
+// ==========================================================================
+
+// Key as shortcuts store and compare it: letters in lower case, other keys as they are
+function normalizeShortcutKey(key) {
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+}
+
+// True if a key can be a shortcut: a single printable character other than a space
+function isBindableKey(key) {
+    return typeof key === 'string' && key.length === 1 && key.trim() !== '';
+}
+
+// Key as shown to the user, e.g. "G"
+function formatShortcutKey(key) {
+    return key.toUpperCase();
+}
+
+// Name of a shortcut action, e.g. "Generate an activity"
+function getShortcutLabel(action) {
+    const category = action.match(/^category(\d)$/);
+    return category ? t('shortcuts.action.category', { number: Number(category[1]) }) : t(`shortcuts.action.${action}`);
+}
+
+/**
+ * Check saved shortcuts: unknown actions are dropped, keys that can't be used get
+ * the default back, and a key saved for two actions stays with the first
+ * @param {Object} saved - { [action]: key }
+ * @returns {Object} A key, or '', for every action in DEFAULT_SHORTCUTS
+ */
+function normalizeShortcuts(saved) {
+    const source = saved && typeof saved === 'object' ? saved : {};
+    const used = new Set();
+    const shortcuts = {};
+    Object.keys(DEFAULT_SHORTCUTS).forEach(action => {
+        let key = Object.prototype.hasOwnProperty.call(source, action) ? source[action] : DEFAULT_SHORTCUTS[action];
+        if (key !== '') key = isBindableKey(key) ? normalizeShortcutKey(key) : DEFAULT_SHORTCUTS[action];
+        if (used.has(key)) key = '';
+        if (key) used.add(key);
+        shortcuts[action] = key;
+    });
+    return shortcuts;
+}
+
+/**
+ * Save the keyboard shortcuts
+ */
+function saveShortcuts() {
+    store.set('shortcuts', state.shortcuts);
+}
+
+/**
+ * Load the keyboard shortcuts
+ */
+function loadShortcuts() {
+    state.shortcuts = normalizeShortcuts(store.get('shortcuts', null));
+    updateShortcutHints();
+}
+
+/**
+ * Bind a key to an action, refusing keys that can't be used or that another action has
+ * @param {string} action - Key of DEFAULT_SHORTCUTS
+ * @param {string} key - KeyboardEvent.key, or '' to leave the action without a key
+ * @returns {boolean} True if the key was bound
+ */
+function setShortcut(action, key) {
+    const normalized = normalizeShortcutKey(key);
+    if (normalized !== '' && !isBindableKey(normalized)) {
+        showError(t('shortcuts.invalidKey'), 'warning');
+        return false;
+    }
+    const conflict = normalized && Object.keys(state.shortcuts)
+        .find(other => other !== action && state.shortcuts[other] === normalized);
+    if (conflict) {
+        showError(t('shortcuts.conflict', { key: formatShortcutKey(normalized), action: getShortcutLabel(conflict) }), 'warning');
+        return false;
+    }
+    
+    state.shortcuts[action] = normalized;
+    saveShortcuts();
+    updateShortcutHints();
+    return true;
+}
+
+// Put every action back on its default key
+function resetShortcuts() {
+    state.shortcuts = { ...DEFAULT_SHORTCUTS };
+    state.shortcutCapture = null;
+    saveShortcuts();
+    updateShortcutHints();
+    renderShortcutsPanel();
+    showError(t('shortcuts.resetDone'), 'success');
+}
+
+/**
+ * Announce the shortcuts on the controls they stand in for, through aria-keyshortcuts
+ */
+function updateShortcutHints() {
+    const hint = (element, action) => {
+        if (!element) return;
+        if (state.shortcuts[action]) {
+            element.setAttribute('aria-keyshortcuts', formatShortcutKey(state.shortcuts[action]));
+        } else {
+            element.removeAttribute('aria-keyshortcuts');
+        }
+    };
+    hint(DOM.generateBtn, 'generate');
+    hint(document.querySelector('.toolbar-btn[data-panel="history-panel"]'), 'history');
+    hint(document.querySelector('.toolbar-btn[data-panel="shortcuts-panel"]'), 'help');
+    DOM.categoriesSection.querySelectorAll('.category-btn').forEach((button, index) => {
+        if (index < 9) hint(button, `category${index + 1}`);
+    });
+}
+
+// True if keys typed at an element go into a field
+function isTypingTarget(element) {
+    return Boolean(element.closest && element.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+}
+
+/**
+ * Run the action bound to a pressed key. Shortcuts don't fire while the user types in
+ * a field, for keys held down or pressed with Ctrl, Alt or Meta (so the browser's own
+ * shortcuts keep working), or while a panel is open, except the help shortcut.
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {boolean} True if a shortcut ran
+ */
+function handleShortcut(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey || event.repeat || isTypingTarget(event.target)) {
+        return false;
+    }
+    const key = normalizeShortcutKey(event.key);
+    const action = Object.keys(state.shortcuts).find(name => state.shortcuts[name] !== '' && state.shortcuts[name] === key);
+    if (!action) return false;
+    if (action !== 'help' && document.querySelector('.panel:not([hidden])')) return false;
+    
+    event.preventDefault();
+    runShortcut(action);
+    return true;
+}
+
+/**
+ * Do what a shortcut action stands for
+ * @param {string} action - Key of DEFAULT_SHORTCUTS
+ */
+function runShortcut(action) {
+    const category = action.match(/^category(\d)$/);
+    if (category) {
+        const button = DOM.categoriesSection.querySelectorAll('.category-btn')[Number(category[1]) - 1];
+        if (button) toggleCategory(button.dataset.category, button);
+        return;
+    }
+    
+    const activity = DOM.activityResult.hidden ? null : findActivityById(state.currentActivityId);
+    const handlers = {
+        generate: () => generateActivity(),
+        favorite: () => {
+            const button = DOM.activityResult.querySelector('[data-action="favorite"]');
+            if (activity && button) {
+                toggleFavorite(activity, button);
+            } else {
+                showError(t('shortcuts.noActivity'), 'info');
+            }
+        },
+        timer: () => {
+            if (state.timerSession) {
+                stopTimer();
+            } else if (activity) {
+                setTimerActivity(activity);
+                startTimerFromSetup();
+            } else {
+                showError(t('shortcuts.noActivity'), 'info');
+            }
+        },
+        history: () => openPanel(DOM.historyPanel),
+        help: () => (DOM.shortcutsPanel.hidden ? openPanel(DOM.shortcutsPanel) : closePanel(DOM.shortcutsPanel))
+    };
+    handlers[action]();
+}
+
+/**
+ * Take the next key pressed as the new shortcut of the action being changed. Escape
+ * cancels; a key that can't be used or is taken leaves the panel waiting for another.
+ * @param {KeyboardEvent} event - keydown event
+ */
+function captureShortcutKey(event) {
+    // Let focus move, and wait for the key that goes with a modifier
+    if (event.key === 'Tab' || event.ctrlKey || event.altKey || event.metaKey ||
+        ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph'].includes(event.key)) {
+        return;
+    }
+    event.preventDefault();
+    
+    const action = state.shortcutCapture;
+    if (event.key !== 'Escape') {
+        if (!setShortcut(action, event.key)) return;
+        showError(t('shortcuts.set', { action: getShortcutLabel(action), key: formatShortcutKey(state.shortcuts[action]) }), 'success');
+    }
+    state.shortcutCapture = null;
+    renderShortcutsPanel();
+}
+
+/**
+ * Render the shortcuts panel: every binding, with buttons to change or remove the
+ * remappable ones, and the keys that always work
+ */
+function renderShortcutsPanel() {
+    const visibleCategories = Array.from(DOM.categoriesSection.querySelectorAll('.category-btn'));
+    const keyCap = key => createEl('kbd', { className: 'shortcut-key', text: key });
+    
+    const row = action => {
+        const key = state.shortcuts[action];
+        const recording = state.shortcutCapture === action;
+        const category = action.match(/^category(\d)$/);
+        const categoryButton = category ? visibleCategories[Number(category[1]) - 1] : null;
+        
+        return createEl('li', { className: `editor-row shortcut-entry${recording ? ' is-recording' : ''}` }, [
+            createEl('span', { className: 'editor-activity-title' }, [
+                getShortcutLabel(action),
+                categoryButton ? createEl('span', { className: 'shortcut-detail', text: getCategoryLabel(categoryButton.dataset.category) }) : null
+            ]),
+            recording
+                ? createEl('span', { className: 'shortcut-recording', text: t('shortcuts.recording'), attrs: { role: 'status' } })
+                : (key ? keyCap(formatShortcutKey(key)) : createEl('span', { className: 'shortcut-unset', text: t('shortcuts.none') })),
+            createEl('button', {
+                className: 'filter-clear',
+                text: recording ? t('app.cancel') : t('shortcuts.change'),
+                attrs: {
+                    type: 'button',
+                    'aria-label': recording ? t('app.cancel') : t('shortcuts.changeLabel', { action: getShortcutLabel(action) }),
+                    'data-focus-key': `shortcut-${action}`
+                },
+                on: {
+                    click: () => {
+                        state.shortcutCapture = recording ? null : action;
+                        renderShortcutsPanel();
+                    }
+                }
+            }),
+            key && !recording
+                ? createIconButton('fa-times', t('shortcuts.remove', { action: getShortcutLabel(action) }), () => {
+                    setShortcut(action, '');
+                    renderShortcutsPanel();
+                }, { 'data-focus-key': `shortcut-remove-${action}` })
+                : null
+        ]);
+    };
+    
+    const fixedRow = (keys, label) => createEl('li', { className: 'editor-row shortcut-entry' }, [
+        createEl('span', { className: 'editor-activity-title', text: label }),
+        createEl('span', { className: 'shortcut-keys' }, keys.map(keyCap))
+    ]);
+    
+    renderPanelBody(DOM.shortcutsPanel, [
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('shortcuts.custom') }),
+            createEl('p', { className: 'backup-hint', text: t('shortcuts.hint') }),
+            createEl('ul', { className: 'editor-list shortcut-list' }, Object.keys(DEFAULT_SHORTCUTS).map(row)),
+            createEl('button', {
+                className: 'filter-clear',
+                text: t('shortcuts.reset'),
+                attrs: { type: 'button' },
+                on: { click: resetShortcuts }
+            })
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('shortcuts.fixed') }),
+            createEl('ul', { className: 'editor-list shortcut-list' }, [
+                fixedRow([t('shortcuts.key.escape')], t('shortcuts.fixed.escape')),
+                fixedRow([t('shortcuts.key.enter'), t('shortcuts.key.space')], t('shortcuts.fixed.press')),
+                fixedRow(['←', '→'], t('shortcuts.fixed.arrows'))
+            ])
+        ])
+    ]);
+}
+
+// ==========================================================================
+// Language
+// ==========================================================================
+
+// True if a language preference is 'auto' or a registered locale
+function isKnownLocale(preference) {
+    return preference === 'auto' || getLocales().some(({ locale }) => locale === preference);
+}
+
+/**
+ * The locale a language preference stands for
+ * @param {string} preference - 'auto' or a registered locale
+ * @returns {string} Registered locale; 'auto' picks the best match for the browser's languages
+ */
+function resolveLocale(preference) {
+    if (preference !== 'auto' && isKnownLocale(preference)) return preference;
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    return matchLocale(preferred);
+}
+
+/**
+ * Load the language preference and translate the page
+ */
+function loadLocale() {
+    const saved = store.get('locale', 'auto');
+    state.locale = isKnownLocale(saved) ? saved : 'auto';
+    applyLocale();
+}
+
+/**
+ * Switch to the preferred language: replace the translator, set the page's language
+ * and direction, and translate the text in index.html (marked with data-i18n for
+ * text and data-i18n-label for aria-labels)
+ */
+function applyLocale() {
+    i18n = createTranslator(resolveLocale(state.locale));
+    document.documentElement.lang = i18n.locale;
+    document.documentElement.dir = i18n.dir;
+    document.title = t('app.title');
+    if (DOM.descriptionMeta) DOM.descriptionMeta.setAttribute('content', t('app.description'));
+    
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+    renderLanguageSelect();
+}
+
+// Fill the language picker: automatic first, then each language in its own name
+function renderLanguageSelect() {
+    const automatic = getLocales().find(({ locale }) => locale === resolveLocale('auto'));
+    render(DOM.languageSelect, [
+        createEl('option', { text: t('language.auto', { name: automatic ? automatic.name : i18n.locale }), attrs: { value: 'auto' } }),
+        ...getLocales().map(({ locale, name }) => createEl('option', { text: name, attrs: { value: locale, lang: locale } }))
+    ]);
+    DOM.languageSelect.value = state.locale;
+}
+
+/**
+ * Re-render everything built from messages, after the language changed
+ */
+function refreshTranslations() {
+    buildCatalog();
+    initializeCategories();
+    initializeFilters();
+    initializeSelectionSettings();
+    updateFilterControls();
+    updateSelectionControls();
+    updateHistory();
+    renderActivityCard();
+    renderChoices();
+    updateTimerDisplay();
+    updateThemeIcon();
+    updateGenerateButtonState();
+    updateFilterSummary();
+    refreshOpenPanel();
+}
+
+/**
+ * Set, save and apply the language preference
+ * @param {string} preference - 'auto' or a registered locale
+ */
+function setLocale(preference) {
+    if (!isKnownLocale(preference)) return;
+    state.locale = preference;
+    store.set('locale', preference);
+    applyLocale();
+    refreshTranslations();
+}
+
+// Follow the browser when its preferred languages change
+function watchSystemLanguage() {
+    window.addEventListener('languagechange', () => {
+        if (state.locale !== 'auto') return;
+        applyLocale();
+        refreshTranslations();
+    });
+}
+
+// ==========================================================================
+// Themes
+// ==========================================================================
+
+// The operating system's color scheme preference
+const systemDarkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// Built-in theme the "system" theme stands for right now
+function getSystemThemeKey() {
+    return systemDarkQuery && systemDarkQuery.matches ? 'dark' : 'light';
+}
+
+/**
+ * Find a theme by its key
+ * @param {string} key - 'system', a key of THEMES or a custom theme's id
+ * @returns {Object|null} { colors, icon } of a built-in theme, { id, name, colors } of
+ *                        a custom one, or null if there is no such theme
+ */
+function getTheme(key) {
+    if (key === 'system') return THEMES[getSystemThemeKey()];
+    return THEMES[key] || state.customThemes.find(theme => theme.id === key) || null;
+}
+
+// True if the key names a built-in theme, a custom theme or 'system'
+function isKnownTheme(key) {
+    return getTheme(key) !== null;
+}
+
+/**
+ * Name of a theme for display
+ * @param {string} key - Theme key
+ * @returns {string} Name
+ */
+function getThemeName(key) {
+    if (key === 'system') return t('themes.name.system', { name: t(`themes.name.${getSystemThemeKey()}`) });
+    if (THEMES[key]) return t(`themes.name.${key}`);
+    const theme = getTheme(key);
+    return theme ? theme.name : key;
+}
+
+// True if a name is taken by a built-in theme, in the current language
+function isBuiltinThemeName(name) {
+    return Object.keys(THEMES).some(key => getThemeName(key).toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Check a set of theme colors
+ * @param {Object} colors - Hex colors keyed by THEME_PROPERTIES
+ * @returns {Object|null} The colors in lower case, or null if any is missing or invalid
+ */
+function normalizeThemeColors(colors) {
+    if (!colors || typeof colors !== 'object') return null;
+    const normalized = {};
+    for (const property of Object.keys(THEME_PROPERTIES)) {
+        const value = colors[property];
+        if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) return null;
+        normalized[property] = value.toLowerCase();
+    }
+    return normalized;
+}
+
+/**
+ * Check a custom theme read from storage or a theme file
+ * @param {Object} raw - { id, name, colors }
+ * @returns {Object|null} Theme, or null if it isn't usable
+ */
+function normalizeCustomTheme(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, 40) : '';
+    const colors = normalizeThemeColors(raw.colors);
+    if (!name || !colors) return null;
+    return { id: typeof raw.id === 'string' ? raw.id : '', name, colors };
+}
+
+/**
+ * Relative luminance of a color, as defined by WCAG 2
+ * @param {string} hex - Color as #rrggbb
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+function getLuminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(start => {
+        const channel = parseInt(hex.slice(start, start + 2), 16) / 255;
+        return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG 2 contrast ratio of two colors
+ * @param {string} foreground - Color as #rrggbb
+ * @param {string} background - Color as #rrggbb
+ * @returns {number} Ratio from 1 to 21
+ */
+function getContrastRatio(foreground, background) {
+    const [lighter, darker] = [getLuminance(foreground), getLuminance(background)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Check a theme's text colors against their backgrounds
+ * @param {Object} colors - Theme colors
+ * @returns {Object[]} Each of CONTRAST_CHECKS with its ratio and level: 'AAA', 'AA' or 'fail'
+ */
+function checkThemeContrast(colors) {
+    return CONTRAST_CHECKS.map(check => {
+        const ratio = getContrastRatio(colors[check.text], colors[check.background]);
+        const level = ratio >= CONTRAST_AAA ? 'AAA' : ratio >= CONTRAST_AA ? 'AA' : 'fail';
+        return { ...check, ratio, level };
+    });
+}
+
+/**
+ * Set theme colors as custom properties on an element and everything inside it
+ * @param {HTMLElement} element - Element, e.g. the root element or a preview
+ * @param {Object} colors - Theme colors
+ */
+function applyThemeColors(element, colors) {
+    Object.keys(THEME_PROPERTIES).forEach(property => element.style.setProperty(property, colors[property]));
+}
+
+/**
+ * Apply the theme in state.theme to the page
+ */
+function applyTheme() {
+    const key = state.theme === 'system' ? getSystemThemeKey() : state.theme;
+    const theme = getTheme(key) || THEMES.light;
+    const root = document.documentElement;
+    root.setAttribute('data-theme', THEMES[key] ? key : 'custom');
+    applyThemeColors(root, theme.colors);
+    // Let form controls and scrollbars match a dark background
+    root.style.colorScheme = getLuminance(theme.colors['--background']) < 0.2 ? 'dark' : 'light';
+    if (DOM.themeColorMeta) DOM.themeColorMeta.setAttribute('content', theme.colors['--primary']);
+    updateThemeIcon();
+}
+
+/**
+ * Switch to a theme and save the choice
+ * @param {string} key - 'system', a key of THEMES or a custom theme's id
+ */
+function setTheme(key) {
+    if (!isKnownTheme(key)) return;
+    state.theme = key;
+    store.set('theme', key);
+    applyTheme();
+    if (!DOM.themesPanel.hidden) renderThemesPanel();
+}
+
+// Follow the operating system when it switches between light and dark
+function watchSystemTheme() {
+    if (!systemDarkQuery) return;
+    systemDarkQuery.addEventListener('change', () => {
+        if (state.theme !== 'system') return;
+        applyTheme();
+        if (!DOM.themesPanel.hidden) renderThemesPanel();
+    });
+}
+
+/**
+ * Load a theme's colors into the builder
+ * @param {string} key - Theme to start from
+ * @param {boolean} edit - Edit the custom theme itself instead of starting a new one
+ */
+function startThemeBuilder(key, edit = false) {
+    const theme = getTheme(key);
+    if (!theme) return;
+    state.themeBuilder = edit
+        ? { id: key, name: theme.name, colors: { ...theme.colors } }
+        : { id: null, name: state.themeBuilder.id ? '' : state.themeBuilder.name, colors: { ...theme.colors } };
+    renderThemesPanel();
+}
+
+/**
+ * Change one color in the builder, updating its preview and contrast checks in place
+ * so a color picker that is open stays open
+ * @param {string} property - Key of THEME_PROPERTIES
+ * @param {string} value - Color as #rrggbb
+ */
+function setBuilderColor(property, value) {
+    if (!/^#[0-9a-f]{6}$/i.test(value)) return;
+    state.themeBuilder.colors[property] = value.toLowerCase();
+    const preview = DOM.themesPanel.querySelector('.theme-builder-preview');
+    if (preview) render(preview, renderBuilderPreview());
+}
+
+// Save the theme in the builder as a custom theme and switch to it
+function saveBuilderTheme() {
+    const builder = state.themeBuilder;
+    const name = builder.name.trim();
+    if (!name) {
+        showError(t('themes.nameRequired'), 'warning');
+        return;
+    }
+    const taken = isBuiltinThemeName(name) || state.customThemes
+        .some(theme => theme.id !== builder.id && theme.name.toLowerCase() === name.toLowerCase());
+    if (taken) {
+        showError(t('themes.nameTaken', { name }), 'warning');
+        return;
+    }
+    
+    const existing = state.customThemes.find(theme => theme.id === builder.id);
+    if (existing) {
+        existing.name = name;
+        existing.colors = { ...builder.colors };
+    } else {
+        if (state.customThemes.length >= CUSTOM_THEME_LIMIT) {
+            showError(t('themes.limit', { count: CUSTOM_THEME_LIMIT }), 'warning');
+            return;
+        }
+        builder.id = `theme-${Date.now().toString(36)}`;
+        state.customThemes.push({ id: builder.id, name, colors: { ...builder.colors } });
+    }
+    builder.name = name;
+    saveCustomThemes();
+    setTheme(builder.id);
+    
+    const failing = checkThemeContrast(builder.colors).filter(check => check.level === 'fail');
+    showError(
+        failing.length
+            ? t('themes.savedLowContrast', { name, count: failing.length, ratio: CONTRAST_AA })
+            : t('themes.saved', { name }),
+        failing.length ? 'warning' : 'success'
+    );
+}
+
+/**
+ * Delete a custom theme, switching to the system theme if it was in use
+ * @param {string} id - Custom theme id
+ */
+function deleteCustomTheme(id) {
+    const index = state.customThemes.findIndex(theme => theme.id === id);
+    if (index === -1) return;
+    const [removed] = state.customThemes.splice(index, 1);
+    const wasApplied = state.theme === id;
+    if (state.themeBuilder.id === id) state.themeBuilder.id = null;
+    saveCustomThemes();
+    if (wasApplied) {
+        setTheme('system');
+    } else {
+        renderThemesPanel();
+    }
+    
+    showUndo(t('themes.deleted', { name: removed.name }), () => {
+        state.customThemes.splice(index, 0, removed);
+        saveCustomThemes();
+        if (wasApplied) {
+            setTheme(id);
+        } else if (!DOM.themesPanel.hidden) {
+            renderThemesPanel();
+        }
+    });
+}
+
+// Download the custom themes as a theme file
+function exportThemes() {
+    const file = {
+        format: THEME_FILE_FORMAT,
+        version: 1,
+        themes: state.customThemes.map(({ name, colors }) => ({ name, colors }))
+    };
+    downloadFile(`boredom-buster-themes-${getDateStamp()}.json`, JSON.stringify(file, null, 2), 'application/json');
+    showError(t('themes.exported', { count: state.customThemes.length }), 'success');
+}
+
+/**
+ * Add the themes in a theme file. A theme with the name of an existing custom theme
+ * replaces its colors.
+ * @param {File} file - File from the import input
+ */
+function importThemes(file) {
+    if (!file) return;
+    
+    file.text().then(text => {
+        const data = JSON.parse(text);
+        let list;
+        if (data && data.format === THEME_FILE_FORMAT && Array.isArray(data.themes)) {
+            list = data.themes;
+        } else if (data && data.colors) {
+            // A single theme, e.g. cut out of a theme file by hand
+            list = [data];
+        } else {
+            throw new Error(t('themes.error.notThemeFile'));
+        }
+        
+        let added = 0;
+        let replaced = 0;
+        let skipped = 0;
+        list.forEach((raw, index) => {
+            const theme = normalizeCustomTheme(raw);
+            if (!theme || isBuiltinThemeName(theme.name)) {
+                skipped++;
+                return;
+            }
+            const existing = state.customThemes.find(item => item.name.toLowerCase() === theme.name.toLowerCase());
+            if (existing) {
+                existing.colors = theme.colors;
+                replaced++;
+            } else if (state.customThemes.length < CUSTOM_THEME_LIMIT) {
+                state.customThemes.push({ ...theme, id: `theme-${Date.now().toString(36)}-${index}` });
+                added++;
+            } else {
+                skipped++;
+            }
+        });
+        
+        saveCustomThemes();
+        applyTheme();
+        renderThemesPanel();
+        const parts = [t('themes.imported.added', { count: added })];
+        if (replaced) parts.push(t('themes.imported.replaced', { count: replaced }));
+        if (skipped) parts.push(t('themes.imported.skipped', { count: skipped }));
+        showError(t('themes.imported', { parts: i18n.formatList(parts) }), skipped ? 'warning' : 'success');
+    }).catch(error => {
+        console.error('Error importing themes:', error);
+        showError(t('backup.importFailed', { error: error instanceof SyntaxError ? t('themes.error.json') : error.message }), 'error');
+    });
+}
+
+/**
+ * Render a small preview of a theme: a card with text on the page background
+ * @param {Object} colors - Theme colors
+ * @returns {HTMLElement} Preview element
+ */
+function renderThemePreview(colors) {
+    const preview = createEl('span', { className: 'theme-preview', attrs: { 'aria-hidden': 'true' } }, [
+        createEl('span', { className: 'theme-preview-card' }, [
+            createEl('span', { className: 'theme-preview-title', text: 'Aa' }),
+            createEl('span', { className: 'theme-preview-text', text: t('themes.previewText') })
+        ]),
+        createEl('span', { className: 'theme-preview-button' }),
+        createEl('span', { className: 'theme-preview-accent' })
+    ]);
+    applyThemeColors(preview, colors);
+    return preview;
+}
+
+// Preview and contrast checks of the theme in the builder
+function renderBuilderPreview() {
+    const { colors } = state.themeBuilder;
+    return [
+        renderThemePreview(colors),
+        createEl('ul', { className: 'contrast-list', attrs: { 'aria-label': t('themes.contrast') } }, checkThemeContrast(colors).map(check => createEl('li', {
+            className: `contrast-result${check.level === 'fail' ? ' is-failed' : ''}`
+        }, [
+            createEl('span', { text: t(check.label) }),
+            createEl('span', {
+                className: 'contrast-ratio',
+                text: t('themes.ratio', { ratio: i18n.formatNumber(check.ratio, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })
+            }),
+            createEl('span', {
+                className: 'contrast-level',
+                text: check.level === 'fail' ? t('themes.contrast.fails', { ratio: CONTRAST_AA }) : t('themes.contrast.passes', { level: check.level })
+            })
+        ])))
+    ];
+}
+
+/**
+ * Render a theme choice: a button that applies the theme, with its preview
+ * @param {string} key - Theme key
+ * @param {string} detail - Line shown under the name
+ * @param {HTMLElement[]} actions - Extra buttons shown next to it
+ * @returns {HTMLElement} List item
+ */
+function renderThemeOption(key, detail, actions = []) {
+    const theme = getTheme(key);
+    return createEl('li', { className: 'theme-entry' }, [
+        createEl('button', {
+            className: 'theme-option',
+            attrs: { type: 'button', 'aria-pressed': String(state.theme === key), 'data-focus-key': `theme-${key}` },
+            on: { click: () => setTheme(key) }
+        }, [
+            renderThemePreview(theme.colors),
+            createEl('span', { className: 'theme-option-name', text: getThemeName(key) }),
+            createEl('span', { className: 'theme-option-detail', text: detail })
+        ]),
+        ...actions
+    ]);
+}
+
+/**
+ * Render the themes panel: the theme menu, the theme builder and theme files
+ */
+function renderThemesPanel() {
+    const builder = state.themeBuilder;
+    const editing = state.customThemes.find(theme => theme.id === builder.id);
+    
+    const options = [
+        renderThemeOption('system', t('themes.detail.system')),
+        ...Object.keys(THEMES).map(key => renderThemeOption(key, t('themes.detail.builtin'))),
+        ...state.customThemes.map(theme => renderThemeOption(theme.id, t('themes.detail.custom'), [
+            createIconButton('fa-edit', t('themes.edit', { name: theme.name }), () => startThemeBuilder(theme.id, true), { 'data-focus-key': `theme-edit-${theme.id}` }),
+            createIconButton('fa-trash', t('themes.delete', { name: theme.name }), () => deleteCustomTheme(theme.id), { 'data-focus-key': `theme-delete-${theme.id}` })
+        ]))
+    ];
+    
+    const colorFields = Object.entries(THEME_PROPERTIES).map(([property, label]) => createEl('label', { className: 'theme-color-field' }, [
+        createEl('input', {
+            attrs: { type: 'color', value: builder.colors[property], 'data-focus-key': `theme-color-${property}` },
+            on: { input: event => setBuilderColor(property, event.target.value) }
+        }),
+        createEl('span', { text: t(label) })
+    ]));
+    
+    renderPanelBody(DOM.themesPanel, [
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('themes.title') }),
+            createEl('ul', { className: 'theme-list' }, options)
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: editing ? t('themes.editing', { name: editing.name }) : t('themes.builder') }),
+            createEl('form', {
+                className: 'theme-builder',
+                on: {
+                    submit: event => {
+                        event.preventDefault();
+                        saveBuilderTheme();
+                    }
+                }
+            }, [
+                createEl('div', { className: 'editor-form' }, [
+                    createEl('label', { className: 'filter-field' }, [
+                        createEl('span', { text: t('sources.name') }),
+                        createEl('input', {
+                            attrs: { type: 'text', value: builder.name, maxlength: 40, required: true, 'data-focus-key': 'theme-name' },
+                            on: { input: event => { builder.name = event.target.value; } }
+                        })
+                    ]),
+                    createEl('label', { className: 'filter-field' }, [
+                        createEl('span', { text: t('themes.startFrom') }),
+                        createEl('select', {
+                            attrs: { 'data-focus-key': 'theme-base' },
+                            on: {
+                                change: event => {
+                                    if (event.target.value) startThemeBuilder(event.target.value);
+                                }
+                            }
+                        }, [
+                            createEl('option', { text: t('themes.choose'), attrs: { value: '' } }),
+                            ...Object.keys(THEMES).concat(state.customThemes.map(theme => theme.id))
+                                .map(key => createEl('option', { text: getThemeName(key), attrs: { value: key } }))
+                        ])
+                    ])
+                ]),
+                createEl('div', { className: 'theme-colors' }, colorFields),
+                createEl('div', { className: 'theme-builder-preview' }, renderBuilderPreview()),
+                createEl('div', { className: 'editor-form' }, [
+                    createEl('button', { className: 'editor-submit', text: editing ? t('activityForm.save') : t('themes.save'), attrs: { type: 'submit' } }),
+                    editing ? createEl('button', {
+                        className: 'filter-clear',
+                        text: t('themes.saveAsNew'),
+                        attrs: { type: 'button' },
+                        on: {
+                            click: () => {
+                                builder.id = null;
+                                builder.name = '';
+                                renderThemesPanel();
+                                showError(t('themes.nameCopy'), 'info');
+                            }
+                        }
+                    }) : null
+                ])
+            ])
+        ]),
+        createEl('section', { className: 'stats-section' }, [
+            createEl('h3', { text: t('themes.files') }),
+            createEl('p', { className: 'backup-hint', text: t('themes.filesHint') }),
+            createEl('div', { className: 'editor-form' }, [
+                createEl('button', {
+                    className: 'editor-count-btn',
+                    text: t('themes.export'),
+                    attrs: { type: 'button', disabled: state.customThemes.length === 0 },
+                    on: { click: exportThemes }
+                }),
+                createEl('label', { className: 'filter-field' }, [
+                    createEl('span', { text: t('themes.import') }),
+                    createEl('input', {
+                        className: 'backup-file',
+                        attrs: { type: 'file', accept: '.json,application/json', 'data-focus-key': 'theme-import' },
+                        on: { change: event => importThemes(event.target.files[0]) }
+                    })
+                ])
+            ])
+        ])
+    ]);
+}
+
+// ==========================================================================
+// Toast Queue
+// ==========================================================================
+
+// Toasts on screen, oldest first, and toasts waiting for a free slot
+const toastQueue = { visible: [], waiting: [] };
+
+// Move waiting toasts on screen while there is room
+function showQueuedToasts() {
+    while (toastQueue.visible.length < TOAST_MAX_VISIBLE && toastQueue.waiting.length) {
+        const toast = toastQueue.waiting.shift();
+        toast.element = renderToast(toast);
+        toastQueue.visible.push(toast);
+        DOM.errorContainer.appendChild(toast.element);
+        resumeToast(toast);
+    }
+}
+
+/**
+ * Build a toast's element. Errors and warnings are announced assertively.
+ * @param {Object} toast - Toast
+ * @returns {HTMLElement} Toast element
+ */
+function renderToast(toast) {
+    const urgent = toast.type === 'error' || toast.type === 'warning';
+    return createEl('div', {
+        className: `error-message ${toast.type}`,
+        attrs: { role: urgent ? 'alert' : 'status' }
+    }, [
+        createIcon(getErrorIcon(toast.type)),
+        createEl('p', { text: toast.message }),
+        ...toast.actions.map((action, index) => createEl('button', {
+            className: 'toast-action',
+            text: action.label,
+            attrs: { type: 'button', 'data-action': 'toast-action', 'data-index': index }
+        })),
+        createEl('button', {
+            className: 'error-close',
+            text: '×',
+            attrs: { type: 'button', 'aria-label': t('toast.dismiss'), 'data-action': 'toast-dismiss' }
+        })
+    ]);
+}
+
+/**
+ * Find the toast an element belongs to
+ * @param {Node} element - Element inside a toast
+ * @returns {Object|undefined} Toast
+ */
+function getToast(element) {
+    const toastElement = element instanceof Element ? element.closest('.error-message') : null;
+    return toastElement ? toastQueue.visible.find(toast => toast.element === toastElement) : undefined;
+}
+
+// Handle clicks, hover and focus for every toast with listeners on the container
+function setupToastEvents() {
+    delegateActions(DOM.errorContainer, {
+        'toast-dismiss': button => {
+            const toast = getToast(button);
+            if (toast) dismissToast(toast);
+        },
+        'toast-action': button => {
+            const toast = getToast(button);
+            if (!toast) return;
+            dismissToast(toast);
+            toast.actions[button.dataset.index].onClick();
+        }
+    });
+    
+    // Keep a toast up while the user is reading or tabbing through it
+    const pause = event => {
+        const toast = getToast(event.target);
+        if (toast) pauseToast(toast);
+    };
+    const resume = event => {
+        const toast = getToast(event.target);
+        if (toast && !toast.element.contains(event.relatedTarget)) resumeToast(toast);
+    };
+    DOM.errorContainer.addEventListener('mouseover', pause);
+    DOM.errorContainer.addEventListener('mouseout', resume);
+    DOM.errorContainer.addEventListener('focusin', pause);
+    DOM.errorContainer.addEventListener('focusout', resume);
+}
+
+/**
+ * Stop a toast's countdown, keeping the time it has left
+ * @param {Object} toast - Toast
+ */
+function pauseToast(toast) {
+    if (!toast.timer) return;
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining -= Date.now() - toast.startedAt;
+}
+
+/**
+ * Start or continue a toast's countdown
+ * @param {Object} toast - Toast
+ */
+function resumeToast(toast) {
+    if (toast.timer || !toast.element || toast.remaining === Infinity) return;
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissToast(toast), Math.max(0, toast.remaining));
+}
+
+/**
+ * Remove a toast and show the next waiting one
+ * @param {Object} toast - Toast
+ */
+function dismissToast(toast) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    
+    const waitingIndex = toastQueue.waiting.indexOf(toast);
+    if (waitingIndex !== -1) {
+        toastQueue.waiting.splice(waitingIndex, 1);
+        return;
+    }
+    
+    const index = toastQueue.visible.indexOf(toast);
+    if (index === -1) return;
+    toastQueue.visible.splice(index, 1);
+    
+    // Don't drop keyboard focus on the floor when the focused toast goes away
+    const hadFocus = toast.element.contains(document.activeElement);
+    toast.element.remove();
+    if (hadFocus) DOM.generateBtn.focus();
+    showQueuedToasts();
+}
+
+/**
+ * Show a message with an Undo button
+ * @param {string} message - What was done
+ * @param {Function} undo - Reverts it
+ * @returns {Object} Toast
+ */
+function showUndo(message, undo) {
+    return showError(message, 'info', ERROR_TYPES.info.duration, [{ label: t('toast.undo'), onClick: undo }]);
+}
\ No newline at end of file
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * Checks of the headless core (core.js) and the storage module (storage.js), run with
+ * Node's built-in test runner:
+ *
+ *     node checks.js
+ *
+ * Remote sources are loaded from a stub server on a free local port, and from the
+ * API of server.js, so nothing goes out to the network.
+ */
+'use strict';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGenerator, createSourceLoader, normalizeSource, toICS } = require('./core.js');
+const { createServer } = require('./server.js');
+const { SCHEMA_VERSION, STORE_KEY, LEGACY_KEYS, createStore, createMemoryBackend } = require('./storage.js');
+
+// Responses of the stub server, keyed by path: [status, body]
+const STUB_RESPONSES = {
+    '/activities.json': [200, JSON.stringify({
+        activities: [
+            { id: 'kite', title: 'Fly a kite', category: 'recreation', setting: 'outdoor' },
+            { id: 'bake', title: 'Bake bread', category: 'cooking' }
+        ]
+    })],
+    '/broken.json': [500, JSON.stringify({ error: 'Internal server error' })],
+    '/garbled.json': [200, '{ "activities": [']
+};
+
+/**
+ * Start a server on a free local port
+ * @param {http.Server} server - Server, not yet listening
+ * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:49152
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+// ==========================================================================
+// Seeded Generation
+// ==========================================================================
+
+test('a user seed gives the same activity after more generations', () => {
+    const generator = createGenerator();
+    generator.select({ categories: ['social', 'DIY', 'education'] });
+    assert.strictEqual(generator.state.selectionSettings.mode, 'smart');
+
+    const first = generator.generate({ seed: 'rainy-sunday' });
+    for (let i = 0; i < 20; i++) generator.generate();
+    generator.favorite(first.activity.id, true);
+    const again = generator.generate({ seed: 'rainy-sunday' });
+
+    assert.strictEqual(again.activity.id, first.activity.id);
+    assert.strictEqual(again.seed, 'rainy-sunday');
+});
+
+test('seeded choices don\'t depend on the smart-mode round', () => {
+    const generator = createGenerator();
+    generator.select({ categories: ['social', 'DIY'] });
+    const ids = () => generator.pickChoices(3, { seed: 'picnic' }).map(activity => activity.id);
+
+    const first = ids();
+    for (let i = 0; i < 10; i++) generator.generate();
+    assert.deepStrictEqual(ids(), first);
+});
+
+// ==========================================================================
+// Smart Mode
+// ==========================================================================
+
+test('a round draws every matching activity once before starting over', () => {
+    const generator = createGenerator();
+    generator.select({ categories: ['social'] });
+    const count = generator.getCandidates().length;
+
+    const drawn = new Set();
+    for (let i = 0; i < count; i++) drawn.add(generator.generate().activity.id);
+    assert.strictEqual(drawn.size, count);
+    assert.strictEqual(generator.getRemainingInRound(), count);
+
+    const next = generator.generate().activity;
+    assert.deepStrictEqual(Array.from(generator.state.shuffleBag), [next.id]);
+});
+
+test('choices only count as drawn once one is chosen', () => {
+    const generator = createGenerator();
+    generator.select({ categories: ['social', 'DIY'] });
+    const remaining = generator.getRemainingInRound();
+
+    const choices = generator.pickChoices(3);
+    generator.pickChoices(1, { exclude: choices.map(activity => activity.id) });
+    assert.strictEqual(generator.getRemainingInRound(), remaining);
+
+    generator.record(choices[1]);
+    assert.deepStrictEqual(Array.from(generator.state.shuffleBag), [choices[1].id]);
+});
+
+// ==========================================================================
+// Calendar Export
+// ==========================================================================
+
+test('calendar events are escaped and folded', () => {
+    const summary = 'Paint, sketch; frame \\ hang\nthen invite the neighbours round for tea ☕ and a tour of the new gallery wall in the hallway, with a short talk on each piece';
+    const ics = toICS([{
+        uid: 'plan-1@boredom-buster',
+        start: new Date(2026, 9, 19, 18, 30),
+        minutes: 90,
+        summary,
+        repeat: 'weekdays'
+    }], new Date(Date.UTC(2026, 9, 19, 12)));
+
+    // Lines end in CRLF and take at most 75 octets; longer ones go on with a space
+    const lines = ics.split('\r\n');
+    assert.strictEqual(lines.pop(), '');
+    lines.forEach(line => {
+        assert.ok(!line.includes('\n'), JSON.stringify(line));
+        assert.ok(Buffer.byteLength(line) <= 75, line);
+    });
+    assert.ok(lines.some(line => line.startsWith(' ')));
+
+    const unfolded = ics.replace(/\r\n /g, '').split('\r\n');
+    assert.ok(unfolded.includes('SUMMARY:Paint\\, sketch\\; frame \\\\ hang\\nthen invite the neighbours round for tea ☕ and a tour of the new gallery wall in the hallway\\, with a short talk on each piece'));
+    assert.ok(unfolded.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR'));
+    assert.ok(unfolded.includes('DTSTART:20261019T183000'));
+    assert.ok(unfolded.includes('DTEND:20261019T200000'));
+    assert.ok(unfolded.includes('DTSTAMP:20261019T120000Z'));
+});
+
+// ==========================================================================
+// Remote Sources
+// ==========================================================================
+
+test('the source loader', async t => {
+    const requests = [];
+    const stub = http.createServer((request, response) => {
+        requests.push(request.url);
+        const [status, body] = STUB_RESPONSES[request.url] || [404, '{}'];
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(body);
+    });
+    const api = createServer();
+    const stubUrl = await listen(stub);
+    const apiUrl = await listen(api);
+    t.after(() => {
+        stub.close();
+        api.close();
+    });
+    const source = (id, type, url) => normalizeSource({ id, type, url, timeout: 2000 });
+
+    await t.test('loads activities and caches the response', async () => {
+        const loader = createSourceLoader();
+        const stubSource = source('stub', 'json', `${stubUrl}/activities.json`);
+        const result = await loader.load([stubSource], ['recreation', 'social']);
+
+        assert.deepStrictEqual(result.failures, []);
+        assert.deepStrictEqual(result.records.stub.map(record => record.id), ['stub:kite']);
+        assert.strictEqual(result.records.stub[0].setting, 'outdoor');
+        assert.strictEqual(loader.getActivity('stub:kite').title, 'Fly a kite');
+
+        requests.length = 0;
+        await loader.load([stubSource], ['recreation']);
+        assert.deepStrictEqual(requests, []);
+    });
+
+    await t.test('loads from the API of server.js as a Bored API source', async () => {
+        const result = await createSourceLoader().load([source('api', 'bored', `${apiUrl}/api/activity`)], ['social']);
+        assert.deepStrictEqual(result.failures, []);
+        assert.strictEqual(result.records.api.length, 1);
+        assert.strictEqual(result.records.api[0].category, 'social');
+    });
+
+    await t.test('reports an HTTP error without failing other sources', async () => {
+        const result = await createSourceLoader().load([
+            source('broken', 'json', `${stubUrl}/broken.json`),
+            source('stub', 'json', `${stubUrl}/activities.json`)
+        ], ['recreation']);
+
+        assert.strictEqual(result.failures.length, 1);
+        assert.strictEqual(result.failures[0].source.id, 'broken');
+        assert.strictEqual(result.failures[0].error.status, 500);
+        assert.deepStrictEqual(result.records.broken, []);
+        assert.strictEqual(result.records.stub.length, 1);
+    });
+
+    await t.test('reports a response that isn\'t JSON', async () => {
+        const result = await createSourceLoader().load([source('garbled', 'json', `${stubUrl}/garbled.json`)], ['recreation']);
+        assert.strictEqual(result.failures.length, 1);
+        assert.match(result.failures[0].error.message, /not valid JSON/);
+        assert.deepStrictEqual(result.records.garbled, []);
+    });
+});
+
+// ==========================================================================
+// Storage
+// ==========================================================================
+
+test('the store', async t => {
+    const quotaError = () => Object.assign(new Error('Storage is full'), { name: 'QuotaExceededError' });
+    const open = (backend, options = {}) => {
+        const store = createStore({ backend, delay: 60000, ...options });
+        const events = [];
+        ['error', 'migrate', 'change'].forEach(type => store.on(type, detail => events.push({ type, ...detail })));
+        store.open();
+        return { store, events };
+    };
+    const savedData = backend => JSON.parse(backend.getItem(STORE_KEY)).data;
+    // A backend holding an empty document of the current version
+    const createSavedBackend = () => {
+        const backend = createMemoryBackend();
+        backend.setItem(STORE_KEY, JSON.stringify({ version: SCHEMA_VERSION, data: {} }));
+        return backend;
+    };
+
+    await t.test('migrates the keys of version 1 into one document', () => {
+        const backend = createMemoryBackend();
+        backend.setItem('favoriteActivities', JSON.stringify(['soc-call-friend']));
+        backend.setItem('theme', 'dark');
+        backend.setItem('historyLimit', '{ not JSON');
+        const { store, events } = open(backend);
+
+        assert.deepStrictEqual(events.map(event => event.type), ['migrate']);
+        assert.deepStrictEqual(events[0], { type: 'migrate', from: 1, to: SCHEMA_VERSION });
+        assert.deepStrictEqual(store.get('favoriteActivities'), ['soc-call-friend']);
+        assert.strictEqual(store.get('theme'), 'dark');
+        assert.strictEqual(store.get('historyLimit', 'none'), 'none');
+        assert.strictEqual(JSON.parse(backend.getItem(STORE_KEY)).version, SCHEMA_VERSION);
+        LEGACY_KEYS.forEach(key => assert.strictEqual(backend.getItem(key), null));
+    });
+
+    await t.test('keeps a copy of unreadable data and starts over', () => {
+        const backend = createMemoryBackend();
+        backend.setItem(STORE_KEY, '{ "version": 2, "data": ');
+        const { store, events } = open(backend);
+
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].reason, 'corrupt');
+        assert.strictEqual(backend.getItem(`${STORE_KEY}:corrupt`), '{ "version": 2, "data": ');
+        assert.strictEqual(backend.getItem(STORE_KEY), null);
+        assert.strictEqual(store.get('theme', 'light'), 'light');
+    });
+
+    await t.test('keeps data in memory when the backend can\'t be used', () => {
+        const blocked = {
+            getItem() { throw new Error('SecurityError'); },
+            setItem() { throw new Error('SecurityError'); },
+            removeItem() { throw new Error('SecurityError'); }
+        };
+        const { store, events } = open(blocked);
+        store.set('theme', 'dark');
+
+        assert.strictEqual(store.flush(), true);
+        assert.deepStrictEqual(events.filter(event => event.type === 'error').map(event => [event.action, event.reason]), [['load', 'unavailable']]);
+        assert.strictEqual(store.get('theme'), 'dark');
+    });
+
+    await t.test('drops caches and retries when storage is full', () => {
+        const memory = createSavedBackend();
+        const backend = {
+            ...memory,
+            setItem(name, value) {
+                if (value.length > 200) throw quotaError();
+                memory.setItem(name, value);
+            }
+        };
+        const { store, events } = open(backend);
+        store.set('theme', 'dark');
+        store.set('sourceCache', { responses: { big: 'x'.repeat(300) }, activities: {} });
+
+        assert.strictEqual(store.flush(), true);
+        assert.deepStrictEqual(events, []);
+        assert.deepStrictEqual(savedData(backend), { theme: 'dark' });
+        assert.strictEqual(store.get('sourceCache'), undefined);
+
+        store.set('favoriteActivities', ['x'.repeat(300)]);
+        assert.strictEqual(store.flush(), false);
+        assert.deepStrictEqual(events.map(event => [event.action, event.reason]), [['save', 'quota']]);
+        assert.deepStrictEqual(store.get('favoriteActivities'), ['x'.repeat(300)]);
+    });
+
+    await t.test('merges what other tabs saved', () => {
+        const backend = createSavedBackend();
+        const listeners = {};
+        const target = {
+            document: { visibilityState: 'visible' },
+            addEventListener: (type, listener) => { listeners[type] = listener; }
+        };
+        const { store, events } = open(backend, { target });
+        const other = open(backend).store;
+
+        // Another tab saves a key; writing here keeps it and announces it
+        other.set('theme', 'dark');
+        other.flush();
+        store.set('historyLimit', 50);
+        store.flush();
+        assert.deepStrictEqual(savedData(backend), { theme: 'dark', historyLimit: 50 });
+        assert.deepStrictEqual(events, [{ type: 'change', keys: ['theme'] }]);
+
+        // A storage event brings in changes, except to keys this tab hasn't written yet
+        store.set('historyLimit', 100);
+        other.set('theme', 'light');
+        other.set('historyLimit', 25);
+        other.flush();
+        listeners.storage({ key: STORE_KEY, newValue: backend.getItem(STORE_KEY) });
+        assert.deepStrictEqual(events[1], { type: 'change', keys: ['theme'] });
+        assert.strictEqual(store.get('theme'), 'light');
+        assert.strictEqual(store.get('historyLimit'), 100);
+
+        listeners.storage({ key: 'unrelated', newValue: null });
+        assert.strictEqual(events.length, 2);
+        store.flush();
+    });
+});
+
+// ==========================================================================
+// API Server
+// ==========================================================================
+
+test('the API server', async t => {
+    const server = createServer();
+    const url = await listen(server);
+    t.after(() => server.close());
+    const get = async route => {
+        const response = await fetch(`${url}${route}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    await t.test('takes the type names of the Bored API', async () => {
+        const diy = await get('/api/activities?type=diy');
+        assert.strictEqual(diy.status, 200);
+        assert.ok(diy.body.length > 0);
+        assert.ok(diy.body.every(activity => activity.type === 'DIY'));
+
+        const recreational = await get('/api/activity?type=recreational');
+        assert.strictEqual(recreational.status, 200);
+        assert.strictEqual(recreational.body.type, 'recreation');
+    });
+
+    await t.test('rejects unknown types', async () => {
+        const response = await get('/api/activities?type=knitting');
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.error, /Unknown type "knitting"/);
+    });
+});
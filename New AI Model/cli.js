@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Boredom Buster on the command line, built on the headless core (core.js).
+ *
+ * Draws from the same built-in catalog as the web app. Favorites, history and the
+ * smart-mode round are kept in a JSON file in the user's config directory; the
+ * browser's data stays separate, but `export` writes backups the app can import.
+ *
+ *     node cli.js generate --category social --category DIY --cost free
+ *     node cli.js favorites add soc-call-friend
+ *     node cli.js export --format csv --dataset favorites -o favorites.csv
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    FILTER_OPTIONS,
+    SELECTION_MODES,
+    CSV_COLUMNS,
+    formatDuration,
+    createExportBundle,
+    toCSV,
+    createGenerator
+} = require('./core.js');
+
+// ==========================================================================
+// Configuration and Constants
+// ==========================================================================
+
+// Command-line flag of each filter, e.g. maxDuration -> --max-duration
+const FILTER_FLAGS = Object.fromEntries(Object.keys(FILTER_OPTIONS).map(key => [
+    key,
+    key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+]));
+
+// Options accepted by util.parseArgs
+const OPTIONS = {
+    category: { type: 'string', short: 'c', multiple: true },
+    ...Object.fromEntries(Object.values(FILTER_FLAGS).map(flag => [flag, { type: 'string' }])),
+    mode: { type: 'string' },
+    favorites: { type: 'boolean' },
+    seed: { type: 'string' },
+    limit: { type: 'string', short: 'n' },
+    format: { type: 'string' },
+    dataset: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    json: { type: 'boolean' },
+    state: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Number of history entries shown when --limit isn't given
+const DEFAULT_HISTORY_SHOWN = 10;
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  generate                 Pick an activity and add it to the history
+  list                     List the activities that match the categories and filters
+  favorites [list]         List your favorites
+  favorites add <id>       Save an activity as a favorite
+  favorites remove <id>    Remove a favorite
+  history                  Show your history, newest first
+  export                   Write a backup or a CSV dataset
+
+Selection (generate, list):
+  -c, --category <key>     Only this category; repeat for more (default: all)
+${Object.entries(FILTER_FLAGS).map(([key, flag]) => {
+    const values = FILTER_OPTIONS[key].options.map(option => option.value).filter(Boolean);
+    return `  --${`${flag} <value>`.padEnd(23)}${values.join(', ')}`;
+}).join('\n')}
+  --favorites              Pick from your favorites only
+  --mode <mode>            ${Object.keys(SELECTION_MODES).join(' or ')}; kept for later runs (default: smart)
+  --seed <seed>            Pick reproducibly: the same seed and selection give the same activity
+
+Other options:
+  -n, --limit <n>          History entries to show (default: ${DEFAULT_HISTORY_SHOWN})
+  --format <format>        Export format: json (a backup, default) or csv
+  --dataset <name>         CSV dataset: ${Object.keys(CSV_COLUMNS).join(', ')} (default: history)
+  -o, --output <file>      Write the export to a file instead of stdout
+  --json                   Print JSON instead of text
+  --state <file>           State file (default: ${path.join('<config dir>', 'boredom-buster', 'state.json')})
+  -h, --help               Show this help
+`;
+
+// A mistake in the command line, as opposed to a failure while running it
+class UsageError extends Error {}
+
+// ==========================================================================
+// State File
+// ==========================================================================
+
+/**
+ * The user's config directory: %APPDATA% on Windows, ~/Library/Application Support
+ * on macOS, and $XDG_CONFIG_HOME or ~/.config elsewhere
+ * @returns {string} Directory path
+ */
+function getConfigDir() {
+    if (process.platform === 'win32') {
+        return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Application Support');
+    }
+    return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+/**
+ * A Storage-like object backed by a JSON file. Values are stored parsed, so the
+ * file stays readable, and every write replaces the file in one step.
+ * @param {string} file - Path of the state file; created on the first write
+ * @returns {Object} Object with getItem/setItem/removeItem
+ */
+function createFileStorage(file) {
+    let items = {};
+    try {
+        items = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Could not read ${file} (${error.message}). Fix or delete it to start over.`);
+        }
+    }
+    if (!items || typeof items !== 'object' || Array.isArray(items)) {
+        throw new Error(`${file} is not a Boredom Buster state file. Fix or delete it to start over.`);
+    }
+
+    const write = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, `${JSON.stringify(items, null, 2)}\n`);
+        fs.renameSync(temp, file);
+    };
+
+    return {
+        getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? JSON.stringify(items[key]) : null),
+        setItem: (key, value) => {
+            items[key] = JSON.parse(value);
+            write();
+        },
+        removeItem: key => {
+            delete items[key];
+            write();
+        }
+    };
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+/**
+ * Print a command's result
+ * @param {Object} options - Parsed options; --json picks the format
+ * @param {*} data - Result as JSON
+ * @param {string} text - Result as text
+ */
+function print(options, data, text) {
+    console.log(options.json ? JSON.stringify(data, null, 2) : text);
+}
+
+/**
+ * Describe an activity's metadata on one line
+ * @param {Object} generator - Generator the activity came from
+ * @param {Object} activity - Activity record
+ * @returns {string} e.g. "Social · 15 min · free · indoors · 2 people · low energy"
+ */
+function describeActivity(generator, activity) {
+    return [
+        generator.getCategoryLabel(activity.category),
+        formatDuration(activity.duration),
+        activity.cost === 'free' ? 'free' : `${activity.cost} cost`,
+        activity.setting === 'outdoor' ? 'outdoors' : 'indoors',
+        activity.participants > 1 ? `${activity.participants} people` : 'solo',
+        `${activity.energy} energy`
+    ].join(' · ');
+}
+
+/**
+ * Turn the selection options into changes for generator.select
+ * @param {Object} generator - Generator to check categories against
+ * @param {Object} options - Parsed options
+ * @returns {Object} { categories, filters, settings }
+ */
+function getSelectionChanges(generator, options) {
+    const categories = options.category || Object.keys(generator.catalog.activities).filter(generator.isSelectable);
+    categories.forEach(category => {
+        if (!generator.isSelectable(category)) {
+            const known = Object.keys(generator.catalog.activities).filter(generator.isSelectable);
+            throw new UsageError(`Unknown category "${category}". Choose from: ${known.join(', ')}`);
+        }
+    });
+
+    const filters = {};
+    Object.entries(FILTER_FLAGS).forEach(([key, flag]) => {
+        const value = options[flag] || '';
+        if (!FILTER_OPTIONS[key].options.some(option => option.value === value)) {
+            const values = FILTER_OPTIONS[key].options.map(option => option.value).filter(Boolean);
+            throw new UsageError(`--${flag} must be one of: ${values.join(', ')}`);
+        }
+        filters[key] = value;
+    });
+
+    // The mode is saved with the smart-mode round, so it only changes when asked to;
+    // a seed picks the same activity in either mode
+    const settings = {
+        source: options.favorites ? 'favorites' : 'catalog',
+        favoritesInCategories: Boolean(options.category)
+    };
+    if (options.mode !== undefined) {
+        if (!SELECTION_MODES[options.mode]) {
+            throw new UsageError(`--mode must be one of: ${Object.keys(SELECTION_MODES).join(', ')}`);
+        }
+        settings.mode = options.mode;
+    }
+
+    return { categories, filters, settings };
+}
+
+// ==========================================================================
+// Commands
+// ==========================================================================
+
+const COMMANDS = {
+    generate(generator, options) {
+        generator.select(getSelectionChanges(generator, options));
+        const { activity, seed, entry } = generator.generate({ seed: options.seed });
+        print(options, { activity, seed, entry }, [
+            activity.title,
+            `  ${describeActivity(generator, activity)}`,
+            `  Seed: ${seed}`
+        ].join('\n'));
+    },
+
+    list(generator, options) {
+        generator.select(getSelectionChanges(generator, options));
+        const matching = generator.getCandidates();
+        const width = Math.max(0, ...matching.map(activity => activity.id.length));
+        print(options, matching, matching.length
+            ? matching.map(activity => `${activity.id.padEnd(width)}  ${activity.title} (${describeActivity(generator, activity)})`).join('\n')
+            : 'No activities match.');
+    },
+
+    favorites(generator, options, [action = 'list', id]) {
+        if (action === 'list') {
+            const favorites = generator.getCSVRows('favorites');
+            print(options, favorites, favorites.length
+                ? favorites.map(item => `${item.id}  ${item.title}${item.note ? ` (${item.note})` : ''}`).join('\n')
+                : 'No favorites yet. Add one with: favorites add <id>');
+            return;
+        }
+
+        if (action !== 'add' && action !== 'remove') {
+            throw new UsageError(`Unknown favorites action "${action}". Use list, add or remove.`);
+        }
+        if (!id) {
+            throw new UsageError(`Which activity? Usage: favorites ${action} <id>`);
+        }
+        if (action === 'remove' && !generator.isFavorite(id)) {
+            throw new Error(`"${id}" is not a favorite`);
+        }
+
+        generator.favorite(id, action === 'add');
+        const title = generator.getActivityTitle(id);
+        print(options, { id, favorite: action === 'add' }, action === 'add'
+            ? `Added "${title}" to favorites`
+            : `Removed "${title}" from favorites`);
+    },
+
+    history(generator, options) {
+        const limit = options.limit === undefined ? DEFAULT_HISTORY_SHOWN : Number(options.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new UsageError('--limit must be a positive whole number');
+        }
+
+        const entries = generator.history().slice(0, limit)
+            .map(item => ({ ...item, title: generator.getActivityTitle(item.activityId) }));
+        print(options, entries, entries.length
+            ? entries.map(item => `${new Date(item.timestamp).toLocaleString()}  ${item.title}${item.outcome ? ` (${item.outcome})` : ''}`).join('\n')
+            : 'No history yet. Try: generate');
+    },
+
+    export(generator, options) {
+        const format = options.format || 'json';
+        const dataset = options.dataset || 'history';
+        let content;
+
+        if (format === 'json') {
+            content = `${JSON.stringify(createExportBundle(generator.getExportData()), null, 2)}\n`;
+        } else if (format === 'csv') {
+            if (!CSV_COLUMNS[dataset]) {
+                throw new UsageError(`--dataset must be one of: ${Object.keys(CSV_COLUMNS).join(', ')}`);
+            }
+            content = toCSV(CSV_COLUMNS[dataset], generator.getCSVRows(dataset));
+        } else {
+            throw new UsageError('--format must be json or csv');
+        }
+
+        if (options.output) {
+            fs.writeFileSync(options.output, content);
+            print(options, { file: options.output, format }, `Exported to ${options.output}`);
+        } else {
+            process.stdout.write(content);
+        }
+    }
+};
+
+// ==========================================================================
+// Entry Point
+// ==========================================================================
+
+/**
+ * Run a command line
+ * @param {string[]} argv - Arguments after the script name
+ */
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values: options, positionals: [command = 'help', ...rest] } = parsed;
+    if (options.help || command === 'help') {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const statePath = options.state || path.join(getConfigDir(), 'boredom-buster', 'state.json');
+    const generator = createGenerator({ storage: createFileStorage(statePath) });
+    generator.on('error', ({ action, part, error }) => {
+        console.error(`Warning: could not ${action} ${part} (${error.message})`);
+    });
+    generator.load();
+
+    COMMANDS[command](generator, options, rest);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+        console.error('Run "node cli.js --help" for usage.');
+    }
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+}
@@ -0,0 +1,1499 @@
+/**
+ * Boredom Buster core: the activity catalog, filters and selection engine, plus
+ * favorites and history. It never touches the DOM, so other tools can reuse it.
+ *
+ * In the browser this file defines the global `BoredomCore` (load it before app.js);
+ * in Node it is a CommonJS module:
+ *
+ *     const { createGenerator } = require('./core.js');
+ *     const generator = createGenerator();
+ *     generator.select({ categories: ['social', 'DIY'], filters: { cost: 'free' } });
+ *     const { activity, seed } = generator.generate();
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoredomCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ==========================================================================
+    // Configuration and Constants
+    // ==========================================================================
+
+    // Selection engine modes
+    const SELECTION_MODES = {
+        random: 'Pure random',
+        smart: 'Smart: no repeats until all are seen'
+    };
+
+    // Where generation draws from: the filtered catalog or just the user's favorites
+    const SELECTION_SOURCES = {
+        catalog: 'All matching activities',
+        favorites: 'Favorites only'
+    };
+
+    // Weight multipliers offered for favorite activities in smart mode
+    const FAVORITE_BOOST_OPTIONS = [
+        { value: 1, label: 'Favorites: normal weight' },
+        { value: 2, label: 'Favorites: 2× weight' },
+        { value: 3, label: 'Favorites: 3× weight' }
+    ];
+
+    // How many activities generation offers: a single pick, or cards to choose one from
+    const CHOICE_COUNTS = [1, 2, 3, 4];
+
+    // Smart mode tuning: an activity picked just now keeps 1 - recencyPenalty of its weight,
+    // and the penalty halves every recencyHalfLife picks after that
+    const SMART_SELECTION = {
+        recencyPenalty: 0.9,
+        recencyHalfLife: 2
+    };
+
+    // Number of entries kept in the activity history: the choices and the default
+    const HISTORY_LIMIT_OPTIONS = [25, 100, 500, 1000];
+    const DEFAULT_HISTORY_LIMIT = 100;
+
+    // Longest personal note kept on a favorite
+    const FAVORITE_NOTE_MAX_LENGTH = 500;
+
+    // Storage keys of each part of the generator's state (see save/load)
+    const STORAGE_KEYS = {
+        favorites: ['favoriteActivities', 'favoriteDetails'],
+        history: ['activityHistory', 'historyLimit'],
+        filters: ['activityFilters'],
+        selection: ['selectionSettings'],
+        shuffleBag: ['shuffleBag'],
+        categories: ['selectedCategories'],
+        vetoes: ['vetoedActivities']
+    };
+
+    // Version written into exported JSON bundles; imports from newer versions are rejected
+    const EXPORT_FORMAT_VERSION = 1;
+
+    // Columns of each CSV export, keyed by dataset
+    const CSV_COLUMNS = {
+        activities: ['id', 'title', 'category', 'categoryLabel', 'duration', 'cost', 'setting', 'participants', 'energy'],
+        favorites: ['id', 'title', 'category', 'note', 'addedAt'],
+        history: ['activityId', 'title', 'timestamp', 'categories', 'outcome', 'outcomeAt']
+    };
+
+    // How planned activities repeat, with the iCalendar RRULE of each (see toICS)
+    const PLAN_REPEATS = {
+        none: null,
+        daily: 'FREQ=DAILY',
+        weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+        weekly: 'FREQ=WEEKLY'
+    };
+
+    // PRODID written into iCalendar files
+    const ICS_PRODUCT_ID = '-//Boredom Buster//Planner//EN';
+
+    // Bored API prices run from 0 (free) to 1; our cost levels map onto that scale
+    const COST_PRICES = { free: 0, low: 0.2, medium: 0.5, high: 0.8 };
+
+    // Kinds of activity source. Local ones make up the catalog itself; remote ones are
+    // fetched through SOURCE_PROVIDERS, and their responses are reused for cacheMinutes.
+    const SOURCE_TYPES = {
+        bundled: { label: 'Built-in activities', remote: false },
+        custom: { label: 'Your activities', remote: false },
+        json: { label: 'JSON file', remote: true, cacheMinutes: 10 },
+        bored: { label: 'Bored API endpoint', remote: true, cacheMinutes: 0 }
+    };
+
+    // Sources every setup starts with; remote ones are added by the user
+    const DEFAULT_SOURCES = [
+        { id: 'bundled', type: 'bundled', label: 'Built-in activities', enabled: true },
+        { id: 'custom', type: 'custom', label: 'Your activities', enabled: true }
+    ];
+
+    // Request timeout of a remote source (ms) unless it sets its own
+    const SOURCE_DEFAULTS = { timeout: 5000 };
+
+    // Storage key of the remote response cache, and how many remote activities it remembers
+    const SOURCE_CACHE_KEY = 'sourceCache';
+    const SOURCE_MEMORY_LIMIT = 500;
+
+    // Metadata given to remote activities that don't say
+    const REMOTE_ACTIVITY_DEFAULTS = { duration: 60, cost: 'free', setting: 'indoor', energy: 'medium' };
+
+    // Bored API types that go by another name in our catalog
+    const BORED_TYPE_ALIASES = { recreational: 'recreation' };
+
+    // Activity filters: each key becomes a <select> in the filter panel
+    const FILTER_OPTIONS = {
+        maxDuration: {
+            label: 'Duration',
+            options: [
+                { value: '', label: 'Any length' },
+                { value: '15', label: '15 minutes or less' },
+                { value: '30', label: '30 minutes or less' },
+                { value: '60', label: '1 hour or less' },
+                { value: '120', label: '2 hours or less' }
+            ]
+        },
+        cost: {
+            label: 'Cost',
+            options: [
+                { value: '', label: 'Any cost' },
+                { value: 'free', label: 'Free' },
+                { value: 'low', label: 'Low cost' },
+                { value: 'medium', label: 'Medium cost' },
+                { value: 'high', label: 'High cost' }
+            ]
+        },
+        setting: {
+            label: 'Setting',
+            options: [
+                { value: '', label: 'Indoors or outdoors' },
+                { value: 'indoor', label: 'Indoors' },
+                { value: 'outdoor', label: 'Outdoors' }
+            ]
+        },
+        groupSize: {
+            label: 'Group size',
+            options: [
+                { value: '', label: 'Any group size' },
+                { value: 'solo', label: 'Solo' },
+                { value: 'group', label: 'Group' }
+            ]
+        },
+        energy: {
+            label: 'Energy',
+            options: [
+                { value: '', label: 'Any energy level' },
+                { value: 'low', label: 'Low energy' },
+                { value: 'medium', label: 'Medium energy' },
+                { value: 'high', label: 'High energy' }
+            ]
+        }
+    };
+
+    // ==========================================================================
+    // Activities Data
+    // ==========================================================================
+
+    /**
+     * Built-in activity catalog, keyed by category.
+     * Each record: { id, title, category, duration (minutes), cost, setting, participants, energy }
+     * Ids are stable and are what history, favorites and the timer refer to.
+     */
+    const BUILTIN_ACTIVITIES = {
+        education: [
+            { id: 'edu-programming-language', title: 'Learn a new programming language', category: 'education', duration: 120, cost: 'free', setting: 'indoor', participants: 1, energy: 'medium' },
+            { id: 'edu-technical-book', title: 'Read a technical book', category: 'education', duration: 60, cost: 'low', setting: 'indoor', participants: 1, energy: 'low' },
+            { id: 'edu-online-course', title: 'Take an online course', category: 'education', duration: 90, cost: 'medium', setting: 'indoor', participants: 1, energy: 'medium' },
+            { id: 'edu-coding-challenges', title: 'Practice coding challenges', category: 'education', duration: 30, cost: 'free', setting: 'indoor', participants: 1, energy: 'medium' },
+            { id: 'edu-educational-videos', title: 'Watch educational videos', category: 'education', duration: 20, cost: 'free', setting: 'indoor', participants: 1, energy: 'low' },
+            { id: 'edu-study-group', title: 'Join a study group', category: 'education', duration: 90, cost: 'free', setting: 'indoor', participants: 4, energy: 'medium' },
+            { id: 'edu-blog-post', title: 'Write a technical blog post', category: 'education', duration: 60, cost: 'free', setting: 'indoor', participants: 1, energy: 'medium' },
+            { id: 'edu-small-project', title: 'Build a small project', category: 'education', duration: 180, cost: 'free', setting: 'indoor', participants: 1, energy: 'high' }
+        ],
+        recreation: [
+            { id: 'rec-park-walk', title: 'Go for a walk in the park', category: 'recreation', duration: 30, cost: 'free', setting: 'outdoor', participants: 1, energy: 'low' },
+            { id: 'rec-play-sport', title: 'Play a sport', category: 'recreation', duration: 60, cost: 'low', setting: 'outdoor', participants: 4, energy: 'high' },
+            { id: 'rec-yoga', title: 'Do some yoga', category: 'recreation', duration: 20, cost: 'free', setting: 'indoor', participants: 1, energy: 'low' },
+            { id: 'rec-swimming', title: 'Go swimming', category: 'recreation', duration: 45, cost: 'low', setting: 'outdoor', participants: 1, energy: 'high' },
+            { id: 'rec-bike-ride', title: 'Ride a bike', category: 'recreation', duration: 45, cost: 'free', setting: 'outdoor', participants: 1, energy: 'high' },
+            { id: 'rec-board-games', title: 'Play board games', category: 'recreation', duration: 60, cost: 'free', setting: 'indoor', participants: 3, energy: 'low' },
+            { id: 'rec-hiking', title: 'Go hiking', category: 'recreation', duration: 180, cost: 'free', setting: 'outdoor', participants: 2, energy: 'high' },
+            { id: 'rec-new-workout', title: 'Try a new workout', category: 'recreation', duration: 30, cost: 'free', setting: 'indoor', participants: 1, energy: 'high' }
+        ],
+        social: [
+            { id: 'soc-call-friend', title: 'Call a friend', category: 'social', duration: 15, cost: 'free', setting: 'indoor', participants: 2, energy: 'low' },
+            { id: 'soc-plan-meetup', title: 'Plan a meetup', category: 'social', duration: 20, cost: 'free', setting: 'indoor', participants: 2, energy: 'low' },
+            { id: 'soc-join-club', title: 'Join a club', category: 'social', duration: 60, cost: 'medium', setting: 'indoor', participants: 5, energy: 'medium' },
+            { id: 'soc-local-event', title: 'Attend a local event', category: 'social', duration: 120, cost: 'medium', setting: 'outdoor', participants: 5, energy: 'medium' },
+            { id: 'soc-dinner-party', title: 'Host a dinner party', category: 'social', duration: 180, cost: 'high', setting: 'indoor', participants: 6, energy: 'medium' },
+            { id: 'soc-volunteer', title: 'Volunteer in your community', category: 'social', duration: 180, cost: 'free', setting: 'outdoor', participants: 4, energy: 'high' },
+            { id: 'soc-social-group', title: 'Join a social group', category: 'social', duration: 90, cost: 'low', setting: 'indoor', participants: 5, energy: 'medium' },
+            { id: 'soc-game-night', title: 'Organize a game night', category: 'social', duration: 180, cost: 'low', setting: 'indoor', participants: 4, energy: 'low' }
+        ],
+        DIY: [
+            { id: 'diy-woodwork', title: 'Build something with wood', category: 'DIY', duration: 180, cost: 'medium', setting: 'indoor', participants: 1, energy: 'high' },
+            { id: 'diy-craft-project', title: 'Create a craft project', category: 'DIY', duration: 60, cost: 'low', setting: 'indoor', participants: 1, energy: 'low' },
+            { id: 'diy-house-fix', title: 'Fix something around the house', category: 'DIY', duration: 45, cost: 'low', setting: 'indoor', participants: 1, energy: 'medium' },
+            { id: 'diy-garden', title: 'Start a garden', category: 'DIY', duration: 120, cost: 'medium', setting: 'outdoor', participants: 1, energy: 'high' },
+            { id: 'diy-homemade-gifts', title: 'Make homemade gifts', category: 'DIY', duration: 90, cost: 'low', setting: 'indoor', participants: 1, energy: 'low' },
+            { id: 'diy-repurpose', title: 'Repurpose old items', category: 'DIY', duration: 60, cost: 'free', setting: 'indoor', participants: 1, energy: 'medium' },
+            { id: 'diy-carpentry', title: 'Learn basic carpentry', category: 'DIY', duration: 120, cost: 'medium', setting: 'indoor', participants: 1, energy: 'high' },
+            { id: 'diy-new-project', title: 'Try a new DIY project', category: 'DIY', duration: 90, cost: 'low', setting: 'indoor', participants: 1, energy: 'medium' }
+        ]
+    };
+
+    // ==========================================================================
+    // Catalog Helpers
+    // ==========================================================================
+
+    /**
+     * Build a catalog in the shape createGenerator expects from activity records
+     * @param {Object} source - Records keyed by category, like BUILTIN_ACTIVITIES
+     * @returns {Object} { activities: { [category]: records }, categories: { [category]: { label, hidden } } }
+     */
+    function createCatalog(source = BUILTIN_ACTIVITIES) {
+        const catalog = { activities: {}, categories: {} };
+        Object.keys(source).forEach(key => {
+            catalog.activities[key] = source[key].slice();
+            catalog.categories[key] = { label: formatCategoryName(key), hidden: false };
+        });
+        return catalog;
+    }
+
+    /**
+     * Turn a category key into a display label
+     * @param {string} category - Category key
+     * @returns {string} Label
+     */
+    function formatCategoryName(category) {
+        return category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    /**
+     * Format an activity's duration for display
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} e.g. "45 min" or "1 h 30 min"
+     */
+    function formatDuration(minutes) {
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest ? `${hours} h ${rest} min` : `${hours} h`;
+    }
+
+    /**
+     * Check whether an activity satisfies the given filters
+     * @param {Object} activity - Activity record
+     * @param {Object} filters - Filter values keyed like FILTER_OPTIONS
+     * @returns {boolean} True if the activity matches every active filter
+     */
+    function matchesFilters(activity, filters) {
+        if (filters.maxDuration && activity.duration > Number(filters.maxDuration)) return false;
+        if (filters.cost && activity.cost !== filters.cost) return false;
+        if (filters.setting && activity.setting !== filters.setting) return false;
+        if (filters.groupSize === 'solo' && activity.participants > 1) return false;
+        if (filters.groupSize === 'group' && activity.participants < 2) return false;
+        if (filters.energy && activity.energy !== filters.energy) return false;
+        return true;
+    }
+
+    // Check a filter value against the choices in FILTER_OPTIONS
+    function isKnownFilterValue(key, value) {
+        return Boolean(FILTER_OPTIONS[key]) && FILTER_OPTIONS[key].options.some(option => option.value === value);
+    }
+
+    /**
+     * Fill in defaults for missing or unknown selection settings
+     * @param {Object} settings - Settings to check
+     * @returns {Object} Valid settings
+     */
+    function normalizeSelectionSettings(settings) {
+        return {
+            mode: SELECTION_MODES[settings.mode] ? settings.mode : 'smart',
+            source: SELECTION_SOURCES[settings.source] ? settings.source : 'catalog',
+            favoritesInCategories: settings.favoritesInCategories === true,
+            favoriteBoost: FAVORITE_BOOST_OPTIONS.some(option => option.value === settings.favoriteBoost) ? settings.favoriteBoost : 2,
+            balanceCategories: settings.balanceCategories !== false,
+            choices: CHOICE_COUNTS.includes(settings.choices) ? settings.choices : 1
+        };
+    }
+
+    /**
+     * Keep well-formed details for the given favorites, filling in blanks for the rest
+     * @param {Object} details - Saved or imported details keyed by activity id
+     * @param {Iterable<string>} ids - Favorite ids
+     * @returns {Object} Details keyed by activity id
+     */
+    function normalizeFavoriteDetails(details, ids) {
+        const normalized = {};
+        const source = details && typeof details === 'object' ? details : {};
+        Array.from(ids).forEach(id => {
+            const entry = source[id] || {};
+            normalized[id] = {
+                addedAt: typeof entry.addedAt === 'string' && !Number.isNaN(Date.parse(entry.addedAt)) ? entry.addedAt : '',
+                note: typeof entry.note === 'string' ? entry.note.slice(0, FAVORITE_NOTE_MAX_LENGTH) : ''
+            };
+        });
+        return normalized;
+    }
+
+    /**
+     * Check a history entry's shape
+     * @param {Object} item - Candidate history entry
+     * @returns {boolean} True if the entry can be imported
+     */
+    function isValidHistoryEntry(item) {
+        return Boolean(item) && typeof item.activityId === 'string' && item.activityId !== '' &&
+            !Number.isNaN(Date.parse(item.timestamp)) &&
+            Array.isArray(item.categories) && item.categories.every(category => typeof category === 'string');
+    }
+
+    // ==========================================================================
+    // Seeded Randomness
+    // ==========================================================================
+
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {number} Hash
+     */
+    function hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * @param {string} seed - Any string; equal seeds give equal sequences
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    function createRng(seed) {
+        let value = hashString(String(seed));
+        return function random() {
+            value = (value + 0x6D2B79F5) | 0;
+            let t = Math.imul(value ^ (value >>> 15), 1 | value);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Create a fresh random seed
+     * @param {Function} random - Random number source in [0, 1)
+     * @returns {string} Short base-36 seed
+     */
+    function createSeed(random = Math.random) {
+        return random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Shuffle a copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @param {Function} random - Random number source in [0, 1)
+     * @returns {Array} Shuffled copy
+     */
+    function seededShuffle(items, random) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Pick an item with probability proportional to its weight
+     * @param {Array} items - Items to pick from
+     * @param {number[]} weights - Non-negative weight per item
+     * @param {Function} random - Random number source in [0, 1)
+     * @returns {*} Chosen item
+     */
+    function weightedPick(items, weights, random = Math.random) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return items[Math.floor(random() * items.length)];
+        }
+
+        let threshold = random() * total;
+        for (let i = 0; i < items.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    // ==========================================================================
+    // Import & Export
+    // ==========================================================================
+
+    /**
+     * Wrap exported data in the bundle format the app's backup panel imports
+     * @param {Object} data - customCatalog, favorites, favoriteDetails, history, preferences;
+     *                        every section is optional
+     * @returns {Object} Export bundle
+     */
+    function createExportBundle(data) {
+        return {
+            app: 'boredom-buster',
+            version: EXPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * Serialize rows as CSV (RFC 4180 quoting)
+     * @param {string[]} columns - Column names, written as the header row
+     * @param {Object[]} rows - Rows keyed by column name
+     * @returns {string} CSV text
+     */
+    function toCSV(columns, rows) {
+        const quote = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(cells => cells.map(quote).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format a time for iCalendar: YYYYMMDDTHHMMSS in local time ("floating", shown at
+     * the same clock time in any time zone), or in UTC with a Z
+     * @param {Date} date - Time
+     * @param {boolean} utc - Write the UTC time
+     * @returns {string} iCalendar DATE-TIME
+     */
+    function formatICSTime(date, utc = false) {
+        const pad = value => String(value).padStart(2, '0');
+        const parts = utc
+            ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+            : [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+        const [year, ...rest] = parts.map(pad);
+        return `${year}${rest[0]}${rest[1]}T${rest[2]}${rest[3]}${rest[4]}${utc ? 'Z' : ''}`;
+    }
+
+    // Escape a TEXT value: backslashes, semicolons, commas and line breaks
+    function escapeICSText(text) {
+        return String(text).replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold a content line into lines of at most 75 octets, without splitting a character
+    function foldICSLine(line) {
+        const lines = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+            // Continuation lines start with a space, which counts towards the limit
+            if (octets + size > (lines.length ? 74 : 75)) {
+                lines.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        lines.push(current);
+        return lines.join('\r\n ');
+    }
+
+    /**
+     * Serialize events as an iCalendar file (RFC 5545)
+     * @param {Object[]} events - { uid, start, minutes, summary, description, url, repeat }:
+     *                            start is a Date, repeat a key of PLAN_REPEATS
+     * @param {Date} now - When the file is made, written as each event's DTSTAMP
+     * @returns {string} iCalendar text
+     */
+    function toICS(events, now = new Date()) {
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+        events.forEach(event => {
+            const end = new Date(event.start.getTime() + event.minutes * 60000);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${formatICSTime(now, true)}`,
+                `DTSTART:${formatICSTime(event.start)}`,
+                `DTEND:${formatICSTime(end)}`,
+                `SUMMARY:${escapeICSText(event.summary)}`
+            );
+            if (event.description) lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+            if (event.url) lines.push(`URL:${event.url}`);
+            if (PLAN_REPEATS[event.repeat]) lines.push(`RRULE:${PLAN_REPEATS[event.repeat]}`);
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(foldICSLine).join('\r\n') + '\r\n';
+    }
+
+    // ==========================================================================
+    // Activity Sources
+    // ==========================================================================
+
+    /**
+     * Fetch a URL and parse its JSON body, giving up after a timeout
+     * @param {Function} fetchImpl - fetch implementation
+     * @param {string} url - URL to fetch
+     * @param {number} timeout - Milliseconds to wait for the response
+     * @returns {Promise<*>} Parsed body; rejects with a readable message, and with
+     *                       `status` set for HTTP errors
+     */
+    async function fetchJSON(fetchImpl, url, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetchImpl(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+            }
+            try {
+                return await response.json();
+            } catch (error) {
+                throw new Error('Response is not valid JSON');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`No response within ${timeout / 1000} s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Add query parameters to a URL
+    function withQuery(url, params) {
+        const result = new URL(url);
+        Object.keys(params).forEach(key => result.searchParams.set(key, params[key]));
+        return result.href;
+    }
+
+    // True for absolute http(s) URLs
+    function isHttpUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Cost level whose Bored API price is closest to the given price
+    function priceToCost(price) {
+        return Object.keys(COST_PRICES).reduce((best, cost) =>
+            (Math.abs(COST_PRICES[cost] - price) < Math.abs(COST_PRICES[best] - price) ? cost : best));
+    }
+
+    /**
+     * Check a source's settings, filling in defaults
+     * @param {Object} raw - Saved or entered settings
+     * @returns {Object|null} Valid source, or null if it can't be used
+     */
+    function normalizeSource(raw) {
+        if (!raw || typeof raw.id !== 'string' || !raw.id || !SOURCE_TYPES[raw.type]) return null;
+        const type = SOURCE_TYPES[raw.type];
+        const number = (value, min, max, fallback) => (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+        const source = {
+            id: raw.id,
+            type: raw.type,
+            label: typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim().slice(0, 40) : type.label,
+            enabled: raw.enabled !== false
+        };
+        if (!type.remote) return source;
+        if (!isHttpUrl(raw.url)) return null;
+        return {
+            ...source,
+            url: raw.url,
+            timeout: number(raw.timeout, 1000, 30000, SOURCE_DEFAULTS.timeout),
+            cacheMinutes: number(raw.cacheMinutes, 0, 1440, type.cacheMinutes)
+        };
+    }
+
+    /**
+     * Turn an item from a remote source into an activity record. Accepts records shaped
+     * like the built-in ones or Bored API objects; missing metadata gets defaults.
+     * @param {Object} raw - Item from the response
+     * @param {Object} source - Source it came from; its id prefixes the activity id
+     * @param {string[]} categories - Category keys the item may belong to
+     * @returns {Object|null} Activity record, or null if the item is unusable or in another category
+     */
+    function normalizeRemoteActivity(raw, source, categories) {
+        if (!raw || typeof raw !== 'object') return null;
+        const title = typeof raw.title === 'string' ? raw.title : raw.activity;
+        const key = raw.id !== undefined ? raw.id : raw.key;
+        const type = String(typeof raw.category === 'string' ? raw.category : raw.type || '').toLowerCase();
+        const category = categories.find(item => item.toLowerCase() === (BORED_TYPE_ALIASES[type] || type));
+        if (typeof title !== 'string' || !title.trim() || !['string', 'number'].includes(typeof key) || !category) {
+            return null;
+        }
+
+        return {
+            id: `${source.id}:${key}`,
+            title: title.trim().slice(0, 120),
+            category,
+            duration: Number.isInteger(raw.duration) && raw.duration > 0 ? raw.duration : REMOTE_ACTIVITY_DEFAULTS.duration,
+            cost: Object.prototype.hasOwnProperty.call(COST_PRICES, raw.cost) ? raw.cost
+                : Number.isFinite(raw.price) ? priceToCost(raw.price) : REMOTE_ACTIVITY_DEFAULTS.cost,
+            setting: raw.setting === 'outdoor' || raw.setting === 'indoor' ? raw.setting : REMOTE_ACTIVITY_DEFAULTS.setting,
+            participants: Number.isInteger(raw.participants) && raw.participants > 0 ? raw.participants : 1,
+            energy: ['low', 'medium', 'high'].includes(raw.energy) ? raw.energy : REMOTE_ACTIVITY_DEFAULTS.energy,
+            source: source.id
+        };
+    }
+
+    /**
+     * Providers for remote source types. A provider says which URLs to request for the
+     * selected categories and how to read items out of each response:
+     *   requests(source, categories) -> URLs
+     *   parse(body) -> raw items (throws if the body isn't what the source should return)
+     *   emptyStatuses -> HTTP statuses that mean "nothing here" rather than a failure
+     */
+    const SOURCE_PROVIDERS = {
+        // A JSON file listing activities: an array, or { activities: [...] }
+        json: {
+            requests: source => [source.url],
+            parse(body) {
+                const items = Array.isArray(body) ? body : body && body.activities;
+                if (!Array.isArray(items)) throw new Error('The file does not list activities');
+                return items;
+            },
+            emptyStatuses: []
+        },
+        // An endpoint like the Bored API's /api/activity: one random activity per request
+        bored: {
+            requests: (source, categories) => categories.map(category => withQuery(source.url, { type: category })),
+            parse: body => (body && typeof body === 'object' && !body.error ? [body] : []),
+            emptyStatuses: [400, 404]
+        }
+    };
+
+    /**
+     * Create a loader for remote activity sources. Responses are cached in storage, so
+     * repeated loads within a source's cache time skip the network, and every activity
+     * seen is remembered (up to SOURCE_MEMORY_LIMIT) so history and favorites can still
+     * show it after the source moves on.
+     *
+     * To try it without a real API, run `node server.js` and add
+     * http://127.0.0.1:3000/api/activity as a Bored API source. `node checks.js`
+     * exercises it against local stubs.
+     *
+     * @param {Object} options
+     * @param {Function} options.fetch - fetch implementation; defaults to the global fetch
+     * @param {Object} options.storage - Object with getItem/setItem for the cache
+     * @param {Function} options.now - Current time in ms
+     * @returns {Object} { load, getActivity, forget }
+     */
+    function createSourceLoader(options = {}) {
+        const fetchImpl = options.fetch || ((...args) => fetch(...args));
+        const storage = options.storage || createMemoryStorage();
+        const now = options.now || Date.now;
+        let cache = null;
+
+        // The cache, read from storage on first use so the storage can be opened later
+        function getCache() {
+            if (!cache) cache = readCache();
+            return cache;
+        }
+
+        function readCache() {
+            try {
+                const saved = JSON.parse(storage.getItem(SOURCE_CACHE_KEY) || 'null');
+                if (saved && typeof saved.responses === 'object' && typeof saved.activities === 'object') return saved;
+            } catch (error) {
+                // A corrupt cache is just dropped
+            }
+            return { responses: {}, activities: {} };
+        }
+
+        function writeCache() {
+            try {
+                storage.setItem(SOURCE_CACHE_KEY, JSON.stringify(getCache()));
+            } catch (error) {
+                // Still cached in memory; the next write tries again
+            }
+        }
+
+        // Fetch a source URL, or reuse its cached response while it is fresh
+        async function request(source, url, refresh) {
+            const { responses } = getCache();
+            const cached = responses[url];
+            if (!refresh && cached && now() - cached.fetchedAt < source.cacheMinutes * 60000) {
+                return cached.body;
+            }
+
+            let body;
+            try {
+                body = await fetchJSON(fetchImpl, url, source.timeout);
+            } catch (error) {
+                if (!SOURCE_PROVIDERS[source.type].emptyStatuses.includes(error.status)) throw error;
+                body = null;
+            }
+            responses[url] = { sourceId: source.id, fetchedAt: now(), body };
+            return body;
+        }
+
+        // Remember activities so getActivity finds them later, dropping the oldest past the limit
+        function remember(records) {
+            const { activities } = getCache();
+            records.forEach(record => {
+                delete activities[record.id];
+                activities[record.id] = record;
+            });
+            const ids = Object.keys(activities);
+            ids.slice(0, Math.max(0, ids.length - SOURCE_MEMORY_LIMIT)).forEach(id => delete activities[id]);
+        }
+
+        /**
+         * Load activities from remote sources. A source that fails is reported and
+         * contributes nothing, so the caller can carry on with its local catalog.
+         * @param {Object[]} sources - Enabled remote sources
+         * @param {string[]} categories - Categories to load; items in others are skipped
+         * @param {Object} options
+         * @param {boolean} options.refresh - Ignore cached responses
+         * @returns {Promise<Object>} { records: { [sourceId]: records }, failures: [{ source, error }] }
+         */
+        async function load(sources, categories, { refresh = false } = {}) {
+            const results = await Promise.all(sources.map(async source => {
+                const provider = SOURCE_PROVIDERS[source.type];
+                try {
+                    const bodies = await Promise.all(provider.requests(source, categories).map(url => request(source, url, refresh)));
+                    const records = bodies
+                        .flatMap(body => (body === null ? [] : provider.parse(body)))
+                        .map(item => normalizeRemoteActivity(item, source, categories))
+                        .filter(Boolean);
+                    return { source, records: records.filter((record, index) => records.findIndex(item => item.id === record.id) === index) };
+                } catch (error) {
+                    return { source, records: [], error };
+                }
+            }));
+
+            remember(results.flatMap(result => result.records));
+            writeCache();
+            return {
+                records: Object.fromEntries(results.map(({ source, records }) => [source.id, records])),
+                failures: results.filter(result => result.error).map(({ source, error }) => ({ source, error }))
+            };
+        }
+
+        // An activity any source returned before
+        function getActivity(id) {
+            return getCache().activities[id];
+        }
+
+        // Drop everything cached for a source, e.g. when it is removed
+        function forget(sourceId) {
+            const { responses, activities } = getCache();
+            Object.keys(responses).forEach(url => {
+                if (responses[url].sourceId === sourceId) delete responses[url];
+            });
+            Object.keys(activities).forEach(id => {
+                if (activities[id].source === sourceId) delete activities[id];
+            });
+            writeCache();
+        }
+
+        return { load, getActivity, forget };
+    }
+
+    // ==========================================================================
+    // Storage
+    // ==========================================================================
+
+    // A Storage-like object that keeps everything in memory, used when none is given
+    function createMemoryStorage() {
+        const items = new Map();
+        return {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        };
+    }
+
+    // The state a generator starts with when the caller doesn't share its own, and the
+    // defaults a caller's shared state starts from
+    function createInitialState() {
+        return {
+            selectedCategories: new Set(),
+            filters: { maxDuration: '', cost: '', setting: '', groupSize: '', energy: '' },
+            selectionSettings: { mode: 'smart', source: 'catalog', favoritesInCategories: false, favoriteBoost: 2, balanceCategories: true, choices: 1 },
+            // Ids already drawn in the current smart-mode round
+            shuffleBag: new Set(),
+            activityHistory: [],
+            historyLimit: DEFAULT_HISTORY_LIMIT,
+            favoriteActivities: new Set(),
+            // When each favorite was added and the user's note on it: { [id]: { addedAt, note } }
+            favoriteDetails: {},
+            // Activities the user never wants suggested, with when they were vetoed: { [id]: vetoedAt }
+            vetoes: {}
+        };
+    }
+
+    // ==========================================================================
+    // Generator
+    // ==========================================================================
+
+    /**
+     * Create an activity generator.
+     *
+     * Events (subscribe with on): 'select' (selection), 'generate' ({ activity, seed, entry }),
+     * 'history' (entries), 'favorite' ({ id, favorite }), 'veto' ({ id, vetoed }) and 'error'
+     * ({ action, part, error }) when reading or writing storage fails.
+     *
+     * @param {Object} options
+     * @param {Object} options.catalog - { activities, categories } as built by createCatalog.
+     *                                   Read live, so the caller may edit it in place. An
+     *                                   optional lookup(id) finds activities outside it,
+     *                                   e.g. ones a remote source returned earlier.
+     * @param {Object} options.storage - Object with getItem/setItem, e.g. localStorage.
+     *                                   Defaults to memory only.
+     * @param {Function} options.rng - Random number source in [0, 1) for unseeded picks
+     * @param {Object} options.state - State object to read and write, for a UI that keeps
+     *                                 its own copy; see createInitialState for its fields
+     * @returns {Object} Generator API
+     */
+    function createGenerator(options = {}) {
+        const catalog = options.catalog || createCatalog();
+        const storage = options.storage || createMemoryStorage();
+        const rng = options.rng || Math.random;
+        const state = options.state || createInitialState();
+        const listeners = {};
+
+        /**
+         * Subscribe to an event
+         * @param {string} type - Event name
+         * @param {Function} listener - Called with the event's detail
+         * @returns {Function} Unsubscribes the listener
+         */
+        function on(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+            return () => off(type, listener);
+        }
+
+        // Remove a listener added with on
+        function off(type, listener) {
+            listeners[type] = (listeners[type] || []).filter(item => item !== listener);
+        }
+
+        function emit(type, detail) {
+            (listeners[type] || []).slice().forEach(listener => listener(detail));
+        }
+
+        // Find the first activity in the catalog the predicate accepts
+        function findActivity(predicate) {
+            for (const category of Object.keys(catalog.activities)) {
+                const match = catalog.activities[category].find(predicate);
+                if (match) return match;
+            }
+            return undefined;
+        }
+
+        // Look an activity up by id, including ones only the catalog's lookup knows
+        function getActivity(id) {
+            return findActivity(activity => activity.id === id) || (catalog.lookup ? catalog.lookup(id) : undefined);
+        }
+
+        // A category can be selected if it exists and isn't hidden
+        function isSelectable(category) {
+            return Object.prototype.hasOwnProperty.call(catalog.activities, category) &&
+                !(catalog.categories[category] && catalog.categories[category].hidden);
+        }
+
+        // Display label of a category, falling back to its capitalized key
+        function getCategoryLabel(category) {
+            return catalog.categories[category] ? catalog.categories[category].label : formatCategoryName(category);
+        }
+
+        // Title of an activity, or its id if it is no longer in the catalog
+        function getActivityTitle(id) {
+            const activity = getActivity(id);
+            return activity ? activity.title : id;
+        }
+
+        // A snapshot of what generation currently draws from
+        function getSelection() {
+            return {
+                categories: Array.from(state.selectedCategories),
+                filters: { ...state.filters },
+                settings: { ...state.selectionSettings }
+            };
+        }
+
+        /**
+         * Change what generation draws from. Anything left out stays as it is.
+         * @param {Object} changes
+         * @param {Iterable<string>} changes.categories - Categories to select; others are deselected
+         * @param {Object} changes.filters - Filter values to change, keyed like FILTER_OPTIONS
+         * @param {Object} changes.settings - Selection settings to change (mode, source, ...)
+         * @returns {Object} The new selection
+         */
+        function select(changes = {}) {
+            if (changes.categories) {
+                state.selectedCategories = new Set(Array.from(changes.categories).filter(isSelectable));
+                save('categories');
+            }
+
+            if (changes.filters) {
+                Object.keys(changes.filters).forEach(key => {
+                    const value = changes.filters[key] === undefined || changes.filters[key] === null
+                        ? '' : String(changes.filters[key]);
+                    if (!isKnownFilterValue(key, value)) {
+                        throw new Error(`Unknown ${key} filter: "${value}"`);
+                    }
+                    state.filters[key] = value;
+                });
+                save('filters');
+            }
+
+            if (changes.settings) {
+                state.selectionSettings = normalizeSelectionSettings({ ...state.selectionSettings, ...changes.settings });
+                save('selection');
+            }
+
+            const selection = getSelection();
+            emit('select', selection);
+            return selection;
+        }
+
+        /**
+         * Collect the activities in the given categories that match the current filters
+         * @param {Iterable<string>} categories - Category names
+         * @returns {Object[]} Matching activity records
+         */
+        function getMatching(categories = state.selectedCategories) {
+            let matching = [];
+            categories.forEach(category => {
+                if (catalog.activities[category]) {
+                    matching = matching.concat(catalog.activities[category].filter(activity => matchesFilters(activity, state.filters)));
+                }
+            });
+            return matching;
+        }
+
+        /**
+         * Collect the activities generation can draw from: the matching activities in the
+         * selected categories, or in favorites mode the user's favorites that pass the filters
+         * (limited to the selected categories if the user asked for that). Vetoed
+         * activities are never candidates.
+         * @param {Object} options
+         * @param {boolean} options.includeVetoed - Keep vetoed activities, e.g. to tell whether
+         *                                          vetoes are what leaves nothing to pick
+         * @returns {Object[]} Candidate activity records
+         */
+        function getCandidates({ includeVetoed = false } = {}) {
+            const settings = state.selectionSettings;
+            const allowed = activity => includeVetoed || !isVetoed(activity.id);
+            if (settings.source !== 'favorites') {
+                return getMatching().filter(allowed);
+            }
+
+            return Array.from(state.favoriteActivities)
+                .map(getActivity)
+                .filter(activity => activity &&
+                    allowed(activity) &&
+                    isSelectable(activity.category) &&
+                    (!settings.favoritesInCategories || state.selectedCategories.has(activity.category)) &&
+                    matchesFilters(activity, state.filters));
+        }
+
+        // True if the activity is the one picked last
+        function isLastPick(activity) {
+            return state.activityHistory.length > 0 && state.activityHistory[0].activityId === activity.id;
+        }
+
+        /**
+         * Pick an activity from the current candidates without recording it
+         * @param {Function} random - Random number source in [0, 1), e.g. from createRng()
+         * @param {boolean} exact - Pick plainly from the candidates with the random source,
+         *                          skipping smart mode and the re-roll of repeats. Used for
+         *                          user-supplied seeds, so they reproduce exactly.
+         * @param {string[]} exclude - Ids of candidates to leave out
+         * @returns {Object} Activity record
+         */
+        function pick(random = rng, exact = false, exclude = []) {
+            const possibleActivities = getCandidates().filter(activity => !exclude.includes(activity.id));
+
+            if (possibleActivities.length === 0) {
+                throw new Error('No activities match the selected categories and filters');
+            }
+
+            if (state.selectionSettings.mode === 'smart' && !exact) {
+                return pickSmart(possibleActivities, random);
+            }
+
+            let activity;
+            let attempts = 0;
+            const maxAttempts = 3;
+
+            do {
+                activity = possibleActivities[Math.floor(random() * possibleActivities.length)];
+                attempts++;
+            } while (!exact && isLastPick(activity) && attempts < maxAttempts);
+
+            return activity;
+        }
+
+        /**
+         * Pick an activity in smart mode. Works through every matching activity before
+         * repeating one, weighting the candidates left in the round. The round only moves
+         * on when the pick is recorded (see advanceRound).
+         * @param {Object[]} pool - Matching activity records
+         * @param {Function} random - Random number source in [0, 1)
+         * @returns {Object} Chosen activity record
+         */
+        function pickSmart(pool, random) {
+            let candidates = pool.filter(activity => !state.shuffleBag.has(activity.id));
+
+            if (candidates.length === 0) {
+                // Every matching activity has been drawn: the pick starts a new round,
+                // without repeating the last pick straight away
+                candidates = pool.length > 1 ? pool.filter(activity => !isLastPick(activity)) : pool;
+            }
+
+            const categoryCounts = {};
+            candidates.forEach(activity => {
+                categoryCounts[activity.category] = (categoryCounts[activity.category] || 0) + 1;
+            });
+
+            const weights = candidates.map(activity => getSelectionWeight(activity, categoryCounts));
+            return weightedPick(candidates, weights, random);
+        }
+
+        /**
+         * Count a recorded activity as drawn in the current smart-mode round, starting a
+         * new round if every matching activity had been drawn already
+         * @param {Object} activity - Activity record
+         */
+        function advanceRound(activity) {
+            if (state.shuffleBag.has(activity.id)) {
+                const pool = getCandidates();
+                if (!pool.every(candidate => state.shuffleBag.has(candidate.id))) return;
+                pool.forEach(candidate => state.shuffleBag.delete(candidate.id));
+            }
+            state.shuffleBag.add(activity.id);
+            save('shuffleBag');
+        }
+
+        /**
+         * Weight of a smart-mode candidate
+         * @param {Object} activity - Activity record
+         * @param {Object} categoryCounts - Number of candidates per category
+         * @returns {number} Relative weight
+         */
+        function getSelectionWeight(activity, categoryCounts) {
+            const settings = state.selectionSettings;
+            let weight = 1;
+
+            // Give every category the same share, however many activities it has
+            if (settings.balanceCategories) {
+                weight /= categoryCounts[activity.category];
+            }
+
+            const recentIndex = state.activityHistory.findIndex(item => item.activityId === activity.id);
+            if (recentIndex !== -1) {
+                const decay = Math.pow(0.5, recentIndex / SMART_SELECTION.recencyHalfLife);
+                weight *= 1 - SMART_SELECTION.recencyPenalty * decay;
+            }
+
+            if (state.favoriteActivities.has(activity.id)) {
+                weight *= settings.favoriteBoost;
+            }
+
+            return weight;
+        }
+
+        /**
+         * Count the matching activities not yet drawn in the current smart-mode round
+         * @returns {number} Activities left before repeats
+         */
+        function getRemainingInRound() {
+            const pool = getCandidates();
+            const remaining = pool.filter(activity => !state.shuffleBag.has(activity.id)).length;
+            return remaining || pool.length;
+        }
+
+        // Forget what the current smart-mode round has drawn
+        function resetRound() {
+            state.shuffleBag.clear();
+            save('shuffleBag');
+        }
+
+        /**
+         * Pick an activity and record it in the history
+         * @param {Object} options
+         * @param {string} options.seed - Seed to reproduce; a fresh one is made if left out
+         * @returns {Object} { activity, seed, entry }
+         */
+        function generate({ seed } = {}) {
+            const customSeed = seed ? String(seed) : '';
+            const usedSeed = customSeed || createSeed(rng);
+            const activity = pick(createRng(usedSeed), Boolean(customSeed));
+            const entry = record(activity, usedSeed);
+            const result = { activity, seed: usedSeed, entry };
+            emit('generate', result);
+            return result;
+        }
+
+        /**
+         * Pick different activities for the user to choose one from, without recording
+         * them. The one chosen goes into the history with record().
+         * @param {number} count - How many to pick; fewer if there aren't enough candidates
+         * @param {Object} options
+         * @param {string} options.seed - Seed to reproduce the choices; random if left out
+         * @param {string[]} options.exclude - Ids not to offer, e.g. choices already shown
+         * @returns {Object[]} Activity records
+         */
+        function pickChoices(count, { seed, exclude = [] } = {}) {
+            const random = seed ? createRng(String(seed)) : rng;
+            const excluded = exclude.slice();
+            const available = getCandidates().filter(activity => !excluded.includes(activity.id)).length;
+            const choices = [];
+            while (choices.length < Math.min(count, available)) {
+                const activity = pick(random, Boolean(seed), excluded);
+                excluded.push(activity.id);
+                choices.push(activity);
+            }
+            return choices;
+        }
+
+        /**
+         * Add an activity to the history. In smart mode it also counts as drawn in the
+         * current round, unless it came from the planner.
+         * @param {Object} activity - Activity record
+         * @param {string} seed - Seed the activity was generated with, if any
+         * @param {Object} details - For an activity that took place earlier, e.g. a planned
+         *                           one: its timestamp and categories (by default now and
+         *                           the selected categories), and planned: true if it
+         *                           came from the planner
+         * @returns {Object} The new history entry
+         */
+        function record(activity, seed, details = {}) {
+            const {
+                timestamp = new Date().toISOString(),
+                categories = Array.from(state.selectedCategories),
+                planned = false
+            } = details;
+            const entry = {
+                activityId: activity.id,
+                timestamp,
+                categories,
+                ...(seed && { seed }),
+                ...(planned && { planned: true })
+            };
+            // The history is newest first, so an earlier activity goes in further down
+            const index = state.activityHistory.findIndex(item => Date.parse(item.timestamp) <= Date.parse(timestamp));
+            state.activityHistory.splice(index === -1 ? state.activityHistory.length : index, 0, entry);
+
+            if (state.activityHistory.length > state.historyLimit) {
+                state.activityHistory.length = state.historyLimit;
+            }
+
+            if (state.selectionSettings.mode === 'smart' && !planned) {
+                advanceRound(activity);
+            }
+
+            save('history');
+            emit('history', state.activityHistory);
+            return entry;
+        }
+
+        // The history entries, newest first
+        function getHistory() {
+            return state.activityHistory.slice();
+        }
+
+        function clearHistory() {
+            state.activityHistory = [];
+            save('history');
+            emit('history', state.activityHistory);
+        }
+
+        function isFavorite(id) {
+            return state.favoriteActivities.has(id);
+        }
+
+        /**
+         * Add or remove a favorite
+         * @param {string} id - Activity id
+         * @param {boolean} favorite - True to add, false to remove; toggles if left out
+         * @param {Object} details - { addedAt, note } to keep when adding, e.g. to undo a removal
+         * @returns {boolean} Whether the activity is now a favorite
+         */
+        function favorite(id, favorite = !isFavorite(id), details) {
+            if (favorite && !getActivity(id)) {
+                throw new Error(`Unknown activity: "${id}"`);
+            }
+
+            if (favorite) {
+                state.favoriteActivities.add(id);
+                state.favoriteDetails[id] = details || { addedAt: new Date().toISOString(), note: '' };
+            } else {
+                state.favoriteActivities.delete(id);
+                delete state.favoriteDetails[id];
+            }
+
+            save('favorites');
+            emit('favorite', { id, favorite });
+            return favorite;
+        }
+
+        // Set the personal note on a favorite
+        function setNote(id, note) {
+            if (!isFavorite(id)) return;
+            state.favoriteDetails[id] = { ...state.favoriteDetails[id], note: String(note).trim().slice(0, FAVORITE_NOTE_MAX_LENGTH) };
+            save('favorites');
+        }
+
+        // The favorite ids, oldest first
+        function getFavorites() {
+            return Array.from(state.favoriteActivities);
+        }
+
+        function isVetoed(id) {
+            return Object.prototype.hasOwnProperty.call(state.vetoes, id);
+        }
+
+        /**
+         * Veto an activity so it is never picked, or restore it
+         * @param {string} id - Activity id
+         * @param {boolean} vetoed - True to veto, false to restore; toggles if left out
+         * @param {string} vetoedAt - When it was vetoed, to keep when undoing a restore. The
+         *                            activity may have left the catalog since then.
+         * @returns {boolean} Whether the activity is now vetoed
+         */
+        function veto(id, vetoed = !isVetoed(id), vetoedAt) {
+            if (vetoed && !vetoedAt && !getActivity(id)) {
+                throw new Error(`Unknown activity: "${id}"`);
+            }
+
+            if (vetoed) {
+                state.vetoes[id] = vetoedAt || new Date().toISOString();
+            } else {
+                delete state.vetoes[id];
+            }
+
+            save('vetoes');
+            emit('veto', { id, vetoed });
+            return vetoed;
+        }
+
+        // The vetoed ids, oldest veto first
+        function getVetoes() {
+            return Object.keys(state.vetoes).sort((a, b) => state.vetoes[a].localeCompare(state.vetoes[b]));
+        }
+
+        /**
+         * Collect favorites, history and preferences for createExportBundle
+         * @returns {Object} Export data sections
+         */
+        function getExportData() {
+            return {
+                favorites: Array.from(state.favoriteActivities),
+                favoriteDetails: state.favoriteDetails,
+                history: state.activityHistory,
+                preferences: {
+                    selectedCategories: Array.from(state.selectedCategories),
+                    filters: state.filters,
+                    selection: state.selectionSettings,
+                    historyLimit: state.historyLimit
+                }
+            };
+        }
+
+        /**
+         * Build the rows of a CSV dataset
+         * @param {string} dataset - Key of CSV_COLUMNS
+         * @returns {Object[]} Rows keyed by column name
+         */
+        function getCSVRows(dataset) {
+            switch (dataset) {
+                case 'activities':
+                    return Object.keys(catalog.activities).flatMap(category => catalog.activities[category].map(activity => ({
+                        ...activity,
+                        categoryLabel: getCategoryLabel(category)
+                    })));
+                case 'favorites':
+                    return Array.from(state.favoriteActivities).map(id => {
+                        const activity = getActivity(id);
+                        return { id, title: getActivityTitle(id), category: activity ? activity.category : '', ...state.favoriteDetails[id] };
+                    });
+                case 'history':
+                    return state.activityHistory.map(item => ({
+                        activityId: item.activityId,
+                        title: getActivityTitle(item.activityId),
+                        timestamp: item.timestamp,
+                        categories: item.categories.join(';'),
+                        outcome: item.outcome,
+                        outcomeAt: item.outcomeAt
+                    }));
+                default:
+                    throw new Error(`Unknown CSV dataset: ${dataset}`);
+            }
+        }
+
+        /**
+         * Write one part of the state to storage
+         * @param {string} part - Key of STORAGE_KEYS
+         * @returns {boolean} True if it was saved
+         */
+        function save(part) {
+            const values = {
+                favorites: () => [Array.from(state.favoriteActivities), state.favoriteDetails],
+                history: () => [state.activityHistory, state.historyLimit],
+                filters: () => [state.filters],
+                selection: () => [state.selectionSettings],
+                shuffleBag: () => [Array.from(state.shuffleBag)],
+                categories: () => [Array.from(state.selectedCategories)],
+                vetoes: () => [state.vetoes]
+            }[part]();
+
+            try {
+                STORAGE_KEYS[part].forEach((key, index) => storage.setItem(key, JSON.stringify(values[index])));
+                return true;
+            } catch (error) {
+                emit('error', { action: 'save', part, error });
+                return false;
+            }
+        }
+
+        // Read a JSON value from storage, or the fallback if it isn't there
+        function read(key, fallback) {
+            const saved = storage.getItem(key);
+            return saved === null || saved === undefined ? fallback : JSON.parse(saved);
+        }
+
+        // Restore each part of the state from storage, dropping malformed data
+        const loaders = {
+            favorites() {
+                const saved = read('favoriteActivities', null);
+                if (!Array.isArray(saved)) return;
+                // Older versions saved display strings instead of ids
+                const ids = saved
+                    .map(item => (getActivity(item) ? item : (findActivity(activity => activity.title === item) || {}).id))
+                    .filter(Boolean);
+                state.favoriteActivities = new Set(ids);
+                state.favoriteDetails = normalizeFavoriteDetails(read('favoriteDetails', {}), ids);
+            },
+            history() {
+                const savedLimit = read('historyLimit', null);
+                if (HISTORY_LIMIT_OPTIONS.includes(savedLimit)) {
+                    state.historyLimit = savedLimit;
+                }
+
+                const saved = read('activityHistory', []);
+                state.activityHistory = (Array.isArray(saved) ? saved : [])
+                    .filter(isValidHistoryEntry)
+                    .slice(0, state.historyLimit);
+            },
+            filters() {
+                const saved = read('activityFilters', null);
+                if (!saved) return;
+                Object.keys(state.filters).forEach(key => {
+                    state.filters[key] = isKnownFilterValue(key, saved[key]) ? saved[key] : '';
+                });
+            },
+            selection() {
+                const saved = read('selectionSettings', null);
+                if (saved) {
+                    state.selectionSettings = normalizeSelectionSettings(saved);
+                }
+            },
+            shuffleBag() {
+                // Forget ids that are no longer in the catalog
+                const saved = read('shuffleBag', []);
+                state.shuffleBag = new Set((Array.isArray(saved) ? saved : []).filter(id => getActivity(id)));
+            },
+            categories() {
+                const saved = read('selectedCategories', []);
+                state.selectedCategories = new Set((Array.isArray(saved) ? saved : []).filter(isSelectable));
+            },
+            vetoes() {
+                // Ids outside the catalog are kept: a remote source may return them again
+                const saved = read('vetoedActivities', {});
+                const entries = saved && typeof saved === 'object' && !Array.isArray(saved) ? Object.entries(saved) : [];
+                state.vetoes = Object.fromEntries(entries.filter(([, vetoedAt]) => typeof vetoedAt === 'string' &&
+                    !Number.isNaN(Date.parse(vetoedAt))));
+            }
+        };
+
+        /**
+         * Restore the state from storage. A part that fails to load keeps its current
+         * value and is reported through an 'error' event.
+         * @returns {boolean} True if every part loaded
+         */
+        function load() {
+            return Object.keys(loaders).reduce((ok, part) => {
+                try {
+                    loaders[part]();
+                    return ok;
+                } catch (error) {
+                    emit('error', { action: 'load', part, error });
+                    return false;
+                }
+            }, true);
+        }
+
+        return {
+            state,
+            catalog,
+            on,
+            off,
+            getActivity,
+            findActivity,
+            getActivityTitle,
+            getCategoryLabel,
+            isSelectable,
+            getSelection,
+            select,
+            getMatching,
+            getCandidates,
+            pick,
+            pickChoices,
+            getRemainingInRound,
+            resetRound,
+            generate,
+            record,
+            history: getHistory,
+            clearHistory,
+            isFavorite,
+            favorite,
+            setNote,
+            favorites: getFavorites,
+            isVetoed,
+            veto,
+            vetoes: getVetoes,
+            getExportData,
+            getCSVRows,
+            save,
+            load
+        };
+    }
+
+    return {
+        SELECTION_MODES,
+        SELECTION_SOURCES,
+        FAVORITE_BOOST_OPTIONS,
+        CHOICE_COUNTS,
+        SMART_SELECTION,
+        HISTORY_LIMIT_OPTIONS,
+        DEFAULT_HISTORY_LIMIT,
+        FAVORITE_NOTE_MAX_LENGTH,
+        STORAGE_KEYS,
+        EXPORT_FORMAT_VERSION,
+        CSV_COLUMNS,
+        PLAN_REPEATS,
+        COST_PRICES,
+        SOURCE_TYPES,
+        DEFAULT_SOURCES,
+        SOURCE_DEFAULTS,
+        FILTER_OPTIONS,
+        BUILTIN_ACTIVITIES,
+        createCatalog,
+        formatCategoryName,
+        formatDuration,
+        matchesFilters,
+        normalizeSelectionSettings,
+        normalizeFavoriteDetails,
+        isValidHistoryEntry,
+        hashString,
+        createRng,
+        createSeed,
+        seededShuffle,
+        weightedPick,
+        createExportBundle,
+        toCSV,
+        toICS,
+        normalizeSource,
+        normalizeRemoteActivity,
+        BORED_TYPE_ALIASES,
+        SOURCE_PROVIDERS,
+        createSourceLoader,
+        createMemoryStorage,
+        createInitialState,
+        createGenerator
+    };
+}));
@@ -0,0 +1,224 @@
+/**
+ * Boredom Buster i18n: message catalogs per locale, and translators that look up
+ * messages and format numbers, dates and relative times with Intl.
+ *
+ * Each locale lives in its own file under locales/, which registers its catalog:
+ *
+ *     { locale: 'es', name: 'Español', dir: 'ltr', messages: {...}, activities: {...} }
+ *
+ * messages maps keys such as 'toast.saved' to text. Text can hold {placeholders},
+ * and a message that depends on a count is an object of plural forms
+ * ({ one: '{count} activity', other: '{count} activities' }) chosen with
+ * Intl.PluralRules. activities maps built-in activity ids to translated titles.
+ * Keys missing from a catalog fall back to English, then to the key itself.
+ *
+ * In the browser this file defines the global `BoredomI18n` (load it before the
+ * locale files and app.js); in Node it is a CommonJS module:
+ *
+ *     const i18n = require('./i18n.js');
+ *     i18n.register(require('./locales/es.js'));
+ *     const { t } = i18n.createTranslator('es');
+ *     t('history.count', { count: 3 });
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoredomI18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ==========================================================================
+    // Configuration and Constants
+    // ==========================================================================
+
+    // Locale whose catalog holds every message; the others fall back to it
+    const DEFAULT_LOCALE = 'en';
+
+    // Languages written right to left, for catalogs that don't set dir
+    const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+    // Relative times: the largest unit that fits, up to a week; older times show as dates
+    const RELATIVE_UNITS = [
+        { unit: 'day', ms: 86400000, limit: 7 },
+        { unit: 'hour', ms: 3600000, limit: 24 },
+        { unit: 'minute', ms: 60000, limit: 60 }
+    ];
+
+    // Registered catalogs by locale
+    const catalogs = {};
+
+    // ==========================================================================
+    // Catalogs
+    // ==========================================================================
+
+    /**
+     * Add a locale's catalog
+     * @param {Object} catalog - { locale, name, dir, messages, activities }
+     */
+    function register(catalog) {
+        catalogs[catalog.locale] = {
+            messages: {},
+            activities: {},
+            ...catalog
+        };
+    }
+
+    /**
+     * Writing direction of a locale
+     * @param {string} locale - BCP 47 tag
+     * @returns {string} 'rtl' or 'ltr'
+     */
+    function getDirection(locale) {
+        const catalog = catalogs[locale];
+        if (catalog && catalog.dir) return catalog.dir;
+        return RTL_LANGUAGES.includes(locale.split('-')[0].toLowerCase()) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * The registered locales, in the order they were registered
+     * @returns {Object[]} { locale, name, dir }
+     */
+    function getLocales() {
+        return Object.values(catalogs).map(({ locale, name }) => ({ locale, name, dir: getDirection(locale) }));
+    }
+
+    /**
+     * Pick the registered locale that best matches a list of preferred ones, such as
+     * navigator.languages: an exact match first, then one of the same language
+     * @param {string[]} preferred - BCP 47 tags, most preferred first
+     * @returns {string} Registered locale, or DEFAULT_LOCALE if none matches
+     */
+    function matchLocale(preferred) {
+        const available = Object.keys(catalogs);
+        for (const tag of preferred) {
+            if (typeof tag !== 'string' || !tag) continue;
+            const exact = available.find(locale => locale.toLowerCase() === tag.toLowerCase());
+            if (exact) return exact;
+            const language = tag.split('-')[0].toLowerCase();
+            const sameLanguage = available.find(locale => locale.split('-')[0].toLowerCase() === language);
+            if (sameLanguage) return sameLanguage;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    // ==========================================================================
+    // Translators
+    // ==========================================================================
+
+    /**
+     * Create a translator for a locale
+     * @param {string} locale - Registered locale; unknown ones get the default locale
+     * @returns {Object} Translator: { locale, dir, t, has, activityTitle, formatNumber,
+     *                   formatDate, formatRelativeTime, formatList }
+     */
+    function createTranslator(locale) {
+        const resolved = catalogs[locale] ? locale : DEFAULT_LOCALE;
+        const catalog = catalogs[resolved] || { messages: {}, activities: {} };
+        const fallback = catalogs[DEFAULT_LOCALE] || catalog;
+        const pluralRules = new Intl.PluralRules(resolved);
+        const numberFormat = new Intl.NumberFormat(resolved);
+        const relativeFormat = new Intl.RelativeTimeFormat(resolved, { numeric: 'auto' });
+
+        function lookup(key) {
+            if (Object.prototype.hasOwnProperty.call(catalog.messages, key)) return catalog.messages[key];
+            if (Object.prototype.hasOwnProperty.call(fallback.messages, key)) return fallback.messages[key];
+            return undefined;
+        }
+
+        // True if there is a message for the key
+        function has(key) {
+            return lookup(key) !== undefined;
+        }
+
+        /**
+         * Translate a message
+         * @param {string} key - Message key
+         * @param {Object} params - Values for the message's {placeholders}; a numeric
+         *                          `count` picks the plural form. Numbers are formatted
+         *                          for the locale.
+         * @returns {string} Text, or the key if there is no such message
+         */
+        function t(key, params = {}) {
+            let message = lookup(key);
+            if (message === undefined) return key;
+            if (typeof message === 'object') {
+                const form = typeof params.count === 'number' ? pluralRules.select(params.count) : 'other';
+                message = message[form] !== undefined ? message[form] : message.other;
+            }
+            return message.replace(/\{(\w+)\}/g, (match, name) => {
+                if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+                const value = params[name];
+                return typeof value === 'number' ? numberFormat.format(value) : String(value);
+            });
+        }
+
+        /**
+         * Translated title of a built-in activity
+         * @param {string} id - Activity id
+         * @returns {string|undefined} Title, or undefined if the catalog has none
+         */
+        function activityTitle(id) {
+            return Object.prototype.hasOwnProperty.call(catalog.activities, id) ? catalog.activities[id] : undefined;
+        }
+
+        // Format a number for the locale
+        function formatNumber(value, options) {
+            return options ? new Intl.NumberFormat(resolved, options).format(value) : numberFormat.format(value);
+        }
+
+        /**
+         * Format a date for the locale
+         * @param {Date|string|number} date - Date, ISO string or timestamp
+         * @param {Object} options - Intl.DateTimeFormat options; a medium date by default
+         * @returns {string} Formatted date
+         */
+        function formatDate(date, options = { dateStyle: 'medium' }) {
+            return new Intl.DateTimeFormat(resolved, options).format(new Date(date));
+        }
+
+        /**
+         * Format how long ago (or how far ahead) a time is, e.g. "5 minutes ago";
+         * times more than a week away show as dates
+         * @param {Date|string|number} date - Date, ISO string or timestamp
+         * @param {number} now - Current time in ms
+         * @returns {string} Formatted time
+         */
+        function formatRelativeTime(date, now = Date.now()) {
+            const diff = new Date(date).getTime() - now;
+            if (Math.abs(diff) < 60000) return t('time.justNow');
+            const match = RELATIVE_UNITS.find(({ ms, limit }) => Math.abs(diff) >= ms && Math.abs(diff) < ms * limit);
+            if (!match) return formatDate(date);
+            return relativeFormat.format(Math.trunc(diff / match.ms), match.unit);
+        }
+
+        // Join items into a list for the locale, e.g. "a, b and c"
+        function formatList(items) {
+            return typeof Intl.ListFormat === 'function'
+                ? new Intl.ListFormat(resolved, { type: 'conjunction' }).format(items)
+                : items.join(', ');
+        }
+
+        return {
+            locale: resolved,
+            dir: getDirection(resolved),
+            t,
+            has,
+            activityTitle,
+            formatNumber,
+            formatDate,
+            formatRelativeTime,
+            formatList
+        };
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        register,
+        getLocales,
+        getDirection,
+        matchLocale,
+        createTranslator
+    };
+}));
@@ -0,0 +1,938 @@
+/**
+ * Arabic catalog for Boredom Buster (see i18n.js and locales/en.js). Arabic is written
+ * right to left, and counted messages have all six of its plural forms: zero, one,
+ * two, few (3-10), many (11-99) and other.
+ */
+(function (root, catalog) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalog;
+    } else {
+        root.BoredomI18n.register(catalog);
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    locale: 'ar',
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+        'activity.missing': 'لم يعد هذا النشاط في كتالوجك',
+
+        'activityField.cost': 'مستوى تكلفة غير معروف',
+        'activityField.duration': 'يجب أن تكون المدة بين {min} و{max} دقيقة',
+        'activityField.energy': 'مستوى طاقة غير معروف',
+        'activityField.participants': 'يجب أن يكون عدد المشاركين بين {min} و{max}',
+        'activityField.setting': 'يجب أن يكون المكان داخليًا أو خارجيًا',
+        'activityField.titleLength': 'يجب ألا يتجاوز العنوان {max} حرفًا',
+        'activityField.titleRequired': 'العنوان مطلوب',
+
+        'activityForm.add': 'إضافة نشاط',
+        'activityForm.minutes': 'الدقائق',
+        'activityForm.participants': 'المشاركون',
+        'activityForm.save': 'حفظ التغييرات',
+        'activityForm.title': 'العنوان',
+
+        'alerts.blocked': 'الإشعارات محظورة لهذا الموقع. ستصلك الرسائل داخل الصفحة بدلًا منها.',
+        'alerts.browser': 'إشعارات المتصفح',
+        'alerts.permission.default': 'سيطلب المتصفح الإذن منك.',
+        'alerts.permission.denied': 'الإشعارات محظورة في إعدادات المتصفح؛ تظهر التنبيهات داخل الصفحة بدلًا منها.',
+        'alerts.permission.granted': 'الإشعارات مسموح بها لهذا الموقع.',
+        'alerts.permission.unsupported': 'هذا المتصفح لا يدعم الإشعارات؛ تظهر التنبيهات داخل الصفحة بدلًا منها.',
+        'alerts.sound': 'تشغيل نغمة',
+        'alerts.test': 'تجربة التنبيه',
+        'alerts.testMessage': 'هكذا تبدو تنبيهات المؤقت وتُسمع.',
+        'alerts.title': 'تنبيهات المؤقت',
+        'alerts.unsupported': 'هذا المتصفح لا يدعم الإشعارات. ستصلك الرسائل داخل الصفحة بدلًا منها.',
+
+        'app.cancel': 'إلغاء',
+        'app.description': 'مولّد أنشطة ممتع يساعدك على إيجاد شيء تفعله عندما تشعر بالملل',
+        'app.dismiss': 'إغلاق',
+        'app.heading': 'Boredom Buster 🎲',
+        'app.installed': 'تمت إضافة Boredom Buster إلى تطبيقاتك',
+        'app.loadError': 'حدث خطأ أثناء تحميل التفضيلات المحفوظة',
+        'app.loading': 'جارٍ التحميل...',
+        'app.name': 'Boredom Buster',
+        'app.notifications': 'الإشعارات',
+        'app.offline': 'أنت غير متصل. أنشطتك ومفضلتك والمؤقت لا تزال تعمل.',
+        'app.reload': 'إعادة التحميل',
+        'app.title': 'Boredom Buster - مولّد أنشطة عشوائية',
+        'app.updateAvailable': 'يتوفر إصدار جديد من Boredom Buster.',
+
+        'backup.added.activities': {
+            zero: '{count} نشاط',
+            one: 'نشاط واحد',
+            two: 'نشاطان',
+            few: '{count} أنشطة',
+            many: '{count} نشاطًا',
+            other: '{count} نشاط'
+        },
+        'backup.added.categories': {
+            zero: '{count} فئة',
+            one: 'فئة واحدة',
+            two: 'فئتان',
+            few: '{count} فئات',
+            many: '{count} فئة',
+            other: '{count} فئة'
+        },
+        'backup.added.edits': {
+            zero: '{count} نشاط معدّلة',
+            one: 'نشاط واحد معدّلة',
+            two: 'نشاطان معدّلة',
+            few: '{count} أنشطة معدّلة',
+            many: '{count} نشاطًا معدّلة',
+            other: '{count} نشاط معدّلة'
+        },
+        'backup.added.favorites': {
+            zero: '{count} عنصر في المفضلة',
+            one: 'عنصر واحد في المفضلة',
+            two: 'عنصران في المفضلة',
+            few: '{count} عناصر في المفضلة',
+            many: '{count} عنصرًا في المفضلة',
+            other: '{count} عنصر في المفضلة'
+        },
+        'backup.added.history': {
+            zero: '{count} إدخال في السجل',
+            one: 'إدخال واحد في السجل',
+            two: 'إدخالان في السجل',
+            few: '{count} إدخالات في السجل',
+            many: '{count} إدخالًا في السجل',
+            other: '{count} إدخال في السجل'
+        },
+        'backup.added.nothing': 'لا شيء جديد',
+        'backup.chooseFile': 'اختر نسخة JSON احتياطية أو ملف CSV',
+        'backup.contains': 'يحتوي على: {sections}',
+        'backup.containsNothing': 'يحتوي على: لا بيانات معروفة',
+        'backup.csv.activities': 'أنشطة الكتالوج',
+        'backup.csv.favorites': 'المفضلة',
+        'backup.csv.history': 'السجل',
+        'backup.csvData': 'بيانات CSV المراد تصديرها',
+        'backup.downloadCSV': 'تنزيل CSV',
+        'backup.downloaded': 'تم تنزيل النسخة الاحتياطية',
+        'backup.downloadJSON': 'تنزيل نسخة JSON احتياطية',
+        'backup.duplicate.activity': '«{title}» موجود بالفعل في الكتالوج',
+        'backup.duplicate.category': 'الفئة «{name}» موجودة بالفعل',
+        'backup.duplicate.categoryMerged': 'الفئة «{name}» موجودة بالفعل؛ تم دمج أنشطتها فيها',
+        'backup.duplicate.favorite': '«{title}» موجود بالفعل في المفضلة',
+        'backup.duplicate.history': 'إدخال السجل بتاريخ {date} موجود بالفعل',
+        'backup.duplicateCount': {
+            zero: '{count} عنصر مكررة',
+            one: 'عنصر واحد مكررة',
+            two: 'عنصران مكررة',
+            few: '{count} عناصر مكررة',
+            many: '{count} عنصرًا مكررة',
+            other: '{count} عنصر مكررة'
+        },
+        'backup.error.columns': 'أعمدة CSV غير معروفة. استخدم ملفًا صدّرته من هذا التطبيق.',
+        'backup.error.json': 'الملف ليس JSON صالحًا',
+        'backup.error.newer': 'أُنشئت هذه النسخة الاحتياطية بإصدار أحدث من التطبيق',
+        'backup.error.notBackup': 'هذا الملف ليس نسخة احتياطية من Boredom Buster',
+        'backup.export': 'تصدير',
+        'backup.exported.activities': {
+            zero: 'تم تصدير {count} نشاط',
+            one: 'تم تصدير نشاط واحد',
+            two: 'تم تصدير نشاطين',
+            few: 'تم تصدير {count} أنشطة',
+            many: 'تم تصدير {count} نشاطًا',
+            other: 'تم تصدير {count} نشاط'
+        },
+        'backup.exported.favorites': {
+            zero: 'تم تصدير {count} عنصر من المفضلة',
+            one: 'تم تصدير عنصر واحد من المفضلة',
+            two: 'تم تصدير عنصرين من المفضلة',
+            few: 'تم تصدير {count} عناصر من المفضلة',
+            many: 'تم تصدير {count} عنصرًا من المفضلة',
+            other: 'تم تصدير {count} عنصر من المفضلة'
+        },
+        'backup.exported.history': {
+            zero: 'تم تصدير {count} إدخال من السجل',
+            one: 'تم تصدير إدخال واحد من السجل',
+            two: 'تم تصدير إدخالين من السجل',
+            few: 'تم تصدير {count} إدخالات من السجل',
+            many: 'تم تصدير {count} إدخالًا من السجل',
+            other: 'تم تصدير {count} إدخال من السجل'
+        },
+        'backup.exportHint': 'تحتوي نسخة JSON الاحتياطية على كتالوجك المخصص ومفضلتك وسجلك وتفضيلاتك. أما CSV فيصدّر قائمة واحدة لجداول البيانات.',
+        'backup.import': 'استيراد',
+        'backup.importButton': 'استيراد',
+        'backup.imported': 'تم استيراد {added}.',
+        'backup.importedSkipped': {
+            zero: 'تم استيراد {added}. تم تخطي {count} عنصر غير صالحة أو مكررة.',
+            one: 'تم استيراد {added}. تم تخطي عنصر واحد غير صالحة أو مكررة.',
+            two: 'تم استيراد {added}. تم تخطي عنصرين غير صالحة أو مكررة.',
+            few: 'تم استيراد {added}. تم تخطي {count} عناصر غير صالحة أو مكررة.',
+            many: 'تم استيراد {added}. تم تخطي {count} عنصرًا غير صالحة أو مكررة.',
+            other: 'تم استيراد {added}. تم تخطي {count} عنصر غير صالحة أو مكررة.'
+        },
+        'backup.importFailed': 'فشل الاستيراد: {error}',
+        'backup.importUnchanged': 'فشل الاستيراد. لم تتغير بياناتك.',
+        'backup.invalid.activity': 'النشاط {index} ({title}): {error}',
+        'backup.invalid.category': 'الفئة {index}: المفتاح مفقود، أو الاسم أو الأيقونة غير صالحة',
+        'backup.invalid.edit': 'النشاط المعدّل «{id}»: {error}',
+        'backup.invalid.favorite': 'المفضلة {index}: ليس معرّف نشاط',
+        'backup.invalid.favoriteRow': 'الصف {row}: معرّف النشاط مفقود',
+        'backup.invalid.history': 'إدخال السجل {index}: معرّف النشاط أو الوقت أو الفئات مفقودة',
+        'backup.invalid.historyRow': 'الصف {row}: معرّف النشاط مفقود أو الوقت غير صالح',
+        'backup.invalid.missingCategory': 'الفئة مفقودة',
+        'backup.invalid.missingId': 'المعرّف مفقود',
+        'backup.invalid.notBuiltin': 'ليس نشاطًا مدمجًا',
+        'backup.invalid.row': 'الصف {row} ({title}): {error}',
+        'backup.invalid.unknownCategory': 'فئة غير معروفة «{category}»',
+        'backup.invalidCount': {
+            zero: '{count} صف غير صالحة',
+            one: 'صف واحد غير صالحة',
+            two: 'صفان غير صالحة',
+            few: '{count} صفوف غير صالحة',
+            many: '{count} صفًا غير صالحة',
+            other: '{count} صف غير صالحة'
+        },
+        'backup.issues': '{title} ({count})',
+        'backup.issues.duplicates': 'عناصر مكررة، سيتم تخطيها',
+        'backup.issues.invalid': 'صفوف غير صالحة، سيتم تخطيها',
+        'backup.mode': 'طريقة الاستيراد',
+        'backup.mode.merge': 'الدمج مع بياناتي',
+        'backup.mode.replace': 'استبدال بياناتي في هذه الأقسام',
+        'backup.preview': 'معاينة: {file}',
+        'backup.previewLabel': 'معاينة الاستيراد',
+        'backup.problems': 'تم العثور على {invalid} و{duplicates}. راجع المعاينة قبل الاستيراد.',
+        'backup.section.catalog': 'الكتالوج',
+        'backup.section.favorites': 'المفضلة',
+        'backup.section.history': 'السجل',
+        'backup.section.preferences': 'التفضيلات',
+        'backup.skipped.category': '«{title}»: فئته ليست في الكتالوج',
+        'backup.skipped.favorite': 'المفضلة «{id}» ليست في الكتالوج',
+        'backup.untitled': 'بلا عنوان',
+        'backup.willAdd': 'ستتم إضافة {added}.',
+
+        'card.details': 'تفاصيل النشاط',
+        'card.favorite': 'إضافة إلى المفضلة',
+        'card.label.day': 'نشاط اليوم · {date}',
+        'card.label.favorite': 'من مفضلتك',
+        'card.label.nudge': 'تذكيرك في الساعة {time}',
+        'card.label.shared': 'نشاط مُشارَك',
+        'card.schedule': 'جدولة هذا النشاط',
+        'card.seed': 'البذرة:',
+        'card.shareOn': 'مشاركة على {name}',
+        'card.timer': 'ضبط مؤقت',
+        'card.unfavorite': 'إزالة من المفضلة',
+
+        'catalog.activitiesIn': 'الأنشطة في {name}',
+        'catalog.activityAdded': 'تمت إضافة «{title}»',
+        'catalog.activityCount': {
+            zero: '{count} نشاط',
+            one: 'نشاط واحد',
+            two: 'نشاطان',
+            few: '{count} أنشطة',
+            many: '{count} نشاطًا',
+            other: '{count} نشاط'
+        },
+        'catalog.activityRemoved': 'تمت إزالة «{title}»',
+        'catalog.activitySaved': 'تم حفظ «{title}»',
+        'catalog.addCategory': 'إضافة فئة',
+        'catalog.categories': 'الفئات',
+        'catalog.categoryAdded': 'تمت إضافة الفئة «{name}»',
+        'catalog.categoryName': 'اسم الفئة {name}',
+        'catalog.changeIcon': 'تغيير أيقونة {name}',
+        'catalog.chooseIcon': 'اختيار أيقونة',
+        'catalog.confirmDelete': {
+            zero: 'حذف «{name}» و{count} نشاط فيها؟',
+            one: 'حذف «{name}» ونشاط واحد فيها؟',
+            two: 'حذف «{name}» ونشاطين فيها؟',
+            few: 'حذف «{name}» و{count} أنشطة فيها؟',
+            many: 'حذف «{name}» و{count} نشاطًا فيها؟',
+            other: 'حذف «{name}» و{count} نشاط فيها؟'
+        },
+        'catalog.confirmReset': 'إزالة كل الفئات والأنشطة المخصصة واستعادة الكتالوج المدمج؟',
+        'catalog.delete': 'حذف {name}',
+        'catalog.deleted': 'تم حذف «{name}»',
+        'catalog.editActivities': 'تحرير أنشطة {name}',
+        'catalog.editActivity': 'تحرير {title}',
+        'catalog.hide': 'إخفاء {name}',
+        'catalog.loadError': 'تعذّر تحميل كتالوجك المخصص',
+        'catalog.moveDown': 'نقل {name} إلى الأسفل',
+        'catalog.moveUp': 'نقل {name} إلى الأعلى',
+        'catalog.nameEmpty': 'لا يمكن أن يكون اسم الفئة فارغًا',
+        'catalog.nameRequired': 'يُرجى إدخال اسم للفئة',
+        'catalog.nameTaken': 'توجد فئة بهذا الاسم بالفعل',
+        'catalog.newCategory': 'اسم الفئة الجديدة',
+        'catalog.newCategoryIcon': 'اختيار أيقونة الفئة الجديدة',
+        'catalog.noActivities': 'لا توجد أنشطة بعد. أضف واحدًا أدناه.',
+        'catalog.removeActivity': 'إزالة {title}',
+        'catalog.reset': 'إعادة تعيين الكتالوج المدمج',
+        'catalog.resetDone': 'تمت إعادة الكتالوج إلى الأنشطة المدمجة',
+        'catalog.show': 'إظهار {name}',
+        'catalog.sourcesOff': {
+            zero: '{sources} متوقفة في المصادر، لذا لا تظهر هنا.',
+            one: '{sources} متوقف في المصادر، لذا لا يظهر هنا.',
+            two: '{sources} متوقفان في المصادر، لذا لا يظهران هنا.',
+            few: '{sources} متوقفة في المصادر، لذا لا تظهر هنا.',
+            many: '{sources} متوقفة في المصادر، لذا لا تظهر هنا.',
+            other: '{sources} متوقفة في المصادر، لذا لا تظهر هنا.'
+        },
+
+        'categories.empty': 'لا توجد أنشطة في هذه الفئة',
+        'categories.invalid': 'الفئة المختارة غير صالحة',
+        'categories.label': 'فئات الأنشطة',
+
+        'category.DIY': 'اصنعها بنفسك',
+        'category.education': 'تعليم',
+        'category.recreation': 'ترفيه',
+        'category.social': 'اجتماعي',
+
+        'choices.choose': 'اختيار',
+        'choices.chooseLabel': 'اختيار «{title}»',
+        'choices.heading': {
+            zero: 'اختر أحد هذه الأنشطة، أو بدّل أيًّا منها أو استبعده',
+            one: 'اختر هذا النشاط، أو بدّله أو استبعده',
+            two: 'اختر أحد هذين النشاطين، أو بدّل أيًّا منهما أو استبعده',
+            few: 'اختر أحد هذه الأنشطة، أو بدّل أيًّا منها أو استبعده',
+            many: 'اختر أحد هذه الأنشطة، أو بدّل أيًّا منها أو استبعده',
+            other: 'اختر أحد هذه الأنشطة، أو بدّل أيًّا منها أو استبعده'
+        },
+        'choices.noMore': 'لا توجد أنشطة أخرى تطابق اختيارك',
+        'choices.reroll': 'استبدال «{title}» بنشاط آخر',
+        'choices.veto': 'عدم اقتراح «{title}» مرة أخرى',
+
+        'duration.hours': '{count} س',
+        'duration.hoursMinutes': '{hours} س {minutes} د',
+        'duration.minutes': '{count} د',
+
+        'favorites.added': 'تمت الإضافة إلى المفضلة',
+        'favorites.addedOn': 'أُضيف في {date}',
+        'favorites.count': {
+            zero: '{count} عنصر في المفضلة',
+            one: 'عنصر واحد في المفضلة',
+            two: 'عنصران في المفضلة',
+            few: '{count} عناصر في المفضلة',
+            many: '{count} عنصرًا في المفضلة',
+            other: '{count} عنصر في المفضلة'
+        },
+        'favorites.empty': 'لا توجد مفضلة بعد. اضغط على القلب في أي نشاط لحفظه هنا.',
+        'favorites.missing': 'لم يعد في كتالوجك',
+        'favorites.note': 'ملاحظة على «{title}»',
+        'favorites.notePlaceholder': 'أضف ملاحظة',
+        'favorites.remove': 'إزالة «{title}» من المفضلة',
+        'favorites.removed': 'تمت الإزالة من المفضلة',
+        'favorites.show': 'عرض «{title}»',
+        'favorites.sort': 'ترتيب المفضلة',
+        'favorites.sort.added': 'المضافة حديثًا',
+        'favorites.sort.category': 'الفئة',
+        'favorites.sort.duration': 'المدة',
+        'favorites.sort.title': 'العنوان',
+        'favorites.sortBy': 'الترتيب: {sort}',
+
+        'filters.clear': 'مسح عوامل التصفية',
+        'filters.cost.any': 'أي تكلفة',
+        'filters.cost.free': 'مجاني',
+        'filters.cost.high': 'تكلفة مرتفعة',
+        'filters.cost.label': 'التكلفة',
+        'filters.cost.low': 'تكلفة منخفضة',
+        'filters.cost.medium': 'تكلفة متوسطة',
+        'filters.energy.any': 'أي مستوى طاقة',
+        'filters.energy.high': 'طاقة عالية',
+        'filters.energy.label': 'الطاقة',
+        'filters.energy.low': 'طاقة منخفضة',
+        'filters.energy.medium': 'طاقة متوسطة',
+        'filters.groupSize.any': 'أي حجم للمجموعة',
+        'filters.groupSize.group': 'جماعي',
+        'filters.groupSize.label': 'حجم المجموعة',
+        'filters.groupSize.solo': 'فردي',
+        'filters.label': 'عوامل تصفية الأنشطة',
+        'filters.maxDuration.120': 'ساعتان أو أقل',
+        'filters.maxDuration.15': '15 دقيقة أو أقل',
+        'filters.maxDuration.30': '30 دقيقة أو أقل',
+        'filters.maxDuration.60': 'ساعة أو أقل',
+        'filters.maxDuration.any': 'أي مدة',
+        'filters.maxDuration.label': 'المدة',
+        'filters.setting.any': 'في الداخل أو الخارج',
+        'filters.setting.indoor': 'في الداخل',
+        'filters.setting.label': 'المكان',
+        'filters.setting.outdoor': 'في الهواء الطلق',
+        'filters.summary.activities': {
+            zero: '{count} نشاط مطابق',
+            one: 'نشاط واحد مطابق',
+            two: 'نشاطان مطابقان',
+            few: '{count} أنشطة مطابقة',
+            many: '{count} نشاطًا مطابقًا',
+            other: '{count} نشاط مطابق'
+        },
+        'filters.summary.favorites': {
+            zero: '{count} عنصر في المفضلة مطابقة',
+            one: 'عنصر واحد في المفضلة مطابقة',
+            two: 'عنصران في المفضلة مطابقة',
+            few: '{count} عناصر في المفضلة مطابقة',
+            many: '{count} عنصرًا في المفضلة مطابقة',
+            other: '{count} عنصر في المفضلة مطابقة'
+        },
+        'filters.summary.needCategory': 'اختر فئة لرؤية الأنشطة المطابقة',
+        'filters.summary.remaining': {
+            zero: 'يتبقى {count} نشاط قبل التكرار',
+            one: 'يتبقى نشاط واحد قبل التكرار',
+            two: 'يتبقى نشاطان قبل التكرار',
+            few: 'يتبقى {count} أنشطة قبل التكرار',
+            many: 'يتبقى {count} نشاطًا قبل التكرار',
+            other: 'يتبقى {count} نشاط قبل التكرار'
+        },
+
+        'generate.allVetoed': 'كل ما يطابق إعداداتك مستبعد. أعد بعض الأنشطة من قائمة الأنشطة المستبعدة.',
+        'generate.button': 'ولّد نشاطًا!',
+        'generate.error': 'حدث خطأ أثناء توليد النشاط. يُرجى المحاولة مرة أخرى.',
+        'generate.generating': 'جارٍ توليد نشاط...',
+        'generate.label': 'توليد نشاط عشوائي',
+        'generate.loading': 'جارٍ توليد نشاطك...',
+        'generate.needCategory': 'يُرجى اختيار فئة واحدة على الأقل',
+        'generate.noFavorites': 'لا توجد لديك مفضلة بعد. اضغط على القلب في أي نشاط لحفظه.',
+        'generate.noMatches': 'لا توجد أنشطة تطابق عوامل التصفية. جرّب تخفيفها.',
+        'generate.noMatchingFavorites': 'لا شيء من مفضلتك يطابق هذه الإعدادات. جرّب تخفيفها.',
+        'generate.showVetoes': 'عرض المستبعدة',
+        'generate.success': 'تم توليد النشاط!',
+
+        'history.again': 'توليد «{title}» مرة أخرى',
+        'history.allCategories': 'كل الفئات',
+        'history.categoryFilter': 'تصفية السجل حسب الفئة',
+        'history.clear': 'مسح السجل',
+        'history.cleared': 'تم مسح السجل',
+        'history.confirmLimit': {
+            zero: 'سيؤدي هذا إلى حذف أقدم {count} إدخال في سجلك. هل تريد المتابعة؟',
+            one: 'سيؤدي هذا إلى حذف أقدم إدخال في سجلك. هل تريد المتابعة؟',
+            two: 'سيؤدي هذا إلى حذف أقدم إدخالين في سجلك. هل تريد المتابعة؟',
+            few: 'سيؤدي هذا إلى حذف أقدم {count} إدخالات في سجلك. هل تريد المتابعة؟',
+            many: 'سيؤدي هذا إلى حذف أقدم {count} إدخالًا في سجلك. هل تريد المتابعة؟',
+            other: 'سيؤدي هذا إلى حذف أقدم {count} إدخال في سجلك. هل تريد المتابعة؟'
+        },
+        'history.delete': 'حذف «{title}» من السجل',
+        'history.deleted': 'تم حذف إدخال السجل',
+        'history.empty': 'لا شيء في سجلك بعد.',
+        'history.entries': {
+            zero: '{count} إدخال',
+            one: 'إدخال واحد',
+            two: 'إدخالان',
+            few: '{count} إدخالات',
+            many: '{count} إدخالًا',
+            other: '{count} إدخال'
+        },
+        'history.entriesShown': {
+            zero: '{shown} من {count}',
+            one: '{shown} من إدخال واحد',
+            two: '{shown} من إدخالين',
+            few: '{shown} من {count} إدخالات',
+            many: '{shown} من {count} إدخالًا',
+            other: '{shown} من {count} إدخال'
+        },
+        'history.keep': {
+            zero: 'الاحتفاظ بـ{count} إدخال',
+            one: 'الاحتفاظ بـإدخال واحد',
+            two: 'الاحتفاظ بـإدخالين',
+            few: 'الاحتفاظ بـ{count} إدخالات',
+            many: 'الاحتفاظ بـ{count} إدخالًا',
+            other: 'الاحتفاظ بـ{count} إدخال'
+        },
+        'history.limit': 'عدد الإدخالات المحفوظة',
+        'history.noMatches': 'لا توجد إدخالات تطابق بحثك.',
+        'history.outcome': 'كيف سار «{title}»',
+        'history.planned': 'مخطط له',
+        'history.recent': 'الأنشطة الأخيرة',
+        'history.recentLabel': 'الأنشطة الأخيرة',
+        'history.search': 'البحث في السجل',
+        'history.today': 'اليوم',
+        'history.yesterday': 'أمس',
+
+        'language.auto': 'تلقائي ({name})',
+        'language.label': 'اللغة',
+
+        'meta.cost.free': 'مجاني',
+        'meta.cost.high': 'تكلفة مرتفعة',
+        'meta.cost.low': 'تكلفة منخفضة',
+        'meta.cost.medium': 'تكلفة متوسطة',
+        'meta.energy.high': 'طاقة عالية',
+        'meta.energy.low': 'طاقة منخفضة',
+        'meta.energy.medium': 'طاقة متوسطة',
+        'meta.people': {
+            zero: '{count} شخص',
+            one: 'شخص واحد',
+            two: 'شخصان',
+            few: '{count} أشخاص',
+            many: '{count} شخصًا',
+            other: '{count} شخص'
+        },
+        'meta.setting.indoor': 'في الداخل',
+        'meta.setting.outdoor': 'في الهواء الطلق',
+        'meta.solo': 'فردي',
+
+        'nudges.add': 'إضافة تذكير',
+        'nudges.added': 'تمت إضافة التذكير',
+        'nudges.categories': 'الاقتراح من (بلا اختيار يعني الكل)',
+        'nudges.days': 'الأيام',
+        'nudges.daysRequired': 'اختر يومًا واحدًا على الأقل للتذكير',
+        'nudges.delete': 'حذف تذكير الساعة {time}',
+        'nudges.empty': 'لا توجد تذكيرات مجدولة.',
+        'nudges.enabled': 'تفعيل تذكير الساعة {time}',
+        'nudges.everyDay': 'كل يوم',
+        'nudges.hint': 'أثناء فتح التطبيق، يقترح عليك التذكير نشاطًا في الوقت الذي تختاره.',
+        'nudges.message': 'تشعر بالملل؟ جرّب هذا: {title}',
+        'nudges.time': 'الوقت',
+        'nudges.timeRequired': 'اختر وقتًا للتذكير',
+        'nudges.title': 'التذكيرات',
+        'nudges.weekdays': 'أيام العمل',
+        'nudges.weekends': 'عطلات نهاية الأسبوع',
+
+        'outcome.abandoned': 'تم التخلي عنه',
+        'outcome.cleared': 'تم مسح النتيجة',
+        'outcome.done': 'تم',
+        'outcome.marked.abandoned': 'تم التعليم كمتروك',
+        'outcome.marked.done': 'تم التعليم كمنجز',
+        'outcome.marked.skipped': 'تم التعليم كمتخطّى',
+        'outcome.none': 'غير محدد',
+        'outcome.question': 'كيف سار الأمر؟',
+        'outcome.skipped': 'تم التخطي',
+
+        'panel.backup': 'النسخ الاحتياطي والاستعادة',
+        'panel.catalog': 'تحرير الكتالوج',
+        'panel.close': 'إغلاق اللوحة',
+        'panel.favorites': 'المفضلة',
+        'panel.history': 'السجل',
+        'panel.notifications': 'التنبيهات والتذكيرات',
+        'panel.planner': 'المخطط الأسبوعي',
+        'panel.share': 'المشاركة',
+        'panel.shortcuts': 'اختصارات لوحة المفاتيح',
+        'panel.sources': 'مصادر الأنشطة',
+        'panel.stats': 'الإحصاءات',
+        'panel.themes': 'السمات',
+        'panel.timer': 'المؤقت',
+        'panel.vetoes': 'الأنشطة المستبعدة',
+
+        'permalink.missing': 'النشاط المُشارَك ليس في كتالوجك',
+
+        'planner.add': 'إضافة إلى المخطط',
+        'planner.added': 'تمت جدولة "{title}" في {time}',
+        'planner.date': 'التاريخ',
+        'planner.delete': 'إزالة "{title}" من المخطط',
+        'planner.deleted': 'تمت إزالة "{title}" من المخطط',
+        'planner.edit': 'تغيير خطة "{title}"',
+        'planner.editTitle': 'تغيير خطة "{title}"',
+        'planner.export': 'تصدير "{title}" إلى تقويم (.ics)',
+        'planner.exportWeek': 'تصدير الأسبوع (.ics)',
+        'planner.free': 'لا شيء مخطط',
+        'planner.hint': 'اسحب خطة إلى يوم آخر لنقلها. تنتقل الخطط إلى سجلك بعد مرور وقتها، ويمكن تصديرها كملفات ‎.ics لأي تطبيق تقويم.',
+        'planner.minutesInvalid': 'يمكن أن تستمر الخطط من 1 إلى {max} دقيقة',
+        'planner.moved': 'تم نقل "{title}" إلى {day}',
+        'planner.next': 'الأسبوع التالي',
+        'planner.previous': 'الأسبوع السابق',
+        'planner.repeat': 'التكرار',
+        'planner.repeat.daily': 'كل يوم',
+        'planner.repeat.none': 'بدون تكرار',
+        'planner.repeat.weekdays': 'كل يوم عمل',
+        'planner.repeat.weekly': 'كل أسبوع',
+        'planner.save': 'حفظ الخطة',
+        'planner.scheduleTitle': 'جدولة "{title}"',
+        'planner.thisWeek': 'هذا الأسبوع',
+        'planner.time': 'وقت البدء',
+        'planner.timeRequired': 'اختر تاريخًا ووقت بدء',
+        'planner.updated': 'تم تحديث خطة "{title}"',
+        'planner.week': '{start} – {end}',
+
+        'quiet.enabled': 'لا تذكيرات خلال ساعات الهدوء',
+        'quiet.from': 'من',
+        'quiet.title': 'ساعات الهدوء والتأجيل',
+        'quiet.until': 'حتى',
+
+        'reveal.duration': 'مدة الكشف',
+        'reveal.duration.option': 'كشف خلال {count} ث',
+        'reveal.mode': 'طريقة الكشف',
+        'reveal.mode.instant': 'إظهار النتيجة فورًا',
+        'reveal.mode.reel': 'الكشف بآلة الحظ',
+        'reveal.mode.wheel': 'الكشف بعجلة دوّارة',
+        'reveal.reducedMotion': 'جهازك مضبوط على تقليل الحركة، لذا تظهر النتائج فورًا',
+
+        'selection.balanceCategories': 'موازنة الفئات',
+        'selection.choices': 'عدد الأنشطة للاختيار منها',
+        'selection.choices.option': {
+            zero: 'الاختيار من بين {count} نشاط',
+            one: 'إظهار نشاط واحد',
+            two: 'الاختيار من بين نشاطين',
+            few: 'الاختيار من بين {count} أنشطة',
+            many: 'الاختيار من بين {count} نشاطًا',
+            other: 'الاختيار من بين {count} نشاط'
+        },
+        'selection.favoriteBoost': 'وزن المفضلة',
+        'selection.favoriteBoost.option': {
+            zero: 'المفضلة: وزن ×{count}',
+            one: 'المفضلة: وزن عادي',
+            two: 'المفضلة: وزن ×{count}',
+            few: 'المفضلة: وزن ×{count}',
+            many: 'المفضلة: وزن ×{count}',
+            other: 'المفضلة: وزن ×{count}'
+        },
+        'selection.favoritesInCategories': 'الفئات المختارة فقط',
+        'selection.label': 'إعدادات الاختيار',
+        'selection.mode': 'طريقة الاختيار',
+        'selection.mode.random': 'عشوائي تمامًا',
+        'selection.mode.smart': 'ذكي: بلا تكرار حتى تظهر كلها',
+        'selection.newRound': 'بدء جولة جديدة',
+        'selection.roundStarted': 'بدأت جولة جديدة',
+        'selection.seed.hint': 'البذرة والفئات وعوامل التصفية نفسها تعطي الاختيار نفسه',
+        'selection.seed.label': 'بذرة لاختيارات قابلة للتكرار',
+        'selection.seed.placeholder': 'البذرة (اختيارية)',
+        'selection.source': 'الاختيار من',
+        'selection.source.catalog': 'كل الأنشطة المطابقة',
+        'selection.source.favorites': 'المفضلة فقط',
+
+        'share.buttons': 'أزرار المشاركة',
+        'share.buttonsHint': 'اختر أزرار المشاركة في بطاقة النشاط وترتيبها. الأزرار التي لا يدعمها هذا المتصفح لا تظهر في البطاقة.',
+        'share.cardFooter': 'اعثر على نشاطك التالي على {site}',
+        'share.copied': 'تم نسخ النشاط إلى الحافظة!',
+        'share.copiedLink': 'تم نسخ رابط هذا النشاط إلى الحافظة!',
+        'share.copyFailed': 'تعذّر النسخ إلى الحافظة',
+        'share.customize': 'اختيار أزرار المشاركة',
+        'share.failed': 'تعذّرت مشاركة النشاط',
+        'share.mastodonHint': 'تُفتح منشورات ماستودون على هذا الخادم، مثل mastodon.social.',
+        'share.mastodonInvalid': 'أدخل اسم خادم مثل mastodon.social',
+        'share.mastodonServer': 'خادمك',
+        'share.moveDown': 'تأخير "{name}"',
+        'share.moveUp': 'تقديم "{name}"',
+        'share.preview': 'صورة المشاركة',
+        'share.previewAlt': 'صورة المشاركة لـ "{title}"',
+        'share.previewEmpty': 'أنشئ نشاطًا لرؤية صورة المشاركة الخاصة به.',
+        'share.previewUnsupported': 'لا يستطيع هذا المتصفح رسم صور المشاركة.',
+        'share.reset': 'استعادة الأزرار الافتراضية',
+        'share.target.copyLink': 'نسخ الرابط',
+        'share.target.copyText': 'نسخ النص والرابط',
+        'share.target.email': 'المشاركة عبر البريد الإلكتروني',
+        'share.target.image': 'تنزيل صورة المشاركة',
+        'share.target.native': 'مشاركة…',
+        'share.text': 'سأقوم بـ: {title}',
+        'share.title': 'نشاط عشوائي',
+        'share.unavailable': 'غير مدعوم في هذا المتصفح',
+
+        'shortcuts.action.category': 'تحديد الفئة {number} أو إلغاء تحديدها',
+        'shortcuts.action.favorite': 'إضافة النشاط إلى المفضلة أو إزالته منها',
+        'shortcuts.action.generate': 'توليد نشاط',
+        'shortcuts.action.help': 'عرض اختصارات لوحة المفاتيح',
+        'shortcuts.action.history': 'فتح السجل',
+        'shortcuts.action.timer': 'بدء المؤقت أو إيقافه',
+        'shortcuts.change': 'تغيير',
+        'shortcuts.changeLabel': 'تغيير اختصار «{action}»',
+        'shortcuts.conflict': '{key} هو بالفعل اختصار «{action}». اضغط مفتاحًا آخر، أو أزل ذلك الاختصار أولًا.',
+        'shortcuts.custom': 'اختصاراتك',
+        'shortcuts.fixed': 'متاحة دائمًا',
+        'shortcuts.fixed.arrows': 'التنقل بين أزرار الفئات',
+        'shortcuts.fixed.escape': 'إغلاق اللوحة المفتوحة',
+        'shortcuts.fixed.press': 'الضغط على الزر المحدد',
+        'shortcuts.hint': 'تعمل الاختصارات عندما لا تكون هناك لوحة مفتوحة ولا تكتب في حقل. تعمل الحروف اللاتينية بالأحرف الكبيرة أو الصغيرة.',
+        'shortcuts.invalidKey': 'استخدم حرفًا أو رقمًا أو رمزًا واحدًا',
+        'shortcuts.key.enter': 'Enter',
+        'shortcuts.key.escape': 'Esc',
+        'shortcuts.key.space': 'مسافة',
+        'shortcuts.noActivity': 'ولّد نشاطًا أولًا',
+        'shortcuts.none': 'غير محدد',
+        'shortcuts.recording': 'اضغط مفتاحًا، أو Esc للإلغاء',
+        'shortcuts.remove': 'إزالة اختصار «{action}»',
+        'shortcuts.reset': 'استعادة الإعدادات الافتراضية',
+        'shortcuts.resetDone': 'تمت استعادة الاختصارات الافتراضية',
+        'shortcuts.set': 'أصبح اختصار «{action}» هو {key}',
+
+        'snooze.for': 'تأجيل {duration}',
+        'snooze.off': 'التذكيرات مفعّلة.',
+        'snooze.stop': 'إلغاء التأجيل',
+        'snooze.tomorrow': 'تأجيل حتى الغد',
+        'snooze.until': 'التذكيرات مؤجلة حتى {time}',
+
+        'sources.about.bundled': 'تأتي مع التطبيق',
+        'sources.about.custom': 'أُضيفت في محرر الكتالوج',
+        'sources.add': 'إضافة المصدر',
+        'sources.added': 'تمت إضافة «{name}»',
+        'sources.addTitle': 'إضافة مصدر',
+        'sources.cache': 'التخزين المؤقت (د)',
+        'sources.help.bored': 'نقطة وصول تجيب مثل Bored API، مثل http://127.0.0.1:3000/api/activity أثناء تشغيل «node server.js». يُطلب منها نشاط واحد لكل فئة مختارة.',
+        'sources.help.json': 'ملف JSON يسرد الأنشطة، إما كمصفوفة أو على شكل { "activities": [...] }، بتنسيق هذا التطبيق أو تنسيق Bored API.',
+        'sources.hint': 'تُسحب الأنشطة من كل مصدر مفعّل. إذا فشل مصدر بعيد أو تجاوز المهلة، تُستخدم البقية.',
+        'sources.loadFailed': 'تعذّر تحميل «{name}»: {error}. يتم استخدام الأنشطة المحلية بدلًا منه.',
+        'sources.loading': 'جارٍ التحميل…',
+        'sources.loadsLater': 'يُحمَّل عند التوليد',
+        'sources.name': 'الاسم',
+        'sources.off': 'متوقف',
+        'sources.remove': 'إزالة {name}',
+        'sources.status.failed': 'فشل: {error} · {time}',
+        'sources.status.ok': {
+            zero: '{count} نشاط مطابق · {time}',
+            one: 'نشاط واحد مطابق · {time}',
+            two: 'نشاطان مطابقان · {time}',
+            few: '{count} أنشطة مطابقة · {time}',
+            many: '{count} نشاطًا مطابقًا · {time}',
+            other: '{count} نشاط مطابق · {time}'
+        },
+        'sources.test': 'تجربة',
+        'sources.tested': {
+            zero: 'أعاد «{name}» {count} نشاط مطابق',
+            one: 'أعاد «{name}» نشاطًا واحدًا مطابقًا',
+            two: 'أعاد «{name}» نشاطين مطابقين',
+            few: 'أعاد «{name}» {count} أنشطة مطابقة',
+            many: 'أعاد «{name}» {count} نشاطًا مطابقًا',
+            other: 'أعاد «{name}» {count} نشاط مطابق'
+        },
+        'sources.timeout': 'المهلة (ث)',
+        'sources.title': 'المصادر',
+        'sources.type.bored': 'نقطة وصول Bored API',
+        'sources.type.bundled': 'الأنشطة المدمجة',
+        'sources.type.custom': 'أنشطتك',
+        'sources.type.json': 'ملف JSON',
+        'sources.typeField': 'النوع',
+        'sources.url': 'العنوان',
+        'sources.urlRequired': 'أدخل عنوان http:// أو https:// للمصدر',
+        'sources.use': 'استخدام {name}',
+
+        'stats.basedOn': {
+            zero: 'بناءً على آخر {count} إدخال في سجلك: {done} منجزة، {skipped} متخطاة، {abandoned} متروكة.',
+            one: 'بناءً على آخر إدخال في سجلك: {done} منجزة، {skipped} متخطاة، {abandoned} متروكة.',
+            two: 'بناءً على آخر إدخالين في سجلك: {done} منجزة، {skipped} متخطاة، {abandoned} متروكة.',
+            few: 'بناءً على آخر {count} إدخالات في سجلك: {done} منجزة، {skipped} متخطاة، {abandoned} متروكة.',
+            many: 'بناءً على آخر {count} إدخالًا في سجلك: {done} منجزة، {skipped} متخطاة، {abandoned} متروكة.',
+            other: 'بناءً على آخر {count} إدخال في سجلك: {done} منجزة، {skipped} متخطاة، {abandoned} متروكة.'
+        },
+        'stats.byCategory': 'المنجز حسب الفئة',
+        'stats.byCategoryChart': 'الأنشطة المنجزة حسب الفئة',
+        'stats.byCategoryEmpty': 'علّم الأنشطة كمنجزة لتراها هنا.',
+        'stats.byWeek': {
+            zero: 'المنجز أسبوعيًا، آخر {count} أسبوع',
+            one: 'المنجز أسبوعيًا، آخر أسبوع',
+            two: 'المنجز أسبوعيًا، آخر أسبوعين',
+            few: 'المنجز أسبوعيًا، آخر {count} أسابيع',
+            many: 'المنجز أسبوعيًا، آخر {count} أسبوعًا',
+            other: 'المنجز أسبوعيًا، آخر {count} أسبوع'
+        },
+        'stats.byWeekChart': 'الأنشطة المنجزة أسبوعيًا: {weeks}',
+        'stats.completionRate': 'نسبة الإنجاز',
+        'stats.currentStreak': 'السلسلة الحالية',
+        'stats.days': {
+            zero: '{count} يوم',
+            one: 'يوم واحد',
+            two: 'يومان',
+            few: '{count} أيام',
+            many: '{count} يومًا',
+            other: '{count} يوم'
+        },
+        'stats.longestStreak': 'أطول سلسلة',
+        'stats.mostSkipped': 'الأكثر تخطيًا',
+        'stats.nothingSkipped': 'لم يتم تخطي أي شيء بعد.',
+        'stats.skippedTimes': {
+            zero: 'تم تخطيه {count} مرة',
+            one: 'تم تخطيه مرة واحدة',
+            two: 'تم تخطيه مرتين',
+            few: 'تم تخطيه {count} مرات',
+            many: 'تم تخطيه {count} مرة',
+            other: 'تم تخطيه {count} مرة'
+        },
+        'stats.timed': 'بالمؤقت',
+        'stats.unknownCategory': 'غير معروفة',
+        'stats.weekOf': 'أسبوع {week}: {count}',
+
+        'storage.load.favorites': 'تعذّر تحميل المفضلة المحفوظة',
+        'storage.load.history': 'تعذّر تحميل السجل',
+        'storage.save.favorites': 'تعذّر حفظ المفضلة. يُرجى المحاولة مرة أخرى.',
+        'storage.save.history': 'تعذّر حفظ السجل',
+
+        'store.corrupt': 'تعذّرت قراءة بياناتك المحفوظة، لذا بدأ التطبيق من جديد. تم الاحتفاظ بنسخة منها.',
+        'store.quota': 'مساحة التخزين ممتلئة، لذا لم تُحفظ آخر تغييراتك. صدّر نسخة احتياطية أو امسح السجل.',
+        'store.unavailable': 'تعذّر حفظ تغييراتك. سيُحتفظ بها حتى تغلق علامة التبويب هذه.',
+
+        'themes.builder': 'إنشاء سمة',
+        'themes.choose': 'اختر سمة…',
+        'themes.color.accent': 'لون التمييز',
+        'themes.color.background': 'الخلفية',
+        'themes.color.border': 'الحدود',
+        'themes.color.primary': 'الأساسي',
+        'themes.color.primaryDark': 'الأساسي عند التمرير',
+        'themes.color.secondary': 'الثانوي',
+        'themes.color.secondaryDark': 'الثانوي عند التمرير',
+        'themes.color.surface': 'البطاقات واللوحات',
+        'themes.color.surfaceVariant': 'الأسطح الخافتة',
+        'themes.color.text': 'النص',
+        'themes.color.textLight': 'النص الثانوي',
+        'themes.color.textOnPrimary': 'النص على الأساسي',
+        'themes.color.textOnSecondary': 'النص على الثانوي',
+        'themes.contrast': 'فحوص التباين',
+        'themes.contrast.fails': 'لا يجتاز (يحتاج {ratio}:1)',
+        'themes.contrast.passes': 'يجتاز {level}',
+        'themes.contrast.textLightOnSurface': 'النص الثانوي على البطاقات',
+        'themes.contrast.textOnBackground': 'النص على الخلفية',
+        'themes.contrast.textOnPrimary': 'النص على الأزرار الأساسية',
+        'themes.contrast.textOnSecondary': 'النص على زر التوليد',
+        'themes.contrast.textOnSurface': 'النص على البطاقات واللوحات',
+        'themes.delete': 'حذف {name}',
+        'themes.deleted': 'تم حذف «{name}»',
+        'themes.detail.builtin': 'مدمجة',
+        'themes.detail.custom': 'مخصصة',
+        'themes.detail.system': 'يتبع الوضع الفاتح أو الداكن في جهازك',
+        'themes.edit': 'تحرير {name}',
+        'themes.editing': 'تحرير «{name}»',
+        'themes.error.json': 'الملف ليس JSON صالحًا',
+        'themes.error.notThemeFile': 'هذا ليس ملف سمة من Boredom Buster',
+        'themes.export': 'تصدير السمات',
+        'themes.exported': {
+            zero: 'تم تصدير {count} سمة',
+            one: 'تم تصدير سمة واحدة',
+            two: 'تم تصدير سمتين',
+            few: 'تم تصدير {count} سمات',
+            many: 'تم تصدير {count} سمة',
+            other: 'تم تصدير {count} سمة'
+        },
+        'themes.files': 'ملفات السمات',
+        'themes.filesHint': 'صدّر سماتك المخصصة للاحتفاظ بها أو مشاركتها، واستورد سمات صنعها الآخرون.',
+        'themes.import': 'استيراد ملف سمة',
+        'themes.imported': 'السمات المستوردة: {parts}',
+        'themes.imported.added': 'أُضيف {count}',
+        'themes.imported.replaced': 'حُدّث {count}',
+        'themes.imported.skipped': 'تُخطّي {count}',
+        'themes.limit': {
+            zero: 'يمكنك الاحتفاظ بـ{count} سمة مخصصة على الأكثر. احذف واحدة لحفظ أخرى.',
+            one: 'يمكنك الاحتفاظ بـسمة واحدة مخصصة على الأكثر. احذف واحدة لحفظ أخرى.',
+            two: 'يمكنك الاحتفاظ بـسمتين مخصصة على الأكثر. احذف واحدة لحفظ أخرى.',
+            few: 'يمكنك الاحتفاظ بـ{count} سمات مخصصة على الأكثر. احذف واحدة لحفظ أخرى.',
+            many: 'يمكنك الاحتفاظ بـ{count} سمة مخصصة على الأكثر. احذف واحدة لحفظ أخرى.',
+            other: 'يمكنك الاحتفاظ بـ{count} سمة مخصصة على الأكثر. احذف واحدة لحفظ أخرى.'
+        },
+        'themes.name.dark': 'داكن',
+        'themes.name.forest': 'غابة',
+        'themes.name.light': 'فاتح',
+        'themes.name.midnight': 'منتصف الليل',
+        'themes.name.ocean': 'محيط',
+        'themes.name.sunset': 'غروب',
+        'themes.name.system': 'النظام ({name})',
+        'themes.nameCopy': 'سمِّ النسخة ثم احفظها',
+        'themes.nameRequired': 'اختر اسمًا لسمتك',
+        'themes.nameTaken': 'توجد سمة باسم «{name}» بالفعل',
+        'themes.previewText': 'نشاط',
+        'themes.ratio': '{ratio}:1',
+        'themes.save': 'حفظ السمة',
+        'themes.saveAsNew': 'حفظ كسمة جديدة',
+        'themes.saved': 'تم حفظ «{name}»',
+        'themes.savedLowContrast': {
+            zero: 'تم حفظ «{name}»، لكن {count} لون من ألوان النص صعبة القراءة (أقل من {ratio}:1)',
+            one: 'تم حفظ «{name}»، لكن لونًا واحدًا من ألوان النص صعبة القراءة (أقل من {ratio}:1)',
+            two: 'تم حفظ «{name}»، لكن لونين من ألوان النص صعبة القراءة (أقل من {ratio}:1)',
+            few: 'تم حفظ «{name}»، لكن {count} ألوان من ألوان النص صعبة القراءة (أقل من {ratio}:1)',
+            many: 'تم حفظ «{name}»، لكن {count} لونًا من ألوان النص صعبة القراءة (أقل من {ratio}:1)',
+            other: 'تم حفظ «{name}»، لكن {count} لون من ألوان النص صعبة القراءة (أقل من {ratio}:1)'
+        },
+        'themes.startFrom': 'البدء من',
+        'themes.switchLabel': 'اختيار سمة (الحالية: {name})',
+        'themes.title': 'السمة',
+
+        'time.justNow': 'الآن',
+
+        'timer.add': {
+            zero: 'إضافة {count} دقيقة',
+            one: 'إضافة دقيقة واحدة',
+            two: 'إضافة دقيقتين',
+            few: 'إضافة {count} دقائق',
+            many: 'إضافة {count} دقيقة',
+            other: 'إضافة {count} دقيقة'
+        },
+        'timer.addShort': '+{count} د',
+        'timer.breakOver': 'انتهت الاستراحة. الجولة {cycle} من {cycles}: {title}',
+        'timer.clearLog': 'مسح سجل الجلسات',
+        'timer.confirmClearLog': 'حذف سجل جلسات المؤقت؟',
+        'timer.containerLabel': 'مؤقت النشاط',
+        'timer.done': 'انتهى الوقت! كيف كان نشاطك؟',
+        'timer.estimate': '{duration} (تقديرية)',
+        'timer.field.cycles': 'الجولات',
+        'timer.field.longBreak': 'استراحة طويلة (د)',
+        'timer.field.shortBreak': 'استراحة قصيرة (د)',
+        'timer.field.work': 'العمل (د)',
+        'timer.invalidDuration': 'اختر مدة بين 1 و{max} دقيقة',
+        'timer.loadError': 'تعذّرت استعادة المؤقت',
+        'timer.log': 'الجلسات المنتهية',
+        'timer.logEmpty': 'تظهر الجلسات هنا عند انتهاء المؤقت.',
+        'timer.logSummary': {
+            zero: '{count} جلسة · {duration} إجمالًا',
+            one: 'جلسة واحدة · {duration} إجمالًا',
+            two: 'جلستان · {duration} إجمالًا',
+            few: '{count} جلسات · {duration} إجمالًا',
+            many: '{count} جلسة · {duration} إجمالًا',
+            other: '{count} جلسة · {duration} إجمالًا'
+        },
+        'timer.mode': 'وضع المؤقت',
+        'timer.mode.cycles': 'دورات عمل واستراحة',
+        'timer.mode.single': 'عد تنازلي واحد',
+        'timer.noActivity': 'ولّد نشاطًا، ثم استخدم زر المؤقت فيه لبدء مؤقت.',
+        'timer.outcomePrompt': 'كيف كان {title}؟',
+        'timer.pause': 'إيقاف المؤقت مؤقتًا',
+        'timer.paused': 'متوقف مؤقتًا',
+        'timer.pauseShort': 'إيقاف مؤقت',
+        'timer.phase.longBreak': 'استراحة طويلة',
+        'timer.phase.shortBreak': 'استراحة قصيرة',
+        'timer.phase.work': 'عمل',
+        'timer.phasePaused': '{phase} · متوقف مؤقتًا',
+        'timer.presets': 'مدد جاهزة',
+        'timer.resume': 'استئناف المؤقت',
+        'timer.resumeShort': 'استئناف',
+        'timer.round': 'عمل · الجولة {cycle} من {cycles}',
+        'timer.roundDone.longBreak': 'انتهت الجولة. خذ استراحة طويلة لمدة {duration}.',
+        'timer.roundDone.shortBreak': 'انتهت الجولة. خذ استراحة قصيرة لمدة {duration}.',
+        'timer.start': 'بدء المؤقت',
+        'timer.started': 'بدأ المؤقت',
+        'timer.stop': 'إيقاف المؤقت',
+        'timer.stopped': 'تم إيقاف المؤقت',
+        'timer.stoppedEarly': '{duration}، أُوقف مبكرًا',
+        'timer.stopShort': 'إيقاف',
+
+        'toast.dismiss': 'إغلاق الرسالة',
+        'toast.undo': 'تراجع',
+
+        'toolbar.alerts': 'التنبيهات',
+        'toolbar.backup': 'نسخ احتياطي',
+        'toolbar.catalog': 'تحرير الكتالوج',
+        'toolbar.day': 'نشاط اليوم',
+        'toolbar.favorites': 'المفضلة',
+        'toolbar.history': 'السجل',
+        'toolbar.install': 'تثبيت التطبيق',
+        'toolbar.label': 'أدوات التطبيق',
+        'toolbar.planner': 'المخطط',
+        'toolbar.shortcuts': 'الاختصارات',
+        'toolbar.sources': 'المصادر',
+        'toolbar.stats': 'الإحصاءات',
+        'toolbar.vetoes': 'المستبعدة',
+
+        'vetoes.added': 'لن يُقترح «{title}» مرة أخرى',
+        'vetoes.count': 'الأنشطة المستبعدة: {count}',
+        'vetoes.empty': 'لا شيء مستبعد. استبعد نشاطًا من بطاقات الاختيار ولن يُقترح مرة أخرى.',
+        'vetoes.hint': 'لا تُقترح الأنشطة المستبعدة أبدًا. أعد أحدها ليظهر مجددًا.',
+        'vetoes.restore': 'إعادة',
+        'vetoes.restoreAll': 'إعادة الكل',
+        'vetoes.restored': 'يمكن اقتراح «{title}» مرة أخرى',
+        'vetoes.restoredAll': 'أُعيدت الأنشطة المستبعدة ({count})',
+        'vetoes.restoreLabel': 'إعادة «{title}»',
+        'vetoes.vetoedOn': 'استُبعد في {date}'
+    },
+    activities: {
+        'edu-programming-language': 'تعلّم لغة برمجة جديدة',
+        'edu-technical-book': 'اقرأ كتابًا تقنيًا',
+        'edu-online-course': 'التحق بدورة عبر الإنترنت',
+        'edu-coding-challenges': 'تدرّب على تحديات البرمجة',
+        'edu-educational-videos': 'شاهد مقاطع فيديو تعليمية',
+        'edu-study-group': 'انضم إلى مجموعة دراسية',
+        'edu-blog-post': 'اكتب تدوينة تقنية',
+        'edu-small-project': 'ابنِ مشروعًا صغيرًا',
+        'rec-park-walk': 'تمشَّ في الحديقة',
+        'rec-play-sport': 'مارس رياضة',
+        'rec-yoga': 'مارس بعض اليوغا',
+        'rec-swimming': 'اذهب للسباحة',
+        'rec-bike-ride': 'اركب دراجة',
+        'rec-board-games': 'العب ألعاب الطاولة',
+        'rec-hiking': 'اذهب في رحلة مشي',
+        'rec-new-workout': 'جرّب تمرينًا رياضيًا جديدًا',
+        'soc-call-friend': 'اتصل بصديق',
+        'soc-plan-meetup': 'خطّط للقاء',
+        'soc-join-club': 'انضم إلى نادٍ',
+        'soc-local-event': 'احضر فعالية محلية',
+        'soc-dinner-party': 'استضف حفلة عشاء',
+        'soc-volunteer': 'تطوّع في مجتمعك',
+        'soc-social-group': 'انضم إلى مجموعة اجتماعية',
+        'soc-game-night': 'نظّم سهرة ألعاب',
+        'diy-woodwork': 'اصنع شيئًا من الخشب',
+        'diy-craft-project': 'أنجز مشروعًا يدويًا',
+        'diy-house-fix': 'أصلح شيئًا في المنزل',
+        'diy-garden': 'ابدأ حديقة',
+        'diy-homemade-gifts': 'اصنع هدايا منزلية',
+        'diy-repurpose': 'أعد استخدام أغراض قديمة',
+        'diy-carpentry': 'تعلّم أساسيات النجارة',
+        'diy-new-project': 'جرّب مشروعًا جديدًا من صنع يدك'
+    }
+}));
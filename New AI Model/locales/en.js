@@ -0,0 +1,761 @@
+/**
+ * English catalog for Boredom Buster (see i18n.js). It holds every message the app
+ * shows, and the other catalogs fall back to it for keys they don't translate.
+ * Built-in activity titles in core.js are already English, so it lists none.
+ */
+(function (root, catalog) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalog;
+    } else {
+        root.BoredomI18n.register(catalog);
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    locale: 'en',
+    name: 'English',
+    messages: {
+        'activity.missing': 'That activity is no longer in your catalog',
+
+        'activityField.cost': 'Unknown cost level',
+        'activityField.duration': 'Duration must be between {min} and {max} minutes',
+        'activityField.energy': 'Unknown energy level',
+        'activityField.participants': 'Participants must be between {min} and {max}',
+        'activityField.setting': 'Setting must be indoor or outdoor',
+        'activityField.titleLength': 'Title must be {max} characters or less',
+        'activityField.titleRequired': 'Title is required',
+
+        'activityForm.add': 'Add activity',
+        'activityForm.minutes': 'Minutes',
+        'activityForm.participants': 'Participants',
+        'activityForm.save': 'Save changes',
+        'activityForm.title': 'Title',
+
+        'alerts.blocked': 'Notifications are blocked for this site. You\'ll get in-page messages instead.',
+        'alerts.browser': 'Browser notifications',
+        'alerts.permission.default': 'Your browser will ask for permission.',
+        'alerts.permission.denied': 'Notifications are blocked in your browser settings; alerts show in the page instead.',
+        'alerts.permission.granted': 'Notifications are allowed for this site.',
+        'alerts.permission.unsupported': 'This browser does not support notifications; alerts show in the page instead.',
+        'alerts.sound': 'Play a chime',
+        'alerts.test': 'Test alert',
+        'alerts.testMessage': 'This is how timer alerts look and sound.',
+        'alerts.title': 'Timer alerts',
+        'alerts.unsupported': 'This browser does not support notifications. You\'ll get in-page messages instead.',
+
+        'app.cancel': 'Cancel',
+        'app.description': 'A fun activity generator to help you find something to do when you\'re bored',
+        'app.dismiss': 'Dismiss',
+        'app.heading': 'Boredom Buster 🎲',
+        'app.installed': 'Boredom Buster was added to your apps',
+        'app.loadError': 'Error loading saved preferences',
+        'app.loading': 'Loading...',
+        'app.name': 'Boredom Buster',
+        'app.notifications': 'Notifications',
+        'app.offline': 'You\'re offline. Your activities, favorites and timer still work.',
+        'app.reload': 'Reload',
+        'app.title': 'Boredom Buster - Random Activity Generator',
+        'app.updateAvailable': 'A new version of Boredom Buster is available.',
+
+        'backup.added.activities': {
+            one: '{count} activity',
+            other: '{count} activities'
+        },
+        'backup.added.categories': {
+            one: '{count} category',
+            other: '{count} categories'
+        },
+        'backup.added.edits': {
+            one: '{count} edited activity',
+            other: '{count} edited activities'
+        },
+        'backup.added.favorites': {
+            one: '{count} favorite',
+            other: '{count} favorites'
+        },
+        'backup.added.history': {
+            one: '{count} history entry',
+            other: '{count} history entries'
+        },
+        'backup.added.nothing': 'nothing new',
+        'backup.chooseFile': 'Choose a JSON backup or CSV file',
+        'backup.contains': 'Contains: {sections}',
+        'backup.containsNothing': 'Contains: no recognizable data',
+        'backup.csv.activities': 'Catalog activities',
+        'backup.csv.favorites': 'Favorites',
+        'backup.csv.history': 'History',
+        'backup.csvData': 'CSV data to export',
+        'backup.downloadCSV': 'Download CSV',
+        'backup.downloaded': 'Backup downloaded',
+        'backup.downloadJSON': 'Download JSON backup',
+        'backup.duplicate.activity': '"{title}" is already in the catalog',
+        'backup.duplicate.category': 'Category "{name}" already exists',
+        'backup.duplicate.categoryMerged': 'Category "{name}" already exists; its activities were merged into it',
+        'backup.duplicate.favorite': '"{title}" is already a favorite',
+        'backup.duplicate.history': 'History entry from {date} already exists',
+        'backup.duplicateCount': {
+            one: '{count} duplicate',
+            other: '{count} duplicates'
+        },
+        'backup.error.columns': 'Unrecognized CSV columns. Use a file exported from this app.',
+        'backup.error.json': 'The file is not valid JSON',
+        'backup.error.newer': 'This backup was made by a newer version of the app',
+        'backup.error.notBackup': 'This file is not a Boredom Buster backup',
+        'backup.export': 'Export',
+        'backup.exported.activities': {
+            one: 'Exported {count} activity',
+            other: 'Exported {count} activities'
+        },
+        'backup.exported.favorites': {
+            one: 'Exported {count} favorites entry',
+            other: 'Exported {count} favorites entries'
+        },
+        'backup.exported.history': {
+            one: 'Exported {count} history entry',
+            other: 'Exported {count} history entries'
+        },
+        'backup.exportHint': 'The JSON backup holds your custom catalog, favorites, history and preferences. CSV exports one list for spreadsheets.',
+        'backup.import': 'Import',
+        'backup.importButton': 'Import',
+        'backup.imported': 'Imported {added}.',
+        'backup.importedSkipped': {
+            one: 'Imported {added}. Skipped {count} invalid or duplicate item.',
+            other: 'Imported {added}. Skipped {count} invalid or duplicate items.'
+        },
+        'backup.importFailed': 'Import failed: {error}',
+        'backup.importUnchanged': 'Import failed. Your data was not changed.',
+        'backup.invalid.activity': 'Activity {index} ({title}): {error}',
+        'backup.invalid.category': 'Category {index}: missing key, or invalid name or icon',
+        'backup.invalid.edit': 'Edited activity "{id}": {error}',
+        'backup.invalid.favorite': 'Favorite {index}: not an activity id',
+        'backup.invalid.favoriteRow': 'Row {row}: missing activity id',
+        'backup.invalid.history': 'History entry {index}: missing activity id, timestamp or categories',
+        'backup.invalid.historyRow': 'Row {row}: missing activity id or invalid timestamp',
+        'backup.invalid.missingCategory': 'Missing category',
+        'backup.invalid.missingId': 'Missing id',
+        'backup.invalid.notBuiltin': 'Not a built-in activity',
+        'backup.invalid.row': 'Row {row} ({title}): {error}',
+        'backup.invalid.unknownCategory': 'Unknown category "{category}"',
+        'backup.invalidCount': {
+            one: '{count} invalid row',
+            other: '{count} invalid rows'
+        },
+        'backup.issues': '{title} ({count})',
+        'backup.issues.duplicates': 'Duplicates, will be skipped',
+        'backup.issues.invalid': 'Invalid rows, will be skipped',
+        'backup.mode': 'How to import',
+        'backup.mode.merge': 'Merge with my data',
+        'backup.mode.replace': 'Replace my data in these sections',
+        'backup.preview': 'Preview: {file}',
+        'backup.previewLabel': 'Import preview',
+        'backup.problems': 'Found {invalid} and {duplicates}. Review the preview before importing.',
+        'backup.section.catalog': 'catalog',
+        'backup.section.favorites': 'favorites',
+        'backup.section.history': 'history',
+        'backup.section.preferences': 'preferences',
+        'backup.skipped.category': '"{title}": its category is not in the catalog',
+        'backup.skipped.favorite': 'Favorite "{id}" is not in the catalog',
+        'backup.untitled': 'untitled',
+        'backup.willAdd': 'Will add {added}.',
+
+        'card.details': 'Activity details',
+        'card.favorite': 'Add to favorites',
+        'card.label.day': 'Activity of the day · {date}',
+        'card.label.favorite': 'From your favorites',
+        'card.label.nudge': 'Your {time} nudge',
+        'card.label.shared': 'Shared activity',
+        'card.schedule': 'Schedule this activity',
+        'card.seed': 'Seed:',
+        'card.shareOn': 'Share on {name}',
+        'card.timer': 'Set a timer',
+        'card.unfavorite': 'Remove from favorites',
+
+        'catalog.activitiesIn': 'Activities in {name}',
+        'catalog.activityAdded': 'Added "{title}"',
+        'catalog.activityCount': {
+            one: '{count} activity',
+            other: '{count} activities'
+        },
+        'catalog.activityRemoved': 'Removed "{title}"',
+        'catalog.activitySaved': 'Saved "{title}"',
+        'catalog.addCategory': 'Add category',
+        'catalog.categories': 'Categories',
+        'catalog.categoryAdded': 'Added category "{name}"',
+        'catalog.categoryName': 'Name of category {name}',
+        'catalog.changeIcon': 'Change icon for {name}',
+        'catalog.chooseIcon': 'Choose an icon',
+        'catalog.confirmDelete': {
+            one: 'Delete "{name}" and its {count} activity?',
+            other: 'Delete "{name}" and its {count} activities?'
+        },
+        'catalog.confirmReset': 'Remove all custom categories and activities and restore the built-in catalog?',
+        'catalog.delete': 'Delete {name}',
+        'catalog.deleted': 'Deleted "{name}"',
+        'catalog.editActivities': 'Edit activities in {name}',
+        'catalog.editActivity': 'Edit {title}',
+        'catalog.hide': 'Hide {name}',
+        'catalog.loadError': 'Failed to load your custom catalog',
+        'catalog.moveDown': 'Move {name} down',
+        'catalog.moveUp': 'Move {name} up',
+        'catalog.nameEmpty': 'Category name cannot be empty',
+        'catalog.nameRequired': 'Please enter a category name',
+        'catalog.nameTaken': 'A category with that name already exists',
+        'catalog.newCategory': 'New category name',
+        'catalog.newCategoryIcon': 'Choose icon for new category',
+        'catalog.noActivities': 'No activities yet. Add one below.',
+        'catalog.removeActivity': 'Remove {title}',
+        'catalog.reset': 'Reset to built-in catalog',
+        'catalog.resetDone': 'Catalog reset to built-in activities',
+        'catalog.show': 'Show {name}',
+        'catalog.sourcesOff': {
+            one: '{sources} is turned off in Sources, so it isn\'t listed here.',
+            other: '{sources} are turned off in Sources, so they aren\'t listed here.'
+        },
+
+        'categories.empty': 'No activities available in this category',
+        'categories.invalid': 'Invalid category selected',
+        'categories.label': 'Activity categories',
+
+        'category.DIY': 'DIY',
+        'category.education': 'Education',
+        'category.recreation': 'Recreation',
+        'category.social': 'Social',
+
+        'choices.choose': 'Choose',
+        'choices.chooseLabel': 'Choose "{title}"',
+        'choices.heading': {
+            one: 'Choose this activity, or swap or veto it',
+            other: 'Choose one of these {count} activities, or swap or veto any of them'
+        },
+        'choices.noMore': 'No other activities match your selection',
+        'choices.reroll': 'Swap "{title}" for another activity',
+        'choices.veto': 'Never suggest "{title}" again',
+
+        'duration.hours': '{count} h',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        'duration.minutes': '{count} min',
+
+        'favorites.added': 'Added to favorites',
+        'favorites.addedOn': 'added {date}',
+        'favorites.count': {
+            one: '{count} favorite',
+            other: '{count} favorites'
+        },
+        'favorites.empty': 'No favorites yet. Tap the heart on an activity to save it here.',
+        'favorites.missing': 'No longer in your catalog',
+        'favorites.note': 'Note on "{title}"',
+        'favorites.notePlaceholder': 'Add a note',
+        'favorites.remove': 'Remove "{title}" from favorites',
+        'favorites.removed': 'Removed from favorites',
+        'favorites.show': 'Show "{title}"',
+        'favorites.sort': 'Sort favorites',
+        'favorites.sort.added': 'Recently added',
+        'favorites.sort.category': 'Category',
+        'favorites.sort.duration': 'Duration',
+        'favorites.sort.title': 'Title',
+        'favorites.sortBy': 'Sort: {sort}',
+
+        'filters.clear': 'Clear filters',
+        'filters.cost.any': 'Any cost',
+        'filters.cost.free': 'Free',
+        'filters.cost.high': 'High cost',
+        'filters.cost.label': 'Cost',
+        'filters.cost.low': 'Low cost',
+        'filters.cost.medium': 'Medium cost',
+        'filters.energy.any': 'Any energy level',
+        'filters.energy.high': 'High energy',
+        'filters.energy.label': 'Energy',
+        'filters.energy.low': 'Low energy',
+        'filters.energy.medium': 'Medium energy',
+        'filters.groupSize.any': 'Any group size',
+        'filters.groupSize.group': 'Group',
+        'filters.groupSize.label': 'Group size',
+        'filters.groupSize.solo': 'Solo',
+        'filters.label': 'Activity filters',
+        'filters.maxDuration.120': '2 hours or less',
+        'filters.maxDuration.15': '15 minutes or less',
+        'filters.maxDuration.30': '30 minutes or less',
+        'filters.maxDuration.60': '1 hour or less',
+        'filters.maxDuration.any': 'Any length',
+        'filters.maxDuration.label': 'Duration',
+        'filters.setting.any': 'Indoors or outdoors',
+        'filters.setting.indoor': 'Indoors',
+        'filters.setting.label': 'Setting',
+        'filters.setting.outdoor': 'Outdoors',
+        'filters.summary.activities': {
+            one: '{count} matching activity',
+            other: '{count} matching activities'
+        },
+        'filters.summary.favorites': {
+            one: '{count} matching favorite',
+            other: '{count} matching favorites'
+        },
+        'filters.summary.needCategory': 'Select a category to see matching activities',
+        'filters.summary.remaining': {
+            one: '{count} left before repeats',
+            other: '{count} left before repeats'
+        },
+
+        'generate.allVetoed': 'Everything that matches your settings is vetoed. Restore some activities from your vetoed list.',
+        'generate.button': 'Generate Activity!',
+        'generate.error': 'Error generating activity. Please try again.',
+        'generate.generating': 'Generating activity...',
+        'generate.label': 'Generate random activity',
+        'generate.loading': 'Generating your activity...',
+        'generate.needCategory': 'Please select at least one category',
+        'generate.noFavorites': 'You have no favorites yet. Tap the heart on an activity to save it.',
+        'generate.noMatches': 'No activities match your filters. Try loosening them.',
+        'generate.noMatchingFavorites': 'None of your favorites match these settings. Try loosening them.',
+        'generate.showVetoes': 'Show vetoed',
+        'generate.success': 'Activity generated successfully!',
+
+        'history.again': 'Generate "{title}" again',
+        'history.allCategories': 'All categories',
+        'history.categoryFilter': 'Filter history by category',
+        'history.clear': 'Clear history',
+        'history.cleared': 'History cleared',
+        'history.confirmLimit': {
+            one: 'This deletes your oldest history entry. Continue?',
+            other: 'This deletes your {count} oldest history entries. Continue?'
+        },
+        'history.delete': 'Delete "{title}" from history',
+        'history.deleted': 'History entry deleted',
+        'history.empty': 'Nothing in your history yet.',
+        'history.entries': {
+            one: '{count} entry',
+            other: '{count} entries'
+        },
+        'history.entriesShown': {
+            one: '{shown} of {count} entry',
+            other: '{shown} of {count} entries'
+        },
+        'history.keep': {
+            one: 'Keep {count} entry',
+            other: 'Keep {count} entries'
+        },
+        'history.limit': 'Number of entries to keep',
+        'history.noMatches': 'No entries match your search.',
+        'history.outcome': 'How "{title}" went',
+        'history.planned': 'Planned',
+        'history.recent': 'Recent Activities',
+        'history.recentLabel': 'Recent activities',
+        'history.search': 'Search history',
+        'history.today': 'Today',
+        'history.yesterday': 'Yesterday',
+
+        'language.auto': 'Automatic ({name})',
+        'language.label': 'Language',
+
+        'meta.cost.free': 'Free',
+        'meta.cost.high': 'high cost',
+        'meta.cost.low': 'low cost',
+        'meta.cost.medium': 'medium cost',
+        'meta.energy.high': 'high energy',
+        'meta.energy.low': 'low energy',
+        'meta.energy.medium': 'medium energy',
+        'meta.people': {
+            one: '{count} person',
+            other: '{count} people'
+        },
+        'meta.setting.indoor': 'Indoors',
+        'meta.setting.outdoor': 'Outdoors',
+        'meta.solo': 'Solo',
+
+        'nudges.add': 'Add nudge',
+        'nudges.added': 'Nudge added',
+        'nudges.categories': 'Suggest from (none means all)',
+        'nudges.days': 'Days',
+        'nudges.daysRequired': 'Choose at least one day for the nudge',
+        'nudges.delete': 'Delete nudge at {time}',
+        'nudges.empty': 'No nudges scheduled.',
+        'nudges.enabled': 'Nudge at {time} enabled',
+        'nudges.everyDay': 'Every day',
+        'nudges.hint': 'While the app is open, a nudge suggests an activity at the time you choose.',
+        'nudges.message': 'Bored? Try this: {title}',
+        'nudges.time': 'Time',
+        'nudges.timeRequired': 'Choose a time for the nudge',
+        'nudges.title': 'Nudges',
+        'nudges.weekdays': 'Weekdays',
+        'nudges.weekends': 'Weekends',
+
+        'outcome.abandoned': 'Abandoned',
+        'outcome.cleared': 'Outcome cleared',
+        'outcome.done': 'Done',
+        'outcome.marked.abandoned': 'Marked as abandoned',
+        'outcome.marked.done': 'Marked as done',
+        'outcome.marked.skipped': 'Marked as skipped',
+        'outcome.none': 'Not marked',
+        'outcome.question': 'How did it go?',
+        'outcome.skipped': 'Skipped',
+
+        'panel.backup': 'Backup & restore',
+        'panel.catalog': 'Edit catalog',
+        'panel.close': 'Close panel',
+        'panel.favorites': 'Favorites',
+        'panel.history': 'History',
+        'panel.notifications': 'Alerts & nudges',
+        'panel.planner': 'Weekly planner',
+        'panel.share': 'Sharing',
+        'panel.shortcuts': 'Keyboard shortcuts',
+        'panel.sources': 'Activity sources',
+        'panel.stats': 'Stats',
+        'panel.themes': 'Themes',
+        'panel.timer': 'Timer',
+        'panel.vetoes': 'Vetoed activities',
+
+        'permalink.missing': 'The shared activity is not in your catalog',
+
+        'planner.add': 'Add to planner',
+        'planner.added': 'Planned "{title}" for {time}',
+        'planner.date': 'Date',
+        'planner.delete': 'Remove "{title}" from the planner',
+        'planner.deleted': 'Removed "{title}" from the planner',
+        'planner.edit': 'Change the plan for "{title}"',
+        'planner.editTitle': 'Change the plan for "{title}"',
+        'planner.export': 'Export "{title}" to a calendar (.ics)',
+        'planner.exportWeek': 'Export week (.ics)',
+        'planner.free': 'Nothing planned',
+        'planner.hint': 'Drag a plan to another day to move it. Plans go into your history once their time has passed, and export as .ics files for any calendar app.',
+        'planner.minutesInvalid': 'Plans can last from 1 to {max} minutes',
+        'planner.moved': 'Moved "{title}" to {day}',
+        'planner.next': 'Next week',
+        'planner.previous': 'Previous week',
+        'planner.repeat': 'Repeat',
+        'planner.repeat.daily': 'Every day',
+        'planner.repeat.none': 'Doesn\'t repeat',
+        'planner.repeat.weekdays': 'Every weekday',
+        'planner.repeat.weekly': 'Every week',
+        'planner.save': 'Save plan',
+        'planner.scheduleTitle': 'Schedule "{title}"',
+        'planner.thisWeek': 'This week',
+        'planner.time': 'Start time',
+        'planner.timeRequired': 'Pick a date and start time',
+        'planner.updated': 'Updated the plan for "{title}"',
+        'planner.week': '{start} – {end}',
+
+        'quiet.enabled': 'No nudges during quiet hours',
+        'quiet.from': 'From',
+        'quiet.title': 'Quiet hours & snooze',
+        'quiet.until': 'Until',
+
+        'reveal.duration': 'Reveal length',
+        'reveal.duration.option': '{count}-second reveal',
+        'reveal.mode': 'Reveal style',
+        'reveal.mode.instant': 'Show the result at once',
+        'reveal.mode.reel': 'Slot machine reveal',
+        'reveal.mode.wheel': 'Spinning wheel reveal',
+        'reveal.reducedMotion': 'Your device is set to reduce motion, so results show at once',
+
+        'selection.balanceCategories': 'Balance categories',
+        'selection.choices': 'Activities to choose from',
+        'selection.choices.option': {
+            one: 'Show one activity',
+            other: 'Choose from {count} activities'
+        },
+        'selection.favoriteBoost': 'Favorite weight',
+        'selection.favoriteBoost.option': {
+            one: 'Favorites: normal weight',
+            other: 'Favorites: {count}× weight'
+        },
+        'selection.favoritesInCategories': 'Only selected categories',
+        'selection.label': 'Selection settings',
+        'selection.mode': 'Selection mode',
+        'selection.mode.random': 'Pure random',
+        'selection.mode.smart': 'Smart: no repeats until all are seen',
+        'selection.newRound': 'Start a new round',
+        'selection.roundStarted': 'Started a new round',
+        'selection.seed.hint': 'The same seed, categories and filters give the same pick',
+        'selection.seed.label': 'Seed for reproducible picks',
+        'selection.seed.placeholder': 'Seed (optional)',
+        'selection.source': 'Pick from',
+        'selection.source.catalog': 'All matching activities',
+        'selection.source.favorites': 'Favorites only',
+
+        'share.buttons': 'Share buttons',
+        'share.buttonsHint': 'Pick the share buttons on the activity card and their order. Buttons this browser can\'t use stay off the card.',
+        'share.cardFooter': 'Find your next activity at {site}',
+        'share.copied': 'Activity copied to clipboard!',
+        'share.copiedLink': 'Link to this activity copied to clipboard!',
+        'share.copyFailed': 'Couldn\'t copy to the clipboard',
+        'share.customize': 'Choose share buttons',
+        'share.failed': 'Couldn\'t share the activity',
+        'share.mastodonHint': 'Mastodon posts open on this server, e.g. mastodon.social.',
+        'share.mastodonInvalid': 'Enter a server name such as mastodon.social',
+        'share.mastodonServer': 'Your server',
+        'share.moveDown': 'Move "{name}" later',
+        'share.moveUp': 'Move "{name}" earlier',
+        'share.preview': 'Share image',
+        'share.previewAlt': 'Share image for "{title}"',
+        'share.previewEmpty': 'Generate an activity to see its share image.',
+        'share.previewUnsupported': 'This browser can\'t draw share images.',
+        'share.reset': 'Restore default buttons',
+        'share.target.copyLink': 'Copy link',
+        'share.target.copyText': 'Copy text and link',
+        'share.target.email': 'Share by email',
+        'share.target.image': 'Download share image',
+        'share.target.native': 'Share…',
+        'share.text': 'I\'m going to: {title}',
+        'share.title': 'Random Activity',
+        'share.unavailable': 'Not supported in this browser',
+
+        'shortcuts.action.category': 'Select or deselect category {number}',
+        'shortcuts.action.favorite': 'Add or remove the activity from favorites',
+        'shortcuts.action.generate': 'Generate an activity',
+        'shortcuts.action.help': 'Show keyboard shortcuts',
+        'shortcuts.action.history': 'Open your history',
+        'shortcuts.action.timer': 'Start or stop the timer',
+        'shortcuts.change': 'Change',
+        'shortcuts.changeLabel': 'Change the shortcut for "{action}"',
+        'shortcuts.conflict': '{key} is already the shortcut for "{action}". Press another key, or remove that shortcut first.',
+        'shortcuts.custom': 'Your shortcuts',
+        'shortcuts.fixed': 'Always available',
+        'shortcuts.fixed.arrows': 'Move between category buttons',
+        'shortcuts.fixed.escape': 'Close the open panel',
+        'shortcuts.fixed.press': 'Press the focused button',
+        'shortcuts.hint': 'Shortcuts work when no panel is open and you aren\'t typing in a field. Letters work in upper or lower case.',
+        'shortcuts.invalidKey': 'Use a single letter, digit or symbol',
+        'shortcuts.key.enter': 'Enter',
+        'shortcuts.key.escape': 'Esc',
+        'shortcuts.key.space': 'Space',
+        'shortcuts.noActivity': 'Generate an activity first',
+        'shortcuts.none': 'Not set',
+        'shortcuts.recording': 'Press a key, or Esc to cancel',
+        'shortcuts.remove': 'Remove the shortcut for "{action}"',
+        'shortcuts.reset': 'Reset to defaults',
+        'shortcuts.resetDone': 'Shortcuts reset to defaults',
+        'shortcuts.set': 'Shortcut for "{action}" is now {key}',
+
+        'snooze.for': 'Snooze {duration}',
+        'snooze.off': 'Nudges are on.',
+        'snooze.stop': 'Stop snoozing',
+        'snooze.tomorrow': 'Snooze until tomorrow',
+        'snooze.until': 'Nudges snoozed until {time}',
+
+        'sources.about.bundled': 'Comes with the app',
+        'sources.about.custom': 'Added in the catalog editor',
+        'sources.add': 'Add source',
+        'sources.added': 'Added "{name}"',
+        'sources.addTitle': 'Add a source',
+        'sources.cache': 'Cache (min)',
+        'sources.help.bored': 'An endpoint that answers like the Bored API, e.g. http://127.0.0.1:3000/api/activity while "node server.js" runs. It is asked for one activity per selected category.',
+        'sources.help.json': 'A JSON file listing activities, either as an array or as { "activities": [...] }, in this app\'s format or the Bored API\'s.',
+        'sources.hint': 'Activities are drawn from every source that is on. If a remote source fails or times out, the rest are used.',
+        'sources.loadFailed': 'Couldn\'t load "{name}": {error}. Using local activities instead.',
+        'sources.loading': 'Loading…',
+        'sources.loadsLater': 'Loads when you generate',
+        'sources.name': 'Name',
+        'sources.off': 'Off',
+        'sources.remove': 'Remove {name}',
+        'sources.status.failed': 'Failed: {error} · {time}',
+        'sources.status.ok': {
+            one: '{count} matching activity · {time}',
+            other: '{count} matching activities · {time}'
+        },
+        'sources.test': 'Test',
+        'sources.tested': {
+            one: '"{name}" returned {count} matching activity',
+            other: '"{name}" returned {count} matching activities'
+        },
+        'sources.timeout': 'Timeout (s)',
+        'sources.title': 'Sources',
+        'sources.type.bored': 'Bored API endpoint',
+        'sources.type.bundled': 'Built-in activities',
+        'sources.type.custom': 'Your activities',
+        'sources.type.json': 'JSON file',
+        'sources.typeField': 'Type',
+        'sources.url': 'URL',
+        'sources.urlRequired': 'Enter the http:// or https:// address of the source',
+        'sources.use': 'Use {name}',
+
+        'stats.basedOn': {
+            one: 'Based on your last {count} history entry: {done} done, {skipped} skipped, {abandoned} abandoned.',
+            other: 'Based on your last {count} history entries: {done} done, {skipped} skipped, {abandoned} abandoned.'
+        },
+        'stats.byCategory': 'Done per category',
+        'stats.byCategoryChart': 'Activities done per category',
+        'stats.byCategoryEmpty': 'Mark activities as done to see them here.',
+        'stats.byWeek': {
+            one: 'Done per week, last {count} week',
+            other: 'Done per week, last {count} weeks'
+        },
+        'stats.byWeekChart': 'Activities done per week: {weeks}',
+        'stats.completionRate': 'Completion rate',
+        'stats.currentStreak': 'Current streak',
+        'stats.days': {
+            one: '{count} day',
+            other: '{count} days'
+        },
+        'stats.longestStreak': 'Longest streak',
+        'stats.mostSkipped': 'Most skipped',
+        'stats.nothingSkipped': 'Nothing skipped yet.',
+        'stats.skippedTimes': {
+            one: 'skipped once',
+            other: 'skipped {count} times'
+        },
+        'stats.timed': 'Timed',
+        'stats.unknownCategory': 'Unknown',
+        'stats.weekOf': 'week of {week} {count}',
+
+        'storage.load.favorites': 'Failed to load saved favorites',
+        'storage.load.history': 'Failed to load your history',
+        'storage.save.favorites': 'Failed to save favorites. Please try again.',
+        'storage.save.history': 'Failed to save your history',
+
+        'store.corrupt': 'Your saved data could not be read, so the app started fresh. A copy of it was kept.',
+        'store.quota': 'Storage is full, so your latest changes are not saved. Export a backup or clear your history.',
+        'store.unavailable': 'Your changes could not be saved. They are kept until you close this tab.',
+
+        'themes.builder': 'Make a theme',
+        'themes.choose': 'Choose a theme…',
+        'themes.color.accent': 'Accent',
+        'themes.color.background': 'Background',
+        'themes.color.border': 'Borders',
+        'themes.color.primary': 'Primary',
+        'themes.color.primaryDark': 'Primary, hovered',
+        'themes.color.secondary': 'Secondary',
+        'themes.color.secondaryDark': 'Secondary, hovered',
+        'themes.color.surface': 'Cards and panels',
+        'themes.color.surfaceVariant': 'Muted surfaces',
+        'themes.color.text': 'Text',
+        'themes.color.textLight': 'Secondary text',
+        'themes.color.textOnPrimary': 'Text on primary',
+        'themes.color.textOnSecondary': 'Text on secondary',
+        'themes.contrast': 'Contrast checks',
+        'themes.contrast.fails': 'Fails (needs {ratio}:1)',
+        'themes.contrast.passes': 'Passes {level}',
+        'themes.contrast.textLightOnSurface': 'Secondary text on cards',
+        'themes.contrast.textOnBackground': 'Text on the background',
+        'themes.contrast.textOnPrimary': 'Text on primary buttons',
+        'themes.contrast.textOnSecondary': 'Text on the generate button',
+        'themes.contrast.textOnSurface': 'Text on cards and panels',
+        'themes.delete': 'Delete {name}',
+        'themes.deleted': 'Deleted "{name}"',
+        'themes.detail.builtin': 'Built in',
+        'themes.detail.custom': 'Custom',
+        'themes.detail.system': 'Follows your device\'s light or dark setting',
+        'themes.edit': 'Edit {name}',
+        'themes.editing': 'Edit "{name}"',
+        'themes.error.json': 'the file is not valid JSON',
+        'themes.error.notThemeFile': 'This is not a Boredom Buster theme file',
+        'themes.export': 'Export themes',
+        'themes.exported': {
+            one: 'Exported {count} theme',
+            other: 'Exported {count} themes'
+        },
+        'themes.files': 'Theme files',
+        'themes.filesHint': 'Export your custom themes to keep them or share them, and import themes others made.',
+        'themes.import': 'Import a theme file',
+        'themes.imported': 'Imported themes: {parts}',
+        'themes.imported.added': '{count} added',
+        'themes.imported.replaced': '{count} updated',
+        'themes.imported.skipped': '{count} skipped',
+        'themes.limit': {
+            one: 'You can keep up to {count} custom theme. Delete one to save another.',
+            other: 'You can keep up to {count} custom themes. Delete one to save another.'
+        },
+        'themes.name.dark': 'Dark',
+        'themes.name.forest': 'Forest',
+        'themes.name.light': 'Light',
+        'themes.name.midnight': 'Midnight',
+        'themes.name.ocean': 'Ocean',
+        'themes.name.sunset': 'Sunset',
+        'themes.name.system': 'System ({name})',
+        'themes.nameCopy': 'Name the copy, then save it',
+        'themes.nameRequired': 'Give your theme a name',
+        'themes.nameTaken': 'There is already a theme called "{name}"',
+        'themes.previewText': 'Activity',
+        'themes.ratio': '{ratio}:1',
+        'themes.save': 'Save theme',
+        'themes.saveAsNew': 'Save as new',
+        'themes.saved': 'Saved "{name}"',
+        'themes.savedLowContrast': {
+            one: 'Saved "{name}", but {count} of its text colors is hard to read (below {ratio}:1)',
+            other: 'Saved "{name}", but {count} of its text colors are hard to read (below {ratio}:1)'
+        },
+        'themes.startFrom': 'Start from',
+        'themes.switchLabel': 'Choose a theme (now {name})',
+        'themes.title': 'Theme',
+
+        'time.justNow': 'Just now',
+
+        'timer.add': {
+            one: 'Add {count} minute',
+            other: 'Add {count} minutes'
+        },
+        'timer.addShort': '+{count} min',
+        'timer.breakOver': 'Break\'s over. Round {cycle} of {cycles}: {title}',
+        'timer.clearLog': 'Clear session log',
+        'timer.confirmClearLog': 'Delete your timer session log?',
+        'timer.containerLabel': 'Activity timer',
+        'timer.done': 'Time\'s up! How was your activity?',
+        'timer.estimate': '{duration} (estimate)',
+        'timer.field.cycles': 'Rounds',
+        'timer.field.longBreak': 'Long break (min)',
+        'timer.field.shortBreak': 'Short break (min)',
+        'timer.field.work': 'Work (min)',
+        'timer.invalidDuration': 'Choose a duration between 1 and {max} minutes',
+        'timer.loadError': 'Failed to restore your timer',
+        'timer.log': 'Finished sessions',
+        'timer.logEmpty': 'Sessions appear here when a timer finishes.',
+        'timer.logSummary': {
+            one: '{count} session · {duration} in total',
+            other: '{count} sessions · {duration} in total'
+        },
+        'timer.mode': 'Timer mode',
+        'timer.mode.cycles': 'Work/break cycles',
+        'timer.mode.single': 'Single countdown',
+        'timer.noActivity': 'Generate an activity, then use its timer button to start a timer.',
+        'timer.outcomePrompt': 'How was {title}?',
+        'timer.pause': 'Pause timer',
+        'timer.paused': 'Paused',
+        'timer.pauseShort': 'Pause',
+        'timer.phase.longBreak': 'Long break',
+        'timer.phase.shortBreak': 'Short break',
+        'timer.phase.work': 'Work',
+        'timer.phasePaused': '{phase} · paused',
+        'timer.presets': 'Duration presets',
+        'timer.resume': 'Resume timer',
+        'timer.resumeShort': 'Resume',
+        'timer.round': 'Work · round {cycle} of {cycles}',
+        'timer.roundDone.longBreak': 'Round done. Take a {duration} long break.',
+        'timer.roundDone.shortBreak': 'Round done. Take a {duration} short break.',
+        'timer.start': 'Start timer',
+        'timer.started': 'Timer started',
+        'timer.stop': 'Stop timer',
+        'timer.stopped': 'Timer stopped',
+        'timer.stoppedEarly': '{duration}, stopped early',
+        'timer.stopShort': 'Stop',
+
+        'toast.dismiss': 'Dismiss message',
+        'toast.undo': 'Undo',
+
+        'toolbar.alerts': 'Alerts',
+        'toolbar.backup': 'Backup',
+        'toolbar.catalog': 'Edit catalog',
+        'toolbar.day': 'Activity of the day',
+        'toolbar.favorites': 'Favorites',
+        'toolbar.history': 'History',
+        'toolbar.install': 'Install app',
+        'toolbar.label': 'App tools',
+        'toolbar.planner': 'Planner',
+        'toolbar.shortcuts': 'Shortcuts',
+        'toolbar.sources': 'Sources',
+        'toolbar.stats': 'Stats',
+        'toolbar.vetoes': 'Vetoed',
+
+        'vetoes.added': '"{title}" won\'t be suggested again',
+        'vetoes.count': {
+            one: '{count} vetoed activity',
+            other: '{count} vetoed activities'
+        },
+        'vetoes.empty': 'Nothing vetoed. Veto an activity on a choice card and it will never be suggested again.',
+        'vetoes.hint': 'Vetoed activities are never suggested. Restore one to let it come up again.',
+        'vetoes.restore': 'Restore',
+        'vetoes.restoreAll': 'Restore all',
+        'vetoes.restored': '"{title}" can be suggested again',
+        'vetoes.restoredAll': {
+            one: 'Restored {count} vetoed activity',
+            other: 'Restored {count} vetoed activities'
+        },
+        'vetoes.restoreLabel': 'Restore "{title}"',
+        'vetoes.vetoedOn': 'Vetoed on {date}'
+    }
+}));
@@ -0,0 +1,793 @@
+/**
+ * Spanish catalog for Boredom Buster (see i18n.js and locales/en.js)
+ */
+(function (root, catalog) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = catalog;
+    } else {
+        root.BoredomI18n.register(catalog);
+    }
+}(typeof self !== 'undefined' ? self : this, {
+    locale: 'es',
+    name: 'Español',
+    messages: {
+        'activity.missing': 'Esa actividad ya no está en tu catálogo',
+
+        'activityField.cost': 'Nivel de coste desconocido',
+        'activityField.duration': 'La duración debe estar entre {min} y {max} minutos',
+        'activityField.energy': 'Nivel de energía desconocido',
+        'activityField.participants': 'Los participantes deben estar entre {min} y {max}',
+        'activityField.setting': 'El lugar debe ser interior o exterior',
+        'activityField.titleLength': 'El título debe tener como máximo {max} caracteres',
+        'activityField.titleRequired': 'El título es obligatorio',
+
+        'activityForm.add': 'Añadir actividad',
+        'activityForm.minutes': 'Minutos',
+        'activityForm.participants': 'Participantes',
+        'activityForm.save': 'Guardar cambios',
+        'activityForm.title': 'Título',
+
+        'alerts.blocked': 'Las notificaciones están bloqueadas para este sitio. Recibirás los mensajes en la página.',
+        'alerts.browser': 'Notificaciones del navegador',
+        'alerts.permission.default': 'El navegador te pedirá permiso.',
+        'alerts.permission.denied': 'Las notificaciones están bloqueadas en la configuración del navegador; los avisos se muestran en la página.',
+        'alerts.permission.granted': 'Las notificaciones están permitidas para este sitio.',
+        'alerts.permission.unsupported': 'Este navegador no admite notificaciones; los avisos se muestran en la página.',
+        'alerts.sound': 'Reproducir un sonido',
+        'alerts.test': 'Probar aviso',
+        'alerts.testMessage': 'Así se ven y suenan los avisos del temporizador.',
+        'alerts.title': 'Avisos del temporizador',
+        'alerts.unsupported': 'Este navegador no admite notificaciones. Recibirás los mensajes en la página.',
+
+        'app.cancel': 'Cancelar',
+        'app.description': 'Un divertido generador de actividades para encontrar algo que hacer cuando te aburres',
+        'app.dismiss': 'Cerrar',
+        'app.heading': 'Boredom Buster 🎲',
+        'app.installed': 'Boredom Buster se ha añadido a tus aplicaciones',
+        'app.loadError': 'Error al cargar las preferencias guardadas',
+        'app.loading': 'Cargando...',
+        'app.name': 'Boredom Buster',
+        'app.notifications': 'Notificaciones',
+        'app.offline': 'Estás sin conexión. Tus actividades, favoritos y temporizador siguen funcionando.',
+        'app.reload': 'Recargar',
+        'app.title': 'Boredom Buster - Generador de actividades al azar',
+        'app.updateAvailable': 'Hay una nueva versión de Boredom Buster disponible.',
+
+        'backup.added.activities': {
+            one: '{count} actividad',
+            other: '{count} actividades'
+        },
+        'backup.added.categories': {
+            one: '{count} categoría',
+            other: '{count} categorías'
+        },
+        'backup.added.edits': {
+            one: '{count} actividad editada',
+            other: '{count} actividades editadas'
+        },
+        'backup.added.favorites': {
+            one: '{count} favorito',
+            other: '{count} favoritos'
+        },
+        'backup.added.history': {
+            one: '{count} entrada del historial',
+            other: '{count} entradas del historial'
+        },
+        'backup.added.nothing': 'nada nuevo',
+        'backup.chooseFile': 'Elige una copia de seguridad JSON o un archivo CSV',
+        'backup.contains': 'Contiene: {sections}',
+        'backup.containsNothing': 'Contiene: ningún dato reconocible',
+        'backup.csv.activities': 'Actividades del catálogo',
+        'backup.csv.favorites': 'Favoritos',
+        'backup.csv.history': 'Historial',
+        'backup.csvData': 'Datos CSV que exportar',
+        'backup.downloadCSV': 'Descargar CSV',
+        'backup.downloaded': 'Copia de seguridad descargada',
+        'backup.downloadJSON': 'Descargar copia JSON',
+        'backup.duplicate.activity': '«{title}» ya está en el catálogo',
+        'backup.duplicate.category': 'La categoría «{name}» ya existe',
+        'backup.duplicate.categoryMerged': 'La categoría «{name}» ya existe; sus actividades se han unido a ella',
+        'backup.duplicate.favorite': '«{title}» ya es un favorito',
+        'backup.duplicate.history': 'La entrada del historial del {date} ya existe',
+        'backup.duplicateCount': {
+            one: '{count} duplicado',
+            other: '{count} duplicados'
+        },
+        'backup.error.columns': 'Columnas CSV no reconocidas. Usa un archivo exportado desde esta aplicación.',
+        'backup.error.json': 'El archivo no es JSON válido',
+        'backup.error.newer': 'Esta copia de seguridad se hizo con una versión más reciente de la aplicación',
+        'backup.error.notBackup': 'Este archivo no es una copia de seguridad de Boredom Buster',
+        'backup.export': 'Exportar',
+        'backup.exported.activities': {
+            one: '{count} actividad exportada',
+            other: '{count} actividades exportadas'
+        },
+        'backup.exported.favorites': {
+            one: '{count} favorito exportado',
+            other: '{count} favoritos exportados'
+        },
+        'backup.exported.history': {
+            one: '{count} entrada del historial exportada',
+            other: '{count} entradas del historial exportadas'
+        },
+        'backup.exportHint': 'La copia de seguridad JSON contiene tu catálogo personalizado, favoritos, historial y preferencias. CSV exporta una lista para hojas de cálculo.',
+        'backup.import': 'Importar',
+        'backup.importButton': 'Importar',
+        'backup.imported': 'Importado: {added}.',
+        'backup.importedSkipped': {
+            one: 'Importado: {added}. Se omitió {count} elemento no válido o duplicado.',
+            other: 'Importado: {added}. Se omitieron {count} elementos no válidos o duplicados.'
+        },
+        'backup.importFailed': 'Error al importar: {error}',
+        'backup.importUnchanged': 'Error al importar. Tus datos no han cambiado.',
+        'backup.invalid.activity': 'Actividad {index} ({title}): {error}',
+        'backup.invalid.category': 'Categoría {index}: falta la clave, o el nombre o el icono no son válidos',
+        'backup.invalid.edit': 'Actividad editada «{id}»: {error}',
+        'backup.invalid.favorite': 'Favorito {index}: no es un id de actividad',
+        'backup.invalid.favoriteRow': 'Fila {row}: falta el id de la actividad',
+        'backup.invalid.history': 'Entrada del historial {index}: falta el id de la actividad, la fecha o las categorías',
+        'backup.invalid.historyRow': 'Fila {row}: falta el id de la actividad o la fecha no es válida',
+        'backup.invalid.missingCategory': 'Falta la categoría',
+        'backup.invalid.missingId': 'Falta el id',
+        'backup.invalid.notBuiltin': 'No es una actividad integrada',
+        'backup.invalid.row': 'Fila {row} ({title}): {error}',
+        'backup.invalid.unknownCategory': 'Categoría desconocida «{category}»',
+        'backup.invalidCount': {
+            one: '{count} fila no válida',
+            other: '{count} filas no válidas'
+        },
+        'backup.issues': '{title} ({count})',
+        'backup.issues.duplicates': 'Duplicados, se omitirán',
+        'backup.issues.invalid': 'Filas no válidas, se omitirán',
+        'backup.mode': 'Cómo importar',
+        'backup.mode.merge': 'Combinar con mis datos',
+        'backup.mode.replace': 'Sustituir mis datos en estas secciones',
+        'backup.preview': 'Vista previa: {file}',
+        'backup.previewLabel': 'Vista previa de la importación',
+        'backup.problems': 'Se encontraron {invalid} y {duplicates}. Revisa la vista previa antes de importar.',
+        'backup.section.catalog': 'catálogo',
+        'backup.section.favorites': 'favoritos',
+        'backup.section.history': 'historial',
+        'backup.section.preferences': 'preferencias',
+        'backup.skipped.category': '«{title}»: su categoría no está en el catálogo',
+        'backup.skipped.favorite': 'El favorito «{id}» no está en el catálogo',
+        'backup.untitled': 'sin título',
+        'backup.willAdd': 'Se añadirá: {added}.',
+
+        'card.details': 'Detalles de la actividad',
+        'card.favorite': 'Añadir a favoritos',
+        'card.label.day': 'Actividad del día · {date}',
+        'card.label.favorite': 'De tus favoritos',
+        'card.label.nudge': 'Tu recordatorio de las {time}',
+        'card.label.shared': 'Actividad compartida',
+        'card.schedule': 'Programar esta actividad',
+        'card.seed': 'Semilla:',
+        'card.shareOn': 'Compartir en {name}',
+        'card.timer': 'Poner un temporizador',
+        'card.unfavorite': 'Quitar de favoritos',
+
+        'catalog.activitiesIn': 'Actividades de {name}',
+        'catalog.activityAdded': '«{title}» añadida',
+        'catalog.activityCount': {
+            one: '{count} actividad',
+            other: '{count} actividades'
+        },
+        'catalog.activityRemoved': '«{title}» quitada',
+        'catalog.activitySaved': '«{title}» guardada',
+        'catalog.addCategory': 'Añadir categoría',
+        'catalog.categories': 'Categorías',
+        'catalog.categoryAdded': 'Categoría «{name}» añadida',
+        'catalog.categoryName': 'Nombre de la categoría {name}',
+        'catalog.changeIcon': 'Cambiar el icono de {name}',
+        'catalog.chooseIcon': 'Elegir un icono',
+        'catalog.confirmDelete': {
+            one: '¿Eliminar «{name}» y su {count} actividad?',
+            other: '¿Eliminar «{name}» y sus {count} actividades?'
+        },
+        'catalog.confirmReset': '¿Quitar todas las categorías y actividades personalizadas y restaurar el catálogo integrado?',
+        'catalog.delete': 'Eliminar {name}',
+        'catalog.deleted': '«{name}» eliminada',
+        'catalog.editActivities': 'Editar las actividades de {name}',
+        'catalog.editActivity': 'Editar {title}',
+        'catalog.hide': 'Ocultar {name}',
+        'catalog.loadError': 'No se pudo cargar tu catálogo personalizado',
+        'catalog.moveDown': 'Bajar {name}',
+        'catalog.moveUp': 'Subir {name}',
+        'catalog.nameEmpty': 'El nombre de la categoría no puede estar vacío',
+        'catalog.nameRequired': 'Escribe un nombre para la categoría',
+        'catalog.nameTaken': 'Ya existe una categoría con ese nombre',
+        'catalog.newCategory': 'Nombre de la nueva categoría',
+        'catalog.newCategoryIcon': 'Elegir el icono de la nueva categoría',
+        'catalog.noActivities': 'Todavía no hay actividades. Añade una abajo.',
+        'catalog.removeActivity': 'Quitar {title}',
+        'catalog.reset': 'Restablecer el catálogo integrado',
+        'catalog.resetDone': 'Catálogo restablecido a las actividades integradas',
+        'catalog.show': 'Mostrar {name}',
+        'catalog.sourcesOff': {
+            one: '{sources} está desactivada en Fuentes, así que no aparece aquí.',
+            other: '{sources} están desactivadas en Fuentes, así que no aparecen aquí.'
+        },
+
+        'categories.empty': 'No hay actividades en esta categoría',
+        'categories.invalid': 'La categoría seleccionada no es válida',
+        'categories.label': 'Categorías de actividades',
+
+        'category.DIY': 'Bricolaje',
+        'category.education': 'Educación',
+        'category.recreation': 'Ocio',
+        'category.social': 'Social',
+
+        'choices.choose': 'Elegir',
+        'choices.chooseLabel': 'Elegir «{title}»',
+        'choices.heading': {
+            one: 'Elige esta actividad, o cámbiala o vétala',
+            other: 'Elige una de estas {count} actividades, o cambia o veta cualquiera de ellas'
+        },
+        'choices.noMore': 'No hay más actividades que coincidan con tu selección',
+        'choices.reroll': 'Cambiar «{title}» por otra actividad',
+        'choices.veto': 'No volver a sugerir «{title}»',
+
+        'duration.hours': '{count} h',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        'duration.minutes': '{count} min',
+
+        'favorites.added': 'Añadida a favoritos',
+        'favorites.addedOn': 'añadida el {date}',
+        'favorites.count': {
+            one: '{count} favorito',
+            other: '{count} favoritos'
+        },
+        'favorites.empty': 'Aún no hay favoritos. Toca el corazón de una actividad para guardarla aquí.',
+        'favorites.missing': 'Ya no está en tu catálogo',
+        'favorites.note': 'Nota sobre «{title}»',
+        'favorites.notePlaceholder': 'Añade una nota',
+        'favorites.remove': 'Quitar «{title}» de favoritos',
+        'favorites.removed': 'Quitada de favoritos',
+        'favorites.show': 'Mostrar «{title}»',
+        'favorites.sort': 'Ordenar favoritos',
+        'favorites.sort.added': 'Añadidos recientemente',
+        'favorites.sort.category': 'Categoría',
+        'favorites.sort.duration': 'Duración',
+        'favorites.sort.title': 'Título',
+        'favorites.sortBy': 'Orden: {sort}',
+
+        'filters.clear': 'Borrar filtros',
+        'filters.cost.any': 'Cualquier coste',
+        'filters.cost.free': 'Gratis',
+        'filters.cost.high': 'Coste alto',
+        'filters.cost.label': 'Coste',
+        'filters.cost.low': 'Coste bajo',
+        'filters.cost.medium': 'Coste medio',
+        'filters.energy.any': 'Cualquier nivel de energía',
+        'filters.energy.high': 'Energía alta',
+        'filters.energy.label': 'Energía',
+        'filters.energy.low': 'Energía baja',
+        'filters.energy.medium': 'Energía media',
+        'filters.groupSize.any': 'Cualquier tamaño de grupo',
+        'filters.groupSize.group': 'En grupo',
+        'filters.groupSize.label': 'Tamaño del grupo',
+        'filters.groupSize.solo': 'En solitario',
+        'filters.label': 'Filtros de actividades',
+        'filters.maxDuration.120': '2 horas o menos',
+        'filters.maxDuration.15': '15 minutos o menos',
+        'filters.maxDuration.30': '30 minutos o menos',
+        'filters.maxDuration.60': '1 hora o menos',
+        'filters.maxDuration.any': 'Cualquier duración',
+        'filters.maxDuration.label': 'Duración',
+        'filters.setting.any': 'Interior o exterior',
+        'filters.setting.indoor': 'En interior',
+        'filters.setting.label': 'Lugar',
+        'filters.setting.outdoor': 'Al aire libre',
+        'filters.summary.activities': {
+            one: '{count} actividad coincide',
+            other: '{count} actividades coinciden'
+        },
+        'filters.summary.favorites': {
+            one: '{count} favorito coincide',
+            other: '{count} favoritos coinciden'
+        },
+        'filters.summary.needCategory': 'Selecciona una categoría para ver las actividades que coinciden',
+        'filters.summary.remaining': {
+            one: 'Queda {count} antes de repetir',
+            other: 'Quedan {count} antes de repetir'
+        },
+
+        'generate.allVetoed': 'Todo lo que coincide con tus ajustes está vetado. Restaura algunas actividades de tu lista de vetadas.',
+        'generate.button': '¡Generar actividad!',
+        'generate.error': 'Error al generar la actividad. Inténtalo de nuevo.',
+        'generate.generating': 'Generando actividad...',
+        'generate.label': 'Generar una actividad al azar',
+        'generate.loading': 'Generando tu actividad...',
+        'generate.needCategory': 'Selecciona al menos una categoría',
+        'generate.noFavorites': 'Aún no tienes favoritos. Toca el corazón de una actividad para guardarla.',
+        'generate.noMatches': 'Ninguna actividad coincide con tus filtros. Prueba a relajarlos.',
+        'generate.noMatchingFavorites': 'Ninguno de tus favoritos coincide con estos ajustes. Prueba a relajarlos.',
+        'generate.showVetoes': 'Ver vetadas',
+        'generate.success': '¡Actividad generada!',
+
+        'history.again': 'Generar «{title}» otra vez',
+        'history.allCategories': 'Todas las categorías',
+        'history.categoryFilter': 'Filtrar el historial por categoría',
+        'history.clear': 'Borrar historial',
+        'history.cleared': 'Historial borrado',
+        'history.confirmLimit': {
+            one: 'Esto elimina tu entrada más antigua del historial. ¿Continuar?',
+            other: 'Esto elimina tus {count} entradas más antiguas del historial. ¿Continuar?'
+        },
+        'history.delete': 'Eliminar «{title}» del historial',
+        'history.deleted': 'Entrada del historial eliminada',
+        'history.empty': 'Todavía no hay nada en tu historial.',
+        'history.entries': {
+            one: '{count} entrada',
+            other: '{count} entradas'
+        },
+        'history.entriesShown': {
+            one: '{shown} de {count} entrada',
+            other: '{shown} de {count} entradas'
+        },
+        'history.keep': {
+            one: 'Conservar {count} entrada',
+            other: 'Conservar {count} entradas'
+        },
+        'history.limit': 'Número de entradas que conservar',
+        'history.noMatches': 'Ninguna entrada coincide con tu búsqueda.',
+        'history.outcome': 'Cómo fue «{title}»',
+        'history.planned': 'Programada',
+        'history.recent': 'Actividades recientes',
+        'history.recentLabel': 'Actividades recientes',
+        'history.search': 'Buscar en el historial',
+        'history.today': 'Hoy',
+        'history.yesterday': 'Ayer',
+
+        'language.auto': 'Automático ({name})',
+        'language.label': 'Idioma',
+
+        'meta.cost.free': 'Gratis',
+        'meta.cost.high': 'coste alto',
+        'meta.cost.low': 'coste bajo',
+        'meta.cost.medium': 'coste medio',
+        'meta.energy.high': 'energía alta',
+        'meta.energy.low': 'energía baja',
+        'meta.energy.medium': 'energía media',
+        'meta.people': {
+            one: '{count} persona',
+            other: '{count} personas'
+        },
+        'meta.setting.indoor': 'En interior',
+        'meta.setting.outdoor': 'Al aire libre',
+        'meta.solo': 'En solitario',
+
+        'nudges.add': 'Añadir recordatorio',
+        'nudges.added': 'Recordatorio añadido',
+        'nudges.categories': 'Sugerir de (ninguna significa todas)',
+        'nudges.days': 'Días',
+        'nudges.daysRequired': 'Elige al menos un día para el recordatorio',
+        'nudges.delete': 'Eliminar el recordatorio de las {time}',
+        'nudges.empty': 'No hay recordatorios programados.',
+        'nudges.enabled': 'Recordatorio de las {time} activado',
+        'nudges.everyDay': 'Todos los días',
+        'nudges.hint': 'Mientras la aplicación está abierta, un recordatorio te sugiere una actividad a la hora que elijas.',
+        'nudges.message': '¿Aburrido? Prueba esto: {title}',
+        'nudges.time': 'Hora',
+        'nudges.timeRequired': 'Elige una hora para el recordatorio',
+        'nudges.title': 'Recordatorios',
+        'nudges.weekdays': 'Entre semana',
+        'nudges.weekends': 'Fines de semana',
+
+        'outcome.abandoned': 'Abandonada',
+        'outcome.cleared': 'Resultado borrado',
+        'outcome.done': 'Hecha',
+        'outcome.marked.abandoned': 'Marcada como abandonada',
+        'outcome.marked.done': 'Marcada como hecha',
+        'outcome.marked.skipped': 'Marcada como omitida',
+        'outcome.none': 'Sin marcar',
+        'outcome.question': '¿Qué tal fue?',
+        'outcome.skipped': 'Omitida',
+
+        'panel.backup': 'Copia de seguridad y restauración',
+        'panel.catalog': 'Editar catálogo',
+        'panel.close': 'Cerrar panel',
+        'panel.favorites': 'Favoritos',
+        'panel.history': 'Historial',
+        'panel.notifications': 'Avisos y recordatorios',
+        'panel.planner': 'Agenda semanal',
+        'panel.share': 'Compartir',
+        'panel.shortcuts': 'Atajos de teclado',
+        'panel.sources': 'Fuentes de actividades',
+        'panel.stats': 'Estadísticas',
+        'panel.themes': 'Temas',
+        'panel.timer': 'Temporizador',
+        'panel.vetoes': 'Actividades vetadas',
+
+        'permalink.missing': 'La actividad compartida no está en tu catálogo',
+
+        'planner.add': 'Añadir a la agenda',
+        'planner.added': '«{title}» programada para el {time}',
+        'planner.date': 'Fecha',
+        'planner.delete': 'Quitar «{title}» de la agenda',
+        'planner.deleted': '«{title}» se quitó de la agenda',
+        'planner.edit': 'Cambiar el plan de «{title}»',
+        'planner.editTitle': 'Cambiar el plan de «{title}»',
+        'planner.export': 'Exportar «{title}» a un calendario (.ics)',
+        'planner.exportWeek': 'Exportar semana (.ics)',
+        'planner.free': 'Nada programado',
+        'planner.hint': 'Arrastra un plan a otro día para moverlo. Los planes pasan a tu historial cuando llega su hora y se exportan como archivos .ics para cualquier calendario.',
+        'planner.minutesInvalid': 'Los planes pueden durar de 1 a {max} minutos',
+        'planner.moved': '«{title}» se movió al {day}',
+        'planner.next': 'Semana siguiente',
+        'planner.previous': 'Semana anterior',
+        'planner.repeat': 'Repetir',
+        'planner.repeat.daily': 'Todos los días',
+        'planner.repeat.none': 'No se repite',
+        'planner.repeat.weekdays': 'Todos los días laborables',
+        'planner.repeat.weekly': 'Todas las semanas',
+        'planner.save': 'Guardar plan',
+        'planner.scheduleTitle': 'Programar «{title}»',
+        'planner.thisWeek': 'Esta semana',
+        'planner.time': 'Hora de inicio',
+        'planner.timeRequired': 'Elige una fecha y una hora de inicio',
+        'planner.updated': 'Se actualizó el plan de «{title}»',
+        'planner.week': '{start} – {end}',
+
+        'quiet.enabled': 'Sin recordatorios durante las horas de silencio',
+        'quiet.from': 'Desde',
+        'quiet.title': 'Horas de silencio y posponer',
+        'quiet.until': 'Hasta',
+
+        'reveal.duration': 'Duración de la revelación',
+        'reveal.duration.option': 'Revelación de {count} s',
+        'reveal.mode': 'Estilo de revelación',
+        'reveal.mode.instant': 'Mostrar el resultado al instante',
+        'reveal.mode.reel': 'Revelar con tragaperras',
+        'reveal.mode.wheel': 'Revelar con ruleta',
+        'reveal.reducedMotion': 'Tu dispositivo está configurado para reducir el movimiento, así que los resultados se muestran al instante',
+
+        'selection.balanceCategories': 'Equilibrar categorías',
+        'selection.choices': 'Actividades para elegir',
+        'selection.choices.option': {
+            one: 'Mostrar una actividad',
+            other: 'Elegir entre {count} actividades'
+        },
+        'selection.favoriteBoost': 'Peso de los favoritos',
+        'selection.favoriteBoost.option': {
+            one: 'Favoritos: peso normal',
+            other: 'Favoritos: peso ×{count}'
+        },
+        'selection.favoritesInCategories': 'Solo las categorías seleccionadas',
+        'selection.label': 'Ajustes de selección',
+        'selection.mode': 'Modo de selección',
+        'selection.mode.random': 'Totalmente al azar',
+        'selection.mode.smart': 'Inteligente: sin repeticiones hasta ver todas',
+        'selection.newRound': 'Empezar una nueva ronda',
+        'selection.roundStarted': 'Nueva ronda empezada',
+        'selection.seed.hint': 'La misma semilla, categorías y filtros dan la misma elección',
+        'selection.seed.label': 'Semilla para elecciones reproducibles',
+        'selection.seed.placeholder': 'Semilla (opcional)',
+        'selection.source': 'Elegir de',
+        'selection.source.catalog': 'Todas las actividades que coinciden',
+        'selection.source.favorites': 'Solo favoritos',
+
+        'share.buttons': 'Botones para compartir',
+        'share.buttonsHint': 'Elige los botones para compartir de la tarjeta de actividad y su orden. Los que este navegador no puede usar no aparecen en la tarjeta.',
+        'share.cardFooter': 'Encuentra tu próxima actividad en {site}',
+        'share.copied': '¡Actividad copiada al portapapeles!',
+        'share.copiedLink': '¡Enlace a esta actividad copiado al portapapeles!',
+        'share.copyFailed': 'No se pudo copiar al portapapeles',
+        'share.customize': 'Elegir botones para compartir',
+        'share.failed': 'No se pudo compartir la actividad',
+        'share.mastodonHint': 'Las publicaciones de Mastodon se abren en este servidor, p. ej. mastodon.social.',
+        'share.mastodonInvalid': 'Escribe un nombre de servidor como mastodon.social',
+        'share.mastodonServer': 'Tu servidor',
+        'share.moveDown': 'Mover «{name}» después',
+        'share.moveUp': 'Mover «{name}» antes',
+        'share.preview': 'Imagen para compartir',
+        'share.previewAlt': 'Imagen para compartir de «{title}»',
+        'share.previewEmpty': 'Genera una actividad para ver su imagen para compartir.',
+        'share.previewUnsupported': 'Este navegador no puede dibujar imágenes para compartir.',
+        'share.reset': 'Restaurar los botones predeterminados',
+        'share.target.copyLink': 'Copiar enlace',
+        'share.target.copyText': 'Copiar texto y enlace',
+        'share.target.email': 'Compartir por correo',
+        'share.target.image': 'Descargar imagen para compartir',
+        'share.target.native': 'Compartir…',
+        'share.text': 'Voy a: {title}',
+        'share.title': 'Actividad al azar',
+        'share.unavailable': 'No compatible con este navegador',
+
+        'shortcuts.action.category': 'Seleccionar o deseleccionar la categoría {number}',
+        'shortcuts.action.favorite': 'Añadir o quitar la actividad de favoritos',
+        'shortcuts.action.generate': 'Generar una actividad',
+        'shortcuts.action.help': 'Mostrar los atajos de teclado',
+        'shortcuts.action.history': 'Abrir tu historial',
+        'shortcuts.action.timer': 'Iniciar o detener el temporizador',
+        'shortcuts.change': 'Cambiar',
+        'shortcuts.changeLabel': 'Cambiar el atajo de «{action}»',
+        'shortcuts.conflict': '{key} ya es el atajo de «{action}». Pulsa otra tecla o quita antes ese atajo.',
+        'shortcuts.custom': 'Tus atajos',
+        'shortcuts.fixed': 'Siempre disponibles',
+        'shortcuts.fixed.arrows': 'Moverse entre los botones de categoría',
+        'shortcuts.fixed.escape': 'Cerrar el panel abierto',
+        'shortcuts.fixed.press': 'Pulsar el botón con el foco',
+        'shortcuts.hint': 'Los atajos funcionan cuando no hay ningún panel abierto y no estás escribiendo en un campo. Las letras valen en mayúscula o minúscula.',
+        'shortcuts.invalidKey': 'Usa una sola letra, cifra o símbolo',
+        'shortcuts.key.enter': 'Intro',
+        'shortcuts.key.escape': 'Esc',
+        'shortcuts.key.space': 'Espacio',
+        'shortcuts.noActivity': 'Genera primero una actividad',
+        'shortcuts.none': 'Sin asignar',
+        'shortcuts.recording': 'Pulsa una tecla, o Esc para cancelar',
+        'shortcuts.remove': 'Quitar el atajo de «{action}»',
+        'shortcuts.reset': 'Restablecer los predeterminados',
+        'shortcuts.resetDone': 'Atajos restablecidos a los predeterminados',
+        'shortcuts.set': 'El atajo de «{action}» ahora es {key}',
+
+        'snooze.for': 'Posponer {duration}',
+        'snooze.off': 'Los recordatorios están activos.',
+        'snooze.stop': 'Dejar de posponer',
+        'snooze.tomorrow': 'Posponer hasta mañana',
+        'snooze.until': 'Recordatorios pospuestos hasta las {time}',
+
+        'sources.about.bundled': 'Viene con la aplicación',
+        'sources.about.custom': 'Añadidas en el editor del catálogo',
+        'sources.add': 'Añadir fuente',
+        'sources.added': '«{name}» añadida',
+        'sources.addTitle': 'Añadir una fuente',
+        'sources.cache': 'Caché (min)',
+        'sources.help.bored': 'Un punto de acceso que responde como la Bored API, p. ej. http://127.0.0.1:3000/api/activity mientras se ejecuta «node server.js». Se le pide una actividad por cada categoría seleccionada.',
+        'sources.help.json': 'Un archivo JSON con una lista de actividades, como array o como { "activities": [...] }, en el formato de esta aplicación o en el de la Bored API.',
+        'sources.hint': 'Las actividades salen de todas las fuentes activadas. Si una fuente remota falla o tarda demasiado, se usan las demás.',
+        'sources.loadFailed': 'No se pudo cargar «{name}»: {error}. Se usan las actividades locales.',
+        'sources.loading': 'Cargando…',
+        'sources.loadsLater': 'Se carga al generar',
+        'sources.name': 'Nombre',
+        'sources.off': 'Desactivada',
+        'sources.remove': 'Quitar {name}',
+        'sources.status.failed': 'Error: {error} · {time}',
+        'sources.status.ok': {
+            one: '{count} actividad coincide · {time}',
+            other: '{count} actividades coinciden · {time}'
+        },
+        'sources.test': 'Probar',
+        'sources.tested': {
+            one: '«{name}» devolvió {count} actividad que coincide',
+            other: '«{name}» devolvió {count} actividades que coinciden'
+        },
+        'sources.timeout': 'Tiempo de espera (s)',
+        'sources.title': 'Fuentes',
+        'sources.type.bored': 'Punto de acceso de la Bored API',
+        'sources.type.bundled': 'Actividades integradas',
+        'sources.type.custom': 'Tus actividades',
+        'sources.type.json': 'Archivo JSON',
+        'sources.typeField': 'Tipo',
+        'sources.url': 'URL',
+        'sources.urlRequired': 'Escribe la dirección http:// o https:// de la fuente',
+        'sources.use': 'Usar {name}',
+
+        'stats.basedOn': {
+            one: 'Según tu última entrada del historial: {done} hechas, {skipped} omitidas, {abandoned} abandonadas.',
+            other: 'Según tus últimas {count} entradas del historial: {done} hechas, {skipped} omitidas, {abandoned} abandonadas.'
+        },
+        'stats.byCategory': 'Hechas por categoría',
+        'stats.byCategoryChart': 'Actividades hechas por categoría',
+        'stats.byCategoryEmpty': 'Marca actividades como hechas para verlas aquí.',
+        'stats.byWeek': {
+            one: 'Hechas por semana, última semana',
+            other: 'Hechas por semana, últimas {count} semanas'
+        },
+        'stats.byWeekChart': 'Actividades hechas por semana: {weeks}',
+        'stats.completionRate': 'Tasa de finalización',
+        'stats.currentStreak': 'Racha actual',
+        'stats.days': {
+            one: '{count} día',
+            other: '{count} días'
+        },
+        'stats.longestStreak': 'Racha más larga',
+        'stats.mostSkipped': 'Más omitidas',
+        'stats.nothingSkipped': 'Todavía no has omitido nada.',
+        'stats.skippedTimes': {
+            one: 'omitida una vez',
+            other: 'omitida {count} veces'
+        },
+        'stats.timed': 'Cronometrado',
+        'stats.unknownCategory': 'Desconocida',
+        'stats.weekOf': 'semana del {week}: {count}',
+
+        'storage.load.favorites': 'No se pudieron cargar los favoritos guardados',
+        'storage.load.history': 'No se pudo cargar tu historial',
+        'storage.save.favorites': 'No se pudieron guardar los favoritos. Inténtalo de nuevo.',
+        'storage.save.history': 'No se pudo guardar tu historial',
+
+        'store.corrupt': 'No se pudieron leer tus datos guardados, así que la aplicación empezó de cero. Se guardó una copia de ellos.',
+        'store.quota': 'El almacenamiento está lleno, así que tus últimos cambios no se han guardado. Exporta una copia de seguridad o borra tu historial.',
+        'store.unavailable': 'No se pudieron guardar tus cambios. Se conservarán hasta que cierres esta pestaña.',
+
+        'themes.builder': 'Crear un tema',
+        'themes.choose': 'Elige un tema…',
+        'themes.color.accent': 'Acento',
+        'themes.color.background': 'Fondo',
+        'themes.color.border': 'Bordes',
+        'themes.color.primary': 'Principal',
+        'themes.color.primaryDark': 'Principal, al pasar el cursor',
+        'themes.color.secondary': 'Secundario',
+        'themes.color.secondaryDark': 'Secundario, al pasar el cursor',
+        'themes.color.surface': 'Tarjetas y paneles',
+        'themes.color.surfaceVariant': 'Superficies atenuadas',
+        'themes.color.text': 'Texto',
+        'themes.color.textLight': 'Texto secundario',
+        'themes.color.textOnPrimary': 'Texto sobre el principal',
+        'themes.color.textOnSecondary': 'Texto sobre el secundario',
+        'themes.contrast': 'Comprobaciones de contraste',
+        'themes.contrast.fails': 'No pasa (necesita {ratio}:1)',
+        'themes.contrast.passes': 'Pasa {level}',
+        'themes.contrast.textLightOnSurface': 'Texto secundario en tarjetas',
+        'themes.contrast.textOnBackground': 'Texto sobre el fondo',
+        'themes.contrast.textOnPrimary': 'Texto en los botones principales',
+        'themes.contrast.textOnSecondary': 'Texto en el botón de generar',
+        'themes.contrast.textOnSurface': 'Texto en tarjetas y paneles',
+        'themes.delete': 'Eliminar {name}',
+        'themes.deleted': '«{name}» eliminado',
+        'themes.detail.builtin': 'Integrado',
+        'themes.detail.custom': 'Personalizado',
+        'themes.detail.system': 'Sigue el modo claro u oscuro de tu dispositivo',
+        'themes.edit': 'Editar {name}',
+        'themes.editing': 'Editar «{name}»',
+        'themes.error.json': 'el archivo no es JSON válido',
+        'themes.error.notThemeFile': 'Este no es un archivo de tema de Boredom Buster',
+        'themes.export': 'Exportar temas',
+        'themes.exported': {
+            one: '{count} tema exportado',
+            other: '{count} temas exportados'
+        },
+        'themes.files': 'Archivos de temas',
+        'themes.filesHint': 'Exporta tus temas personalizados para conservarlos o compartirlos, e importa temas creados por otras personas.',
+        'themes.import': 'Importar un archivo de tema',
+        'themes.imported': 'Temas importados: {parts}',
+        'themes.imported.added': '{count} añadidos',
+        'themes.imported.replaced': '{count} actualizados',
+        'themes.imported.skipped': '{count} omitidos',
+        'themes.limit': {
+            one: 'Puedes tener hasta {count} tema personalizado. Elimina uno para guardar otro.',
+            other: 'Puedes tener hasta {count} temas personalizados. Elimina uno para guardar otro.'
+        },
+        'themes.name.dark': 'Oscuro',
+        'themes.name.forest': 'Bosque',
+        'themes.name.light': 'Claro',
+        'themes.name.midnight': 'Medianoche',
+        'themes.name.ocean': 'Océano',
+        'themes.name.sunset': 'Atardecer',
+        'themes.name.system': 'Sistema ({name})',
+        'themes.nameCopy': 'Ponle nombre a la copia y guárdala',
+        'themes.nameRequired': 'Ponle un nombre a tu tema',
+        'themes.nameTaken': 'Ya hay un tema llamado «{name}»',
+        'themes.previewText': 'Actividad',
+        'themes.ratio': '{ratio}:1',
+        'themes.save': 'Guardar tema',
+        'themes.saveAsNew': 'Guardar como nuevo',
+        'themes.saved': '«{name}» guardado',
+        'themes.savedLowContrast': {
+            one: '«{name}» guardado, pero {count} de sus colores de texto es difícil de leer (menos de {ratio}:1)',
+            other: '«{name}» guardado, pero {count} de sus colores de texto son difíciles de leer (menos de {ratio}:1)'
+        },
+        'themes.startFrom': 'Partir de',
+        'themes.switchLabel': 'Elegir un tema (ahora {name})',
+        'themes.title': 'Tema',
+
+        'time.justNow': 'Ahora mismo',
+
+        'timer.add': {
+            one: 'Añadir {count} minuto',
+            other: 'Añadir {count} minutos'
+        },
+        'timer.addShort': '+{count} min',
+        'timer.breakOver': 'Fin del descanso. Ronda {cycle} de {cycles}: {title}',
+        'timer.clearLog': 'Borrar el registro de sesiones',
+        'timer.confirmClearLog': '¿Eliminar el registro de sesiones del temporizador?',
+        'timer.containerLabel': 'Temporizador de la actividad',
+        'timer.done': '¡Se acabó el tiempo! ¿Qué tal la actividad?',
+        'timer.estimate': '{duration} (estimado)',
+        'timer.field.cycles': 'Rondas',
+        'timer.field.longBreak': 'Descanso largo (min)',
+        'timer.field.shortBreak': 'Descanso corto (min)',
+        'timer.field.work': 'Trabajo (min)',
+        'timer.invalidDuration': 'Elige una duración de entre 1 y {max} minutos',
+        'timer.loadError': 'No se pudo restaurar tu temporizador',
+        'timer.log': 'Sesiones terminadas',
+        'timer.logEmpty': 'Las sesiones aparecen aquí cuando termina un temporizador.',
+        'timer.logSummary': {
+            one: '{count} sesión · {duration} en total',
+            other: '{count} sesiones · {duration} en total'
+        },
+        'timer.mode': 'Modo del temporizador',
+        'timer.mode.cycles': 'Ciclos de trabajo y descanso',
+        'timer.mode.single': 'Cuenta atrás única',
+        'timer.noActivity': 'Genera una actividad y usa su botón de temporizador para empezar uno.',
+        'timer.outcomePrompt': '¿Qué tal fue {title}?',
+        'timer.pause': 'Pausar el temporizador',
+        'timer.paused': 'En pausa',
+        'timer.pauseShort': 'Pausar',
+        'timer.phase.longBreak': 'Descanso largo',
+        'timer.phase.shortBreak': 'Descanso corto',
+        'timer.phase.work': 'Trabajo',
+        'timer.phasePaused': '{phase} · en pausa',
+        'timer.presets': 'Duraciones predefinidas',
+        'timer.resume': 'Reanudar el temporizador',
+        'timer.resumeShort': 'Reanudar',
+        'timer.round': 'Trabajo · ronda {cycle} de {cycles}',
+        'timer.roundDone.longBreak': 'Ronda terminada. Tómate un descanso largo de {duration}.',
+        'timer.roundDone.shortBreak': 'Ronda terminada. Tómate un descanso corto de {duration}.',
+        'timer.start': 'Iniciar temporizador',
+        'timer.started': 'Temporizador iniciado',
+        'timer.stop': 'Detener el temporizador',
+        'timer.stopped': 'Temporizador detenido',
+        'timer.stoppedEarly': '{duration}, detenido antes de tiempo',
+        'timer.stopShort': 'Detener',
+
+        'toast.dismiss': 'Cerrar mensaje',
+        'toast.undo': 'Deshacer',
+
+        'toolbar.alerts': 'Avisos',
+        'toolbar.backup': 'Copia de seguridad',
+        'toolbar.catalog': 'Editar catálogo',
+        'toolbar.day': 'Actividad del día',
+        'toolbar.favorites': 'Favoritos',
+        'toolbar.history': 'Historial',
+        'toolbar.install': 'Instalar la aplicación',
+        'toolbar.label': 'Herramientas de la aplicación',
+        'toolbar.planner': 'Agenda',
+        'toolbar.shortcuts': 'Atajos',
+        'toolbar.sources': 'Fuentes',
+        'toolbar.stats': 'Estadísticas',
+        'toolbar.vetoes': 'Vetadas',
+
+        'vetoes.added': '«{title}» no se volverá a sugerir',
+        'vetoes.count': {
+            one: '{count} actividad vetada',
+            other: '{count} actividades vetadas'
+        },
+        'vetoes.empty': 'No hay nada vetado. Veta una actividad en una tarjeta de elección y no se volverá a sugerir.',
+        'vetoes.hint': 'Las actividades vetadas nunca se sugieren. Restaura una para que pueda volver a salir.',
+        'vetoes.restore': 'Restaurar',
+        'vetoes.restoreAll': 'Restaurar todas',
+        'vetoes.restored': '«{title}» se puede volver a sugerir',
+        'vetoes.restoredAll': {
+            one: 'Se restauró {count} actividad vetada',
+            other: 'Se restauraron {count} actividades vetadas'
+        },
+        'vetoes.restoreLabel': 'Restaurar «{title}»',
+        'vetoes.vetoedOn': 'Vetada el {date}'
+    },
+    activities: {
+        'edu-programming-language': 'Aprende un nuevo lenguaje de programación',
+        'edu-technical-book': 'Lee un libro técnico',
+        'edu-online-course': 'Haz un curso en línea',
+        'edu-coding-challenges': 'Practica con retos de programación',
+        'edu-educational-videos': 'Mira vídeos educativos',
+        'edu-study-group': 'Únete a un grupo de estudio',
+        'edu-blog-post': 'Escribe un artículo técnico para un blog',
+        'edu-small-project': 'Crea un pequeño proyecto',
+        'rec-park-walk': 'Da un paseo por el parque',
+        'rec-play-sport': 'Practica un deporte',
+        'rec-yoga': 'Haz un poco de yoga',
+        'rec-swimming': 'Ve a nadar',
+        'rec-bike-ride': 'Monta en bici',
+        'rec-board-games': 'Juega a juegos de mesa',
+        'rec-hiking': 'Sal de excursión',
+        'rec-new-workout': 'Prueba un nuevo entrenamiento',
+        'soc-call-friend': 'Llama a un amigo',
+        'soc-plan-meetup': 'Organiza una quedada',
+        'soc-join-club': 'Únete a un club',
+        'soc-local-event': 'Ve a un evento local',
+        'soc-dinner-party': 'Organiza una cena en casa',
+        'soc-volunteer': 'Haz voluntariado en tu barrio',
+        'soc-social-group': 'Únete a un grupo social',
+        'soc-game-night': 'Organiza una noche de juegos',
+        'diy-woodwork': 'Construye algo con madera',
+        'diy-craft-project': 'Haz una manualidad',
+        'diy-house-fix': 'Arregla algo en casa',
+        'diy-garden': 'Empieza un huerto',
+        'diy-homemade-gifts': 'Haz regalos caseros',
+        'diy-repurpose': 'Dale una nueva vida a objetos viejos',
+        'diy-carpentry': 'Aprende carpintería básica',
+        'diy-new-project': 'Prueba un nuevo proyecto de bricolaje'
+    }
+}));
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * Local HTTP server for Boredom Buster: serves the front end, plus a JSON API over
+ * the built-in catalog in the response shape of the Bored API, so tools written
+ * for that API can point here instead.
+ *
+ *     node server.js --port 3000
+ *
+ *     GET /api/activity?type=education&participants=2   A random matching activity
+ *     GET /api/activities?type=social                    Every matching activity
+ *     GET /api/categories                                The categories and their sizes
+ *     GET /api/activity/:key                             One activity by its key (id)
+ *
+ * Query parameters, all optional: type (category key in any case, or a Bored API
+ * type such as "diy" or "recreational"), participants, price, minprice, maxprice
+ * (prices are 0 to 1, see COST_PRICES in core.js).
+ */
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { COST_PRICES, BORED_TYPE_ALIASES, createGenerator } = require('./core.js');
+
+// ==========================================================================
+// Configuration and Constants
+// ==========================================================================
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+
+const USAGE = 'Usage: node server.js [--port <port>] [--host <host>]';
+
+// Directory the front end is served from
+const STATIC_ROOT = __dirname;
+
+// Content types of the files the front end is made of
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+// Sent with every response so pages on other origins can call the API
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// An error that becomes a JSON error response with the given status
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ==========================================================================
+// API
+// ==========================================================================
+
+/**
+ * Convert an activity record to the Bored API response shape
+ * @param {Object} activity - Activity record
+ * @returns {Object} { activity, type, participants, price, key, ... }
+ */
+function toBoredActivity(activity) {
+    return {
+        activity: activity.title,
+        type: activity.category,
+        participants: activity.participants,
+        price: COST_PRICES[activity.cost],
+        key: activity.id,
+        duration: activity.duration,
+        setting: activity.setting,
+        energy: activity.energy
+    };
+}
+
+/**
+ * Read a numeric query parameter
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {number|undefined} The value, or undefined if it wasn't given
+ */
+function getNumberParam(query, name) {
+    if (!query.has(name)) return undefined;
+    const value = Number(query.get(name));
+    if (query.get(name).trim() === '' || !Number.isFinite(value)) {
+        throw new HttpError(400, `"${name}" must be a number`);
+    }
+    return value;
+}
+
+/**
+ * Find the category a type parameter names. Tools written for the Bored API send its
+ * lower-case type names, e.g. "diy" and "recreational".
+ * @param {Object} generator - Generator whose catalog is served
+ * @param {string} type - Type parameter
+ * @returns {string|undefined} Category key
+ */
+function resolveType(generator, type) {
+    const name = type.toLowerCase();
+    return Object.keys(generator.catalog.activities)
+        .filter(generator.isSelectable)
+        .find(category => category.toLowerCase() === (BORED_TYPE_ALIASES[name] || name));
+}
+
+/**
+ * Collect the activities matching the query parameters
+ * @param {Object} generator - Generator whose catalog is served
+ * @param {URLSearchParams} query - type, participants, price, minprice, maxprice
+ * @returns {Object[]} Matching activity records
+ */
+function findActivities(generator, query) {
+    const type = query.get('type');
+    const category = type !== null ? resolveType(generator, type) : undefined;
+    if (type !== null && !category) {
+        throw new HttpError(400, `Unknown type "${type}". See /api/categories for the available types.`);
+    }
+
+    const participants = getNumberParam(query, 'participants');
+    const price = getNumberParam(query, 'price');
+    const minPrice = getNumberParam(query, 'minprice');
+    const maxPrice = getNumberParam(query, 'maxprice');
+    const categories = category ? [category] : Object.keys(generator.catalog.activities).filter(generator.isSelectable);
+
+    return categories
+        .flatMap(category => generator.catalog.activities[category])
+        .filter(activity => {
+            const activityPrice = COST_PRICES[activity.cost];
+            return (participants === undefined || activity.participants === participants) &&
+                (price === undefined || activityPrice === price) &&
+                (minPrice === undefined || activityPrice >= minPrice) &&
+                (maxPrice === undefined || activityPrice <= maxPrice);
+        });
+}
+
+/**
+ * Answer an API request
+ * @param {Object} generator - Generator whose catalog is served
+ * @param {string} pathname - Request path, starting with /api/
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Object|Object[]} Response body
+ */
+function handleApi(generator, pathname, query) {
+    if (pathname === '/api/activity') {
+        const matching = findActivities(generator, query);
+        if (matching.length === 0) {
+            throw new HttpError(404, 'No activity found with the specified parameters');
+        }
+        return toBoredActivity(matching[Math.floor(Math.random() * matching.length)]);
+    }
+
+    if (pathname === '/api/activities') {
+        return findActivities(generator, query).map(toBoredActivity);
+    }
+
+    if (pathname === '/api/categories') {
+        return Object.keys(generator.catalog.activities).filter(generator.isSelectable).map(key => ({
+            key,
+            label: generator.getCategoryLabel(key),
+            count: generator.catalog.activities[key].length
+        }));
+    }
+
+    const match = pathname.match(/^\/api\/activity\/([^/]+)$/);
+    if (match) {
+        let key;
+        try {
+            key = decodeURIComponent(match[1]);
+        } catch (error) {
+            throw new HttpError(400, 'Malformed activity key');
+        }
+        const activity = generator.getActivity(key);
+        if (!activity) {
+            throw new HttpError(404, `No activity with key "${key}"`);
+        }
+        return toBoredActivity(activity);
+    }
+
+    throw new HttpError(404, `Unknown API route ${pathname}`);
+}
+
+// ==========================================================================
+// Static Files
+// ==========================================================================
+
+/**
+ * Resolve a request path to a file of the front end
+ * @param {string} pathname - Request path
+ * @returns {string|null} File path, or null if nothing may be served there
+ */
+function resolveStaticFile(pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        return null;
+    }
+
+    const file = path.resolve(STATIC_ROOT, `.${relative}`);
+    // Stay inside the front end's directory and skip dotfiles such as .git
+    if (!file.startsWith(STATIC_ROOT + path.sep) || relative.split('/').some(part => part.startsWith('.'))) {
+        return null;
+    }
+    return file;
+}
+
+/**
+ * Send a file of the front end, or a 404
+ * @param {http.ServerResponse} response - Response
+ * @param {string} pathname - Request path
+ * @param {boolean} headOnly - Send the headers without the body
+ */
+function serveStatic(response, pathname, headOnly) {
+    const file = resolveStaticFile(pathname);
+    fs.readFile(file || '', (error, content) => {
+        if (error || !file) {
+            sendJSON(response, 404, { error: `Not found: ${pathname}` }, headOnly);
+            return;
+        }
+        response.writeHead(200, {
+            ...CORS_HEADERS,
+            'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': content.length
+        });
+        response.end(headOnly ? undefined : content);
+    });
+}
+
+// ==========================================================================
+// Server
+// ==========================================================================
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body, serialized as JSON
+ * @param {boolean} headOnly - Send the headers without the body
+ */
+function sendJSON(response, status, body, headOnly) {
+    const content = Buffer.from(`${JSON.stringify(body)}\n`);
+    response.writeHead(status, {
+        ...CORS_HEADERS,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': content.length,
+        'Cache-Control': 'no-store'
+    });
+    response.end(headOnly ? undefined : content);
+}
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} options
+ * @param {Object} options.generator - Generator whose catalog is served; defaults to the built-in catalog
+ * @returns {http.Server} Server
+ */
+function createServer(options = {}) {
+    const generator = options.generator || createGenerator();
+
+    return http.createServer((request, response) => {
+        const headOnly = request.method === 'HEAD';
+        let url;
+        try {
+            url = new URL(request.url, 'http://localhost');
+        } catch (error) {
+            // Raw request lines such as "GET http://[ HTTP/1.1" don't parse
+            sendJSON(response, 400, { error: 'Malformed request URL' }, headOnly);
+            return;
+        }
+        const { pathname, searchParams } = url;
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+            return;
+        }
+        if (request.method !== 'GET' && !headOnly) {
+            response.setHeader('Allow', 'GET, HEAD, OPTIONS');
+            sendJSON(response, 405, { error: `Method ${request.method} not allowed` });
+            return;
+        }
+
+        if (pathname !== '/api' && !pathname.startsWith('/api/')) {
+            serveStatic(response, pathname, headOnly);
+            return;
+        }
+
+        try {
+            sendJSON(response, 200, handleApi(generator, pathname, searchParams), headOnly);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error('Error handling', request.url, error);
+            }
+            sendJSON(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal server error' }, headOnly);
+        }
+    });
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        ({ values: options } = parseArgs({
+            options: {
+                port: { type: 'string', short: 'p' },
+                host: { type: 'string' }
+            }
+        }));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    const portValue = String(options.port || process.env.PORT || DEFAULT_PORT);
+    const port = Number(portValue);
+    if (!/^\d+$/.test(portValue) || port > 65535) {
+        console.error(`Error: The port must be a whole number from 0 to 65535, not "${portValue}"\n${USAGE}`);
+        process.exit(2);
+    }
+    const host = options.host || DEFAULT_HOST;
+    const server = createServer();
+    server.listen(port, host, () => {
+        // Port 0 picks a free one
+        console.log(`Boredom Buster running at http://${host}:${server.address().port}/`);
+    });
+}
+
+module.exports = { createServer, toBoredActivity };
@@ -0,0 +1,385 @@
+/**
+ * Boredom Buster storage: everything the app saves lives in one versioned document
+ * under a single localStorage key. Reads come from memory, writes are batched and
+ * debounced, old layouts are migrated on open, and changes made in other tabs are
+ * merged in through `storage` events.
+ *
+ * In the browser this file defines the global `BoredomStorage` (load it before app.js);
+ * in Node it is a CommonJS module:
+ *
+ *     const { createStore } = require('./storage.js');
+ *     const store = createStore({ backend: someStorage });
+ *     store.open();
+ *     store.set('theme', 'dark');
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoredomStorage = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ==========================================================================
+    // Configuration and Constants
+    // ==========================================================================
+
+    // Version of the saved document. Bump it and add a migration when the layout changes.
+    const SCHEMA_VERSION = 2;
+
+    // localStorage key of the document; a copy of unreadable data is kept under `${STORE_KEY}:corrupt`
+    const STORE_KEY = 'boredomBuster';
+
+    // How long writes wait for more changes before going to storage (ms)
+    const WRITE_DELAY = 300;
+
+    // Keys version 1 saved straight into localStorage, one per part of the state
+    const LEGACY_KEYS = [
+        'favoriteActivities', 'favoriteDetails', 'activityHistory', 'historyLimit',
+        'activityFilters', 'selectionSettings', 'shuffleBag', 'selectedCategories',
+        'customCatalog', 'activitySources', 'sourceCache', 'timerSession', 'timerLog',
+        'timerSettings', 'notificationSettings', 'nudges', 'theme'
+    ];
+
+    // Keys that only hold caches, dropped first when storage is full
+    const DISPOSABLE_KEYS = ['sourceCache'];
+
+    /**
+     * Migrations, in order. Each one turns the data of the version before it into the
+     * data of its own version; a document is run through every migration newer than it.
+     *   migrate(data, backend) -> data
+     */
+    const MIGRATIONS = [
+        {
+            version: 2,
+            // Version 1 had no document: each part sat under its own key as JSON, except
+            // the theme, which was a bare string. Values that don't parse are dropped.
+            migrate(data, backend) {
+                LEGACY_KEYS.forEach(key => {
+                    const saved = backend.getItem(key);
+                    if (saved === null || saved === undefined) return;
+                    try {
+                        data[key] = JSON.parse(saved);
+                    } catch (error) {
+                        if (key === 'theme') data[key] = saved;
+                    }
+                });
+                return data;
+            }
+        }
+    ];
+
+    // ==========================================================================
+    // Helpers
+    // ==========================================================================
+
+    // True if a storage write failed because storage is full
+    function isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22 || error.code === 1014);
+    }
+
+    /**
+     * A backend that keeps everything in memory, for when localStorage can't be used.
+     * Nothing survives a reload.
+     * @returns {Object} Object with getItem/setItem/removeItem
+     */
+    function createMemoryBackend() {
+        const items = new Map();
+        return {
+            getItem: name => (items.has(name) ? items.get(name) : null),
+            setItem: (name, value) => items.set(name, String(value)),
+            removeItem: name => items.delete(name)
+        };
+    }
+
+    /**
+     * Check that a backend can be read and written. A full backend still counts as
+     * usable; the quota handling of writes deals with it.
+     * @param {Object|null} backend - Backend to check
+     * @param {string} key - Key of the document
+     * @returns {Error|null} Why the backend can't be used, or null if it can
+     */
+    function probeBackend(backend, key) {
+        try {
+            if (!backend) throw new Error('No storage backend');
+            backend.getItem(key);
+            backend.setItem(`${key}:probe`, '1');
+            backend.removeItem(`${key}:probe`);
+            return null;
+        } catch (error) {
+            return isQuotaError(error) ? null : error;
+        }
+    }
+
+    // Copy a JSON value, so callers never share objects with the store
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Parse a saved document
+     * @param {string|null} saved - Raw value from storage
+     * @returns {Object|null} { version, data }, or null if nothing is saved
+     * @throws {Error} If the value isn't a document
+     */
+    function parseDocument(saved) {
+        if (saved === null || saved === undefined) return null;
+        const document = JSON.parse(saved);
+        if (!document || !Number.isInteger(document.version) || !document.data ||
+            typeof document.data !== 'object' || Array.isArray(document.data)) {
+            throw new Error('Saved data is not a Boredom Buster document');
+        }
+        return document;
+    }
+
+    // ==========================================================================
+    // Store
+    // ==========================================================================
+
+    /**
+     * Create a store.
+     *
+     * Events (subscribe with on): 'change' ({ keys }) when another tab changed keys,
+     * 'migrate' ({ from, to }) after an older layout was upgraded, and 'error'
+     * ({ action, reason, error }) where action is 'load' or 'save' and reason is
+     * 'corrupt' (unreadable data was reset), 'quota' (storage is full) or 'unavailable'
+     * (storage can't be used; on load the store falls back to keeping data in memory).
+     *
+     * @param {Object} options
+     * @param {Object|null} options.backend - Object with getItem/setItem/removeItem, e.g. localStorage;
+     *                                        without a usable one, data is kept in memory
+     * @param {string} options.key - Key of the document in the backend
+     * @param {number} options.delay - Debounce delay of writes in ms
+     * @param {Object} options.target - Window to receive `storage` events from and to
+     *                                  flush on before the page goes away
+     * @returns {Object} Store API
+     */
+    function createStore(options = {}) {
+        let backend = options.backend || null;
+        const key = options.key || STORE_KEY;
+        const delay = options.delay === undefined ? WRITE_DELAY : options.delay;
+        const target = options.target || null;
+        const listeners = {};
+        // Keys changed here and not yet written
+        const dirty = new Set();
+        let data = {};
+        let timer = null;
+
+        function on(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+            return () => off(type, listener);
+        }
+
+        function off(type, listener) {
+            listeners[type] = (listeners[type] || []).filter(item => item !== listener);
+        }
+
+        function emit(type, detail) {
+            (listeners[type] || []).slice().forEach(listener => listener(detail));
+        }
+
+        /**
+         * Read the document, migrating or resetting it as needed. Call once before use.
+         * @returns {Object} The store
+         */
+        function open() {
+            const unavailable = probeBackend(backend, key);
+            if (unavailable) {
+                backend = createMemoryBackend();
+                emit('error', { action: 'load', reason: 'unavailable', error: unavailable });
+            }
+
+            let document;
+            try {
+                document = parseDocument(backend.getItem(key)) || { version: 1, data: {} };
+            } catch (error) {
+                // Keep the unreadable data for inspection and start over with defaults
+                try {
+                    backend.setItem(`${key}:corrupt`, backend.getItem(key));
+                } catch (backupError) {
+                    // No room for the copy; the reset matters more
+                }
+                try {
+                    backend.removeItem(key);
+                } catch (removeError) {
+                    // The next save overwrites it anyway
+                }
+                emit('error', { action: 'load', reason: 'corrupt', error });
+                document = { version: SCHEMA_VERSION, data: {} };
+            }
+
+            const from = document.version;
+            data = MIGRATIONS
+                .filter(migration => migration.version > from)
+                .reduce((migrated, migration) => migration.migrate(migrated, backend), document.data);
+
+            if (from < SCHEMA_VERSION) {
+                Object.keys(data).forEach(item => dirty.add(item));
+                if (flush() && from === 1) {
+                    LEGACY_KEYS.forEach(item => backend.removeItem(item));
+                }
+                emit('migrate', { from, to: SCHEMA_VERSION });
+            }
+
+            if (target) {
+                target.addEventListener('storage', handleStorageEvent);
+                // Don't lose the last changes when the tab closes or goes to the background
+                target.addEventListener('pagehide', flush);
+                target.addEventListener('visibilitychange', () => {
+                    if (target.document.visibilityState === 'hidden') flush();
+                });
+            }
+            return store;
+        }
+
+        /**
+         * Read a value
+         * @param {string} name - Key
+         * @param {*} fallback - Returned when nothing is saved under the key
+         * @returns {*} A copy of the value
+         */
+        function get(name, fallback) {
+            return Object.prototype.hasOwnProperty.call(data, name) ? clone(data[name]) : fallback;
+        }
+
+        /**
+         * Save a value. It is written to storage after the debounce delay.
+         * @param {string} name - Key
+         * @param {*} value - JSON-serializable value; undefined removes the key
+         */
+        function set(name, value) {
+            if (value === undefined) {
+                delete data[name];
+            } else {
+                data[name] = clone(value);
+            }
+            dirty.add(name);
+            clearTimeout(timer);
+            timer = setTimeout(flush, delay);
+        }
+
+        // Remove a value
+        function remove(name) {
+            set(name, undefined);
+        }
+
+        /**
+         * Write the document, keeping whatever other tabs wrote to keys this one didn't
+         * change. Keys taken from other tabs are announced with a 'change' event.
+         * @param {Object} base - Data to write the dirty keys over
+         * @returns {boolean} True if it was written
+         */
+        function write(base) {
+            const merged = { ...base };
+            const changed = Array.from(new Set([...Object.keys(data), ...Object.keys(base)]))
+                .filter(name => !dirty.has(name) && JSON.stringify(data[name]) !== JSON.stringify(base[name]));
+            dirty.forEach(name => {
+                if (Object.prototype.hasOwnProperty.call(data, name)) {
+                    merged[name] = data[name];
+                } else {
+                    delete merged[name];
+                }
+            });
+            backend.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, savedAt: new Date().toISOString(), data: merged }));
+            data = merged;
+            dirty.clear();
+            if (changed.length) emit('change', { keys: changed });
+            return true;
+        }
+
+        /**
+         * Write pending changes now. When storage is full, caches are dropped and the
+         * write is tried again; if it still fails, the changes stay in memory and
+         * pending, and an 'error' event is emitted.
+         * @returns {boolean} True if everything is written
+         */
+        function flush() {
+            clearTimeout(timer);
+            timer = null;
+            if (dirty.size === 0) return true;
+
+            let base;
+            try {
+                const latest = parseDocument(backend.getItem(key));
+                base = latest && latest.version <= SCHEMA_VERSION ? latest.data : data;
+            } catch (error) {
+                base = data;
+            }
+
+            try {
+                return write(base);
+            } catch (error) {
+                if (isQuotaError(error)) {
+                    const dropped = DISPOSABLE_KEYS.filter(name => Object.prototype.hasOwnProperty.call(base, name) ||
+                        Object.prototype.hasOwnProperty.call(data, name));
+                    if (dropped.length) {
+                        dropped.forEach(name => {
+                            delete data[name];
+                            dirty.add(name);
+                        });
+                        try {
+                            return write(base);
+                        } catch (retryError) {
+                            error = retryError;
+                        }
+                    }
+                }
+                emit('error', { action: 'save', reason: isQuotaError(error) ? 'quota' : 'unavailable', error });
+                return false;
+            }
+        }
+
+        // Take in what another tab wrote, except keys this tab changed and hasn't written yet
+        function handleStorageEvent(event) {
+            if (event.key !== key && event.key !== null) return;
+
+            let incoming;
+            try {
+                incoming = parseDocument(event.newValue);
+            } catch (error) {
+                return;
+            }
+            const next = incoming ? incoming.data : {};
+            const keys = Array.from(new Set([...Object.keys(data), ...Object.keys(next)]))
+                .filter(name => !dirty.has(name) && JSON.stringify(data[name]) !== JSON.stringify(next[name]));
+            if (keys.length === 0) return;
+
+            keys.forEach(name => {
+                if (Object.prototype.hasOwnProperty.call(next, name)) {
+                    data[name] = next[name];
+                } else {
+                    delete data[name];
+                }
+            });
+            emit('change', { keys });
+        }
+
+        /**
+         * A Storage-like view of the store, for code written against localStorage such
+         * as the generator. Values go in and out as JSON strings.
+         * @returns {Object} Object with getItem/setItem/removeItem
+         */
+        function asStorage() {
+            return {
+                getItem: name => (Object.prototype.hasOwnProperty.call(data, name) ? JSON.stringify(data[name]) : null),
+                setItem: (name, value) => set(name, JSON.parse(value)),
+                removeItem: remove
+            };
+        }
+
+        const store = { on, off, open, get, set, remove, flush, asStorage };
+        return store;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        STORE_KEY,
+        LEGACY_KEYS,
+        MIGRATIONS,
+        isQuotaError,
+        createMemoryBackend,
+        createStore
+    };
+}));
@@ -0,0 +1,94 @@
+/**
+ * Service worker for Boredom Buster: precaches the app and its icons so it installs
+ * as a progressive web app and works offline.
+ *
+ * Precached files are served from the cache, so a change to any of them only reaches
+ * users once CACHE_VERSION is bumped. The new worker then waits until the page asks it
+ * to take over (see promptForUpdate in app.js), and old caches are deleted when it does.
+ */
+'use strict';
+
+// ==========================================================================
+// Configuration and Constants
+// ==========================================================================
+
+// Bump whenever a precached file changes
+const CACHE_VERSION = 'v9';
+const CACHE_PREFIX = 'boredom-buster-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Icons in icons/icons.css, by file name
+const ICON_FILES = [
+    'adjust', 'arrow-down', 'arrow-up', 'bell', 'bicycle', 'bolt', 'book', 'calendar-day',
+    'calendar-plus', 'calendar-week', 'camera', 'chart-bar', 'check', 'check-circle',
+    'chevron-left', 'chevron-right', 'clock', 'coffee', 'coins', 'copy', 'download', 'edit',
+    'envelope', 'exclamation-circle', 'exclamation-triangle', 'eye', 'eye-slash', 'facebook',
+    'file-export', 'film', 'forward', 'futbol', 'gamepad', 'graduation-cap', 'heart',
+    'heart-regular', 'history', 'home', 'hourglass-half', 'image', 'info-circle', 'keyboard',
+    'language', 'laptop-code', 'leaf', 'link', 'mastodon', 'minus', 'moon', 'music', 'paint-brush',
+    'palette', 'pause', 'pen', 'plane', 'play', 'plug', 'plus', 'puzzle-piece', 'redo', 'running',
+    'share-alt', 'sliders-h', 'star', 'stop', 'sun', 'times', 'tools', 'trash', 'tree', 'twitter',
+    'user', 'users', 'utensils', 'water', 'whatsapp', 'wifi'
+].map(name => `icons/${name}.svg`);
+
+// Everything the app needs to run, relative to this worker
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'core.js',
+    'storage.js',
+    'i18n.js',
+    'locales/en.js',
+    'locales/es.js',
+    'locales/ar.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icons.css',
+    'icons/app-icon.svg',
+    'icons/app-icon-192.png',
+    'icons/app-icon-512.png',
+    'icons/app-icon-maskable-512.png',
+    ...ICON_FILES
+];
+
+// ==========================================================================
+// Lifecycle
+// ==========================================================================
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page sends 'skipWaiting' when the user accepts an update
+self.addEventListener('message', event => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// ==========================================================================
+// Requests
+// ==========================================================================
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // The API and remote activity sources always go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) {
+        return;
+    }
+
+    // Page loads get the cached app whatever the query, so the page and its scripts
+    // always come from the same version
+    const cached = request.mode === 'navigate'
+        ? caches.match('index.html', { cacheName: CACHE_NAME })
+        : caches.match(request, { cacheName: CACHE_NAME });
+    event.respondWith(cached.then(response => response || fetch(request)));
+});